@@ -0,0 +1,189 @@
+const fs = require('fs');
+const path = require('path');
+const pool = require('../config/database');
+
+const MIGRATIONS_DIR = path.join(__dirname, '../migrations');
+const MIGRATIONS_TABLE = 'schema_migrations';
+
+// Arbitrary key so that two processes never migrate at the same time
+const MIGRATION_LOCK_ID = 724130001;
+
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.(up|down)\.sql$/;
+
+// Read migrations from disk, ordered by their numeric prefix
+const loadMigrations = () => {
+  const migrations = new Map();
+
+  for (const file of fs.readdirSync(MIGRATIONS_DIR)) {
+    const match = file.match(FILE_PATTERN);
+    if (!match) continue;
+
+    const [, version, , direction] = match;
+    const name = file.replace(/\.(up|down)\.sql$/, '');
+
+    if (!migrations.has(name)) {
+      migrations.set(name, { name, version: parseInt(version, 10) });
+    }
+    migrations.get(name)[direction] = path.join(MIGRATIONS_DIR, file);
+  }
+
+  const list = [...migrations.values()].sort((a, b) => a.version - b.version);
+
+  for (const migration of list) {
+    if (!migration.up || !migration.down) {
+      throw new Error(`Migration ${migration.name} must have both an .up.sql and a .down.sql file`);
+    }
+  }
+
+  return list;
+};
+
+const ensureMigrationsTable = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS ${MIGRATIONS_TABLE} (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(255) NOT NULL UNIQUE,
+      batch INTEGER NOT NULL,
+      run_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+};
+
+const getApplied = async (client) => {
+  const result = await client.query(
+    `SELECT name, batch, run_at FROM ${MIGRATIONS_TABLE} ORDER BY id`
+  );
+  return result.rows;
+};
+
+// Run fn with a dedicated client holding the migration lock
+const withLock = async (fn) => {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+    await ensureMigrationsTable(client);
+    return await fn(client);
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]).catch(() => {});
+    client.release();
+  }
+};
+
+const runFile = async (client, file, record) => {
+  const sql = fs.readFileSync(file, 'utf8');
+  try {
+    await client.query('BEGIN');
+    await client.query(sql);
+    await record();
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    error.message = `${path.basename(file)}: ${error.message}`;
+    throw error;
+  }
+};
+
+// Apply all pending migrations as one batch
+const migrate = async ({ log = () => {} } = {}) => withLock(async (client) => {
+  const applied = new Set((await getApplied(client)).map((row) => row.name));
+  const pending = loadMigrations().filter((migration) => !applied.has(migration.name));
+
+  if (pending.length === 0) {
+    return [];
+  }
+
+  const batchResult = await client.query(
+    `SELECT COALESCE(MAX(batch), 0) + 1 AS batch FROM ${MIGRATIONS_TABLE}`
+  );
+  const batch = batchResult.rows[0].batch;
+
+  for (const migration of pending) {
+    log(`Applying ${migration.name}`);
+    await runFile(client, migration.up, () => client.query(
+      `INSERT INTO ${MIGRATIONS_TABLE} (name, batch) VALUES ($1, $2)`,
+      [migration.name, batch]
+    ));
+  }
+
+  return pending.map((migration) => migration.name);
+});
+
+// Revert the last `steps` applied migrations, newest first
+const rollback = async ({ steps = 1, log = () => {} } = {}) => withLock(async (client) => {
+  const byName = new Map(loadMigrations().map((migration) => [migration.name, migration]));
+  const toRevert = (await getApplied(client)).reverse().slice(0, steps);
+  const reverted = [];
+
+  for (const row of toRevert) {
+    const migration = byName.get(row.name);
+    if (!migration) {
+      throw new Error(`Cannot roll back ${row.name}: migration files not found`);
+    }
+
+    log(`Reverting ${migration.name}`);
+    await runFile(client, migration.down, () => client.query(
+      `DELETE FROM ${MIGRATIONS_TABLE} WHERE name = $1`,
+      [migration.name]
+    ));
+    reverted.push(migration.name);
+  }
+
+  return reverted;
+});
+
+// List every known migration with whether (and when) it has been applied
+const status = async () => withLock(async (client) => {
+  const applied = new Map((await getApplied(client)).map((row) => [row.name, row]));
+
+  return loadMigrations().map((migration) => {
+    const row = applied.get(migration.name);
+    return {
+      name: migration.name,
+      applied: Boolean(row),
+      batch: row ? row.batch : null,
+      run_at: row ? row.run_at : null
+    };
+  });
+});
+
+// Names of migrations on disk that have not been applied yet
+const getPending = async () => {
+  const tableResult = await pool.query('SELECT to_regclass($1) AS table_name', [MIGRATIONS_TABLE]);
+  const applied = new Set();
+
+  if (tableResult.rows[0].table_name) {
+    const result = await pool.query(`SELECT name FROM ${MIGRATIONS_TABLE}`);
+    result.rows.forEach((row) => applied.add(row.name));
+  }
+
+  return loadMigrations()
+    .filter((migration) => !applied.has(migration.name))
+    .map((migration) => migration.name);
+};
+
+// Scaffold an empty up/down pair with the next version number
+const create = (name) => {
+  const slug = String(name || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+  if (!slug) {
+    throw new Error('Migration name is required');
+  }
+
+  const last = loadMigrations().pop();
+  const version = String((last ? last.version : 0) + 1).padStart(4, '0');
+  const base = `${version}_${slug}`;
+
+  const upFile = path.join(MIGRATIONS_DIR, `${base}.up.sql`);
+  const downFile = path.join(MIGRATIONS_DIR, `${base}.down.sql`);
+  fs.writeFileSync(upFile, '-- Write the forward migration here\n');
+  fs.writeFileSync(downFile, '-- Write the statements that undo the .up.sql file here\n');
+
+  return [upFile, downFile];
+};
+
+module.exports = {
+  migrate,
+  rollback,
+  status,
+  getPending,
+  create
+};
@@ -0,0 +1,114 @@
+// Typed errors that routes can throw; the error handler turns them into
+// { message, code, ...details } responses with the matching HTTP status.
+
+class AppError extends Error {
+  constructor(message, { status = 500, code = 'INTERNAL_ERROR', details } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+class BadRequestError extends AppError {
+  constructor(message = 'Bad request', code = 'BAD_REQUEST', details) {
+    super(message, { status: 400, code, details });
+  }
+}
+
+class ValidationError extends AppError {
+  constructor(errors, message = 'Validation failed') {
+    super(message, { status: 400, code: 'VALIDATION_FAILED', details: { errors } });
+  }
+}
+
+class UnauthorizedError extends AppError {
+  constructor(message = 'Authentication required', code = 'UNAUTHORIZED', details) {
+    super(message, { status: 401, code, details });
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(message = 'Forbidden', code = 'FORBIDDEN', details) {
+    super(message, { status: 403, code, details });
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message = 'Not found', code = 'NOT_FOUND', details) {
+    super(message, { status: 404, code, details });
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(message = 'Conflict', code = 'CONFLICT', details) {
+    super(message, { status: 409, code, details });
+  }
+}
+
+class PayloadTooLargeError extends AppError {
+  constructor(message = 'Payload too large', code = 'PAYLOAD_TOO_LARGE', details) {
+    super(message, { status: 413, code, details });
+  }
+}
+
+class UnsupportedMediaTypeError extends AppError {
+  constructor(message = 'Unsupported media type', code = 'UNSUPPORTED_MEDIA_TYPE', details) {
+    super(message, { status: 415, code, details });
+  }
+}
+
+// details.retry_after (seconds) is also sent as a Retry-After header
+class TooManyRequestsError extends AppError {
+  constructor(message = 'Too many requests', code = 'RATE_LIMITED', details) {
+    super(message, { status: 429, code, details });
+  }
+}
+
+// Unique indexes whose violation has a more specific explanation, by index name
+const UNIQUE_VIOLATIONS = {
+  idx_reports_open_per_reporter: () => new ConflictError('You already reported this', 'ALREADY_REPORTED'),
+  idx_company_profiles_verified_domain: () => new ConflictError(
+    'This domain is already verified by another company',
+    'DOMAIN_TAKEN'
+  )
+};
+
+// Postgres error codes we can explain to the client
+const PG_ERRORS = {
+  23505: (err) => (UNIQUE_VIOLATIONS[err.constraint]
+    ? UNIQUE_VIOLATIONS[err.constraint]()
+    : new ConflictError('Resource already exists', 'ALREADY_EXISTS')),
+  23503: () => new BadRequestError('Referenced resource does not exist', 'INVALID_REFERENCE'),
+  23502: (err) => new BadRequestError(`${err.column || 'A required field'} is required`, 'MISSING_FIELD'),
+  23514: () => new BadRequestError('Value violates a data constraint', 'CONSTRAINT_VIOLATION'),
+  '22P02': () => new BadRequestError('Invalid input syntax', 'INVALID_INPUT'),
+  22001: () => new BadRequestError('Value is too long', 'VALUE_TOO_LONG')
+};
+
+// Map a node-postgres error to an AppError, or return null
+const fromDatabaseError = (err) => {
+  const factory = err && typeof err.code === 'string' && PG_ERRORS[err.code];
+  return factory ? factory(err) : null;
+};
+
+// Let async route handlers throw; rejections are forwarded to the error handler
+const asyncHandler = (fn) => (req, res, next) => {
+  Promise.resolve(fn(req, res, next)).catch(next);
+};
+
+module.exports = {
+  AppError,
+  BadRequestError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  PayloadTooLargeError,
+  UnsupportedMediaTypeError,
+  TooManyRequestsError,
+  fromDatabaseError,
+  asyncHandler
+};
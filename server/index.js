@@ -2,6 +2,8 @@ const express = require('express');
 const cors = require('cors');
 const dotenv = require('dotenv');
 const path = require('path');
+const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
+const { root: localStorageRoot } = require('./storage/drivers/local');
 
 // Load environment variables
 dotenv.config();
@@ -9,21 +11,37 @@ dotenv.config();
 const app = express();
 const PORT = process.env.PORT || 5001;
 
+// Behind a reverse proxy, rate limits need the client IP from X-Forwarded-For.
+// TRUST_PROXY is passed to Express: a hop count ("1") or a list of addresses.
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
+
 // Middleware
-app.use(cors());
+// Let browsers read the pagination header of list endpoints that return bare arrays,
+// and the rate limit headers
+app.use(cors({
+  exposedHeaders: ['X-Next-Cursor', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy', 'Retry-After']
+}));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Serve uploaded files
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+// Avatars and company images are public; CVs and message attachments are only served
+// through authorized routes. With the s3 storage driver their URLs point at the bucket instead.
+app.use('/uploads/avatars', express.static(path.join(localStorageRoot(), 'avatars')));
+app.use('/uploads/company-images', express.static(path.join(localStorageRoot(), 'company-images')));
 
 // Routes
-app.use('/api/auth', require('./routes/auth'));
-app.use('/api/users', require('./routes/users'));
-app.use('/api/posts', require('./routes/posts'));
-app.use('/api/cvs', require('./routes/cvs'));
-app.use('/api/applications', require('./routes/applications'));
-app.use('/api/follows', require('./routes/follows'));
+const routes = require('./routes');
+
+routes.forEach(([mountPath, router]) => app.use(mountPath, router));
+
+// API docs generated from the request validation schemas
+const openApiDocument = require('./validation/openapi')(routes);
+app.get('/api/docs/openapi.json', (req, res) => {
+  res.json(openApiDocument);
+});
 
 // Test route
 app.get('/api/test', (req, res) => {
@@ -31,11 +49,48 @@ app.get('/api/test', (req, res) => {
 });
 
 // Error handling middleware
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).json({ message: 'Something went wrong!' });
-});
+app.use('/api', notFoundHandler);
+app.use(errorHandler);
+
+// Refuse to start in production (and warn loudly elsewhere) when the schema is behind
+const checkMigrations = async () => {
+  const { getPending } = require('./db/migrator');
+
+  try {
+    const pending = await getPending();
+    if (pending.length === 0) return;
+
+    const banner = [
+      '',
+      '!'.repeat(60),
+      `  ${pending.length} pending database migration(s):`,
+      ...pending.map((name) => `    - ${name}`),
+      '  Run `npm run migrate` to bring the database up to date.',
+      '!'.repeat(60),
+      ''
+    ].join('\n');
+
+    if (process.env.NODE_ENV === 'production' && process.env.ALLOW_PENDING_MIGRATIONS !== 'true') {
+      console.error(banner);
+      console.error('Refusing to start with pending migrations (set ALLOW_PENDING_MIGRATIONS=true to override).');
+      process.exit(1);
+    }
+
+    console.warn(banner);
+  } catch (error) {
+    console.warn('Could not check database migrations:', error.message);
+  }
+};
+
+checkMigrations().then(() => {
+  // Relay events published by any server process to this process's streams
+  require('./services/realtime').start();
+  // Extract text from CVs that were uploaded while extraction was unavailable
+  require('./services/cvText').start();
+  // Move job posts through open -> closing soon -> closed as deadlines approach
+  require('./services/postLifecycle').start();
 
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
+  app.listen(PORT, () => {
+    console.log(`Server running on port ${PORT}`);
+  });
 });
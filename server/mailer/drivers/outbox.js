@@ -0,0 +1,23 @@
+const fs = require('fs');
+const path = require('path');
+
+// Development driver: writes each message to a JSON file and logs it instead of sending
+const createOutboxDriver = () => {
+  const outboxDir = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '../../../outbox');
+
+  return {
+    name: 'outbox',
+    send: async (message) => {
+      fs.mkdirSync(outboxDir, { recursive: true });
+
+      const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+      const file = path.join(outboxDir, `mail-${uniqueSuffix}.json`);
+      fs.writeFileSync(file, JSON.stringify({ ...message, date: new Date().toISOString() }, null, 2));
+
+      console.log(`[mail] To: ${message.to} | Subject: ${message.subject}\n${message.text}\n[mail] Saved to ${file}`);
+      return { messageId: path.basename(file, '.json') };
+    }
+  };
+};
+
+module.exports = createOutboxDriver;
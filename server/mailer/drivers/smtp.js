@@ -0,0 +1,20 @@
+const nodemailer = require('nodemailer');
+
+// Sends mail through any SMTP server configured via SMTP_* variables
+const createSmtpDriver = () => {
+  const transport = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: (message) => transport.sendMail(message)
+  };
+};
+
+module.exports = createSmtpDriver;
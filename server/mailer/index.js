@@ -0,0 +1,50 @@
+const templates = require('./templates');
+
+const drivers = {
+  smtp: require('./drivers/smtp'),
+  outbox: require('./drivers/outbox')
+};
+
+let driver = null;
+
+// Pick the driver from MAIL_DRIVER; develop against the outbox unless told otherwise
+const getDriver = () => {
+  if (!driver) {
+    const name = process.env.MAIL_DRIVER || (process.env.NODE_ENV === 'production' ? 'smtp' : 'outbox');
+    if (!drivers[name]) {
+      throw new Error(`Unknown MAIL_DRIVER "${name}"`);
+    }
+    driver = drivers[name]();
+  }
+  return driver;
+};
+
+const send = ({ to, subject, text, html }) => getDriver().send({
+  from: process.env.MAIL_FROM || 'JoBook <no-reply@jobook.local>',
+  to,
+  subject,
+  text,
+  html
+});
+
+// Render a template from templates.js and send it
+const sendTemplate = (to, template, data) => {
+  if (!templates[template]) {
+    throw new Error(`Unknown mail template "${template}"`);
+  }
+  return send({ to, ...templates[template](data) });
+};
+
+// Mail is a side effect of most requests: log failures instead of failing them
+const sendSafely = (to, template, data) => Promise.resolve()
+  .then(() => sendTemplate(to, template, data))
+  .catch((error) => {
+    console.error(`Mail error (${template}):`, error);
+    return null;
+  });
+
+module.exports = {
+  send,
+  sendTemplate,
+  sendSafely
+};
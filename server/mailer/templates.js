@@ -0,0 +1,37 @@
+const appUrl = () => (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+const emailVerification = ({ full_name, token }) => {
+  const link = `${appUrl()}/verify-email?token=${encodeURIComponent(token)}`;
+  return {
+    subject: 'Verify your JoBook email address',
+    text: `Hi ${full_name},\n\nPlease confirm your email address by opening the link below:\n\n${link}\n\nThe link expires in 24 hours. If you did not create a JoBook account, you can ignore this email.`
+  };
+};
+
+const passwordReset = ({ full_name, token }) => {
+  const link = `${appUrl()}/reset-password?token=${encodeURIComponent(token)}`;
+  return {
+    subject: 'Reset your JoBook password',
+    text: `Hi ${full_name},\n\nWe received a request to reset your password. Open the link below to choose a new one:\n\n${link}\n\nThe link expires in 1 hour and can only be used once. If you did not ask for this, you can ignore this email.`
+  };
+};
+
+const passwordChanged = ({ full_name }) => ({
+  subject: 'Your JoBook password was changed',
+  text: `Hi ${full_name},\n\nThe password for your JoBook account was just changed and all other sessions were signed out. If this was not you, reset your password immediately.`
+});
+
+const companyDomainVerification = ({ full_name, domain, token }) => {
+  const link = `${appUrl()}/verify-company?token=${encodeURIComponent(token)}`;
+  return {
+    subject: `Confirm ${domain} for your JoBook company profile`,
+    text: `Hi,\n\n${full_name} asked to verify their JoBook company profile with this address on ${domain}. Open the link below to confirm:\n\n${link}\n\nThe link expires in 24 hours. If you do not know about this request, you can ignore this email.`
+  };
+};
+
+module.exports = {
+  emailVerification,
+  companyDomainVerification,
+  passwordReset,
+  passwordChanged
+};
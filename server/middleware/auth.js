@@ -1,32 +1,75 @@
 const jwt = require('jsonwebtoken');
 const pool = require('../config/database');
+const moderation = require('../services/moderation');
+const { UnauthorizedError, ForbiddenError } = require('../errors');
 
 const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
 
   if (!token) {
-    return res.status(401).json({ message: 'Access token required' });
+    return next(new UnauthorizedError('Access token required', 'TOKEN_REQUIRED'));
   }
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    // Verify user still exists
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    // Expired access tokens get their own code so clients know to refresh
+    if (error.name === 'TokenExpiredError') {
+      return next(new UnauthorizedError('Access token expired', 'TOKEN_EXPIRED'));
+    }
+    return next(new ForbiddenError('Invalid token', 'INVALID_TOKEN'));
+  }
+
+  // Tokens issued before sessions existed cannot be revoked, so they are no longer accepted
+  if (!decoded.sid) {
+    return next(new UnauthorizedError('Session expired, please log in again', 'SESSION_EXPIRED'));
+  }
+
+  try {
+    // Verify user still exists and the session is still active
     const userResult = await pool.query(
-      'SELECT id, email, account_type FROM users WHERE id = $1',
-      [decoded.userId]
+      `SELECT u.id, u.email, u.account_type, u.role, (u.email_verified_at IS NOT NULL) as email_verified,
+        u.password_changed_at, s.id as session_id, s.revoked_at, ${moderation.suspensionColumns('u')}
+       FROM users u
+       LEFT JOIN sessions s ON s.id = $2 AND s.user_id = u.id
+       WHERE u.id = $1`,
+      [decoded.userId, decoded.sid]
     );
 
     if (userResult.rows.length === 0) {
-      return res.status(401).json({ message: 'User not found' });
+      return next(new UnauthorizedError('User not found', 'USER_NOT_FOUND'));
+    }
+
+    const { password_changed_at, session_id, revoked_at, is_suspended, suspended_until, suspension_reason, ...user } = userResult.rows[0];
+
+    if (!session_id || revoked_at) {
+      return next(new UnauthorizedError('Session has been revoked', 'SESSION_REVOKED'));
+    }
+
+    if (password_changed_at && decoded.iat < Math.floor(password_changed_at.getTime() / 1000)) {
+      return next(new UnauthorizedError('Password was changed, please log in again', 'PASSWORD_CHANGED'));
     }
 
-    req.user = userResult.rows[0];
+    const suspended = moderation.suspensionError({ is_suspended, suspended_until, suspension_reason });
+    if (suspended) {
+      return next(suspended);
+    }
+
+    req.user = user;
+    req.sessionId = decoded.sid;
     next();
   } catch (error) {
-    return res.status(403).json({ message: 'Invalid token' });
+    next(error);
   }
 };
 
+// For routes that also serve anonymous visitors: a token is only checked when one is sent
+const optionalAuthentication = (req, res, next) => {
+  if (!req.headers['authorization']) return next();
+  authenticateToken(req, res, next);
+};
+
 module.exports = authenticateToken;
+module.exports.optional = optionalAuthentication;
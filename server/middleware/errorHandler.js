@@ -0,0 +1,69 @@
+const multer = require('multer');
+const {
+  AppError,
+  BadRequestError,
+  NotFoundError,
+  PayloadTooLargeError,
+  fromDatabaseError
+} = require('../errors');
+
+// Normalise anything thrown by routes, multer, body-parser or pg into an AppError
+const toAppError = (err) => {
+  if (err instanceof AppError) {
+    return err;
+  }
+
+  if (err instanceof multer.MulterError) {
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return new PayloadTooLargeError('File is too large', 'FILE_TOO_LARGE');
+    }
+    return new BadRequestError(err.message, 'UPLOAD_ERROR', { field: err.field });
+  }
+
+  // body-parser
+  if (err.type === 'entity.parse.failed') {
+    return new BadRequestError('Request body is not valid JSON', 'INVALID_JSON');
+  }
+  if (err.type === 'entity.too.large') {
+    return new PayloadTooLargeError('Request body is too large');
+  }
+
+  return fromDatabaseError(err);
+};
+
+// 404 for API paths that no router handled
+const notFoundHandler = (req, res, next) => {
+  next(new NotFoundError(`Route ${req.method} ${req.originalUrl.split('?')[0]} not found`, 'ROUTE_NOT_FOUND'));
+};
+
+// Express recognises error handlers by their four arguments
+const errorHandler = (err, req, res, next) => {
+  const appError = toAppError(err);
+
+  if (!appError || appError.status >= 500) {
+    console.error(`${req.method} ${req.originalUrl} error:`, err);
+  }
+
+  if (res.headersSent) {
+    return res.end();
+  }
+
+  if (!appError) {
+    return res.status(500).json({ message: 'Server error', code: 'INTERNAL_ERROR' });
+  }
+
+  if (appError.details && appError.details.retry_after) {
+    res.set('Retry-After', String(appError.details.retry_after));
+  }
+
+  res.status(appError.status).json({
+    message: appError.message,
+    code: appError.code,
+    ...(appError.details || {})
+  });
+};
+
+module.exports = {
+  errorHandler,
+  notFoundHandler
+};
@@ -0,0 +1,68 @@
+const crypto = require('crypto');
+const rateLimitStore = require('../rateLimit');
+const { TooManyRequestsError } = require('../errors');
+
+// What a bucket is counted per. "user" needs authenticateToken first; "email"
+// is the account an unauthenticated request (login, password reset) targets.
+const KEYS = {
+  ip: (req) => req.ip,
+  user: (req) => (req.user ? String(req.user.id) : null),
+  email: (req) => (typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : null)
+};
+
+// Bucket values come from the request (emails are read before validation), so
+// they are hashed to keep keys short and fixed-length in any store
+const bucketKey = (name, key, value) => (
+  `${name}:${key}:${crypto.createHash('sha256').update(value).digest('base64url')}`
+);
+
+// Limit a route to a number of requests per window, with one bucket per key:
+// limits: { ip: 20, email: 5 } allows 20 requests per IP and 5 per account.
+// A request is rejected as soon as any of its buckets is full.
+const createRateLimit = ({ name, windowMs, limits, message = 'Too many requests, please try again later' }) => {
+  Object.keys(limits).forEach((key) => {
+    if (!KEYS[key]) throw new Error(`Unknown rate limit key "${key}"`);
+  });
+
+  const windowSeconds = Math.ceil(windowMs / 1000);
+
+  return async (req, res, next) => {
+    if (!rateLimitStore.isEnabled()) return next();
+
+    // A request that cannot be counted is not let through: failing open would
+    // let anyone who can make the store fail switch the limits off
+    let buckets;
+    try {
+      buckets = await Promise.all(Object.entries(limits).map(async ([key, max]) => {
+        const value = KEYS[key](req);
+        if (!value) return null;
+
+        const { count, resetMs } = await rateLimitStore.hit(bucketKey(name, key, value), windowMs);
+        return { max, remaining: Math.max(max - count, 0), exceeded: count > max, reset: Math.max(Math.ceil(resetMs / 1000), 1) };
+      }));
+    } catch (error) {
+      return next(error);
+    }
+
+    const counted = buckets.filter(Boolean);
+    if (counted.length === 0) return next();
+
+    // Headers describe the bucket closest to its limit
+    const tightest = counted.reduce((a, b) => (b.remaining < a.remaining ? b : a));
+    res.set({
+      'RateLimit-Limit': String(tightest.max),
+      'RateLimit-Remaining': String(tightest.remaining),
+      'RateLimit-Reset': String(tightest.reset),
+      'RateLimit-Policy': counted.map((bucket) => `${bucket.max};w=${windowSeconds}`).join(', ')
+    });
+
+    const exceeded = counted.filter((bucket) => bucket.exceeded);
+    if (exceeded.length > 0) {
+      const retryAfter = Math.max(...exceeded.map((bucket) => bucket.reset));
+      return next(new TooManyRequestsError(message, 'RATE_LIMITED', { retry_after: retryAfter }));
+    }
+    next();
+  };
+};
+
+module.exports = createRateLimit;
@@ -0,0 +1,11 @@
+const { ForbiddenError } = require('../errors');
+
+// Admin-only routes; use after authenticateToken
+const requireAdmin = (req, res, next) => {
+  if (req.user.role !== 'admin') {
+    return next(new ForbiddenError('Admin access required', 'ADMIN_REQUIRED'));
+  }
+  next();
+};
+
+module.exports = requireAdmin;
@@ -0,0 +1,42 @@
+const multer = require('multer');
+const fileType = require('../utils/fileType');
+const { UnsupportedMediaTypeError } = require('../errors');
+
+// Uploads are kept in memory and handed to the storage backend by the route.
+// types lists the allowed mimetypes; message explains the rule.
+const createUpload = ({ types, message, maxSize }) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    fileFilter: (req, file, cb) => {
+      if (types.includes(file.mimetype)) {
+        cb(null, true);
+      } else {
+        cb(new UnsupportedMediaTypeError(message, 'INVALID_FILE_TYPE'), false);
+      }
+    },
+    limits: {
+      fileSize: maxSize
+    }
+  });
+
+  // The client's mimetype is only a first filter: the content has to match too,
+  // so a renamed executable is rejected. Routes get the detected type and extension.
+  const verifyContent = (req, res, next) => {
+    if (!req.file) return next();
+
+    const type = fileType.detect(req.file.buffer);
+    if (!type || !types.includes(type.mime)) {
+      return next(new UnsupportedMediaTypeError(message, 'FILE_CONTENT_MISMATCH'));
+    }
+
+    req.file.mimetype = type.mime;
+    req.file.extension = type.extension;
+    next();
+  };
+
+  return {
+    single: (field) => [upload.single(field), verifyContent]
+  };
+};
+
+module.exports = createUpload;
@@ -0,0 +1,13 @@
+CREATE TABLE IF NOT EXISTS posts (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  post_type VARCHAR(20) NOT NULL CHECK (post_type IN ('find_job', 'find_candidate')),
+  title VARCHAR(255) NOT NULL,
+  description TEXT NOT NULL,
+  attached_cv_id INTEGER REFERENCES cvs(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_posts_user_id ON posts (user_id);
+CREATE INDEX IF NOT EXISTS idx_posts_type_created_at ON posts (post_type, created_at DESC);
@@ -0,0 +1,9 @@
+DROP TABLE IF EXISTS application_status_history;
+
+ALTER TABLE applications DROP COLUMN IF EXISTS updated_at;
+
+UPDATE applications SET status = 'reviewed' WHERE status IN ('interview', 'offer');
+
+ALTER TABLE applications DROP CONSTRAINT IF EXISTS applications_status_check;
+ALTER TABLE applications ADD CONSTRAINT applications_status_check
+  CHECK (status IN ('pending', 'reviewed', 'accepted', 'rejected'));
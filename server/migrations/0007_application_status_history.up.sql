@@ -0,0 +1,25 @@
+ALTER TABLE applications DROP CONSTRAINT IF EXISTS applications_status_check;
+ALTER TABLE applications ADD CONSTRAINT applications_status_check
+  CHECK (status IN ('pending', 'reviewed', 'interview', 'offer', 'accepted', 'rejected'));
+
+ALTER TABLE applications ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+
+CREATE TABLE application_status_history (
+  id SERIAL PRIMARY KEY,
+  application_id INTEGER NOT NULL REFERENCES applications(id) ON DELETE CASCADE,
+  from_status VARCHAR(20),
+  to_status VARCHAR(20) NOT NULL,
+  changed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  note TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_application_status_history_application_id
+  ON application_status_history (application_id, created_at);
+
+-- Seed a starting entry for applications that predate the history table
+INSERT INTO application_status_history (application_id, from_status, to_status, changed_by, created_at)
+SELECT id, NULL, 'pending', applicant_id, created_at FROM applications;
+
+INSERT INTO application_status_history (application_id, from_status, to_status, created_at)
+SELECT id, 'pending', status, CURRENT_TIMESTAMP FROM applications WHERE status <> 'pending';
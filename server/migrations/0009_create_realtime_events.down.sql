@@ -0,0 +1,3 @@
+DROP TABLE IF EXISTS event_stream_tokens;
+DROP TABLE IF EXISTS realtime_events;
+DROP FUNCTION IF EXISTS notify_realtime_event();
@@ -0,0 +1,35 @@
+-- Log of events pushed to connected clients, kept so that reconnecting
+-- clients can replay what they missed since their last seen id
+CREATE TABLE realtime_events (
+  id BIGSERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  type VARCHAR(50) NOT NULL,
+  payload JSONB NOT NULL DEFAULT '{}',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_realtime_events_user_id ON realtime_events (user_id, id);
+CREATE INDEX idx_realtime_events_created_at ON realtime_events (created_at);
+
+-- Wake every server process listening on the channel once the insert commits
+CREATE FUNCTION notify_realtime_event() RETURNS trigger AS $$
+BEGIN
+  PERFORM pg_notify('realtime_events', NEW.id || ':' || NEW.user_id);
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER realtime_events_notify
+  AFTER INSERT ON realtime_events
+  FOR EACH ROW EXECUTE FUNCTION notify_realtime_event();
+
+-- Single-use tokens that open an event stream for clients that cannot send an
+-- Authorization header (EventSource). Only a hash of the token is stored.
+CREATE TABLE event_stream_tokens (
+  token_hash VARCHAR(64) PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  expires_at TIMESTAMP NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_event_stream_tokens_expires_at ON event_stream_tokens (expires_at);
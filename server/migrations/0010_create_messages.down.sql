@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS messages;
+ALTER TABLE applications DROP COLUMN IF EXISTS thread_lock_on_reject;
@@ -0,0 +1,19 @@
+-- Companies can make an application's thread read-only once it is rejected
+ALTER TABLE applications ADD COLUMN thread_lock_on_reject BOOLEAN NOT NULL DEFAULT false;
+
+CREATE TABLE messages (
+  id SERIAL PRIMARY KEY,
+  application_id INTEGER NOT NULL REFERENCES applications(id) ON DELETE CASCADE,
+  sender_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  body TEXT NOT NULL DEFAULT '',
+  attachment_url VARCHAR(500),
+  attachment_name VARCHAR(255),
+  attachment_mime VARCHAR(100),
+  attachment_size INTEGER,
+  read_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CHECK (body <> '' OR attachment_url IS NOT NULL)
+);
+
+CREATE INDEX idx_messages_application_id ON messages (application_id, created_at DESC);
+CREATE INDEX idx_messages_unread ON messages (application_id, sender_id) WHERE read_at IS NULL;
@@ -0,0 +1,6 @@
+ALTER TABLE event_stream_tokens DROP COLUMN IF EXISTS session_id;
+DROP TRIGGER IF EXISTS sessions_revoked_notify ON sessions;
+DROP FUNCTION IF EXISTS notify_session_revoked();
+DROP TABLE IF EXISTS refresh_tokens;
+DROP TABLE IF EXISTS sessions;
+ALTER TABLE users DROP COLUMN IF EXISTS password_changed_at;
@@ -0,0 +1,46 @@
+ALTER TABLE users ADD COLUMN password_changed_at TIMESTAMP;
+
+-- A session is one login on one device; its refresh tokens form a rotation family
+CREATE TABLE sessions (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  user_agent VARCHAR(500),
+  ip_address VARCHAR(100),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL,
+  revoked_at TIMESTAMP,
+  revoked_reason VARCHAR(50)
+);
+
+CREATE INDEX idx_sessions_user_id ON sessions (user_id) WHERE revoked_at IS NULL;
+
+CREATE TABLE refresh_tokens (
+  id SERIAL PRIMARY KEY,
+  session_id INTEGER NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+  token_hash CHAR(64) NOT NULL UNIQUE,
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_refresh_tokens_session_id ON refresh_tokens (session_id);
+
+-- Tell every server process when a session is revoked, so that they close the
+-- event streams opened with it
+CREATE FUNCTION notify_session_revoked() RETURNS trigger AS $$
+BEGIN
+  PERFORM pg_notify('sessions_revoked', NEW.id || ':' || NEW.user_id);
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER sessions_revoked_notify
+  AFTER UPDATE OF revoked_at ON sessions
+  FOR EACH ROW WHEN (OLD.revoked_at IS NULL AND NEW.revoked_at IS NOT NULL)
+  EXECUTE FUNCTION notify_session_revoked();
+
+-- Stream tokens now open a stream for one session; earlier ones had none
+DELETE FROM event_stream_tokens;
+ALTER TABLE event_stream_tokens
+  ADD COLUMN session_id INTEGER NOT NULL REFERENCES sessions(id) ON DELETE CASCADE;
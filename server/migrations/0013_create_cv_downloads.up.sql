@@ -0,0 +1,9 @@
+-- Who downloaded which CV, so candidates can see which companies viewed it
+CREATE TABLE cv_downloads (
+  id SERIAL PRIMARY KEY,
+  cv_id INTEGER NOT NULL REFERENCES cvs(id) ON DELETE CASCADE,
+  viewer_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  downloaded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_cv_downloads_cv_id ON cv_downloads (cv_id, downloaded_at DESC);
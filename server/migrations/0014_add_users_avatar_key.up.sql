@@ -0,0 +1,6 @@
+-- Storage key of the avatar; avatar_url stays the public URL clients load
+ALTER TABLE users ADD COLUMN avatar_key VARCHAR(500);
+
+-- Avatars uploaded to local disk before the storage backend existed
+UPDATE users SET avatar_key = substring(avatar_url FROM 10)
+WHERE avatar_url LIKE '/uploads/%';
@@ -0,0 +1,3 @@
+-- Storage keys of the resized avatar images, e.g. { "small": "avatars/...-small.webp", ... }.
+-- NULL for avatars uploaded before resizing existed: they only have avatar_key.
+ALTER TABLE users ADD COLUMN avatar_variants JSONB;
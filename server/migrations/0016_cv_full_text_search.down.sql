@@ -0,0 +1,7 @@
+ALTER TABLE users DROP COLUMN IF EXISTS cv_searchable;
+DROP INDEX IF EXISTS idx_cvs_text_pending;
+DROP INDEX IF EXISTS idx_cvs_search_vector;
+ALTER TABLE cvs DROP COLUMN IF EXISTS search_vector;
+ALTER TABLE cvs DROP COLUMN IF EXISTS text_extracted_at;
+ALTER TABLE cvs DROP COLUMN IF EXISTS text_status;
+ALTER TABLE cvs DROP COLUMN IF EXISTS content_text;
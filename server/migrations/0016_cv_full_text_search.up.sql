@@ -0,0 +1,15 @@
+-- Text extracted from CV PDFs, searchable by companies
+ALTER TABLE cvs ADD COLUMN content_text TEXT;
+ALTER TABLE cvs ADD COLUMN text_status VARCHAR(20) NOT NULL DEFAULT 'pending'
+  CHECK (text_status IN ('pending', 'extracted', 'failed'));
+ALTER TABLE cvs ADD COLUMN text_extracted_at TIMESTAMP;
+ALTER TABLE cvs ADD COLUMN search_vector tsvector GENERATED ALWAYS AS (
+  setweight(to_tsvector('english', coalesce(name, '')), 'A') ||
+  setweight(to_tsvector('english', coalesce(content_text, '')), 'B')
+) STORED;
+
+CREATE INDEX idx_cvs_search_vector ON cvs USING GIN (search_vector);
+CREATE INDEX idx_cvs_text_pending ON cvs (id) WHERE text_status = 'pending';
+
+-- Candidates decide whether companies can find their CVs through search
+ALTER TABLE users ADD COLUMN cv_searchable BOOLEAN NOT NULL DEFAULT false;
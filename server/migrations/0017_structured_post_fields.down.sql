@@ -0,0 +1,15 @@
+DROP INDEX IF EXISTS idx_posts_skills;
+DROP INDEX IF EXISTS idx_posts_work_mode;
+ALTER TABLE posts DROP CONSTRAINT IF EXISTS posts_salary_range_check;
+ALTER TABLE posts
+  DROP COLUMN IF EXISTS expected_salary,
+  DROP COLUMN IF EXISTS desired_role,
+  DROP COLUMN IF EXISTS application_deadline,
+  DROP COLUMN IF EXISTS skills,
+  DROP COLUMN IF EXISTS salary_currency,
+  DROP COLUMN IF EXISTS salary_max,
+  DROP COLUMN IF EXISTS salary_min,
+  DROP COLUMN IF EXISTS seniority,
+  DROP COLUMN IF EXISTS employment_type,
+  DROP COLUMN IF EXISTS work_mode,
+  DROP COLUMN IF EXISTS location;
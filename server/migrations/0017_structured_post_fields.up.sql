@@ -0,0 +1,23 @@
+-- Structured job fields (find_candidate posts)
+ALTER TABLE posts ADD COLUMN location VARCHAR(150);
+ALTER TABLE posts ADD COLUMN work_mode VARCHAR(10)
+  CHECK (work_mode IN ('onsite', 'hybrid', 'remote'));
+ALTER TABLE posts ADD COLUMN employment_type VARCHAR(20)
+  CHECK (employment_type IN ('full_time', 'part_time', 'contract', 'temporary', 'internship', 'freelance'));
+ALTER TABLE posts ADD COLUMN seniority VARCHAR(20)
+  CHECK (seniority IN ('intern', 'junior', 'mid', 'senior', 'lead', 'executive'));
+ALTER TABLE posts ADD COLUMN salary_min INTEGER CHECK (salary_min >= 0);
+ALTER TABLE posts ADD COLUMN salary_max INTEGER CHECK (salary_max >= 0);
+ALTER TABLE posts ADD COLUMN salary_currency CHAR(3);
+ALTER TABLE posts ADD COLUMN skills TEXT[] NOT NULL DEFAULT '{}';
+ALTER TABLE posts ADD COLUMN application_deadline TIMESTAMP;
+
+-- Job seeking fields (find_job posts); location and salary_currency are shared
+ALTER TABLE posts ADD COLUMN desired_role VARCHAR(150);
+ALTER TABLE posts ADD COLUMN expected_salary INTEGER CHECK (expected_salary >= 0);
+
+ALTER TABLE posts ADD CONSTRAINT posts_salary_range_check
+  CHECK (salary_min IS NULL OR salary_max IS NULL OR salary_min <= salary_max);
+
+CREATE INDEX idx_posts_work_mode ON posts (work_mode);
+CREATE INDEX idx_posts_skills ON posts USING GIN (skills);
@@ -0,0 +1,6 @@
+-- Full-text index for post search; routes/posts.js uses the same expression
+-- (an expression index keeps the vector out of the SELECT p.* responses)
+CREATE INDEX idx_posts_search_vector ON posts USING GIN ((
+  setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+  setweight(to_tsvector('english', coalesce(description, '')), 'B')
+));
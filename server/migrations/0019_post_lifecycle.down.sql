@@ -0,0 +1,5 @@
+DROP INDEX IF EXISTS idx_posts_lifecycle;
+ALTER TABLE applications DROP COLUMN IF EXISTS flagged_at;
+ALTER TABLE posts DROP COLUMN IF EXISTS on_close;
+ALTER TABLE posts DROP COLUMN IF EXISTS closed_at;
+ALTER TABLE posts DROP COLUMN IF EXISTS status;
@@ -0,0 +1,21 @@
+-- Job posts move open -> closing_soon -> closed (see services/postLifecycle.js);
+-- find_job posts stay open
+ALTER TABLE posts ADD COLUMN status VARCHAR(20) NOT NULL DEFAULT 'open'
+  CHECK (status IN ('open', 'closing_soon', 'closed'));
+ALTER TABLE posts ADD COLUMN closed_at TIMESTAMP;
+-- What happens to still-pending applications when the post closes
+ALTER TABLE posts ADD COLUMN on_close VARCHAR(10) NOT NULL DEFAULT 'keep'
+  CHECK (on_close IN ('keep', 'reject', 'flag'));
+
+-- Set on applications that were still pending when their post closed with on_close = 'flag'
+ALTER TABLE applications ADD COLUMN flagged_at TIMESTAMP;
+
+-- Job posts used to expire 10 days after they were created
+UPDATE posts SET application_deadline = created_at + INTERVAL '10 days'
+WHERE post_type = 'find_candidate' AND application_deadline IS NULL;
+
+UPDATE posts SET status = 'closed', closed_at = application_deadline
+WHERE post_type = 'find_candidate' AND application_deadline <= CURRENT_TIMESTAMP;
+
+CREATE INDEX idx_posts_lifecycle ON posts (status, application_deadline)
+  WHERE post_type = 'find_candidate' AND status <> 'closed';
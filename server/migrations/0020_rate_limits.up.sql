@@ -0,0 +1,12 @@
+-- Fixed-window request counters for the postgres rate limit store (see server/rateLimit)
+CREATE TABLE rate_limits (
+  key VARCHAR(255) PRIMARY KEY,
+  count INTEGER NOT NULL,
+  reset_at TIMESTAMP NOT NULL
+);
+
+CREATE INDEX idx_rate_limits_reset_at ON rate_limits(reset_at);
+
+-- Progressive login lockout (see services/loginLockout.js)
+ALTER TABLE users ADD COLUMN failed_login_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE users ADD COLUMN locked_until TIMESTAMP;
@@ -0,0 +1,37 @@
+-- TOTP two-factor authentication (see services/twoFactor.js). The secret is
+-- encrypted; 2FA is on once two_factor_enabled_at is set.
+ALTER TABLE users ADD COLUMN two_factor_secret TEXT;
+ALTER TABLE users ADD COLUMN two_factor_enabled_at TIMESTAMP;
+-- Time step of the last accepted code, so a code cannot be used twice
+ALTER TABLE users ADD COLUMN two_factor_last_step BIGINT;
+-- Company policy: 2FA is mandatory for the account and its team members
+ALTER TABLE users ADD COLUMN two_factor_required BOOLEAN NOT NULL DEFAULT false;
+
+-- Team members of a company account, each signing in with their own account.
+-- An invitation counts once the member accepts it.
+CREATE TABLE company_members (
+  id SERIAL PRIMARY KEY,
+  company_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  invited_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  accepted_at TIMESTAMP,
+  UNIQUE (company_id, user_id),
+  CHECK (company_id <> user_id)
+);
+
+CREATE INDEX idx_company_members_user ON company_members (user_id);
+
+CREATE TABLE two_factor_recovery_codes (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  code_hash CHAR(64) NOT NULL,
+  used_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_two_factor_recovery_codes_user ON two_factor_recovery_codes (user_id);
+
+-- Logins waiting for their second factor get a short-lived challenge token
+ALTER TABLE user_tokens DROP CONSTRAINT user_tokens_purpose_check;
+ALTER TABLE user_tokens ADD CONSTRAINT user_tokens_purpose_check
+  CHECK (purpose IN ('password_reset', 'email_verification', 'two_factor_login'));
@@ -0,0 +1,48 @@
+-- Admins moderate content; everyone else is a regular user
+ALTER TABLE users ADD COLUMN role VARCHAR(20) NOT NULL DEFAULT 'user' CHECK (role IN ('user', 'admin'));
+
+-- Suspensions end at suspended_until; a ban has none
+ALTER TABLE users ADD COLUMN suspended_at TIMESTAMP;
+ALTER TABLE users ADD COLUMN suspended_until TIMESTAMP;
+ALTER TABLE users ADD COLUMN suspension_reason TEXT;
+
+-- Company accounts checked by an admin
+ALTER TABLE users ADD COLUMN verified_at TIMESTAMP;
+
+-- Posts hidden by a moderator are only visible to their author
+ALTER TABLE posts ADD COLUMN hidden_at TIMESTAMP;
+ALTER TABLE posts ADD COLUMN hidden_reason TEXT;
+
+CREATE TABLE reports (
+  id SERIAL PRIMARY KEY,
+  reporter_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  target_type VARCHAR(20) NOT NULL CHECK (target_type IN ('post', 'user', 'message')),
+  target_id INTEGER NOT NULL,
+  reason VARCHAR(30) NOT NULL CHECK (reason IN ('spam', 'scam', 'harassment', 'inappropriate', 'impersonation', 'other')),
+  details TEXT,
+  status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'resolved', 'dismissed')),
+  resolved_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  resolved_at TIMESTAMP,
+  resolution_note TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_reports_queue ON reports (created_at, id) WHERE status = 'open';
+CREATE INDEX idx_reports_target ON reports (target_type, target_id);
+-- A user reports the same thing once while the report is open
+CREATE UNIQUE INDEX idx_reports_open_per_reporter ON reports (reporter_id, target_type, target_id) WHERE status = 'open';
+
+-- Every moderation action; actor_id is NULL for actions run from scripts
+CREATE TABLE audit_log (
+  id SERIAL PRIMARY KEY,
+  actor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  action VARCHAR(50) NOT NULL,
+  target_type VARCHAR(20) NOT NULL,
+  target_id INTEGER NOT NULL,
+  reason TEXT,
+  details JSONB NOT NULL DEFAULT '{}',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_audit_log_created_at ON audit_log (created_at DESC, id DESC);
+CREATE INDEX idx_audit_log_target ON audit_log (target_type, target_id);
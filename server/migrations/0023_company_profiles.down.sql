@@ -0,0 +1,6 @@
+DELETE FROM user_tokens WHERE purpose = 'company_domain';
+ALTER TABLE user_tokens DROP CONSTRAINT user_tokens_purpose_check;
+ALTER TABLE user_tokens ADD CONSTRAINT user_tokens_purpose_check
+  CHECK (purpose IN ('password_reset', 'email_verification', 'two_factor_login'));
+
+DROP TABLE IF EXISTS company_profiles;
@@ -0,0 +1,28 @@
+-- Extra profile of company accounts (see services/companyProfiles.js)
+CREATE TABLE company_profiles (
+  user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  website VARCHAR(255),
+  industry VARCHAR(100),
+  company_size VARCHAR(20)
+    CHECK (company_size IN ('1-10', '11-50', '51-200', '201-500', '501-1000', '1001-5000', '5001+')),
+  headquarters VARCHAR(255),
+  locations TEXT[] NOT NULL DEFAULT '{}',
+  founded_year INTEGER CHECK (founded_year BETWEEN 1600 AND 3000),
+  benefits TEXT[] NOT NULL DEFAULT '{}',
+  social_links JSONB NOT NULL DEFAULT '{}',
+  logo_variants JSONB,
+  cover_variants JSONB,
+  -- Domain of the website, proven by confirming an email sent to an address on it
+  verified_domain VARCHAR(255),
+  domain_verification_email VARCHAR(255),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- A domain verifies one company only
+CREATE UNIQUE INDEX idx_company_profiles_verified_domain ON company_profiles (verified_domain)
+  WHERE verified_domain IS NOT NULL;
+
+ALTER TABLE user_tokens DROP CONSTRAINT user_tokens_purpose_check;
+ALTER TABLE user_tokens ADD CONSTRAINT user_tokens_purpose_check
+  CHECK (purpose IN ('password_reset', 'email_verification', 'two_factor_login', 'company_domain'));
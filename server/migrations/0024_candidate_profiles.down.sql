@@ -0,0 +1,7 @@
+DROP TABLE IF EXISTS candidate_portfolio_links;
+DROP TABLE IF EXISTS candidate_certifications;
+DROP TABLE IF EXISTS candidate_languages;
+DROP TABLE IF EXISTS candidate_skills;
+DROP TABLE IF EXISTS candidate_education;
+DROP TABLE IF EXISTS candidate_experience;
+DROP TABLE IF EXISTS candidate_profiles;
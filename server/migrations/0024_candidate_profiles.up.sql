@@ -0,0 +1,97 @@
+-- Structured candidate profiles (see services/candidateProfiles.js)
+CREATE TABLE candidate_profiles (
+  user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  desired_salary_min INTEGER CHECK (desired_salary_min >= 0),
+  desired_salary_max INTEGER CHECK (desired_salary_max >= 0),
+  salary_currency CHAR(3),
+  salary_period VARCHAR(10) CHECK (salary_period IN ('hour', 'month', 'year')),
+  availability VARCHAR(20)
+    CHECK (availability IN ('immediately', 'two_weeks', 'one_month', 'three_months', 'not_looking')),
+  available_from DATE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CHECK (desired_salary_min IS NULL OR desired_salary_max IS NULL OR desired_salary_min <= desired_salary_max)
+);
+
+-- An end_date of NULL means the position is current
+CREATE TABLE candidate_experience (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  title VARCHAR(150) NOT NULL,
+  company VARCHAR(150) NOT NULL,
+  location VARCHAR(150),
+  start_date DATE NOT NULL,
+  end_date DATE,
+  description TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CHECK (end_date IS NULL OR end_date >= start_date)
+);
+
+CREATE INDEX idx_candidate_experience_user_id ON candidate_experience (user_id);
+
+CREATE TABLE candidate_education (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  school VARCHAR(150) NOT NULL,
+  degree VARCHAR(150),
+  field_of_study VARCHAR(150),
+  start_date DATE,
+  end_date DATE,
+  description TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CHECK (start_date IS NULL OR end_date IS NULL OR end_date >= start_date)
+);
+
+CREATE INDEX idx_candidate_education_user_id ON candidate_education (user_id);
+
+CREATE TABLE candidate_skills (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name VARCHAR(50) NOT NULL,
+  level VARCHAR(20) NOT NULL CHECK (level IN ('beginner', 'intermediate', 'advanced', 'expert')),
+  years INTEGER CHECK (years BETWEEN 0 AND 60),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX idx_candidate_skills_name ON candidate_skills (user_id, LOWER(name));
+
+-- Levels follow the CEFR scale
+CREATE TABLE candidate_languages (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  language VARCHAR(50) NOT NULL,
+  level VARCHAR(10) NOT NULL CHECK (level IN ('a1', 'a2', 'b1', 'b2', 'c1', 'c2', 'native')),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX idx_candidate_languages_language ON candidate_languages (user_id, LOWER(language));
+
+CREATE TABLE candidate_certifications (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name VARCHAR(150) NOT NULL,
+  issuer VARCHAR(150),
+  issued_on DATE,
+  expires_on DATE,
+  credential_url VARCHAR(255),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CHECK (issued_on IS NULL OR expires_on IS NULL OR expires_on >= issued_on)
+);
+
+CREATE INDEX idx_candidate_certifications_user_id ON candidate_certifications (user_id);
+
+CREATE TABLE candidate_portfolio_links (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  label VARCHAR(100) NOT NULL,
+  url VARCHAR(255) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_candidate_portfolio_links_user_id ON candidate_portfolio_links (user_id);
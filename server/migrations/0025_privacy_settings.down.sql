@@ -0,0 +1,5 @@
+ALTER TABLE users DROP COLUMN IF EXISTS open_to_work;
+ALTER TABLE users DROP COLUMN IF EXISTS hide_follows;
+ALTER TABLE users DROP COLUMN IF EXISTS hide_from_search;
+ALTER TABLE users DROP COLUMN IF EXISTS profile_visibility;
+ALTER TABLE users DROP COLUMN IF EXISTS email_visibility;
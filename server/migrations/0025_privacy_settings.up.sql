@@ -0,0 +1,11 @@
+-- Privacy settings (see services/privacy.js). Emails are only shown to
+-- connections unless the user makes theirs public.
+ALTER TABLE users ADD COLUMN email_visibility VARCHAR(20) NOT NULL DEFAULT 'connections'
+  CHECK (email_visibility IN ('public', 'connections', 'nobody'));
+ALTER TABLE users ADD COLUMN profile_visibility VARCHAR(20) NOT NULL DEFAULT 'public'
+  CHECK (profile_visibility IN ('public', 'members', 'connections'));
+ALTER TABLE users ADD COLUMN hide_from_search BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE users ADD COLUMN hide_follows BOOLEAN NOT NULL DEFAULT false;
+
+-- Candidates who are not open to work are left out of discovery by companies
+ALTER TABLE users ADD COLUMN open_to_work BOOLEAN NOT NULL DEFAULT true;
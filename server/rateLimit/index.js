@@ -0,0 +1,33 @@
+const stores = {
+  memory: require('./stores/memory'),
+  postgres: require('./stores/postgres')
+};
+
+let store = null;
+
+// Pick the store from RATE_LIMIT_STORE; in-process memory unless told otherwise.
+// Use "postgres" when running more than one server instance.
+const getStore = () => {
+  if (!store) {
+    const name = process.env.RATE_LIMIT_STORE || 'memory';
+    if (!stores[name]) {
+      throw new Error(`Unknown RATE_LIMIT_STORE "${name}"`);
+    }
+    store = stores[name]();
+  }
+  return store;
+};
+
+// Count a request against key's fixed window; resolves to { count, resetMs }
+const hit = (key, windowMs) => getStore().hit(key, windowMs);
+
+const reset = (key) => getStore().reset(key);
+
+const isEnabled = () => process.env.RATE_LIMIT_ENABLED !== 'false';
+
+module.exports = {
+  getStore,
+  hit,
+  reset,
+  isEnabled
+};
@@ -0,0 +1,35 @@
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Counts requests in this process; only suitable for a single server instance
+const createMemoryStore = () => {
+  const windows = new Map();
+
+  // Drop windows that have ended so idle keys do not pile up
+  setInterval(() => {
+    const now = Date.now();
+    for (const [key, window] of windows) {
+      if (window.resetAt <= now) windows.delete(key);
+    }
+  }, SWEEP_INTERVAL_MS).unref();
+
+  return {
+    name: 'memory',
+
+    hit: async (key, windowMs) => {
+      const now = Date.now();
+      let window = windows.get(key);
+      if (!window || window.resetAt <= now) {
+        window = { count: 0, resetAt: now + windowMs };
+        windows.set(key, window);
+      }
+      window.count += 1;
+      return { count: window.count, resetMs: window.resetAt - now };
+    },
+
+    reset: async (key) => {
+      windows.delete(key);
+    }
+  };
+};
+
+module.exports = createMemoryStore;
@@ -0,0 +1,37 @@
+const pool = require('../../config/database');
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Counts requests in the rate_limits table, shared by all server instances
+const createPostgresStore = () => {
+  // Drop windows that have ended so idle keys do not pile up
+  setInterval(() => {
+    pool.query('DELETE FROM rate_limits WHERE reset_at <= CURRENT_TIMESTAMP')
+      .catch((error) => console.error('Rate limit cleanup error:', error.message));
+  }, SWEEP_INTERVAL_MS).unref();
+
+  return {
+    name: 'postgres',
+
+    // One statement, so concurrent requests cannot both start a new window
+    hit: async (key, windowMs) => {
+      const result = await pool.query(
+        `INSERT INTO rate_limits (key, count, reset_at)
+         VALUES ($1, 1, CURRENT_TIMESTAMP + make_interval(secs => $2::float / 1000))
+         ON CONFLICT (key) DO UPDATE SET
+           count = CASE WHEN rate_limits.reset_at <= CURRENT_TIMESTAMP THEN 1 ELSE rate_limits.count + 1 END,
+           reset_at = CASE WHEN rate_limits.reset_at <= CURRENT_TIMESTAMP THEN EXCLUDED.reset_at ELSE rate_limits.reset_at END
+         RETURNING count, (EXTRACT(EPOCH FROM reset_at - CURRENT_TIMESTAMP) * 1000)::int AS reset_ms`,
+        [key, windowMs]
+      );
+      const { count, reset_ms } = result.rows[0];
+      return { count, resetMs: reset_ms };
+    },
+
+    reset: async (key) => {
+      await pool.query('DELETE FROM rate_limits WHERE key = $1', [key]);
+    }
+  };
+};
+
+module.exports = createPostgresStore;
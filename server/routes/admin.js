@@ -0,0 +1,410 @@
+const express = require('express');
+const pool = require('../config/database');
+const withTransaction = require('../db/transaction');
+const authenticateToken = require('../middleware/auth');
+const requireAdmin = require('../middleware/requireAdmin');
+const moderation = require('../services/moderation');
+const notifications = require('../services/notifications');
+const sessions = require('../services/sessions');
+const pagination = require('../utils/pagination');
+const { validate } = require('../validation');
+const schemas = require('../validation/schemas/admin');
+const { asyncHandler, BadRequestError, ConflictError, ForbiddenError, NotFoundError, ValidationError } = require('../errors');
+
+const router = express.Router();
+
+const { ACTIONS } = moderation;
+
+// The queue is worked oldest first
+const OLDEST_FIRST = pagination.keyset([
+  { sql: 'r.created_at', direction: 'asc' },
+  { sql: 'r.id', direction: 'asc' }
+]);
+
+const NEWEST_FIRST = pagination.keyset([
+  { sql: 'l.created_at', direction: 'desc' },
+  { sql: 'l.id', direction: 'desc' }
+]);
+
+// A report with its reporter and a preview of what was reported (null once deleted)
+const REPORT_COLUMNS = `
+  r.*,
+  ru.full_name AS reporter_name,
+  (
+    SELECT COUNT(*)::int FROM reports o
+    WHERE o.target_type = r.target_type AND o.target_id = r.target_id AND o.status = 'open'
+  ) AS open_reports_on_target,
+  CASE r.target_type
+    WHEN 'post' THEN (
+      SELECT json_build_object('id', p.id, 'user_id', p.user_id, 'post_type', p.post_type, 'title', p.title,
+        'description', p.description, 'hidden_at', p.hidden_at, 'created_at', p.created_at)
+      FROM posts p WHERE p.id = r.target_id
+    )
+    WHEN 'user' THEN (
+      SELECT json_build_object('id', tu.id, 'full_name', tu.full_name, 'email', tu.email,
+        'account_type', tu.account_type, 'suspended_at', tu.suspended_at, 'suspended_until', tu.suspended_until,
+        'created_at', tu.created_at)
+      FROM users tu WHERE tu.id = r.target_id
+    )
+    WHEN 'message' THEN (
+      SELECT json_build_object('id', m.id, 'application_id', m.application_id, 'sender_id', m.sender_id,
+        'body', m.body, 'attachment_name', m.attachment_name, 'created_at', m.created_at)
+      FROM messages m WHERE m.id = r.target_id
+    )
+  END AS target
+`;
+
+const getReport = async (db, reportId) => {
+  const result = await db.query(
+    `SELECT ${REPORT_COLUMNS}
+    FROM reports r
+    LEFT JOIN users ru ON ru.id = r.reporter_id
+    WHERE r.id = $1`,
+    [reportId]
+  );
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Report not found');
+  }
+  return result.rows[0];
+};
+
+const getPost = async (db, postId) => {
+  const result = await db.query('SELECT * FROM posts WHERE id = $1 FOR UPDATE', [postId]);
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Post not found');
+  }
+  return result.rows[0];
+};
+
+// Admins are not moderated through the API (see scripts/set-admin.js)
+const getModeratableUser = async (db, userId) => {
+  const result = await db.query(
+    `SELECT id, full_name, email, account_type, role, suspended_at, suspended_until, suspension_reason, verified_at
+     FROM users WHERE id = $1 FOR UPDATE`,
+    [userId]
+  );
+  if (result.rows.length === 0) {
+    throw new NotFoundError('User not found');
+  }
+
+  const user = result.rows[0];
+  if (user.role === 'admin') {
+    throw new ForbiddenError('Admin accounts cannot be moderated', 'CANNOT_MODERATE_ADMIN');
+  }
+  return user;
+};
+
+// Tell an author that a moderator hid or removed their post
+const notifyPostModerated = (post, action, reason) => notifications.safely(notifications.notify({
+  userId: post.user_id,
+  type: notifications.TYPES.POST_MODERATED,
+  entityType: 'post',
+  entityId: post.id,
+  data: { post_id: post.id, post_title: post.title, action, reason }
+}), 'post moderated');
+
+// Report queue, oldest first
+router.get('/reports', authenticateToken, requireAdmin, validate(schemas.reports), asyncHandler(async (req, res) => {
+  const { cursor, limit, offset } = pagination.fromQuery(req.query);
+  const params = [req.query.status];
+  const conditions = ['r.status = $1'];
+
+  if (req.query.target_type) {
+    params.push(req.query.target_type);
+    conditions.push(`r.target_type = $${params.length}`);
+  }
+  if (req.query.reason) {
+    params.push(req.query.reason);
+    conditions.push(`r.reason = $${params.length}`);
+  }
+  if (cursor) {
+    conditions.push(OLDEST_FIRST.after(cursor, params));
+  }
+
+  const result = await pool.query(
+    `SELECT ${REPORT_COLUMNS}, ${OLDEST_FIRST.select}
+    FROM reports r
+    LEFT JOIN users ru ON ru.id = r.reporter_id
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY ${OLDEST_FIRST.orderBy}
+    LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit + 1, offset]
+  );
+
+  const { items, next_cursor } = pagination.toPage(result.rows, limit);
+  res.json({ reports: items, next_cursor });
+}));
+
+router.get('/reports/:id', authenticateToken, requireAdmin, validate(schemas.report), asyncHandler(async (req, res) => {
+  res.json({ report: await getReport(pool, req.params.id) });
+}));
+
+// Close a report without (or after) acting on its target
+router.patch('/reports/:id', authenticateToken, requireAdmin, validate(schemas.closeReport), asyncHandler(async (req, res) => {
+  const { status, note } = req.body;
+
+  await withTransaction(async (client) => {
+    const result = await client.query(
+      `UPDATE reports SET status = $1, resolved_by = $2, resolved_at = CURRENT_TIMESTAMP, resolution_note = $3
+       WHERE id = $4 AND status = 'open'
+       RETURNING id`,
+      [status, req.user.id, note || null, req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      await getReport(client, req.params.id);
+      throw new ConflictError('Report is already closed', 'REPORT_CLOSED');
+    }
+
+    await moderation.recordAction(client, {
+      actorId: req.user.id,
+      action: status === 'resolved' ? ACTIONS.RESOLVE_REPORT : ACTIONS.DISMISS_REPORT,
+      targetType: 'report',
+      targetId: Number(req.params.id),
+      reason: note || null
+    });
+  });
+
+  res.json({ message: `Report ${status}`, report: await getReport(pool, req.params.id) });
+}));
+
+// Hide a post from everyone but its author
+router.post('/posts/:id/hide', authenticateToken, requireAdmin, validate(schemas.moderatePost), asyncHandler(async (req, res) => {
+  const { reason } = req.body;
+
+  const { post, resolvedReports } = await withTransaction(async (client) => {
+    const current = await getPost(client, req.params.id);
+    if (current.hidden_at) {
+      throw new ConflictError('Post is already hidden', 'POST_HIDDEN');
+    }
+
+    const result = await client.query(
+      `UPDATE posts SET hidden_at = CURRENT_TIMESTAMP, hidden_reason = $1 WHERE id = $2 RETURNING *`,
+      [reason, current.id]
+    );
+    await moderation.recordAction(client, {
+      actorId: req.user.id,
+      action: ACTIONS.HIDE_POST,
+      targetType: 'post',
+      targetId: current.id,
+      reason
+    });
+    const reportIds = await moderation.resolveReports(client, {
+      targetType: 'post', targetId: current.id, resolvedBy: req.user.id, note: 'Post hidden'
+    });
+
+    return { post: result.rows[0], resolvedReports: reportIds };
+  });
+
+  await notifyPostModerated(post, 'hidden', reason);
+
+  res.json({ message: 'Post hidden', post, resolved_reports: resolvedReports });
+}));
+
+router.post('/posts/:id/unhide', authenticateToken, requireAdmin, validate(schemas.unhidePost), asyncHandler(async (req, res) => {
+  const post = await withTransaction(async (client) => {
+    const current = await getPost(client, req.params.id);
+    if (!current.hidden_at) {
+      throw new ConflictError('Post is not hidden', 'POST_NOT_HIDDEN');
+    }
+
+    const result = await client.query(
+      'UPDATE posts SET hidden_at = NULL, hidden_reason = NULL WHERE id = $1 RETURNING *',
+      [current.id]
+    );
+    await moderation.recordAction(client, {
+      actorId: req.user.id,
+      action: ACTIONS.UNHIDE_POST,
+      targetType: 'post',
+      targetId: current.id,
+      reason: req.body.reason || null
+    });
+    return result.rows[0];
+  });
+
+  res.json({ message: 'Post visible again', post });
+}));
+
+// Remove a post for good; the audit log keeps what it said
+router.delete('/posts/:id', authenticateToken, requireAdmin, validate(schemas.moderatePost), asyncHandler(async (req, res) => {
+  const { reason } = req.body;
+
+  const { post, resolvedReports } = await withTransaction(async (client) => {
+    const current = await getPost(client, req.params.id);
+
+    await client.query('DELETE FROM posts WHERE id = $1', [current.id]);
+    await moderation.recordAction(client, {
+      actorId: req.user.id,
+      action: ACTIONS.DELETE_POST,
+      targetType: 'post',
+      targetId: current.id,
+      reason,
+      details: {
+        user_id: current.user_id,
+        post_type: current.post_type,
+        title: current.title,
+        description: current.description
+      }
+    });
+    const reportIds = await moderation.resolveReports(client, {
+      targetType: 'post', targetId: current.id, resolvedBy: req.user.id, note: 'Post deleted'
+    });
+
+    return { post: current, resolvedReports: reportIds };
+  });
+
+  await notifyPostModerated(post, 'deleted', reason);
+
+  res.json({ message: 'Post deleted', resolved_reports: resolvedReports });
+}));
+
+// Suspend (until a date) or ban (no end) an account and sign it out everywhere
+const suspend = async (req, { until, action }) => {
+  const { reason } = req.body;
+
+  const { user, resolvedReports } = await withTransaction(async (client) => {
+    await getModeratableUser(client, req.params.id);
+
+    const result = await client.query(
+      `UPDATE users SET suspended_at = CURRENT_TIMESTAMP, suspended_until = $1, suspension_reason = $2
+       WHERE id = $3
+       RETURNING id, full_name, email, account_type, suspended_at, suspended_until, suspension_reason`,
+      [until, reason, req.params.id]
+    );
+    const suspended = result.rows[0];
+
+    await moderation.recordAction(client, {
+      actorId: req.user.id,
+      action,
+      targetType: 'user',
+      targetId: suspended.id,
+      reason,
+      details: until ? { until } : {}
+    });
+    const reportIds = await moderation.resolveReports(client, {
+      targetType: 'user',
+      targetId: suspended.id,
+      resolvedBy: req.user.id,
+      note: until ? 'Account suspended' : 'Account banned'
+    });
+
+    return { user: suspended, resolvedReports: reportIds };
+  });
+
+  await sessions.revokeAllSessions(user.id, action === ACTIONS.BAN_USER ? 'banned' : 'suspended');
+
+  return { user, resolved_reports: resolvedReports };
+};
+
+router.post('/users/:id/suspend', authenticateToken, requireAdmin, validate(schemas.suspend), asyncHandler(async (req, res) => {
+  if (new Date(req.body.until) <= new Date()) {
+    throw new ValidationError([
+      { location: 'body', field: 'until', code: 'in_past', message: 'until must be in the future' }
+    ]);
+  }
+
+  const result = await suspend(req, { until: req.body.until, action: ACTIONS.SUSPEND_USER });
+  res.json({ message: 'Account suspended', ...result });
+}));
+
+router.post('/users/:id/ban', authenticateToken, requireAdmin, validate(schemas.ban), asyncHandler(async (req, res) => {
+  const result = await suspend(req, { until: null, action: ACTIONS.BAN_USER });
+  res.json({ message: 'Account banned', ...result });
+}));
+
+// Lift a suspension or ban early
+router.post('/users/:id/reinstate', authenticateToken, requireAdmin, validate(schemas.userAction), asyncHandler(async (req, res) => {
+  const user = await withTransaction(async (client) => {
+    const current = await getModeratableUser(client, req.params.id);
+    if (!current.suspended_at) {
+      throw new ConflictError('Account is not suspended', 'NOT_SUSPENDED');
+    }
+
+    const result = await client.query(
+      `UPDATE users SET suspended_at = NULL, suspended_until = NULL, suspension_reason = NULL
+       WHERE id = $1
+       RETURNING id, full_name, email, account_type`,
+      [current.id]
+    );
+    await moderation.recordAction(client, {
+      actorId: req.user.id,
+      action: ACTIONS.REINSTATE_USER,
+      targetType: 'user',
+      targetId: current.id,
+      reason: req.body.reason || null,
+      details: { suspended_until: current.suspended_until, suspension_reason: current.suspension_reason }
+    });
+    return result.rows[0];
+  });
+
+  res.json({ message: 'Account reinstated', user });
+}));
+
+// Mark a company account as verified (or take the mark away)
+const setVerified = (verified) => asyncHandler(async (req, res) => {
+  const user = await withTransaction(async (client) => {
+    const current = await getModeratableUser(client, req.params.id);
+    if (current.account_type !== 'company') {
+      throw new BadRequestError('Only company accounts can be verified', 'NOT_A_COMPANY');
+    }
+    if (Boolean(current.verified_at) === verified) {
+      throw new ConflictError(verified ? 'Company is already verified' : 'Company is not verified',
+        verified ? 'ALREADY_VERIFIED' : 'NOT_VERIFIED');
+    }
+
+    const result = await client.query(
+      `UPDATE users SET verified_at = ${verified ? 'CURRENT_TIMESTAMP' : 'NULL'}
+       WHERE id = $1
+       RETURNING id, full_name, account_type, verified_at`,
+      [current.id]
+    );
+    // An admin's decision replaces any verification by email domain
+    await client.query('UPDATE company_profiles SET verified_domain = NULL WHERE user_id = $1', [current.id]);
+    await moderation.recordAction(client, {
+      actorId: req.user.id,
+      action: verified ? ACTIONS.VERIFY_COMPANY : ACTIONS.UNVERIFY_COMPANY,
+      targetType: 'user',
+      targetId: current.id,
+      reason: req.body.reason || null
+    });
+    return result.rows[0];
+  });
+
+  res.json({ message: verified ? 'Company verified' : 'Company verification removed', user });
+});
+
+router.post('/users/:id/verify', authenticateToken, requireAdmin, validate(schemas.userAction), setVerified(true));
+
+router.delete('/users/:id/verify', authenticateToken, requireAdmin, validate(schemas.userAction), setVerified(false));
+
+// Moderation actions, newest first
+router.get('/audit-log', authenticateToken, requireAdmin, validate(schemas.auditLog), asyncHandler(async (req, res) => {
+  const { cursor, limit, offset } = pagination.fromQuery(req.query);
+  const params = [];
+  const conditions = [];
+  const filter = (sql, value) => {
+    params.push(value);
+    conditions.push(`${sql} = $${params.length}`);
+  };
+
+  if (req.query.actor_id) filter('l.actor_id', req.query.actor_id);
+  if (req.query.action) filter('l.action', req.query.action);
+  if (req.query.target_type) filter('l.target_type', req.query.target_type);
+  if (req.query.target_id) filter('l.target_id', req.query.target_id);
+  if (cursor) conditions.push(NEWEST_FIRST.after(cursor, params));
+
+  const result = await pool.query(
+    `SELECT l.*, au.full_name AS actor_name, ${NEWEST_FIRST.select}
+    FROM audit_log l
+    LEFT JOIN users au ON au.id = l.actor_id
+    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY ${NEWEST_FIRST.orderBy}
+    LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit + 1, offset]
+  );
+
+  const { items, next_cursor } = pagination.toPage(result.rows, limit);
+  res.json({ entries: items, next_cursor });
+}));
+
+module.exports = router;
@@ -1,208 +1,381 @@
 const express = require('express');
 const pool = require('../config/database');
 const authenticateToken = require('../middleware/auth');
+const createRateLimit = require('../middleware/rateLimit');
+const withTransaction = require('../db/transaction');
+const applicationStatus = require('../services/applicationStatus');
+const notifications = require('../services/notifications');
+const realtime = require('../services/realtime');
+const cvAccess = require('../services/cvAccess');
+const candidateProfiles = require('../services/candidateProfiles');
+const postLifecycle = require('../services/postLifecycle');
+const privacy = require('../services/privacy');
+const pagination = require('../utils/pagination');
+const { validate } = require('../validation');
+const schemas = require('../validation/schemas/applications');
+const { asyncHandler, BadRequestError, ForbiddenError, NotFoundError, ConflictError } = require('../errors');
 
 const router = express.Router();
 
+const applyLimit = createRateLimit({ name: 'apply', windowMs: 60 * 60 * 1000, limits: { user: 30 } });
+
+const NEWEST_FIRST = pagination.keyset([
+  { sql: 'a.created_at', direction: 'desc' },
+  { sql: 'a.id', direction: 'desc' }
+]);
+
+// Cursor condition (if any) and LIMIT/OFFSET for an application list whose query already has params
+const pageClauses = (query, params) => {
+  const { cursor, limit, offset } = pagination.fromQuery(query);
+  const after = cursor ? ` AND ${NEWEST_FIRST.after(cursor, params)}` : '';
+  params.push(limit + 1, offset);
+  return {
+    after,
+    tail: `ORDER BY ${NEWEST_FIRST.orderBy} LIMIT $${params.length - 1} OFFSET $${params.length}`,
+    limit
+  };
+};
+
+// Companies see the applicant's structured profile next to the CV
+const withCandidateProfiles = async (applications) => {
+  const profiles = await candidateProfiles.getMany(applications.map((application) => application.applicant_id));
+  return applications.map((application) => ({
+    ...application,
+    candidate_profile: profiles.get(application.applicant_id) || null
+  }));
+};
+
 // Apply to a post
-router.post('/', authenticateToken, async (req, res) => {
-  try {
-    const { post_id, cv_id } = req.body;
-    
-    // Only candidates can apply
-    if (req.user.account_type !== 'candidate') {
-      return res.status(403).json({ message: 'Only candidates can apply to posts' });
-    }
-    
-    // Check if post exists and is find_candidate type
-    const postResult = await pool.query(
-      'SELECT id, post_type, user_id, created_at FROM posts WHERE id = $1',
-      [post_id]
-    );
-    
-    if (postResult.rows.length === 0) {
-      return res.status(404).json({ message: 'Post not found' });
-    }
-    
-    const post = postResult.rows[0];
-    
-    if (post.post_type !== 'find_candidate') {
-      return res.status(400).json({ message: 'Can only apply to find_candidate posts' });
-    }
+router.post('/', authenticateToken, applyLimit, validate(schemas.apply), asyncHandler(async (req, res) => {
+  const { post_id, cv_id } = req.body;
+  
+  // Only candidates can apply
+  if (req.user.account_type !== 'candidate') {
+    throw new ForbiddenError('Only candidates can apply to posts');
+  }
+  
+  // Check if post exists and is find_candidate type
+  const postResult = await pool.query(
+    `SELECT p.id, p.post_type, p.user_id, p.title, p.status, p.application_deadline
+     FROM posts p
+     JOIN users u ON p.user_id = u.id
+     WHERE p.id = $1 AND ${privacy.visiblePost('$2')}`,
+    [post_id, req.user.id]
+  );
+  
+  if (postResult.rows.length === 0) {
+    throw new NotFoundError('Post not found');
+  }
+  
+  const post = postResult.rows[0];
+  
+  if (post.post_type !== 'find_candidate') {
+    throw new BadRequestError('Can only apply to find_candidate posts');
+  }
 
-    // Disallow applying if the job post is expired (10 days after created_at)
-    const isExpired = post.created_at < new Date(Date.now() - 10 * 24 * 60 * 60 * 1000);
-    if (isExpired) {
-      return res.status(400).json({ message: 'This job post has expired and no longer accepts applications' });
-    }
-    
-    // Check if CV belongs to the user
-    const cvResult = await pool.query(
-      'SELECT id FROM cvs WHERE id = $1 AND user_id = $2 AND is_active = true',
-      [cv_id, req.user.id]
-    );
-    
-    if (cvResult.rows.length === 0) {
-      return res.status(400).json({ message: 'CV not found or not active' });
-    }
-    
-    // Check if already applied
-    const existingApplication = await pool.query(
-      'SELECT id FROM applications WHERE post_id = $1 AND applicant_id = $2',
-      [post_id, req.user.id]
-    );
-    
-    if (existingApplication.rows.length > 0) {
-      return res.status(400).json({ message: 'Already applied to this post' });
-    }
-    
-    const result = await pool.query(
+  // Disallow applying once the post is closed or its deadline has passed
+  if (postLifecycle.isClosed(post)) {
+    throw new BadRequestError('This job post is closed and no longer accepts applications', 'POST_EXPIRED');
+  }
+  
+  // Check if CV belongs to the user
+  const cvResult = await pool.query(
+    'SELECT id FROM cvs WHERE id = $1 AND user_id = $2 AND is_active = true',
+    [cv_id, req.user.id]
+  );
+  
+  if (cvResult.rows.length === 0) {
+    throw new BadRequestError('CV not found or not active');
+  }
+  
+  // Check if already applied
+  const existingApplication = await pool.query(
+    'SELECT id FROM applications WHERE post_id = $1 AND applicant_id = $2',
+    [post_id, req.user.id]
+  );
+  
+  if (existingApplication.rows.length > 0) {
+    throw new ConflictError('Already applied to this post', 'ALREADY_APPLIED');
+  }
+  
+  const application = await withTransaction(async (client) => {
+    const result = await client.query(
       'INSERT INTO applications (post_id, cv_id, applicant_id) VALUES ($1, $2, $3) RETURNING *',
       [post_id, cv_id, req.user.id]
     );
-    
-    res.status(201).json({ 
-      message: 'Application submitted successfully',
-      application: result.rows[0] 
+
+    await applicationStatus.recordStatusChange(client, {
+      applicationId: result.rows[0].id,
+      fromStatus: null,
+      toStatus: result.rows[0].status,
+      changedBy: req.user.id
     });
-  } catch (error) {
-    console.error('Apply error:', error);
-    res.status(500).json({ message: 'Server error' });
-  }
-});
+
+    return result.rows[0];
+  });
+
+  await notifications.safely(notifications.notify({
+    userId: post.user_id,
+    type: notifications.TYPES.APPLICATION_RECEIVED,
+    actorId: req.user.id,
+    entityType: 'application',
+    entityId: application.id,
+    data: { application_id: application.id, post_id: post.id, post_title: post.title }
+  }), 'application received');
+
+  await realtime.publish(post.user_id, realtime.EVENTS.APPLICATION_CREATED, {
+    application,
+    post_id: post.id,
+    post_title: post.title
+  });
+  
+  res.status(201).json({ 
+    message: 'Application submitted successfully',
+    application
+  });
+}));
 
 // Get applications for current user (as applicant)
-router.get('/my-applications', authenticateToken, async (req, res) => {
-  try {
-    const result = await pool.query(
-      `SELECT 
-        a.*,
-        p.title as post_title,
-        p.description as post_description,
-        u.full_name as company_name,
-        c.file_url as cv_file_url
-      FROM applications a
-      JOIN posts p ON a.post_id = p.id
-      JOIN users u ON p.user_id = u.id
-      JOIN cvs c ON a.cv_id = c.id
-      WHERE a.applicant_id = $1
-      ORDER BY a.created_at DESC`,
-      [req.user.id]
-    );
-    
-    res.json({ applications: result.rows });
-  } catch (error) {
-    console.error('Get my applications error:', error);
-    res.status(500).json({ message: 'Server error' });
-  }
-});
+router.get('/my-applications', authenticateToken, validate(schemas.list), asyncHandler(async (req, res) => {
+  const params = [req.user.id];
+  const page = pageClauses(req.query, params);
+
+  const result = await pool.query(
+    `SELECT 
+      a.*,
+      p.title as post_title,
+      p.description as post_description,
+      u.full_name as company_name,
+      (u.verified_at IS NOT NULL) as company_verified,
+      COALESCE((
+        SELECT json_agg(json_build_object(
+          'from_status', h.from_status,
+          'to_status', h.to_status,
+          'created_at', h.created_at
+        ) ORDER BY h.created_at, h.id)
+        FROM application_status_history h
+        WHERE h.application_id = a.id
+      ), '[]') as status_history,
+      ${NEWEST_FIRST.select}
+    FROM applications a
+    JOIN posts p ON a.post_id = p.id
+    JOIN users u ON p.user_id = u.id
+    WHERE a.applicant_id = $1${page.after}
+    ${page.tail}`,
+    params
+  );
+  
+  const { items, next_cursor } = pagination.toPage(result.rows, page.limit);
+  res.json({ applications: cvAccess.withDownloadUrls(items, req.user.id), next_cursor });
+}));
 
 // Get applications for company's posts
-router.get('/received', authenticateToken, async (req, res) => {
-  try {
-    // Only companies can view received applications
-    if (req.user.account_type !== 'company') {
-      return res.status(403).json({ message: 'Only companies can view received applications' });
-    }
-    
-    const result = await pool.query(
-      `SELECT 
-        a.*,
-        p.title as post_title,
-        p.description as post_description,
-        u.full_name as applicant_name,
-        u.email as applicant_email,
-        u.bio as applicant_bio,
-        c.file_url as cv_file_url
-      FROM applications a
-      JOIN posts p ON a.post_id = p.id
-      JOIN users u ON a.applicant_id = u.id
-      JOIN cvs c ON a.cv_id = c.id
-      WHERE p.user_id = $1
-      ORDER BY a.created_at DESC`,
-      [req.user.id]
-    );
-    
-    res.json({ applications: result.rows });
-  } catch (error) {
-    console.error('Get received applications error:', error);
-    res.status(500).json({ message: 'Server error' });
+router.get('/received', authenticateToken, validate(schemas.list), asyncHandler(async (req, res) => {
+  // Only companies can view received applications
+  if (req.user.account_type !== 'company') {
+    throw new ForbiddenError('Only companies can view received applications');
   }
-});
+  
+  const params = [req.user.id];
+  const page = pageClauses(req.query, params);
+  
+  const result = await pool.query(
+    `SELECT 
+      a.*,
+      p.title as post_title,
+      p.description as post_description,
+      u.full_name as applicant_name,
+      ${privacy.emailColumn('u', '$1', 'applicant_email')},
+      u.bio as applicant_bio,
+      ${NEWEST_FIRST.select}
+    FROM applications a
+    JOIN posts p ON a.post_id = p.id
+    JOIN users u ON a.applicant_id = u.id
+    WHERE p.user_id = $1${page.after}
+    ${page.tail}`,
+    params
+  );
+  
+  const { items, next_cursor } = pagination.toPage(result.rows, page.limit);
+  const applications = await withCandidateProfiles(cvAccess.withDownloadUrls(items, req.user.id));
+  res.json({ applications, next_cursor });
+}));
+
+// Tell the applicant their application moved (private notes are never included)
+const notifyStatusChange = async ({ application, current }, actorId) => {
+  const data = {
+    application_id: application.id,
+    post_id: application.post_id,
+    post_title: current.post_title,
+    from_status: current.status,
+    to_status: application.status
+  };
+
+  await notifications.safely(notifications.notify({
+    userId: application.applicant_id,
+    type: notifications.TYPES.APPLICATION_STATUS_CHANGED,
+    actorId,
+    entityType: 'application',
+    entityId: application.id,
+    data
+  }), 'application status changed');
+
+  await realtime.publish(application.applicant_id, realtime.EVENTS.APPLICATION_STATUS_CHANGED, data);
+};
 
 // Update application status
-router.patch('/:id/status', authenticateToken, async (req, res) => {
-  try {
-    const { status } = req.body;
-    const validStatuses = ['pending', 'reviewed', 'accepted', 'rejected'];
-    
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({ message: 'Invalid status' });
+router.patch('/:id/status', authenticateToken, validate(schemas.updateStatus), asyncHandler(async (req, res) => {
+  const { status, note } = req.body;
+  
+  // Only the company that posted the job can update status
+  const outcome = await withTransaction(async (client) => {
+    const current = await applicationStatus.lockOwnedApplication(client, req.params.id, req.user.id);
+    if (!current) {
+      throw new NotFoundError('Application not found or not authorized');
     }
-    
-    // Only the company that posted the job can update status
-    const result = await pool.query(
-      `UPDATE applications 
-       SET status = $1 
-       FROM posts 
-       WHERE applications.id = $2 
-       AND applications.post_id = posts.id 
-       AND posts.user_id = $3 
-       RETURNING applications.*`,
-      [status, req.params.id, req.user.id]
-    );
-    
-    if (result.rows.length === 0) {
-      return res.status(404).json({ message: 'Application not found or not authorized' });
+
+    if (!applicationStatus.canTransition(current.status, status)) {
+      throw new ConflictError(
+        current.status === 'rejected'
+          ? 'Application is rejected; reopen it before changing its status'
+          : `Cannot change status from ${current.status} to ${status}`,
+        'INVALID_STATUS_TRANSITION',
+        { allowed_statuses: applicationStatus.allowedTransitions(current.status) }
+      );
     }
-    
-    res.json({ 
-      message: 'Application status updated',
-      application: result.rows[0] 
+
+    const application = await applicationStatus.updateStatus(client, current.id, status);
+    const historyResult = await applicationStatus.recordStatusChange(client, {
+      applicationId: current.id,
+      fromStatus: current.status,
+      toStatus: status,
+      changedBy: req.user.id,
+      note
     });
-  } catch (error) {
-    console.error('Update application status error:', error);
-    res.status(500).json({ message: 'Server error' });
-  }
-});
 
-// Get applications for a specific post
-router.get('/post/:postId', authenticateToken, async (req, res) => {
-  try {
-    // Check if user owns the post
-    const postResult = await pool.query(
-      'SELECT user_id FROM posts WHERE id = $1',
-      [req.params.postId]
-    );
-    
-    if (postResult.rows.length === 0) {
-      return res.status(404).json({ message: 'Post not found' });
+    return { application, history: historyResult.rows[0], current };
+  });
+  
+  await notifyStatusChange(outcome, req.user.id);
+  
+  res.json({ 
+    message: 'Application status updated',
+    application: outcome.application,
+    history: outcome.history
+  });
+}));
+
+// Reopen a rejected application
+router.post('/:id/reopen', authenticateToken, validate(schemas.reopen), asyncHandler(async (req, res) => {
+  const { note } = req.body;
+
+  const outcome = await withTransaction(async (client) => {
+    const current = await applicationStatus.lockOwnedApplication(client, req.params.id, req.user.id);
+    if (!current) {
+      throw new NotFoundError('Application not found or not authorized');
     }
-    
-    if (postResult.rows[0].user_id !== req.user.id) {
-      return res.status(403).json({ message: 'Not authorized to view these applications' });
+
+    if (current.status !== 'rejected') {
+      throw new ConflictError('Only rejected applications can be reopened', 'INVALID_STATUS_TRANSITION');
     }
-    
-    const result = await pool.query(
-      `SELECT 
-        a.*,
-        u.full_name as applicant_name,
-        u.email as applicant_email,
-        u.bio as applicant_bio,
-        c.file_url as cv_file_url
-      FROM applications a
-      JOIN users u ON a.applicant_id = u.id
-      JOIN cvs c ON a.cv_id = c.id
-      WHERE a.post_id = $1
-      ORDER BY a.created_at DESC`,
-      [req.params.postId]
-    );
-    
-    res.json({ applications: result.rows });
-  } catch (error) {
-    console.error('Get post applications error:', error);
-    res.status(500).json({ message: 'Server error' });
+
+    const application = await applicationStatus.updateStatus(client, current.id, applicationStatus.REOPEN_STATUS);
+    const historyResult = await applicationStatus.recordStatusChange(client, {
+      applicationId: current.id,
+      fromStatus: current.status,
+      toStatus: applicationStatus.REOPEN_STATUS,
+      changedBy: req.user.id,
+      note
+    });
+
+    return { application, history: historyResult.rows[0], current };
+  });
+
+  await notifyStatusChange(outcome, req.user.id);
+
+  res.json({
+    message: 'Application reopened',
+    application: outcome.application,
+    history: outcome.history
+  });
+}));
+
+// Get status timeline for an application
+router.get('/:id/history', authenticateToken, validate(schemas.byId), asyncHandler(async (req, res) => {
+  const appResult = await pool.query(
+    `SELECT a.id, a.status, a.applicant_id, p.user_id as post_owner_id
+     FROM applications a
+     JOIN posts p ON a.post_id = p.id
+     WHERE a.id = $1`,
+    [req.params.id]
+  );
+
+  if (appResult.rows.length === 0) {
+    throw new NotFoundError('Application not found');
+  }
+
+  const application = appResult.rows[0];
+  const isOwner = application.post_owner_id === req.user.id;
+
+  if (!isOwner && application.applicant_id !== req.user.id) {
+    throw new ForbiddenError('Not authorized to view this application');
+  }
+
+  // Notes are private to the company
+  const result = await pool.query(
+    `SELECT 
+      h.id, h.from_status, h.to_status, h.created_at
+      ${isOwner ? ', h.note, h.changed_by, u.full_name as changed_by_name' : ''}
+    FROM application_status_history h
+    LEFT JOIN users u ON h.changed_by = u.id
+    WHERE h.application_id = $1
+    ORDER BY h.created_at, h.id`,
+    [application.id]
+  );
+
+  res.json({
+    status: application.status,
+    allowed_statuses: isOwner ? applicationStatus.allowedTransitions(application.status) : undefined,
+    history: result.rows
+  });
+}));
+
+// Get applications for a specific post
+router.get('/post/:postId', authenticateToken, validate(schemas.byPost), asyncHandler(async (req, res) => {
+  // Check if user owns the post
+  const postResult = await pool.query(
+    'SELECT user_id FROM posts WHERE id = $1',
+    [req.params.postId]
+  );
+  
+  if (postResult.rows.length === 0) {
+    throw new NotFoundError('Post not found');
+  }
+  
+  if (postResult.rows[0].user_id !== req.user.id) {
+    throw new ForbiddenError('Not authorized to view these applications');
   }
-});
+  
+  const params = [req.params.postId, req.user.id];
+  const page = pageClauses(req.query, params);
+  
+  const result = await pool.query(
+    `SELECT 
+      a.*,
+      u.full_name as applicant_name,
+      ${privacy.emailColumn('u', '$2', 'applicant_email')},
+      u.bio as applicant_bio,
+      ${NEWEST_FIRST.select}
+    FROM applications a
+    JOIN users u ON a.applicant_id = u.id
+    WHERE a.post_id = $1${page.after}
+    ${page.tail}`,
+    params
+  );
+  
+  const { items, next_cursor } = pagination.toPage(result.rows, page.limit);
+  const applications = await withCandidateProfiles(cvAccess.withDownloadUrls(items, req.user.id));
+  res.json({ applications, next_cursor });
+}));
 
 module.exports = router;
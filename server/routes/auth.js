@@ -1,124 +1,571 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const pool = require('../config/database');
 const authenticateToken = require('../middleware/auth');
+const createRateLimit = require('../middleware/rateLimit');
+const withTransaction = require('../db/transaction');
+const sessions = require('../services/sessions');
+const userTokens = require('../services/userTokens');
+const avatars = require('../services/avatars');
+const loginLockout = require('../services/loginLockout');
+const twoFactor = require('../services/twoFactor');
+const moderation = require('../services/moderation');
+const mailer = require('../mailer');
+const { validate } = require('../validation');
+const schemas = require('../validation/schemas/auth');
+const { asyncHandler, BadRequestError, UnauthorizedError, ForbiddenError, NotFoundError, ConflictError, ValidationError } = require('../errors');
 
 const router = express.Router();
 
-// Register
-router.post('/register', async (req, res) => {
-  try {
-    const { full_name, email, password, account_type, bio } = req.body;
-
-    // Check if user already exists
-    const existingUser = await pool.query(
-      'SELECT id FROM users WHERE email = $1',
-      [email]
-    );
+// Brute-force protection; repeated wrong passwords also lock the account (services/loginLockout)
+const loginLimit = createRateLimit({ name: 'login', windowMs: 15 * 60 * 1000, limits: { ip: 30, email: 10 } });
+const registerLimit = createRateLimit({ name: 'register', windowMs: 60 * 60 * 1000, limits: { ip: 10 } });
+const emailLimit = createRateLimit({ name: 'email', windowMs: 60 * 60 * 1000, limits: { ip: 10, email: 3 } });
+const tokenLimit = createRateLimit({ name: 'token', windowMs: 15 * 60 * 1000, limits: { ip: 20 } });
+const twoFactorLimit = createRateLimit({ name: 'two-factor', windowMs: 15 * 60 * 1000, limits: { ip: 30, user: 10 } });
+const resendLimit = createRateLimit({ name: 'resend-verification', windowMs: 60 * 60 * 1000, limits: { user: 3 } });
+
+const hashPassword = (password) => {
+  const saltRounds = 10;
+  return bcrypt.hash(password, saltRounds);
+};
+
+// Store a new password; tokens issued before this moment stop working
+const setPassword = async (db, userId, password) => {
+  const password_hash = await hashPassword(password);
+  const result = await db.query(
+    `UPDATE users SET password_hash = $1, password_changed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $2
+     RETURNING id, full_name, email`,
+    [password_hash, userId]
+  );
+  return result.rows[0];
+};
+
+const USER_COLUMNS = 'id, full_name, email, account_type, role, bio, avatar_url, avatar_variants, (email_verified_at IS NOT NULL) as email_verified';
 
-    if (existingUser.rows.length > 0) {
-      return res.status(400).json({ message: 'User already exists' });
+// Start a session: short-lived access token plus rotating refresh token
+const completeLogin = async (user, req, res) => {
+  await loginLockout.clear(pool, user.id);
+  const { token, refresh_token, expires_in } = await sessions.createSession(user, req);
+
+  res.json({
+    message: 'Login successful',
+    token,
+    refresh_token,
+    expires_in,
+    user: {
+      id: user.id,
+      full_name: user.full_name,
+      email: user.email,
+      account_type: user.account_type,
+      role: user.role,
+      bio: user.bio,
+      avatar_url: user.avatar_url,
+      avatar_urls: avatars.urls(user),
+      email_verified: user.email_verified
     }
+  });
+};
 
-    // Hash password
-    const saltRounds = 10;
-    const password_hash = await bcrypt.hash(password, saltRounds);
+const checkPassword = async (userId, password) => {
+  const result = await pool.query('SELECT password_hash FROM users WHERE id = $1', [userId]);
+  return bcrypt.compare(password, result.rows[0].password_hash);
+};
 
-    // Create user
-    const result = await pool.query(
-      'INSERT INTO users (full_name, email, password_hash, account_type, bio) VALUES ($1, $2, $3, $4, $5) RETURNING id, full_name, email, account_type, bio, created_at',
-      [full_name, email, password_hash, account_type, bio || '']
-    );
+// Second-factor endpoints take either a TOTP code or a recovery code
+const requireSecondFactor = (body) => {
+  if (!body.code && !body.recovery_code) {
+    throw new ValidationError([
+      { location: 'body', field: 'code', code: 'required', message: 'code or recovery_code is required' }
+    ]);
+  }
+};
 
-    const user = result.rows[0];
+const sendVerificationEmail = async (user) => {
+  const token = await userTokens.createToken(user.id, userTokens.PURPOSES.EMAIL_VERIFICATION);
+  return mailer.sendSafely(user.email, 'emailVerification', { full_name: user.full_name, token });
+};
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user.id, email: user.email },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+// Register
+router.post('/register', registerLimit, validate(schemas.register), asyncHandler(async (req, res) => {
+  const { full_name, email, password, account_type, bio } = req.body;
 
-    res.status(201).json({
-      message: 'User created successfully',
-      token,
-      user: {
-        id: user.id,
-        full_name: user.full_name,
-        email: user.email,
-        account_type: user.account_type,
-        bio: user.bio,
-        created_at: user.created_at
-      }
-    });
-  } catch (error) {
-    console.error('Registration error:', error);
-    res.status(500).json({ message: 'Server error' });
+  // Check if user already exists
+  const existingUser = await pool.query(
+    'SELECT id FROM users WHERE email = $1',
+    [email]
+  );
+
+  if (existingUser.rows.length > 0) {
+    throw new ConflictError('User already exists', 'USER_EXISTS');
   }
-});
 
-// Login
-router.post('/login', async (req, res) => {
-  try {
-    const { email, password } = req.body;
-
-    // Find user
-    const result = await pool.query(
-      'SELECT id, full_name, email, password_hash, account_type, bio, avatar_url FROM users WHERE email = $1',
-      [email]
-    );
+  // Hash password
+  const password_hash = await hashPassword(password);
 
-    if (result.rows.length === 0) {
-      return res.status(400).json({ message: 'Invalid credentials' });
-    }
+  // Create user
+  const result = await pool.query(
+    'INSERT INTO users (full_name, email, password_hash, account_type, bio) VALUES ($1, $2, $3, $4, $5) RETURNING id, full_name, email, account_type, bio, created_at',
+    [full_name, email, password_hash, account_type, bio || '']
+  );
 
-    const user = result.rows[0];
+  const user = result.rows[0];
 
-    // Check password
-    const isValidPassword = await bcrypt.compare(password, user.password_hash);
-    if (!isValidPassword) {
-      return res.status(400).json({ message: 'Invalid credentials' });
+  await sendVerificationEmail(user);
+
+  // Start a session: short-lived access token plus rotating refresh token
+  const { token, refresh_token, expires_in } = await sessions.createSession(user, req);
+
+  res.status(201).json({
+    message: 'User created successfully',
+    token,
+    refresh_token,
+    expires_in,
+    user: {
+      id: user.id,
+      full_name: user.full_name,
+      email: user.email,
+      account_type: user.account_type,
+      bio: user.bio,
+      email_verified: false,
+      created_at: user.created_at
     }
+  });
+}));
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user.id, email: user.email },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+// Login
+router.post('/login', loginLimit, validate(schemas.login), asyncHandler(async (req, res) => {
+  const { email, password } = req.body;
+
+  // Find user
+  const result = await pool.query(
+    `SELECT ${USER_COLUMNS}, password_hash, (two_factor_enabled_at IS NOT NULL) as two_factor_enabled,
+      ${twoFactor.requiredCondition('users')} as two_factor_required, ${moderation.suspensionColumns('users')}
+     FROM users WHERE email = $1`,
+    [email]
+  );
+
+  if (result.rows.length === 0) {
+    throw new BadRequestError('Invalid credentials', 'INVALID_CREDENTIALS');
+  }
+
+  const user = result.rows[0];
+
+  await loginLockout.assertNotLocked(user.id);
 
-    res.json({
-      message: 'Login successful',
-      token,
-      user: {
-        id: user.id,
-        full_name: user.full_name,
-        email: user.email,
-        account_type: user.account_type,
-        bio: user.bio,
-        avatar_url: user.avatar_url
-      }
+  // Check password
+  const isValidPassword = await bcrypt.compare(password, user.password_hash);
+  if (!isValidPassword) {
+    await loginLockout.recordFailure(user.id);
+    throw new BadRequestError('Invalid credentials', 'INVALID_CREDENTIALS');
+  }
+
+  // Only tell the right password that the account is suspended
+  const suspended = moderation.suspensionError(user);
+  if (suspended) {
+    throw suspended;
+  }
+
+  // The policy can only be set with 2FA on and 2FA cannot be turned off under
+  // it, but never let a password alone into an account that requires it
+  if (user.two_factor_required && !user.two_factor_enabled) {
+    throw new ForbiddenError('Two-factor authentication is required for this account but is not set up', 'TWO_FACTOR_REQUIRED');
+  }
+
+  // With 2FA on, the password only earns a challenge for the second step
+  if (user.two_factor_enabled) {
+    const challengeToken = await userTokens.createToken(user.id, userTokens.PURPOSES.TWO_FACTOR_LOGIN);
+    return res.json({
+      message: 'Two-factor code required',
+      two_factor_required: true,
+      challenge_token: challengeToken,
+      expires_in: userTokens.TTL_MS.two_factor_login / 1000
     });
-  } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({ message: 'Server error' });
   }
-});
+
+  await completeLogin(user, req, res);
+}));
+
+// Second login step: the challenge from /login plus a TOTP or recovery code.
+// Wrong codes count towards the login lockout like wrong passwords.
+router.post('/login/two-factor', loginLimit, validate(schemas.loginTwoFactor), asyncHandler(async (req, res) => {
+  const { challenge_token } = req.body;
+  requireSecondFactor(req.body);
+
+  const userId = await userTokens.findToken(pool, challenge_token, userTokens.PURPOSES.TWO_FACTOR_LOGIN);
+  if (!userId) {
+    throw new UnauthorizedError('Login challenge is invalid or expired, please log in again', 'INVALID_CHALLENGE');
+  }
+
+  await loginLockout.assertNotLocked(userId);
+
+  const verified = await withTransaction(async (client) => {
+    if (!await twoFactor.verifySecondFactor(client, userId, req.body)) return false;
+    return userTokens.consumeToken(client, challenge_token, userTokens.PURPOSES.TWO_FACTOR_LOGIN);
+  });
+
+  if (!verified) {
+    await loginLockout.recordFailure(userId);
+    throw new BadRequestError('Invalid two-factor code', 'INVALID_TWO_FACTOR_CODE');
+  }
+
+  // The account may have been suspended since the password step
+  const result = await pool.query(
+    `SELECT ${USER_COLUMNS}, ${moderation.suspensionColumns('users')} FROM users WHERE id = $1`,
+    [userId]
+  );
+  const suspended = moderation.suspensionError(result.rows[0]);
+  if (suspended) {
+    throw suspended;
+  }
+
+  await completeLogin(result.rows[0], req, res);
+}));
 
 // Get current user
-router.get('/me', authenticateToken, async (req, res) => {
-  try {
-    const result = await pool.query(
-      'SELECT id, full_name, email, account_type, bio, avatar_url, created_at FROM users WHERE id = $1',
-      [req.user.id]
+router.get('/me', authenticateToken, asyncHandler(async (req, res) => {
+  const result = await pool.query(
+    `SELECT id, full_name, email, account_type, role, bio, avatar_url, avatar_variants, cv_searchable,
+      (email_verified_at IS NOT NULL) as email_verified, (two_factor_enabled_at IS NOT NULL) as two_factor_enabled, created_at
+     FROM users WHERE id = $1`,
+    [req.user.id]
+  );
+
+  res.json({ user: avatars.withUrls(result.rows[0]) });
+}));
+
+// Exchange a refresh token for a new access/refresh token pair
+router.post('/refresh', validate(schemas.refresh), asyncHandler(async (req, res) => {
+  const { refresh_token } = req.body;
+
+  const result = await sessions.rotateRefreshToken(refresh_token, req);
+
+  if (result.error === 'reused') {
+    throw new UnauthorizedError('Refresh token reuse detected, session has been revoked', 'REFRESH_TOKEN_REUSED');
+  }
+
+  if (result.error) {
+    throw new UnauthorizedError('Invalid or expired refresh token', 'INVALID_REFRESH_TOKEN');
+  }
+
+  res.json({
+    token: result.token,
+    refresh_token: result.refresh_token,
+    expires_in: result.expires_in
+  });
+}));
+
+// Logout (revoke the current session)
+router.post('/logout', authenticateToken, asyncHandler(async (req, res) => {
+  await sessions.revokeSession(pool, req.sessionId, 'logout');
+  res.json({ message: 'Logged out successfully' });
+}));
+
+// Logout from every device
+router.post('/logout-all', authenticateToken, asyncHandler(async (req, res) => {
+  const result = await sessions.revokeAllSessions(req.user.id, 'logout_all');
+  res.json({
+    message: 'Logged out from all sessions',
+    revoked: result.rowCount
+  });
+}));
+
+// List active sessions
+router.get('/sessions', authenticateToken, asyncHandler(async (req, res) => {
+  const result = await pool.query(
+    `SELECT id, user_agent, ip_address, created_at, last_used_at, expires_at
+     FROM sessions
+     WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+     ORDER BY last_used_at DESC`,
+    [req.user.id]
+  );
+
+  res.json({
+    sessions: result.rows.map((session) => ({
+      ...session,
+      is_current: session.id === req.sessionId
+    }))
+  });
+}));
+
+// Revoke one session (e.g. a lost device)
+router.delete('/sessions/:id', authenticateToken, validate(schemas.revokeSession), asyncHandler(async (req, res) => {
+  const result = await pool.query(
+    `UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = 'revoked_by_user'
+     WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL`,
+    [req.params.id, req.user.id]
+  );
+
+  if (result.rowCount === 0) {
+    throw new NotFoundError('Session not found');
+  }
+
+  res.json({ message: 'Session revoked' });
+}));
+
+// Change password (requires the current password)
+router.post('/password', authenticateToken, validate(schemas.changePassword), asyncHandler(async (req, res) => {
+  const { current_password, new_password } = req.body;
+
+  const result = await pool.query(
+    'SELECT password_hash FROM users WHERE id = $1',
+    [req.user.id]
+  );
+
+  const isValidPassword = await bcrypt.compare(current_password, result.rows[0].password_hash);
+  if (!isValidPassword) {
+    throw new BadRequestError('Current password is incorrect', 'INVALID_PASSWORD');
+  }
+
+  const user = await setPassword(pool, req.user.id, new_password);
+
+  // Sign out everywhere, then give this device a fresh session
+  await sessions.revokeAllSessions(user.id, 'password_change');
+  const { token, refresh_token, expires_in } = await sessions.createSession(user, req);
+
+  await mailer.sendSafely(user.email, 'passwordChanged', { full_name: user.full_name });
+
+  res.json({
+    message: 'Password changed successfully',
+    token,
+    refresh_token,
+    expires_in
+  });
+}));
+
+// Request a password reset email
+router.post('/forgot-password', emailLimit, validate(schemas.forgotPassword), asyncHandler(async (req, res) => {
+  const { email } = req.body;
+
+  const result = await pool.query(
+    'SELECT id, full_name, email FROM users WHERE email = $1',
+    [email]
+  );
+
+  if (result.rows.length > 0) {
+    const user = result.rows[0];
+    const token = await userTokens.createToken(user.id, userTokens.PURPOSES.PASSWORD_RESET);
+    await mailer.sendSafely(user.email, 'passwordReset', { full_name: user.full_name, token });
+  }
+
+  // Same answer either way so the endpoint cannot be used to probe for accounts
+  res.json({ message: 'If that email is registered, a reset link has been sent' });
+}));
+
+// Reset password with a token from the reset email
+router.post('/reset-password', tokenLimit, validate(schemas.resetPassword), asyncHandler(async (req, res) => {
+  const { token, new_password } = req.body;
+
+  const user = await withTransaction(async (client) => {
+    const userId = await userTokens.consumeToken(client, token, userTokens.PURPOSES.PASSWORD_RESET);
+    if (!userId) return null;
+
+    // Proving control of the mailbox lifts a login lockout
+    await loginLockout.clear(client, userId);
+    return setPassword(client, userId, new_password);
+  });
+
+  if (!user) {
+    throw new BadRequestError('Invalid or expired reset token', 'INVALID_TOKEN');
+  }
+
+  await sessions.revokeAllSessions(user.id, 'password_reset');
+  await mailer.sendSafely(user.email, 'passwordChanged', { full_name: user.full_name });
+
+  res.json({ message: 'Password has been reset, please log in' });
+}));
+
+// Confirm email address with a token from the verification email
+router.post('/verify-email', tokenLimit, validate(schemas.verifyEmail), asyncHandler(async (req, res) => {
+  const { token } = req.body;
+
+  const user = await withTransaction(async (client) => {
+    const userId = await userTokens.consumeToken(client, token, userTokens.PURPOSES.EMAIL_VERIFICATION);
+    if (!userId) return null;
+
+    const result = await client.query(
+      `UPDATE users SET email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP)
+       WHERE id = $1
+       RETURNING id, email, email_verified_at`,
+      [userId]
     );
+    return result.rows[0];
+  });
+
+  if (!user) {
+    throw new BadRequestError('Invalid or expired verification token', 'INVALID_TOKEN');
+  }
+
+  res.json({ message: 'Email verified successfully', user });
+}));
+
+// Send a new verification email
+router.post('/resend-verification', authenticateToken, resendLimit, asyncHandler(async (req, res) => {
+  if (req.user.email_verified) {
+    throw new ConflictError('Email is already verified', 'EMAIL_ALREADY_VERIFIED');
+  }
+
+  const result = await pool.query(
+    'SELECT id, full_name, email FROM users WHERE id = $1',
+    [req.user.id]
+  );
+
+  await sendVerificationEmail(result.rows[0]);
+
+  res.json({ message: 'Verification email sent' });
+}));
+
+// Two-factor status of the current user
+router.get('/two-factor', authenticateToken, asyncHandler(async (req, res) => {
+  res.json({ two_factor: await twoFactor.status(pool, req.user.id) });
+}));
+
+// Start 2FA enrollment; returns the secret and an otpauth:// URI for authenticator apps
+router.post('/two-factor/setup', authenticateToken, twoFactorLimit, validate(schemas.twoFactorSetup), asyncHandler(async (req, res) => {
+  if (!await checkPassword(req.user.id, req.body.password)) {
+    throw new BadRequestError('Password is incorrect', 'INVALID_PASSWORD');
+  }
+
+  const current = await twoFactor.status(pool, req.user.id);
+  if (current.enabled) {
+    throw new ConflictError('Two-factor authentication is already enabled', 'TWO_FACTOR_ENABLED');
+  }
+
+  const { secret, otpauth_uri } = await twoFactor.setup(pool, req.user);
+
+  res.json({
+    message: 'Add the account to an authenticator app, then confirm with a code',
+    secret,
+    otpauth_uri
+  });
+}));
+
+// Finish enrollment with a first code. Returns the recovery codes, which are only shown here.
+router.post('/two-factor/confirm', authenticateToken, twoFactorLimit, validate(schemas.twoFactorConfirm), asyncHandler(async (req, res) => {
+  const current = await twoFactor.status(pool, req.user.id);
+  if (current.enabled) {
+    throw new ConflictError('Two-factor authentication is already enabled', 'TWO_FACTOR_ENABLED');
+  }
+  if (!current.pending) {
+    throw new ConflictError('Start two-factor setup first', 'TWO_FACTOR_NOT_SET_UP');
+  }
+
+  const recoveryCodes = await withTransaction(async (client) => {
+    if (!await twoFactor.verifyCode(client, req.user.id, req.body.code)) return null;
+    await twoFactor.enable(client, req.user.id);
+    return twoFactor.createRecoveryCodes(client, req.user.id);
+  });
 
-    res.json({ user: result.rows[0] });
-  } catch (error) {
-    console.error('Get user error:', error);
-    res.status(500).json({ message: 'Server error' });
+  if (!recoveryCodes) {
+    throw new BadRequestError('Invalid two-factor code', 'INVALID_TWO_FACTOR_CODE');
   }
-});
+
+  // Other devices signed in with the password alone
+  await sessions.revokeAllSessions(req.user.id, 'two_factor_enabled', req.sessionId);
+
+  res.json({
+    message: 'Two-factor authentication enabled',
+    recovery_codes: recoveryCodes
+  });
+}));
+
+// Replace the recovery codes; the old ones stop working
+router.post('/two-factor/recovery-codes', authenticateToken, twoFactorLimit, validate(schemas.twoFactorVerify), asyncHandler(async (req, res) => {
+  requireSecondFactor(req.body);
+
+  const current = await twoFactor.status(pool, req.user.id);
+  if (!current.enabled) {
+    throw new ConflictError('Two-factor authentication is not enabled', 'TWO_FACTOR_NOT_ENABLED');
+  }
+
+  const recoveryCodes = await withTransaction(async (client) => {
+    if (!await twoFactor.verifySecondFactor(client, req.user.id, req.body)) return null;
+    return twoFactor.createRecoveryCodes(client, req.user.id);
+  });
+
+  if (!recoveryCodes) {
+    throw new BadRequestError('Invalid two-factor code', 'INVALID_TWO_FACTOR_CODE');
+  }
+
+  res.json({ message: 'Recovery codes regenerated', recovery_codes: recoveryCodes });
+}));
+
+// Turn 2FA off (password plus a code); refused while the company policy requires it
+router.post('/two-factor/disable', authenticateToken, twoFactorLimit, validate(schemas.twoFactorDisable), asyncHandler(async (req, res) => {
+  requireSecondFactor(req.body);
+
+  const current = await twoFactor.status(pool, req.user.id);
+  if (!current.enabled) {
+    throw new ConflictError('Two-factor authentication is not enabled', 'TWO_FACTOR_NOT_ENABLED');
+  }
+  if (current.required) {
+    throw new ForbiddenError('Two-factor authentication is required for this account', 'TWO_FACTOR_REQUIRED');
+  }
+
+  if (!await checkPassword(req.user.id, req.body.password)) {
+    throw new BadRequestError('Password is incorrect', 'INVALID_PASSWORD');
+  }
+
+  const disabled = await withTransaction(async (client) => {
+    if (!await twoFactor.verifySecondFactor(client, req.user.id, req.body)) return false;
+    await twoFactor.disable(client, req.user.id);
+    return true;
+  });
+
+  if (!disabled) {
+    throw new BadRequestError('Invalid two-factor code', 'INVALID_TWO_FACTOR_CODE');
+  }
+
+  res.json({ message: 'Two-factor authentication disabled' });
+}));
+
+// Company policy: make 2FA mandatory for the company account and its team
+// members. Under it 2FA cannot be turned off and login refuses the password
+// alone. Lifting it takes a code, so a stolen access token cannot lift the
+// policy and then turn 2FA off.
+router.put('/two-factor/policy', authenticateToken, twoFactorLimit, validate(schemas.twoFactorPolicy), asyncHandler(async (req, res) => {
+  if (req.user.account_type !== 'company') {
+    throw new ForbiddenError('Only companies can set a two-factor policy');
+  }
+
+  const { required } = req.body;
+  const current = await twoFactor.status(pool, req.user.id);
+  if (required && !current.enabled) {
+    throw new ConflictError('Enable two-factor authentication before requiring it', 'TWO_FACTOR_NOT_ENABLED');
+  }
+
+  if (required && !current.company_policy) {
+    const members = await twoFactor.membersWithoutTwoFactor(pool, req.user.id);
+    if (members.length > 0) {
+      throw new ConflictError(
+        'Every team member needs two-factor authentication before it can be required',
+        'MEMBERS_WITHOUT_TWO_FACTOR',
+        { members }
+      );
+    }
+  }
+
+  if (!required && current.company_policy) {
+    requireSecondFactor(req.body);
+
+    const lifted = await withTransaction(async (client) => {
+      if (!await twoFactor.verifySecondFactor(client, req.user.id, req.body)) return false;
+      await client.query('UPDATE users SET two_factor_required = false WHERE id = $1', [req.user.id]);
+      return true;
+    });
+
+    if (!lifted) {
+      throw new BadRequestError('Invalid two-factor code', 'INVALID_TWO_FACTOR_CODE');
+    }
+  } else {
+    await pool.query('UPDATE users SET two_factor_required = $1 WHERE id = $2', [required, req.user.id]);
+  }
+
+  res.json({
+    message: required ? 'Two-factor authentication is now required' : 'Two-factor authentication is now optional',
+    two_factor: await twoFactor.status(pool, req.user.id)
+  });
+}));
 
 module.exports = router;
@@ -1,196 +1,258 @@
 const express = require('express');
-const multer = require('multer');
-const path = require('path');
-const fs = require('fs');
 const pool = require('../config/database');
 const authenticateToken = require('../middleware/auth');
+const createRateLimit = require('../middleware/rateLimit');
+const createUpload = require('../middleware/upload');
+const cvAccess = require('../services/cvAccess');
+const cvText = require('../services/cvText');
+const pdf = require('../services/pdf');
+const avatars = require('../services/avatars');
+const highlight = require('../utils/highlight');
+const pagination = require('../utils/pagination');
+const storage = require('../storage');
+const signedUrls = require('../utils/signedUrls');
+const { validate } = require('../validation');
+const schemas = require('../validation/schemas/cvs');
+const { asyncHandler, BadRequestError, ForbiddenError, NotFoundError } = require('../errors');
 
 const router = express.Router();
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    const uploadDir = path.join(__dirname, '../uploads/cvs');
-    if (!fs.existsSync(uploadDir)) {
-      fs.mkdirSync(uploadDir, { recursive: true });
-    }
-    cb(null, uploadDir);
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, `cv-${uniqueSuffix}${path.extname(file.originalname)}`);
-  }
+// Everything but the extracted text and its search index
+const CV_COLUMNS = 'id, user_id, name, file_url, is_active, text_status, created_at';
+
+const upload = createUpload({
+  types: ['application/pdf'],
+  message: 'Only PDF files are allowed',
+  maxSize: 5 * 1024 * 1024 // 5MB limit
 });
 
-const fileFilter = (req, file, cb) => {
-  if (file.mimetype === 'application/pdf') {
-    cb(null, true);
-  } else {
-    cb(new Error('Only PDF files are allowed'), false);
-  }
-};
+// Best match first; keys refer to the search in GET /search
+const SEARCH_ORDER = pagination.keyset([
+  { sql: 'ts_rank_cd(c.search_vector, query)', direction: 'desc' },
+  { sql: 'c.created_at', direction: 'desc' },
+  { sql: 'c.id', direction: 'desc' }
+]);
 
-const upload = multer({ 
-  storage: storage,
-  fileFilter: fileFilter,
-  limits: {
-    fileSize: 5 * 1024 * 1024 // 5MB limit
-  }
-});
+const uploadLimit = createRateLimit({ name: 'upload-cv', windowMs: 60 * 60 * 1000, limits: { user: 20 } });
 
 // Get user's CVs
-router.get('/', authenticateToken, async (req, res) => {
-  try {
-    const result = await pool.query(
-      'SELECT * FROM cvs WHERE user_id = $1 ORDER BY created_at DESC',
-      [req.user.id]
-    );
-    
-    res.json({ cvs: result.rows });
-  } catch (error) {
-    console.error('Get CVs error:', error);
-    res.status(500).json({ message: 'Server error' });
-  }
-});
+router.get('/', authenticateToken, asyncHandler(async (req, res) => {
+  const result = await pool.query(
+    `SELECT ${CV_COLUMNS} FROM cvs WHERE user_id = $1 ORDER BY created_at DESC`,
+    [req.user.id]
+  );
+  
+  res.json({ cvs: cvAccess.withDownloadUrls(result.rows, req.user.id, 'id', 'download_url') });
+}));
 
 // Upload CV
-router.post('/upload', authenticateToken, upload.single('cv'), async (req, res) => {
+router.post('/upload', authenticateToken, uploadLimit, upload.single('cv'), asyncHandler(async (req, res) => {
+  if (!req.file) {
+    throw new BadRequestError('No file uploaded');
+  }
+
+  // Only candidates can upload CVs
+  if (req.user.account_type !== 'candidate') {
+    throw new ForbiddenError('Only candidates can upload CVs');
+  }
+
+  // Reject corrupt and password-protected files companies could not open
+  await pdf.inspect(req.file.buffer);
+
+  const file_url = storage.createKey('cvs', 'cv', req.file.extension);
+  await storage.put(file_url, req.file.buffer, { contentType: req.file.mimetype });
+
+  let result;
   try {
-    if (!req.file) {
-      return res.status(400).json({ message: 'No file uploaded' });
-    }
-
-    // Only candidates can upload CVs
-    if (req.user.account_type !== 'candidate') {
-      return res.status(403).json({ message: 'Only candidates can upload CVs' });
-    }
-
-    const file_url = `/uploads/cvs/${req.file.filename}`;
-    
-    const result = await pool.query(
-      'INSERT INTO cvs (user_id, file_url) VALUES ($1, $2) RETURNING *',
+    result = await pool.query(
+      `INSERT INTO cvs (user_id, file_url) VALUES ($1, $2) RETURNING ${CV_COLUMNS}`,
       [req.user.id, file_url]
     );
-    
-    res.status(201).json({ 
-      message: 'CV uploaded successfully',
-      cv: result.rows[0] 
-    });
   } catch (error) {
-    console.error('Upload CV error:', error);
-    res.status(500).json({ message: 'Server error' });
+    await storage.removeSafely(file_url);
+    throw error;
   }
-});
+
+  // Index the text right away so the CV is searchable; the upload succeeds either way
+  const cv = result.rows[0];
+  cv.text_status = await cvText.extract(cv, req.file.buffer) ? 'extracted' : 'failed';
+  
+  res.status(201).json({ 
+    message: 'CV uploaded successfully',
+    cv
+  });
+}));
+
+// Full-text search over active CVs of candidates who opted in (companies only)
+router.get('/search', authenticateToken, validate(schemas.search), asyncHandler(async (req, res) => {
+  if (req.user.account_type !== 'company') {
+    throw new ForbiddenError('Only companies can search CVs');
+  }
+
+  const { q } = req.query;
+  const { cursor, limit, offset } = pagination.fromQuery(req.query);
+
+  // $1 is the search query, $2 the company searching
+  const searchable = `
+    FROM cvs c
+    JOIN users u ON c.user_id = u.id
+    CROSS JOIN websearch_to_tsquery('english', $1) query
+    WHERE c.is_active AND c.search_vector @@ query AND ${cvAccess.searchable('u', '$2')}
+  `;
+
+  const params = [q, req.user.id];
+  const countResult = await pool.query(`SELECT COUNT(*)::int AS total ${searchable}`, params);
+
+  const after = cursor ? `AND ${SEARCH_ORDER.after(cursor, params)}` : '';
+  const result = await pool.query(
+    `SELECT
+      c.id as cv_id,
+      c.name as cv_name,
+      c.created_at as cv_created_at,
+      u.id as candidate_id,
+      u.full_name,
+      u.bio,
+      u.avatar_url,
+      u.avatar_variants,
+      ts_rank_cd(c.search_vector, query) as rank,
+      ts_headline('english', coalesce(c.content_text, ''), query, $${params.length + 1}) as snippet,
+      ${SEARCH_ORDER.select}
+    ${searchable} ${after}
+    ORDER BY ${SEARCH_ORDER.orderBy}
+    LIMIT $${params.length + 2} OFFSET $${params.length + 3}`,
+    [...params, highlight.headlineOptions(), limit + 1, offset]
+  );
+
+  const { items, next_cursor } = pagination.toPage(result.rows, limit);
+  const results = cvAccess.withDownloadUrls(items, req.user.id).map((row) => ({
+    cv: {
+      id: row.cv_id,
+      name: row.cv_name,
+      created_at: row.cv_created_at,
+      cv_file_url: row.cv_file_url
+    },
+    candidate: avatars.withUrls({
+      id: row.candidate_id,
+      full_name: row.full_name,
+      bio: row.bio,
+      avatar_url: row.avatar_url,
+      avatar_variants: row.avatar_variants
+    }),
+    rank: row.rank,
+    snippet: highlight.toHtml(row.snippet)
+  }));
+
+  res.json({ results, total: countResult.rows[0].total, next_cursor });
+}));
 
 // Toggle CV active status
-router.patch('/:id/toggle', authenticateToken, async (req, res) => {
-  try {
-    const result = await pool.query(
-      'UPDATE cvs SET is_active = NOT is_active WHERE id = $1 AND user_id = $2 RETURNING *',
-      [req.params.id, req.user.id]
-    );
-    
-    if (result.rows.length === 0) {
-      return res.status(404).json({ message: 'CV not found' });
-    }
-    
-    res.json({ cv: result.rows[0] });
-  } catch (error) {
-    console.error('Toggle CV error:', error);
-    res.status(500).json({ message: 'Server error' });
+router.patch('/:id/toggle', authenticateToken, validate(schemas.byId), asyncHandler(async (req, res) => {
+  const result = await pool.query(
+    `UPDATE cvs SET is_active = NOT is_active WHERE id = $1 AND user_id = $2 RETURNING ${CV_COLUMNS}`,
+    [req.params.id, req.user.id]
+  );
+  
+  if (result.rows.length === 0) {
+    throw new NotFoundError('CV not found');
   }
-});
+  
+  res.json({ cv: result.rows[0] });
+}));
 
 // Delete CV
-router.delete('/:id', authenticateToken, async (req, res) => {
-  try {
-    const result = await pool.query(
-      'DELETE FROM cvs WHERE id = $1 AND user_id = $2 RETURNING file_url',
-      [req.params.id, req.user.id]
-    );
-    
-    if (result.rows.length === 0) {
-      return res.status(404).json({ message: 'CV not found' });
-    }
-    
-    // Delete file from filesystem
-    const filePath = path.join(__dirname, '..', result.rows[0].file_url);
-    if (fs.existsSync(filePath)) {
-      fs.unlinkSync(filePath);
-    }
-    
-    res.json({ message: 'CV deleted successfully' });
-  } catch (error) {
-    console.error('Delete CV error:', error);
-    res.status(500).json({ message: 'Server error' });
+router.delete('/:id', authenticateToken, validate(schemas.byId), asyncHandler(async (req, res) => {
+  const result = await pool.query(
+    'DELETE FROM cvs WHERE id = $1 AND user_id = $2 RETURNING file_url',
+    [req.params.id, req.user.id]
+  );
+  
+  if (result.rows.length === 0) {
+    throw new NotFoundError('CV not found');
   }
-});
+  
+  await storage.removeSafely(result.rows[0].file_url);
+  
+  res.json({ message: 'CV deleted successfully' });
+}));
 
 // Rename CV (update name)
-router.patch('/:id/name', authenticateToken, async (req, res) => {
-  try {
-    // Only candidates can rename their CVs (ownership enforced below)
-    if (req.user.account_type !== 'candidate') {
-      return res.status(403).json({ message: 'Only candidates can rename CVs' });
-    }
-
-    const { name } = req.body;
-    const trimmed = (name || '').trim();
-    if (!trimmed) {
-      return res.status(400).json({ message: 'Name is required' });
-    }
-    if (trimmed.length > 150) {
-      return res.status(400).json({ message: 'Name is too long (max 150 characters)' });
-    }
-
-    // Ensure the CV belongs to the user and update its name
-    const result = await pool.query(
-      'UPDATE cvs SET name = $1 WHERE id = $2 AND user_id = $3 RETURNING *',
-      [trimmed, req.params.id, req.user.id]
-    );
+router.patch('/:id/name', authenticateToken, validate(schemas.rename), asyncHandler(async (req, res) => {
+  // Only candidates can rename their CVs (ownership enforced below)
+  if (req.user.account_type !== 'candidate') {
+    throw new ForbiddenError('Only candidates can rename CVs');
+  }
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ message: 'CV not found' });
-    }
+  const { name } = req.body;
 
-    res.json({ 
-      message: 'CV renamed successfully',
-      cv: result.rows[0]
-    });
-  } catch (error) {
-    console.error('Rename CV error:', error);
-    // Likely the column does not exist on DB
-    if (error?.message && /column\s+"?name"?\s+does not exist/i.test(error.message)) {
-      return res.status(500).json({ message: 'Database is missing column "name" on table cvs. Please run migration to add it.' });
-    }
-    res.status(500).json({ message: 'Server error' });
+  // Ensure the CV belongs to the user and update its name
+  const result = await pool.query(
+    `UPDATE cvs SET name = $1 WHERE id = $2 AND user_id = $3 RETURNING ${CV_COLUMNS}`,
+    [name, req.params.id, req.user.id]
+  );
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError('CV not found');
   }
-});
 
-// Get CV file (for viewing)
-router.get('/:id/file', authenticateToken, async (req, res) => {
-  try {
-    const result = await pool.query(
-      'SELECT file_url FROM cvs WHERE id = $1',
-      [req.params.id]
-    );
-    
-    if (result.rows.length === 0) {
-      return res.status(404).json({ message: 'CV not found' });
-    }
-    
-    const filePath = path.join(__dirname, '..', result.rows[0].file_url);
-    
-    if (!fs.existsSync(filePath)) {
-      return res.status(404).json({ message: 'File not found' });
-    }
-    
-    res.setHeader('Content-Type', 'application/pdf');
-    res.sendFile(filePath);
-  } catch (error) {
-    console.error('Get CV file error:', error);
-    res.status(500).json({ message: 'Server error' });
+  res.json({ 
+    message: 'CV renamed successfully',
+    cv: result.rows[0]
+  });
+}));
+
+// Get a short-lived signed download link for a CV the user may read
+router.get('/:id/download-url', authenticateToken, validate(schemas.byId), asyncHandler(async (req, res) => {
+  const cv = await cvAccess.getAccessibleCv(req.params.id, req.user.id);
+  res.json(cvAccess.signDownloadUrl(cv.id, req.user.id));
+}));
+
+// Get CV file (for viewing); redirects to a signed download link
+router.get('/:id/file', authenticateToken, validate(schemas.byId), asyncHandler(async (req, res) => {
+  const cv = await cvAccess.getAccessibleCv(req.params.id, req.user.id);
+  res.redirect(cvAccess.signDownloadUrl(cv.id, req.user.id).url);
+}));
+
+// Download a CV through a signed link (no Authorization header needed)
+router.get('/:id/download', validate(schemas.download), asyncHandler(async (req, res) => {
+  signedUrls.assertValid(cvAccess.downloadPath(req.params.id), req.query);
+
+  // Access is checked again so links stop working once access is lost
+  const cv = await cvAccess.getAccessibleCv(req.params.id, req.query.viewer);
+
+  await cvAccess.recordDownload(cv, req.query.viewer);
+
+  res.setHeader('Cache-Control', 'private, no-store');
+  await storage.sendFile(res, cv.file_url, { contentType: 'application/pdf' });
+}));
+
+// Who downloaded one of my CVs (owner only)
+router.get('/:id/views', authenticateToken, validate(schemas.byId), asyncHandler(async (req, res) => {
+  const cvResult = await pool.query(
+    'SELECT id FROM cvs WHERE id = $1 AND user_id = $2',
+    [req.params.id, req.user.id]
+  );
+
+  if (cvResult.rows.length === 0) {
+    throw new NotFoundError('CV not found');
   }
-});
+
+  const result = await pool.query(
+    `SELECT
+      u.id as viewer_id,
+      u.full_name as viewer_name,
+      u.account_type as viewer_type,
+      u.avatar_url as viewer_avatar,
+      COUNT(*)::int as download_count,
+      MAX(d.downloaded_at) as last_downloaded_at
+    FROM cv_downloads d
+    JOIN users u ON d.viewer_id = u.id
+    WHERE d.cv_id = $1
+    GROUP BY u.id
+    ORDER BY last_downloaded_at DESC`,
+    [req.params.id]
+  );
+
+  res.json({ views: result.rows });
+}));
 
 module.exports = router;
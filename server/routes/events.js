@@ -0,0 +1,76 @@
+const express = require('express');
+const authenticateToken = require('../middleware/auth');
+const realtime = require('../services/realtime');
+const { validate } = require('../validation');
+const schemas = require('../validation/schemas/events');
+const { asyncHandler, UnauthorizedError } = require('../errors');
+
+const router = express.Router();
+
+const KEEPALIVE_MS = 25000;
+
+// EventSource cannot send headers, so browsers open the stream with a
+// single-use ?stream_token= instead of putting the access token in the URL
+const authenticateStream = asyncHandler(async (req, res, next) => {
+  if (!req.query.stream_token) {
+    return authenticateToken(req, res, next);
+  }
+
+  const stream = await realtime.consumeStreamToken(String(req.query.stream_token));
+  if (!stream) {
+    throw new UnauthorizedError('Invalid or expired stream token', 'INVALID_STREAM_TOKEN');
+  }
+  if (stream.suspension) {
+    throw stream.suspension;
+  }
+
+  req.user = stream.user;
+  req.sessionId = stream.sessionId;
+  next();
+});
+
+// Mint a stream token; clients fetch a new one before every (re)connect
+router.post('/token', authenticateToken, asyncHandler(async (req, res) => {
+  const streamToken = await realtime.createStreamToken(req.user.id, req.sessionId);
+  res.status(201).json({
+    stream_token: streamToken,
+    expires_in: realtime.STREAM_TOKEN_TTL_MS / 1000
+  });
+}));
+
+// Server-Sent Events stream of the current user's events.
+// Reconnecting clients send Last-Event-ID (or ?last_event_id=) to replay missed events.
+router.get('/stream', authenticateStream, validate(schemas.stream), async (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 3000\n\n');
+
+  const lastEventId = req.headers['last-event-id'] || req.query.last_event_id;
+
+  let unsubscribe = () => {};
+  let closed = false;
+  const keepalive = setInterval(() => res.write(': keepalive\n\n'), KEEPALIVE_MS);
+
+  // Also fires when the server ends the stream, e.g. because its session was revoked
+  res.on('close', () => {
+    closed = true;
+    clearInterval(keepalive);
+    unsubscribe();
+  });
+
+  try {
+    unsubscribe = await realtime.subscribe(req.user.id, req.sessionId, res, lastEventId);
+    if (closed) unsubscribe();
+  } catch (error) {
+    console.error('Event stream error:', error);
+    clearInterval(keepalive);
+    res.end();
+  }
+});
+
+module.exports = router;
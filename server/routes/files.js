@@ -0,0 +1,17 @@
+const express = require('express');
+const storage = require('../storage');
+const signedUrls = require('../utils/signedUrls');
+const { asyncHandler } = require('../errors');
+
+const router = express.Router();
+
+// Files behind signed URLs issued by the local storage driver
+router.get('/*', asyncHandler(async (req, res) => {
+  const key = req.params[0];
+  signedUrls.assertValid(`/api/files/${key}`, req.query);
+
+  res.setHeader('Cache-Control', 'private, no-store');
+  await storage.sendFile(res, key, { filename: req.query.filename });
+}));
+
+module.exports = router;
@@ -1,205 +1,194 @@
 const express = require('express');
 const pool = require('../config/database');
 const authenticateToken = require('../middleware/auth');
+const createRateLimit = require('../middleware/rateLimit');
+const notifications = require('../services/notifications');
+const privacy = require('../services/privacy');
+const realtime = require('../services/realtime');
+const pagination = require('../utils/pagination');
+const { validate } = require('../validation');
+const schemas = require('../validation/schemas/follows');
+const { asyncHandler, BadRequestError, ForbiddenError, NotFoundError, ConflictError } = require('../errors');
 
 const router = express.Router();
 
+const followLimit = createRateLimit({ name: 'follow', windowMs: 60 * 60 * 1000, limits: { user: 100 } });
+
+const NEWEST_FIRST = pagination.keyset([
+  { sql: 'f.created_at', direction: 'desc' },
+  { sql: 'u.id', direction: 'desc' }
+]);
+
+// One page of a user's followers ('followers') or followed users ('following'), as seen by viewerId
+const listFollows = async (userId, direction, query, viewerId) => {
+  const [matchColumn, userColumn] = direction === 'followers'
+    ? ['f.following_id', 'f.follower_id']
+    : ['f.follower_id', 'f.following_id'];
+  const { cursor, limit, offset } = pagination.fromQuery(query);
+  const params = [userId, viewerId];
+  const after = cursor ? ` AND ${NEWEST_FIRST.after(cursor, params)}` : '';
+
+  const result = await pool.query(
+    `SELECT 
+      u.id, u.full_name, ${privacy.emailColumn('u', '$2')}, u.account_type,
+      CASE WHEN ${privacy.profileVisible('u', '$2')} THEN u.bio END AS bio, u.avatar_url,
+      f.created_at as followed_at,
+      ${NEWEST_FIRST.select}
+    FROM follows f
+    JOIN users u ON ${userColumn} = u.id
+    WHERE ${matchColumn} = $1 AND ${privacy.notBlocked('u', '$2')}${after}
+    ORDER BY ${NEWEST_FIRST.orderBy}
+    LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit + 1, offset]
+  );
+
+  return pagination.toPage(result.rows, limit);
+};
+
+// Other users' lists are hidden by hide_follows or a profile the viewer cannot see,
+// and a blocked user is not found at all
+const assertFollowsVisible = async (userId, viewerId) => {
+  const result = await pool.query(
+    `SELECT u.hide_follows, ${privacy.profileVisible('u', '$2')} AS profile_visible
+     FROM users u WHERE u.id = $1 AND ${privacy.notBlocked('u', '$2')}`,
+    [userId, viewerId]
+  );
+  if (result.rows.length === 0) {
+    throw new NotFoundError('User not found');
+  }
+
+  const { hide_follows, profile_visible } = result.rows[0];
+  if (userId !== viewerId && (hide_follows || !profile_visible)) {
+    throw new ForbiddenError('This user does not share their follows', 'FOLLOWS_HIDDEN');
+  }
+};
+
 // Follow a user
-router.post('/:userId', authenticateToken, async (req, res) => {
-  try {
-    const followingId = req.params.userId;
-    const followerId = req.user.id;
-    
-    // Can't follow yourself
-    if (followerId === parseInt(followingId)) {
-      return res.status(400).json({ message: 'Cannot follow yourself' });
-    }
-    
-    // Check if user exists
-    const userResult = await pool.query(
-      'SELECT id FROM users WHERE id = $1',
-      [followingId]
-    );
-    
-    if (userResult.rows.length === 0) {
-      return res.status(404).json({ message: 'User not found' });
-    }
-    
-    // Check if already following
-    const existingFollow = await pool.query(
-      'SELECT * FROM follows WHERE follower_id = $1 AND following_id = $2',
-      [followerId, followingId]
-    );
-    
-    if (existingFollow.rows.length > 0) {
-      return res.status(400).json({ message: 'Already following this user' });
-    }
-    
-    await pool.query(
-      'INSERT INTO follows (follower_id, following_id) VALUES ($1, $2)',
-      [followerId, followingId]
-    );
-    
-    res.status(201).json({ message: 'Successfully followed user' });
-  } catch (error) {
-    console.error('Follow error:', error);
-    res.status(500).json({ message: 'Server error' });
+router.post('/:userId', authenticateToken, followLimit, validate(schemas.byUser), asyncHandler(async (req, res) => {
+  const followingId = req.params.userId;
+  const followerId = req.user.id;
+  
+  // Can't follow yourself
+  if (followerId === followingId) {
+    throw new BadRequestError('Cannot follow yourself', 'CANNOT_FOLLOW_SELF');
+  }
+  
+  // Check if user exists
+  const userResult = await pool.query(
+    `SELECT u.id, ${privacy.blockedBetween('u.id', '$2')} AS is_blocked FROM users u WHERE u.id = $1`,
+    [followingId, followerId]
+  );
+  
+  if (userResult.rows.length === 0) {
+    throw new NotFoundError('User not found');
+  }
+
+  if (userResult.rows[0].is_blocked) {
+    throw new ForbiddenError('You cannot follow this user', 'USER_BLOCKED');
+  }
+  
+  // Check if already following
+  const existingFollow = await pool.query(
+    'SELECT * FROM follows WHERE follower_id = $1 AND following_id = $2',
+    [followerId, followingId]
+  );
+  
+  if (existingFollow.rows.length > 0) {
+    throw new ConflictError('Already following this user', 'ALREADY_FOLLOWING');
   }
-});
+  
+  await pool.query(
+    'INSERT INTO follows (follower_id, following_id) VALUES ($1, $2)',
+    [followerId, followingId]
+  );
+
+  await notifications.safely(notifications.notify({
+    userId: followingId,
+    type: notifications.TYPES.NEW_FOLLOWER,
+    actorId: followerId,
+    entityType: 'user',
+    entityId: followerId,
+    data: { follower_id: followerId }
+  }), 'new follower');
+
+  await realtime.publish(followingId, realtime.EVENTS.NEW_FOLLOWER, { follower_id: followerId });
+  
+  res.status(201).json({ message: 'Successfully followed user' });
+}));
 
 // Unfollow a user
-router.delete('/:userId', authenticateToken, async (req, res) => {
-  try {
-    const followingId = req.params.userId;
-    const followerId = req.user.id;
-    
-    const result = await pool.query(
-      'DELETE FROM follows WHERE follower_id = $1 AND following_id = $2',
-      [followerId, followingId]
-    );
-    
-    if (result.rowCount === 0) {
-      return res.status(404).json({ message: 'Not following this user' });
-    }
-    
-    res.json({ message: 'Successfully unfollowed user' });
-  } catch (error) {
-    console.error('Unfollow error:', error);
-    res.status(500).json({ message: 'Server error' });
+router.delete('/:userId', authenticateToken, validate(schemas.byUser), asyncHandler(async (req, res) => {
+  const followingId = req.params.userId;
+  const followerId = req.user.id;
+  
+  const result = await pool.query(
+    'DELETE FROM follows WHERE follower_id = $1 AND following_id = $2',
+    [followerId, followingId]
+  );
+  
+  if (result.rowCount === 0) {
+    throw new NotFoundError('Not following this user');
   }
-});
+  
+  res.json({ message: 'Successfully unfollowed user' });
+}));
 
 // Get followers
-router.get('/followers', authenticateToken, async (req, res) => {
-  try {
-    const result = await pool.query(
-      `SELECT 
-        u.id, u.full_name, u.email, u.account_type, u.bio, u.avatar_url,
-        f.created_at as followed_at
-      FROM follows f
-      JOIN users u ON f.follower_id = u.id
-      WHERE f.following_id = $1
-      ORDER BY f.created_at DESC`,
-      [req.user.id]
-    );
-    
-    res.json({ followers: result.rows });
-  } catch (error) {
-    console.error('Get followers error:', error);
-    res.status(500).json({ message: 'Server error' });
-  }
-});
+router.get('/followers', authenticateToken, validate(schemas.list), asyncHandler(async (req, res) => {
+  const { items, next_cursor } = await listFollows(req.user.id, 'followers', req.query, req.user.id);
+  res.json({ followers: items, next_cursor });
+}));
 
 // Get following
-router.get('/following', authenticateToken, async (req, res) => {
-  try {
-    const result = await pool.query(
-      `SELECT 
-        u.id, u.full_name, u.email, u.account_type, u.bio, u.avatar_url,
-        f.created_at as followed_at
-      FROM follows f
-      JOIN users u ON f.following_id = u.id
-      WHERE f.follower_id = $1
-      ORDER BY f.created_at DESC`,
-      [req.user.id]
-    );
-    
-    res.json({ following: result.rows });
-  } catch (error) {
-    console.error('Get following error:', error);
-    res.status(500).json({ message: 'Server error' });
-  }
-});
+router.get('/following', authenticateToken, validate(schemas.list), asyncHandler(async (req, res) => {
+  const { items, next_cursor } = await listFollows(req.user.id, 'following', req.query, req.user.id);
+  res.json({ following: items, next_cursor });
+}));
 
 // Check if following a user
-router.get('/status/:userId', authenticateToken, async (req, res) => {
-  try {
-    const result = await pool.query(
-      'SELECT * FROM follows WHERE follower_id = $1 AND following_id = $2',
-      [req.user.id, req.params.userId]
-    );
-    
-    res.json({ isFollowing: result.rows.length > 0 });
-  } catch (error) {
-    console.error('Check follow status error:', error);
-    res.status(500).json({ message: 'Server error' });
-  }
-});
+router.get('/status/:userId', authenticateToken, validate(schemas.byUser), asyncHandler(async (req, res) => {
+  const result = await pool.query(
+    'SELECT * FROM follows WHERE follower_id = $1 AND following_id = $2',
+    [req.user.id, req.params.userId]
+  );
+  
+  res.json({ isFollowing: result.rows.length > 0 });
+}));
 
 // Get user's followers and following counts
-router.get('/counts/:userId', async (req, res) => {
-  try {
-    const followersResult = await pool.query(
-      'SELECT COUNT(*) as count FROM follows WHERE following_id = $1',
-      [req.params.userId]
-    );
-    
-    const followingResult = await pool.query(
-      'SELECT COUNT(*) as count FROM follows WHERE follower_id = $1',
-      [req.params.userId]
-    );
-    
-    res.json({
-      followers: parseInt(followersResult.rows[0].count),
-      following: parseInt(followingResult.rows[0].count)
-    });
-  } catch (error) {
-    console.error('Get follow counts error:', error);
-    res.status(500).json({ message: 'Server error' });
-  }
-});
+router.get('/counts/:userId', validate(schemas.byUser), asyncHandler(async (req, res) => {
+  const followersResult = await pool.query(
+    'SELECT COUNT(*) as count FROM follows WHERE following_id = $1',
+    [req.params.userId]
+  );
+  
+  const followingResult = await pool.query(
+    'SELECT COUNT(*) as count FROM follows WHERE follower_id = $1',
+    [req.params.userId]
+  );
+  
+  res.json({
+    followers: parseInt(followersResult.rows[0].count),
+    following: parseInt(followingResult.rows[0].count)
+  });
+}));
 
 module.exports = router;
 // Get followers of a specific userId
-router.get('/:userId/followers', authenticateToken, async (req, res) => {
-  try {
-    const targetUserId = parseInt(req.params.userId, 10);
-    if (Number.isNaN(targetUserId)) {
-      return res.status(400).json({ message: 'Invalid userId' });
-    }
-
-    const result = await pool.query(
-      `SELECT 
-        u.id, u.full_name, u.email, u.account_type, u.bio, u.avatar_url,
-        f.created_at as followed_at
-      FROM follows f
-      JOIN users u ON f.follower_id = u.id
-      WHERE f.following_id = $1
-      ORDER BY f.created_at DESC`,
-      [targetUserId]
-    );
-
-    // Return array for ease of use on client
-    res.json(result.rows);
-  } catch (error) {
-    console.error('Get followers by user error:', error);
-    res.status(500).json({ message: 'Server error' });
-  }
-});
+router.get('/:userId/followers', authenticateToken, validate(schemas.listByUser), asyncHandler(async (req, res) => {
+  await assertFollowsVisible(req.params.userId, req.user.id);
+  const { items, next_cursor } = await listFollows(req.params.userId, 'followers', req.query, req.user.id);
+
+  // Return array for ease of use on client; the next page's cursor goes in a header
+  if (next_cursor) res.set('X-Next-Cursor', next_cursor);
+  res.json(items);
+}));
 
 // Get following list of a specific userId
-router.get('/:userId/following', authenticateToken, async (req, res) => {
-  try {
-    const targetUserId = parseInt(req.params.userId, 10);
-    if (Number.isNaN(targetUserId)) {
-      return res.status(400).json({ message: 'Invalid userId' });
-    }
-
-    const result = await pool.query(
-      `SELECT 
-        u.id, u.full_name, u.email, u.account_type, u.bio, u.avatar_url,
-        f.created_at as followed_at
-      FROM follows f
-      JOIN users u ON f.following_id = u.id
-      WHERE f.follower_id = $1
-      ORDER BY f.created_at DESC`,
-      [targetUserId]
-    );
-
-    res.json(result.rows);
-  } catch (error) {
-    console.error('Get following by user error:', error);
-    res.status(500).json({ message: 'Server error' });
-  }
-});
+router.get('/:userId/following', authenticateToken, validate(schemas.listByUser), asyncHandler(async (req, res) => {
+  await assertFollowsVisible(req.params.userId, req.user.id);
+  const { items, next_cursor } = await listFollows(req.params.userId, 'following', req.query, req.user.id);
 
+  if (next_cursor) res.set('X-Next-Cursor', next_cursor);
+  res.json(items);
+}));
@@ -0,0 +1,16 @@
+// Every API router with the path it is mounted on
+module.exports = [
+  ['/api/auth', require('./auth')],
+  ['/api/users', require('./users')],
+  ['/api/posts', require('./posts')],
+  ['/api/cvs', require('./cvs')],
+  ['/api/applications', require('./applications')],
+  ['/api/follows', require('./follows')],
+  ['/api/notifications', require('./notifications')],
+  ['/api/messages', require('./messages')],
+  ['/api/events', require('./events')],
+  ['/api/files', require('./files')],
+  ['/api/team', require('./team')],
+  ['/api/reports', require('./reports')],
+  ['/api/admin', require('./admin')]
+];
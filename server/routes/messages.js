@@ -0,0 +1,297 @@
+const express = require('express');
+const pool = require('../config/database');
+const authenticateToken = require('../middleware/auth');
+const createRateLimit = require('../middleware/rateLimit');
+const createUpload = require('../middleware/upload');
+const realtime = require('../services/realtime');
+const privacy = require('../services/privacy');
+const storage = require('../storage');
+const { IMAGE_TYPES } = require('../utils/fileType');
+const pagination = require('../utils/pagination');
+const { validate } = require('../validation');
+const schemas = require('../validation/schemas/messages');
+const { asyncHandler, BadRequestError, ForbiddenError, NotFoundError } = require('../errors');
+
+const router = express.Router();
+
+const upload = createUpload({
+  types: ['application/pdf', ...IMAGE_TYPES],
+  message: 'Only PDF and image files are allowed',
+  maxSize: 5 * 1024 * 1024 // 5MB limit
+});
+
+const sendLimit = createRateLimit({ name: 'send-message', windowMs: 60 * 1000, limits: { user: 30 } });
+
+const NEWEST_MESSAGES_FIRST = pagination.keyset([
+  { sql: 'm.created_at', direction: 'desc' },
+  { sql: 'm.id', direction: 'desc' }
+]);
+
+const LATEST_THREADS_FIRST = pagination.keyset([
+  { sql: 'lm.created_at', direction: 'desc' },
+  { sql: 'a.id', direction: 'desc' }
+]);
+
+// Load an application's thread and check that the user takes part in it
+const getThread = async (applicationId, userId) => {
+  const result = await pool.query(
+    `SELECT
+      a.id as application_id,
+      a.status,
+      a.applicant_id,
+      a.thread_lock_on_reject,
+      p.id as post_id,
+      p.title as post_title,
+      p.user_id as company_id,
+      ${privacy.blockedBetween('a.applicant_id', 'p.user_id')} as is_blocked
+    FROM applications a
+    JOIN posts p ON a.post_id = p.id
+    WHERE a.id = $1`,
+    [applicationId]
+  );
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Application not found');
+  }
+
+  const thread = result.rows[0];
+  if (thread.applicant_id !== userId && thread.company_id !== userId) {
+    throw new ForbiddenError('Not authorized to access this conversation');
+  }
+
+  thread.is_locked = thread.status === 'rejected' && thread.thread_lock_on_reject;
+  thread.other_user_id = thread.applicant_id === userId ? thread.company_id : thread.applicant_id;
+  return thread;
+};
+
+// List the user's conversations with unread counts
+router.get('/threads', authenticateToken, validate(schemas.threads), asyncHandler(async (req, res) => {
+  const { cursor, limit, offset } = pagination.fromQuery(req.query);
+  const params = [req.user.id];
+  const after = cursor ? ` AND ${LATEST_THREADS_FIRST.after(cursor, params)}` : '';
+
+  const result = await pool.query(
+    `SELECT
+      a.id as application_id,
+      a.status,
+      p.id as post_id,
+      p.title as post_title,
+      CASE WHEN a.applicant_id = $1 THEN p.user_id ELSE a.applicant_id END as other_user_id,
+      ou.full_name as other_user_name,
+      ou.avatar_url as other_user_avatar,
+      (a.status = 'rejected' AND a.thread_lock_on_reject) as is_locked,
+      lm.id as last_message_id,
+      lm.body as last_message_body,
+      lm.sender_id as last_message_sender_id,
+      lm.created_at as last_message_at,
+      (
+        SELECT COUNT(*)::int FROM messages m
+        WHERE m.application_id = a.id AND m.sender_id <> $1 AND m.read_at IS NULL
+      ) as unread_count,
+      ${LATEST_THREADS_FIRST.select}
+    FROM applications a
+    JOIN posts p ON a.post_id = p.id
+    JOIN users ou ON ou.id = CASE WHEN a.applicant_id = $1 THEN p.user_id ELSE a.applicant_id END
+    JOIN LATERAL (
+      SELECT id, body, sender_id, created_at FROM messages
+      WHERE application_id = a.id
+      ORDER BY created_at DESC, id DESC
+      LIMIT 1
+    ) lm ON true
+    WHERE (a.applicant_id = $1 OR p.user_id = $1)${after}
+    ORDER BY ${LATEST_THREADS_FIRST.orderBy}
+    LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit + 1, offset]
+  );
+
+  const { items, next_cursor } = pagination.toPage(result.rows, limit);
+  res.json({ threads: items, next_cursor });
+}));
+
+// Total unread messages across all conversations
+router.get('/unread-count', authenticateToken, asyncHandler(async (req, res) => {
+  const result = await pool.query(
+    `SELECT COUNT(*)::int AS unread_count
+     FROM messages m
+     JOIN applications a ON m.application_id = a.id
+     JOIN posts p ON a.post_id = p.id
+     WHERE (a.applicant_id = $1 OR p.user_id = $1)
+     AND m.sender_id <> $1
+     AND m.read_at IS NULL`,
+    [req.user.id]
+  );
+
+  res.json({ unread_count: result.rows[0].unread_count });
+}));
+
+// Get messages of an application's conversation (newest first)
+router.get('/:applicationId', authenticateToken, validate(schemas.list), asyncHandler(async (req, res) => {
+  const thread = await getThread(req.params.applicationId, req.user.id);
+
+  const { cursor, limit, offset } = pagination.fromQuery(req.query);
+  const params = [thread.application_id];
+  const after = cursor ? ` AND ${NEWEST_MESSAGES_FIRST.after(cursor, params)}` : '';
+
+  const result = await pool.query(
+    `SELECT
+      m.*,
+      u.full_name as sender_name,
+      u.avatar_url as sender_avatar,
+      ${NEWEST_MESSAGES_FIRST.select}
+    FROM messages m
+    JOIN users u ON m.sender_id = u.id
+    WHERE m.application_id = $1${after}
+    ORDER BY ${NEWEST_MESSAGES_FIRST.orderBy}
+    LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit + 1, offset]
+  );
+  const { items, next_cursor } = pagination.toPage(result.rows, limit);
+
+  const unreadResult = await pool.query(
+    'SELECT COUNT(*)::int AS unread_count FROM messages WHERE application_id = $1 AND sender_id <> $2 AND read_at IS NULL',
+    [thread.application_id, req.user.id]
+  );
+
+  res.json({
+    thread: {
+      application_id: thread.application_id,
+      post_id: thread.post_id,
+      post_title: thread.post_title,
+      status: thread.status,
+      is_locked: thread.is_locked,
+      lock_on_reject: thread.thread_lock_on_reject
+    },
+    messages: items,
+    has_more: next_cursor !== null,
+    next_cursor,
+    unread_count: unreadResult.rows[0].unread_count
+  });
+}));
+
+// Send a message, optionally with a PDF or image attachment
+router.post('/:applicationId', authenticateToken, sendLimit, upload.single('attachment'), validate(schemas.send), asyncHandler(async (req, res) => {
+  const thread = await getThread(req.params.applicationId, req.user.id);
+
+  if (thread.is_locked) {
+    throw new ForbiddenError('This conversation is read-only because the application was rejected', 'THREAD_LOCKED');
+  }
+
+  if (thread.is_blocked) {
+    throw new ForbiddenError('You cannot message this user', 'USER_BLOCKED');
+  }
+
+  const { body } = req.body;
+  if (!body && !req.file) {
+    throw new BadRequestError('Message text or attachment is required');
+  }
+
+  const attachmentKey = req.file ? storage.createKey('messages', 'attachment', req.file.extension) : null;
+  if (req.file) {
+    await storage.put(attachmentKey, req.file.buffer, { contentType: req.file.mimetype });
+  }
+
+  let result;
+  try {
+    result = await pool.query(
+      `INSERT INTO messages
+        (application_id, sender_id, body, attachment_url, attachment_name, attachment_mime, attachment_size)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING *`,
+      [
+        thread.application_id,
+        req.user.id,
+        body,
+        attachmentKey,
+        req.file ? req.file.originalname : null,
+        req.file ? req.file.mimetype : null,
+        req.file ? req.file.size : null
+      ]
+    );
+  } catch (error) {
+    await storage.removeSafely(attachmentKey);
+    throw error;
+  }
+
+  const message = result.rows[0];
+
+  await realtime.publish(thread.other_user_id, realtime.EVENTS.NEW_MESSAGE, { message });
+
+  res.status(201).json({ message });
+}));
+
+// Mark all messages from the other party as read
+router.patch('/:applicationId/read', authenticateToken, validate(schemas.thread), asyncHandler(async (req, res) => {
+  const thread = await getThread(req.params.applicationId, req.user.id);
+
+  const result = await pool.query(
+    `UPDATE messages SET read_at = CURRENT_TIMESTAMP
+     WHERE application_id = $1 AND sender_id <> $2 AND read_at IS NULL
+     RETURNING id, read_at`,
+    [thread.application_id, req.user.id]
+  );
+
+  if (result.rows.length > 0) {
+    // Read receipt for the sender
+    await realtime.publish(thread.other_user_id, realtime.EVENTS.MESSAGES_READ, {
+      application_id: thread.application_id,
+      message_ids: result.rows.map((row) => row.id),
+      read_at: result.rows[0].read_at
+    });
+  }
+
+  res.json({
+    message: 'Messages marked as read',
+    updated: result.rowCount
+  });
+}));
+
+// Company setting: make the thread read-only once the application is rejected
+router.patch('/:applicationId/settings', authenticateToken, validate(schemas.settings), asyncHandler(async (req, res) => {
+  const thread = await getThread(req.params.applicationId, req.user.id);
+
+  if (thread.company_id !== req.user.id) {
+    throw new ForbiddenError('Only the company can change conversation settings');
+  }
+
+  const { lock_on_reject } = req.body;
+  if (typeof lock_on_reject !== 'boolean') {
+    throw new BadRequestError('lock_on_reject must be true or false');
+  }
+
+  const result = await pool.query(
+    `UPDATE applications SET thread_lock_on_reject = $1
+     WHERE id = $2
+     RETURNING id as application_id, status, thread_lock_on_reject as lock_on_reject,
+       (status = 'rejected' AND thread_lock_on_reject) as is_locked`,
+    [lock_on_reject, thread.application_id]
+  );
+
+  res.json({
+    message: 'Conversation settings updated',
+    thread: result.rows[0]
+  });
+}));
+
+// Get a message attachment (participants only); redirects to a short-lived signed URL
+router.get('/:applicationId/attachments/:messageId', authenticateToken, validate(schemas.attachment), asyncHandler(async (req, res) => {
+  const thread = await getThread(req.params.applicationId, req.user.id);
+
+  const result = await pool.query(
+    'SELECT attachment_url, attachment_name, attachment_mime FROM messages WHERE id = $1 AND application_id = $2',
+    [req.params.messageId, thread.application_id]
+  );
+
+  if (result.rows.length === 0 || !result.rows[0].attachment_url) {
+    throw new NotFoundError('Attachment not found');
+  }
+
+  const attachment = result.rows[0];
+  const url = await storage.signedUrl(attachment.attachment_url, {
+    filename: attachment.attachment_name,
+    contentType: attachment.attachment_mime
+  });
+
+  res.redirect(url);
+}));
+
+module.exports = router;
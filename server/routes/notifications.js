@@ -0,0 +1,143 @@
+const express = require('express');
+const pool = require('../config/database');
+const authenticateToken = require('../middleware/auth');
+const notifications = require('../services/notifications');
+const pagination = require('../utils/pagination');
+const { validate } = require('../validation');
+const schemas = require('../validation/schemas/notifications');
+const { asyncHandler, BadRequestError, NotFoundError } = require('../errors');
+
+const router = express.Router();
+
+const NEWEST_FIRST = pagination.keyset([
+  { sql: 'n.created_at', direction: 'desc' },
+  { sql: 'n.id', direction: 'desc' }
+]);
+
+// Get current user's notifications with unread count
+router.get('/', authenticateToken, validate(schemas.list), asyncHandler(async (req, res) => {
+  const { unread } = req.query;
+  const { cursor, limit, offset } = pagination.fromQuery(req.query);
+  const params = [req.user.id];
+
+  let query = `
+    SELECT
+      n.*,
+      u.full_name as actor_name,
+      u.avatar_url as actor_avatar,
+      ${NEWEST_FIRST.select}
+    FROM notifications n
+    LEFT JOIN users u ON n.actor_id = u.id
+    WHERE n.user_id = $1
+  `;
+
+  if (unread) {
+    query += ' AND n.read_at IS NULL';
+  }
+
+  if (cursor) {
+    query += ` AND ${NEWEST_FIRST.after(cursor, params)}`;
+  }
+
+  query += ` ORDER BY ${NEWEST_FIRST.orderBy} LIMIT $${params.length + 1} OFFSET $${params.length + 2}`;
+
+  const result = await pool.query(query, [...params, limit + 1, offset]);
+  const { items, next_cursor } = pagination.toPage(result.rows, limit);
+
+  const countResult = await pool.query(
+    'SELECT COUNT(*)::int AS unread_count FROM notifications WHERE user_id = $1 AND read_at IS NULL',
+    [req.user.id]
+  );
+
+  res.json({
+    notifications: items,
+    unread_count: countResult.rows[0].unread_count,
+    next_cursor
+  });
+}));
+
+// Get unread count only
+router.get('/unread-count', authenticateToken, asyncHandler(async (req, res) => {
+  const result = await pool.query(
+    'SELECT COUNT(*)::int AS unread_count FROM notifications WHERE user_id = $1 AND read_at IS NULL',
+    [req.user.id]
+  );
+
+  res.json({ unread_count: result.rows[0].unread_count });
+}));
+
+// Get notification preferences
+router.get('/preferences', authenticateToken, asyncHandler(async (req, res) => {
+  const preferences = await notifications.getPreferences(req.user.id);
+  res.json({ preferences });
+}));
+
+// Turn notification types on or off, e.g. { "new_post": false }
+router.put('/preferences', authenticateToken, validate(schemas.updatePreferences), asyncHandler(async (req, res) => {
+  const entries = notifications.ALL_TYPES
+    .filter((type) => req.body[type] !== undefined)
+    .map((type) => [type, req.body[type]]);
+
+  if (entries.length === 0) {
+    throw new BadRequestError('No preferences provided');
+  }
+
+  for (const [type, enabled] of entries) {
+    await pool.query(
+      `INSERT INTO notification_preferences (user_id, type, enabled)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (user_id, type)
+       DO UPDATE SET enabled = EXCLUDED.enabled, updated_at = CURRENT_TIMESTAMP`,
+      [req.user.id, type, enabled]
+    );
+  }
+
+  const preferences = await notifications.getPreferences(req.user.id);
+  res.json({
+    message: 'Notification preferences updated',
+    preferences
+  });
+}));
+
+// Mark all notifications as read
+router.patch('/read-all', authenticateToken, asyncHandler(async (req, res) => {
+  const result = await pool.query(
+    'UPDATE notifications SET read_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND read_at IS NULL',
+    [req.user.id]
+  );
+
+  res.json({
+    message: 'All notifications marked as read',
+    updated: result.rowCount
+  });
+}));
+
+// Mark one notification as read
+router.patch('/:id/read', authenticateToken, validate(schemas.byId), asyncHandler(async (req, res) => {
+  const result = await pool.query(
+    'UPDATE notifications SET read_at = COALESCE(read_at, CURRENT_TIMESTAMP) WHERE id = $1 AND user_id = $2 RETURNING *',
+    [req.params.id, req.user.id]
+  );
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Notification not found');
+  }
+
+  res.json({ notification: result.rows[0] });
+}));
+
+// Delete a notification
+router.delete('/:id', authenticateToken, validate(schemas.byId), asyncHandler(async (req, res) => {
+  const result = await pool.query(
+    'DELETE FROM notifications WHERE id = $1 AND user_id = $2',
+    [req.params.id, req.user.id]
+  );
+
+  if (result.rowCount === 0) {
+    throw new NotFoundError('Notification not found');
+  }
+
+  res.json({ message: 'Notification deleted successfully' });
+}));
+
+module.exports = router;
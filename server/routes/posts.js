@@ -1,223 +1,536 @@
 const express = require('express');
 const pool = require('../config/database');
+const withTransaction = require('../db/transaction');
 const authenticateToken = require('../middleware/auth');
+const createRateLimit = require('../middleware/rateLimit');
+const notifications = require('../services/notifications');
+const realtime = require('../services/realtime');
+const cvAccess = require('../services/cvAccess');
+const postFields = require('../services/postFields');
+const postLifecycle = require('../services/postLifecycle');
+const matching = require('../services/matching');
+const privacy = require('../services/privacy');
+const avatars = require('../services/avatars');
+const companyProfiles = require('../services/companyProfiles');
+const highlight = require('../utils/highlight');
+const pagination = require('../utils/pagination');
+const { validate } = require('../validation');
+const schemas = require('../validation/schemas/posts');
+const { asyncHandler, BadRequestError, ConflictError, ForbiddenError, NotFoundError, ValidationError } = require('../errors');
 
 const router = express.Router();
 
+const createLimit = createRateLimit({ name: 'create-post', windowMs: 60 * 60 * 1000, limits: { user: 20 } });
+
+// Posts can only attach one of the author's own active CVs
+const ensureOwnCv = async (cvId, userId) => {
+  const result = await pool.query(
+    'SELECT id FROM cvs WHERE id = $1 AND user_id = $2 AND is_active = true',
+    [cvId, userId]
+  );
+
+  if (result.rows.length === 0) {
+    throw new BadRequestError('CV not found or not active');
+  }
+};
+
+// Must match the expression of idx_posts_search_vector (migration 0018)
+const SEARCH_VECTOR = `(
+  setweight(to_tsvector('english', coalesce(p.title, '')), 'A') ||
+  setweight(to_tsvector('english', coalesce(p.description, '')), 'B')
+)`;
+
+const { IS_CLOSED } = postLifecycle;
+const { visiblePost } = privacy;
+
+// Relevance is multiplied by up to 2x for fresh posts; the bonus halves every
+// RECENCY_HALF_LIFE_DAYS. asOfRef is the SQL timestamp the age is counted to.
+const RECENCY_HALF_LIFE_DAYS = 14;
+const score = (asOfRef) => `ts_rank_cd(${SEARCH_VECTOR}, query) * (1 + power(0.5,
+  EXTRACT(EPOCH FROM (${asOfRef}::timestamptz - p.created_at)) / 86400 / ${RECENCY_HALF_LIFE_DAYS}
+))`;
+
+// Search results by score. Every page is scored as of the time the first page
+// was read, so the recency bonus cannot reorder results between pages; the
+// cursor carries that time as its first key.
+const searchOrder = (asOfRef) => pagination.keyset([
+  { sql: `${asOfRef}::timestamptz`, direction: 'desc' },
+  { sql: score(asOfRef), direction: 'desc' },
+  { sql: 'p.created_at', direction: 'desc' },
+  { sql: 'p.id', direction: 'desc' }
+]);
+
+// Facets counted for search results. Each one ignores its own filter, so the
+// counts show what selecting another value would return.
+const FACETS = {
+  post_type: { column: 'p.post_type', filter: 'type', values: ['find_job', 'find_candidate'] },
+  author_type: { column: 'u.account_type', filter: 'author_type', values: ['candidate', 'company'] },
+  status: {
+    column: `CASE WHEN ${IS_CLOSED} THEN 'expired' ELSE 'active' END`,
+    filter: 'status',
+    values: ['active', 'expired']
+  },
+  work_mode: { column: 'p.work_mode', filter: 'work_mode', values: ['onsite', 'hybrid', 'remote'] }
+};
+
+const FEED_ORDER = pagination.keyset([
+  // Posts still accepting applications first
+  { sql: IS_CLOSED, direction: 'asc' },
+  // Then priority for following authors
+  { sql: '(f.follower_id IS NULL)', direction: 'asc' },
+  // Newest first within the same group
+  { sql: 'p.created_at', direction: 'desc' },
+  { sql: 'p.id', direction: 'desc' }
+]);
+
+const USER_POSTS_ORDER = pagination.keyset([
+  { sql: IS_CLOSED, direction: 'asc' },
+  { sql: 'p.created_at', direction: 'desc' },
+  { sql: 'p.id', direction: 'desc' }
+]);
+
+// FROM/WHERE of a post search; $1 is the search query
+const searchClause = (filters, viewerId, params) => {
+  const conditions = [`${SEARCH_VECTOR} @@ query`, ...postFields.filterConditions(filters, params)];
+  const param = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  conditions.push(visiblePost(param(viewerId)));
+
+  if (filters.author_id) {
+    conditions.push(`p.user_id = ${param(filters.author_id)}`);
+  }
+  if (filters.author_type) {
+    conditions.push(`u.account_type = ${param(filters.author_type)}`);
+  }
+  if (filters.from) {
+    conditions.push(`p.created_at >= ${param(filters.from)}::timestamptz`);
+  }
+  if (filters.to) {
+    conditions.push(`p.created_at <= ${param(filters.to)}::timestamptz`);
+  }
+  if (filters.status) {
+    conditions.push(filters.status === 'expired' ? IS_CLOSED : `NOT ${IS_CLOSED}`);
+  }
+
+  return `
+    FROM posts p
+    JOIN users u ON p.user_id = u.id
+    CROSS JOIN websearch_to_tsquery('english', $1) query
+    WHERE ${conditions.join(' AND ')}
+  `;
+};
+
 // Get all posts (with user info and following status)
-router.get('/', authenticateToken, async (req, res) => {
-  try {
-    const { page = 1, limit = 10, type } = req.query;
-    const offset = (page - 1) * limit;
-    
-    let query = `
-      SELECT 
-        p.*,
-        u.full_name as author_name,
-        u.account_type as author_type,
-        u.avatar_url as author_avatar,
-        c.file_url as cv_file_url,
-        CASE WHEN f.follower_id IS NOT NULL THEN true ELSE false END as is_following_author,
-        CASE 
-          WHEN p.post_type = 'find_candidate' AND p.created_at < (CURRENT_TIMESTAMP - INTERVAL '10 days') THEN true
-          ELSE false
-        END AS is_expired
-      FROM posts p
-      JOIN users u ON p.user_id = u.id
-      LEFT JOIN cvs c ON p.attached_cv_id = c.id
-      LEFT JOIN follows f ON f.following_id = p.user_id AND f.follower_id = $1
-    `;
-    
-    const params = [req.user.id];
-    
-    if (type) {
-      query += ` WHERE p.post_type = $${params.length + 1}`;
-      params.push(type);
+router.get('/', authenticateToken, validate(schemas.list), asyncHandler(async (req, res) => {
+  const { cursor, limit, offset } = pagination.fromQuery(req.query);
+  
+  let query = `
+    SELECT 
+      p.*,
+      u.full_name as author_name,
+      u.account_type as author_type,
+      u.avatar_url as author_avatar,
+      ${companyProfiles.AUTHOR_COLUMNS},
+      CASE WHEN f.follower_id IS NOT NULL THEN true ELSE false END as is_following_author,
+      ${IS_CLOSED} AS is_expired,
+      ${FEED_ORDER.select}
+    FROM posts p
+    JOIN users u ON p.user_id = u.id
+    LEFT JOIN follows f ON f.following_id = p.user_id AND f.follower_id = $1
+  `;
+  
+  const params = [req.user.id];
+  const conditions = [visiblePost('$1'), ...postFields.filterConditions(req.query, params)];
+  if (cursor) {
+    conditions.push(FEED_ORDER.after(cursor, params));
+  }
+  
+  query += ` WHERE ${conditions.join(' AND ')}`;
+  
+  query += ` ORDER BY ${FEED_ORDER.orderBy}
+    LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+  `;
+  
+  params.push(limit + 1, offset);
+  
+  const result = await pool.query(query, params);
+  const { items, next_cursor } = pagination.toPage(result.rows, limit);
+  const posts = companyProfiles.withAuthorCompany(cvAccess.withDownloadUrls(items, req.user.id, 'attached_cv_id'));
+  res.json({ posts, next_cursor });
+}));
+
+// Full-text search over post titles and descriptions, ranked by relevance and recency
+router.get('/search', authenticateToken, validate(schemas.search), asyncHandler(async (req, res) => {
+  const { q, from, to } = req.query;
+  const { cursor, limit, offset } = pagination.fromQuery(req.query);
+
+  if (from && to && new Date(from) > new Date(to)) {
+    throw new ValidationError([
+      { location: 'query', field: 'to', code: 'invalid_range', message: 'to must be after from' }
+    ]);
+  }
+
+  const params = [q];
+  const clause = searchClause(req.query, req.user.id, params);
+
+  const countResult = await pool.query(`SELECT COUNT(*)::int AS total ${clause}`, params);
+
+  const asOf = `$${params.length + 1}`;
+  const order = searchOrder(asOf);
+  params.push(cursor ? order.values(cursor)[0] : new Date().toISOString());
+  const after = cursor ? `AND ${order.after(cursor, params)}` : '';
+
+  const result = await pool.query(
+    `SELECT
+      p.*,
+      u.full_name as author_name,
+      u.account_type as author_type,
+      u.avatar_url as author_avatar,
+      ${companyProfiles.AUTHOR_COLUMNS},
+      ${IS_CLOSED} AS is_expired,
+      ${score(asOf)} AS rank,
+      ts_headline('english', p.description, query, $${params.length + 1}) AS snippet,
+      ${order.select}
+    ${clause} ${after}
+    ORDER BY ${order.orderBy}
+    LIMIT $${params.length + 2} OFFSET $${params.length + 3}`,
+    [...params, highlight.headlineOptions('MaxFragments=2, MaxWords=25, MinWords=10'), limit + 1, offset]
+  );
+
+  const facets = {};
+  for (const [name, facet] of Object.entries(FACETS)) {
+    const facetParams = [q];
+    const facetResult = await pool.query(
+      `SELECT ${facet.column} AS value, COUNT(*)::int AS count
+      ${searchClause({ ...req.query, [facet.filter]: undefined }, req.user.id, facetParams)}
+      GROUP BY 1`,
+      facetParams
+    );
+
+    facets[name] = Object.fromEntries(facet.values.map((value) => [value, 0]));
+    for (const row of facetResult.rows) {
+      if (row.value !== null) facets[name][row.value] = row.count;
     }
-    
-    query += ` ORDER BY 
-      -- Non-expired posts first
-      CASE 
-        WHEN p.post_type = 'find_candidate' AND p.created_at < (CURRENT_TIMESTAMP - INTERVAL '10 days') THEN 1
-        ELSE 0
-      END ASC,
-      -- Then priority for following authors
-      CASE WHEN f.follower_id IS NOT NULL THEN 0 ELSE 1 END,
-      -- Newest first within the same group
-      p.created_at DESC
-      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
-    `;
-    
-    params.push(limit, offset);
-    
-    const result = await pool.query(query, params);
-    res.json({ posts: result.rows });
-  } catch (error) {
-    console.error('Get posts error:', error);
-    res.status(500).json({ message: 'Server error' });
-  }
-});
+  }
+
+  const { items, next_cursor } = pagination.toPage(result.rows, limit);
+  const posts = companyProfiles.withAuthorCompany(cvAccess.withDownloadUrls(items, req.user.id, 'attached_cv_id'))
+    .map((post) => ({ ...post, snippet: highlight.toHtml(post.snippet) }));
+
+  res.json({ posts, total: countResult.rows[0].total, facets, next_cursor });
+}));
+
+// Open job posts that best match the candidate's find_job posts and CVs
+router.get('/recommended', authenticateToken, validate(schemas.recommended), asyncHandler(async (req, res) => {
+  if (req.user.account_type !== 'candidate') {
+    throw new ForbiddenError('Only candidates get job recommendations');
+  }
+
+  const { items, next_cursor } = await matching.recommendPosts(req.user.id, pagination.fromQuery(req.query));
+
+  res.json({ posts: companyProfiles.withAuthorCompany(items), next_cursor });
+}));
 
 // Get posts by user
-router.get('/user/:userId', authenticateToken, async (req, res) => {
-  try {
-    const { userId } = req.params;
-    const { type } = req.query;
-    
-    let query = `
-      SELECT 
-        p.*,
-        u.full_name as author_name,
-        u.account_type as author_type,
-        u.avatar_url as author_avatar,
-        c.file_url as cv_file_url,
-        CASE 
-          WHEN p.post_type = 'find_candidate' AND p.created_at < (CURRENT_TIMESTAMP - INTERVAL '10 days') THEN true
-          ELSE false
-        END AS is_expired
-      FROM posts p
-      JOIN users u ON p.user_id = u.id
-      LEFT JOIN cvs c ON p.attached_cv_id = c.id
-      WHERE p.user_id = $1
-    `;
-    
-    const params = [userId];
-    
-    if (type) {
-      query += ` AND p.post_type = $2`;
-      params.push(type);
-    }
-    
-    query += ` ORDER BY 
-      CASE 
-        WHEN p.post_type = 'find_candidate' AND p.created_at < (CURRENT_TIMESTAMP - INTERVAL '10 days') THEN 1
-        ELSE 0
-      END ASC,
-      p.created_at DESC`;
-    
-    const result = await pool.query(query, params);
-    res.json({ posts: result.rows });
-  } catch (error) {
-    console.error('Get user posts error:', error);
-    res.status(500).json({ message: 'Server error' });
-  }
-});
+router.get('/user/:userId', authenticateToken, validate(schemas.listByUser), asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  const { cursor, limit, offset } = pagination.fromQuery(req.query);
+  
+  let query = `
+    SELECT 
+      p.*,
+      u.full_name as author_name,
+      u.account_type as author_type,
+      u.avatar_url as author_avatar,
+      ${companyProfiles.AUTHOR_COLUMNS},
+      ${IS_CLOSED} AS is_expired,
+      ${USER_POSTS_ORDER.select}
+    FROM posts p
+    JOIN users u ON p.user_id = u.id
+    WHERE p.user_id = $1 AND ${visiblePost('$2')}
+  `;
+  
+  const params = [userId, req.user.id];
+  const conditions = postFields.filterConditions(req.query, params);
+  if (cursor) {
+    conditions.push(USER_POSTS_ORDER.after(cursor, params));
+  }
+  
+  if (conditions.length > 0) {
+    query += ` AND ${conditions.join(' AND ')}`;
+  }
+  
+  query += ` ORDER BY ${USER_POSTS_ORDER.orderBy}
+    LIMIT $${params.length + 1} OFFSET $${params.length + 2}`;
+  
+  params.push(limit + 1, offset);
+  
+  const result = await pool.query(query, params);
+  const { items, next_cursor } = pagination.toPage(result.rows, limit);
+  const posts = companyProfiles.withAuthorCompany(cvAccess.withDownloadUrls(items, req.user.id, 'attached_cv_id'));
+  res.json({ posts, next_cursor });
+}));
 
 // Create post
-router.post('/', authenticateToken, async (req, res) => {
-  try {
-    const { post_type, title, description, attached_cv_id } = req.body;
-    
-    // Validate post type with account type
-    if (post_type === 'find_job' && req.user.account_type !== 'candidate') {
-      return res.status(400).json({ message: 'Only candidates can create find_job posts' });
-    }
-    
-    if (post_type === 'find_candidate' && req.user.account_type !== 'company') {
-      return res.status(400).json({ message: 'Only companies can create find_candidate posts' });
-    }
-    
-    // For find_job posts, attached_cv_id is required
-    if (post_type === 'find_job' && !attached_cv_id) {
-      return res.status(400).json({ message: 'CV is required for job seeking posts' });
-    }
-    
-    const result = await pool.query(
-      'INSERT INTO posts (user_id, post_type, title, description, attached_cv_id) VALUES ($1, $2, $3, $4, $5) RETURNING *',
-      [req.user.id, post_type, title, description, attached_cv_id || null]
-    );
-    
-    res.status(201).json({ post: result.rows[0] });
-  } catch (error) {
-    console.error('Create post error:', error);
-    res.status(500).json({ message: 'Server error' });
+router.post('/', authenticateToken, createLimit, validate(schemas.create), asyncHandler(async (req, res) => {
+  const { post_type, title, description, attached_cv_id } = req.body;
+  
+  // Validate post type with account type
+  if (post_type === 'find_job' && req.user.account_type !== 'candidate') {
+    throw new BadRequestError('Only candidates can create find_job posts');
+  }
+  
+  if (post_type === 'find_candidate' && req.user.account_type !== 'company') {
+    throw new BadRequestError('Only companies can create find_candidate posts');
   }
-});
+
+  // Job offers reach many candidates, so the company's email must be confirmed first
+  if (post_type === 'find_candidate' && !req.user.email_verified) {
+    throw new ForbiddenError('Please verify your email before posting jobs', 'EMAIL_NOT_VERIFIED');
+  }
+  
+  // For find_job posts, attached_cv_id is required
+  if (post_type === 'find_job' && !attached_cv_id) {
+    throw new BadRequestError('CV is required for job seeking posts');
+  }
+
+  if (attached_cv_id) {
+    await ensureOwnCv(attached_cv_id, req.user.id);
+  }
+  
+  const fields = postFields.prepare(post_type, req.body);
+  if (post_type === 'find_candidate') {
+    Object.assign(fields, postLifecycle.deadlineColumns(fields.application_deadline || postLifecycle.defaultDeadline()));
+  }
+
+  const columns = {
+    user_id: req.user.id,
+    post_type,
+    title,
+    description,
+    attached_cv_id: attached_cv_id || null,
+    ...fields
+  };
+  const names = Object.keys(columns);
+  
+  const result = await pool.query(
+    `INSERT INTO posts (${names.join(', ')})
+     VALUES (${names.map((name, index) => `$${index + 1}`).join(', ')})
+     RETURNING *`,
+    Object.values(columns)
+  );
+
+  const post = result.rows[0];
+  await notifications.safely(notifications.notifyFollowers({
+    actorId: req.user.id,
+    type: notifications.TYPES.NEW_POST,
+    entityType: 'post',
+    entityId: post.id,
+    data: { post_id: post.id, post_type: post.post_type, post_title: post.title }
+  }), 'new post');
+
+  await realtime.publishToFollowers(req.user.id, realtime.EVENTS.NEW_POST, { post });
+  
+  res.status(201).json({ post });
+}));
 
 // Update post
-router.put('/:id', authenticateToken, async (req, res) => {
-  try {
-    const { title, description, attached_cv_id } = req.body;
-    const postId = req.params.id;
-    
-    // Check if user owns the post
-    const checkResult = await pool.query(
-      'SELECT * FROM posts WHERE id = $1 AND user_id = $2',
-      [postId, req.user.id]
-    );
-    
-    if (checkResult.rows.length === 0) {
-      return res.status(404).json({ message: 'Post not found or not authorized' });
-    }
-    
-    const post = checkResult.rows[0];
-    
-    // For find_job posts, attached_cv_id is required
-    if (post.post_type === 'find_job' && !attached_cv_id) {
-      return res.status(400).json({ message: 'CV is required for job seeking posts' });
+router.put('/:id', authenticateToken, validate(schemas.update), asyncHandler(async (req, res) => {
+  const { title, description, attached_cv_id } = req.body;
+  const postId = req.params.id;
+  
+  // Check if user owns the post
+  const checkResult = await pool.query(
+    'SELECT * FROM posts WHERE id = $1 AND user_id = $2',
+    [postId, req.user.id]
+  );
+  
+  if (checkResult.rows.length === 0) {
+    throw new NotFoundError('Post not found or not authorized');
+  }
+  
+  const post = checkResult.rows[0];
+  
+  // For find_job posts, attached_cv_id is required
+  if (post.post_type === 'find_job' && !attached_cv_id) {
+    throw new BadRequestError('CV is required for job seeking posts');
+  }
+
+  if (attached_cv_id) {
+    await ensureOwnCv(attached_cv_id, req.user.id);
+  }
+  
+  // Structured fields left out of the body keep their value; null clears them
+  const fields = postFields.prepare(post.post_type, req.body, post);
+  if (fields.application_deadline) {
+    assertOpen(post);
+    Object.assign(fields, postLifecycle.deadlineColumns(fields.application_deadline));
+  }
+
+  const columns = { title, description, attached_cv_id: attached_cv_id || null, ...fields };
+  const names = Object.keys(columns);
+  
+  const result = await pool.query(
+    `UPDATE posts SET ${names.map((name, index) => `${name} = $${index + 1}`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $${names.length + 1} AND user_id = $${names.length + 2}
+     RETURNING *`,
+    [...Object.values(columns), postId, req.user.id]
+  );
+  
+  res.json({ post: result.rows[0] });
+}));
+
+// Closed posts only get a new deadline through reopening
+const assertOpen = (post) => {
+  if (postLifecycle.isClosed(post)) {
+    throw new ConflictError('Post is closed; reopen it to set a new deadline', 'POST_CLOSED');
+  }
+};
+
+// Load a job post owned by the user, locked when a transaction client is passed
+const getOwnedJobPost = async (db, postId, userId, { lock = false } = {}) => {
+  const result = await db.query(
+    `SELECT * FROM posts WHERE id = $1 AND user_id = $2${lock ? ' FOR UPDATE' : ''}`,
+    [postId, userId]
+  );
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Post not found or not authorized');
+  }
+
+  const post = result.rows[0];
+  if (post.post_type !== 'find_candidate') {
+    throw new BadRequestError('Only find_candidate posts support this', 'NOT_A_JOB_POST');
+  }
+
+  return post;
+};
+
+// Set or extend a job post's deadline
+router.put('/:id/deadline', authenticateToken, validate(schemas.setDeadline), asyncHandler(async (req, res) => {
+  const post = await getOwnedJobPost(pool, req.params.id, req.user.id);
+  assertOpen(post);
+
+  const fields = postFields.prepare(post.post_type, req.body, post);
+  const { application_deadline, status } = postLifecycle.deadlineColumns(fields.application_deadline);
+
+  const result = await pool.query(
+    `UPDATE posts SET application_deadline = $1, status = $2, on_close = COALESCE($3, on_close), updated_at = CURRENT_TIMESTAMP
+     WHERE id = $4
+     RETURNING *`,
+    [application_deadline, status, fields.on_close || null, post.id]
+  );
+
+  res.json({ post: result.rows[0] });
+}));
+
+// Close a job post before its deadline
+router.post('/:id/close', authenticateToken, validate(schemas.close), asyncHandler(async (req, res) => {
+  const outcome = await withTransaction(async (client) => {
+    const post = await getOwnedJobPost(client, req.params.id, req.user.id, { lock: true });
+    if (post.status === postLifecycle.STATUSES.CLOSED) {
+      throw new ConflictError('Post is already closed', 'POST_CLOSED');
     }
-    
-    const result = await pool.query(
-      'UPDATE posts SET title = $1, description = $2, attached_cv_id = $3, updated_at = CURRENT_TIMESTAMP WHERE id = $4 AND user_id = $5 RETURNING *',
-      [title, description, attached_cv_id || null, postId, req.user.id]
-    );
-    
-    res.json({ post: result.rows[0] });
-  } catch (error) {
-    console.error('Update post error:', error);
-    res.status(500).json({ message: 'Server error' });
+
+    return postLifecycle.close(client, post, {
+      closedBy: req.user.id,
+      onClose: req.body.on_close || post.on_close
+    });
+  });
+
+  await postLifecycle.notifyClosed(outcome);
+
+  res.json({
+    message: 'Post closed',
+    post: outcome.post,
+    pending_applications: outcome.applications.length
+  });
+}));
+
+// Reopen a closed job post with a new deadline
+router.post('/:id/reopen', authenticateToken, validate(schemas.reopen), asyncHandler(async (req, res) => {
+  const post = await getOwnedJobPost(pool, req.params.id, req.user.id);
+  if (!postLifecycle.isClosed(post)) {
+    throw new ConflictError('Post is not closed', 'POST_NOT_CLOSED');
   }
-});
+
+  const fields = postFields.prepare(post.post_type, req.body, post);
+  const { application_deadline, status } = postLifecycle.deadlineColumns(
+    fields.application_deadline || postLifecycle.defaultDeadline()
+  );
+
+  const result = await pool.query(
+    `UPDATE posts SET application_deadline = $1, status = $2, closed_at = NULL, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $3
+     RETURNING *`,
+    [application_deadline, status, post.id]
+  );
+
+  res.json({ post: result.rows[0] });
+}));
+
+// Candidates that best match one of the company's job posts
+router.get('/:id/matches', authenticateToken, validate(schemas.matches), asyncHandler(async (req, res) => {
+  const post = await getOwnedJobPost(pool, req.params.id, req.user.id);
+
+  const { items, next_cursor } = await matching.matchCandidates(post, req.user.id, pagination.fromQuery(req.query));
+
+  const matches = items.map((row) => ({
+    candidate: avatars.withUrls({
+      id: row.id,
+      full_name: row.full_name,
+      bio: row.bio,
+      avatar_url: row.avatar_url,
+      avatar_variants: row.avatar_variants
+    }),
+    find_job_post_id: row.find_job_post_id,
+    has_applied: row.has_applied,
+    score: row.score,
+    reasons: row.reasons
+  }));
+
+  res.json({ matches, next_cursor });
+}));
 
 // Get single post
-router.get('/:id', authenticateToken, async (req, res) => {
-  try {
-    const result = await pool.query(
-      `SELECT 
-        p.*,
-        u.full_name as author_name,
-        u.account_type as author_type,
-        u.avatar_url as author_avatar,
-        c.file_url as cv_file_url,
-        CASE 
-          WHEN p.post_type = 'find_candidate' AND p.created_at < (CURRENT_TIMESTAMP - INTERVAL '10 days') THEN true
-          ELSE false
-        END AS is_expired
-      FROM posts p
-      JOIN users u ON p.user_id = u.id
-      LEFT JOIN cvs c ON p.attached_cv_id = c.id
-      WHERE p.id = $1`,
-      [req.params.id]
-    );
-    
-    if (result.rows.length === 0) {
-      return res.status(404).json({ message: 'Post not found' });
-    }
-    
-    res.json({ post: result.rows[0] });
-  } catch (error) {
-    console.error('Get post error:', error);
-    res.status(500).json({ message: 'Server error' });
+router.get('/:id', authenticateToken, validate(schemas.byId), asyncHandler(async (req, res) => {
+  const result = await pool.query(
+    `SELECT 
+      p.*,
+      u.full_name as author_name,
+      u.account_type as author_type,
+      u.avatar_url as author_avatar,
+      ${companyProfiles.AUTHOR_COLUMNS},
+      ${IS_CLOSED} AS is_expired
+    FROM posts p
+    JOIN users u ON p.user_id = u.id
+    WHERE p.id = $1 AND ($3::boolean OR ${visiblePost('$2')})`,
+    [req.params.id, req.user.id, req.user.role === 'admin']
+  );
+  
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Post not found');
   }
-});
+  
+  const [post] = companyProfiles.withAuthorCompany(cvAccess.withDownloadUrls(result.rows, req.user.id, 'attached_cv_id'));
+  res.json({ post });
+}));
 
 // Delete post
-router.delete('/:id', authenticateToken, async (req, res) => {
-  try {
-    const result = await pool.query(
-      'DELETE FROM posts WHERE id = $1 AND user_id = $2 RETURNING *',
-      [req.params.id, req.user.id]
-    );
-    
-    if (result.rows.length === 0) {
-      return res.status(404).json({ message: 'Post not found or not authorized' });
-    }
-    
-    res.json({ message: 'Post deleted successfully' });
-  } catch (error) {
-    console.error('Delete post error:', error);
-    res.status(500).json({ message: 'Server error' });
+router.delete('/:id', authenticateToken, validate(schemas.byId), asyncHandler(async (req, res) => {
+  const result = await pool.query(
+    'DELETE FROM posts WHERE id = $1 AND user_id = $2 RETURNING *',
+    [req.params.id, req.user.id]
+  );
+  
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Post not found or not authorized');
   }
-});
+  
+  res.json({ message: 'Post deleted successfully' });
+}));
 
 module.exports = router;
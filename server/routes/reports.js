@@ -0,0 +1,94 @@
+const express = require('express');
+const pool = require('../config/database');
+const authenticateToken = require('../middleware/auth');
+const createRateLimit = require('../middleware/rateLimit');
+const privacy = require('../services/privacy');
+const pagination = require('../utils/pagination');
+const { validate } = require('../validation');
+const schemas = require('../validation/schemas/reports');
+const { asyncHandler, BadRequestError, NotFoundError } = require('../errors');
+
+const router = express.Router();
+
+const reportLimit = createRateLimit({ name: 'report', windowMs: 60 * 60 * 1000, limits: { user: 20 } });
+
+const NEWEST_FIRST = pagination.keyset([
+  { sql: 'r.created_at', direction: 'desc' },
+  { sql: 'r.id', direction: 'desc' }
+]);
+
+// Users can only report what they can see, and not their own things.
+// Each check returns the owner of the target.
+const TARGET_OWNERS = {
+  post: async (postId, userId) => {
+    const result = await pool.query(
+      `SELECT p.user_id FROM posts p
+       JOIN users u ON p.user_id = u.id
+       WHERE p.id = $1 AND ${privacy.visiblePost('$2')}`,
+      [postId, userId]
+    );
+    if (result.rows.length === 0) throw new NotFoundError('Post not found');
+    return result.rows[0].user_id;
+  },
+
+  user: async (targetId) => {
+    const result = await pool.query('SELECT id FROM users WHERE id = $1', [targetId]);
+    if (result.rows.length === 0) throw new NotFoundError('User not found');
+    return result.rows[0].id;
+  },
+
+  // Only the participants of a conversation see its messages
+  message: async (messageId, userId) => {
+    const result = await pool.query(
+      `SELECT m.sender_id FROM messages m
+       JOIN applications a ON m.application_id = a.id
+       JOIN posts p ON a.post_id = p.id
+       WHERE m.id = $1 AND (a.applicant_id = $2 OR p.user_id = $2)`,
+      [messageId, userId]
+    );
+    if (result.rows.length === 0) throw new NotFoundError('Message not found');
+    return result.rows[0].sender_id;
+  }
+};
+
+// Report a post, user or message to the moderators
+router.post('/', authenticateToken, reportLimit, validate(schemas.create), asyncHandler(async (req, res) => {
+  const { target_type, target_id, reason, details } = req.body;
+
+  const ownerId = await TARGET_OWNERS[target_type](target_id, req.user.id);
+  if (ownerId === req.user.id) {
+    throw new BadRequestError('You cannot report yourself or your own content', 'CANNOT_REPORT_SELF');
+  }
+
+  // A second open report by the same user fails on idx_reports_open_per_reporter (ALREADY_REPORTED)
+  const result = await pool.query(
+    `INSERT INTO reports (reporter_id, target_type, target_id, reason, details)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING id, target_type, target_id, reason, details, status, created_at`,
+    [req.user.id, target_type, target_id, reason, details || null]
+  );
+
+  res.status(201).json({ message: 'Report submitted', report: result.rows[0] });
+}));
+
+// The user's own reports and what became of them
+router.get('/', authenticateToken, validate(schemas.list), asyncHandler(async (req, res) => {
+  const { cursor, limit, offset } = pagination.fromQuery(req.query);
+  const params = [req.user.id];
+  const after = cursor ? ` AND ${NEWEST_FIRST.after(cursor, params)}` : '';
+
+  const result = await pool.query(
+    `SELECT r.id, r.target_type, r.target_id, r.reason, r.details, r.status, r.resolved_at, r.created_at,
+      ${NEWEST_FIRST.select}
+    FROM reports r
+    WHERE r.reporter_id = $1${after}
+    ORDER BY ${NEWEST_FIRST.orderBy}
+    LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit + 1, offset]
+  );
+
+  const { items, next_cursor } = pagination.toPage(result.rows, limit);
+  res.json({ reports: items, next_cursor });
+}));
+
+module.exports = router;
@@ -0,0 +1,160 @@
+const express = require('express');
+const pool = require('../config/database');
+const authenticateToken = require('../middleware/auth');
+const createRateLimit = require('../middleware/rateLimit');
+const twoFactor = require('../services/twoFactor');
+const { validate } = require('../validation');
+const schemas = require('../validation/schemas/team');
+const { asyncHandler, BadRequestError, ForbiddenError, NotFoundError, ConflictError } = require('../errors');
+
+const router = express.Router();
+
+const inviteLimit = createRateLimit({ name: 'team-invite', windowMs: 60 * 60 * 1000, limits: { user: 50 } });
+
+const requireCompany = (user) => {
+  if (user.account_type !== 'company') {
+    throw new ForbiddenError('Only companies have team members');
+  }
+};
+
+// Team members of my company, accepted ones first
+router.get('/', authenticateToken, asyncHandler(async (req, res) => {
+  requireCompany(req.user);
+
+  const result = await pool.query(
+    `SELECT
+      u.id, u.full_name, u.email, u.avatar_url,
+      (u.two_factor_enabled_at IS NOT NULL) as two_factor_enabled,
+      m.invited_at, m.accepted_at
+    FROM company_members m
+    JOIN users u ON u.id = m.user_id
+    WHERE m.company_id = $1
+    ORDER BY m.accepted_at IS NULL, m.accepted_at, m.invited_at`,
+    [req.user.id]
+  );
+
+  res.json({ members: result.rows });
+}));
+
+// Invite an existing account; under the 2FA policy it must have 2FA on
+router.post('/', authenticateToken, inviteLimit, validate(schemas.invite), asyncHandler(async (req, res) => {
+  requireCompany(req.user);
+
+  const userResult = await pool.query(
+    `SELECT id, full_name, email, (two_factor_enabled_at IS NOT NULL) as two_factor_enabled
+     FROM users WHERE email = $1`,
+    [req.body.email]
+  );
+
+  if (userResult.rows.length === 0) {
+    throw new NotFoundError('User not found');
+  }
+
+  const member = userResult.rows[0];
+  if (member.id === req.user.id) {
+    throw new BadRequestError('Cannot invite yourself', 'CANNOT_INVITE_SELF');
+  }
+
+  const company = await twoFactor.status(pool, req.user.id);
+  if (company.company_policy && !member.two_factor_enabled) {
+    throw new ConflictError(
+      'Team members must have two-factor authentication enabled under the company policy',
+      'MEMBER_TWO_FACTOR_REQUIRED'
+    );
+  }
+
+  const result = await pool.query(
+    `INSERT INTO company_members (company_id, user_id) VALUES ($1, $2)
+     ON CONFLICT (company_id, user_id) DO NOTHING
+     RETURNING invited_at, accepted_at`,
+    [req.user.id, member.id]
+  );
+
+  if (result.rows.length === 0) {
+    throw new ConflictError('Already a team member or invited', 'ALREADY_MEMBER');
+  }
+
+  res.status(201).json({ member: { ...member, ...result.rows[0] } });
+}));
+
+// Remove a member or withdraw an invitation
+router.delete('/:userId', authenticateToken, validate(schemas.byMember), asyncHandler(async (req, res) => {
+  requireCompany(req.user);
+
+  const result = await pool.query(
+    'DELETE FROM company_members WHERE company_id = $1 AND user_id = $2 RETURNING id',
+    [req.user.id, req.params.userId]
+  );
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Team member not found');
+  }
+
+  res.json({ message: 'Team member removed' });
+}));
+
+// Companies I belong to or am invited to
+router.get('/memberships', authenticateToken, asyncHandler(async (req, res) => {
+  const result = await pool.query(
+    `SELECT
+      c.id as company_id, c.full_name as company_name, c.avatar_url as company_avatar,
+      c.two_factor_required, m.invited_at, m.accepted_at
+    FROM company_members m
+    JOIN users c ON c.id = m.company_id
+    WHERE m.user_id = $1
+    ORDER BY m.invited_at DESC`,
+    [req.user.id]
+  );
+
+  res.json({ memberships: result.rows });
+}));
+
+// Accept an invitation. The 2FA check is part of the update so it cannot race
+// the company turning its policy on.
+router.post('/memberships/:companyId/accept', authenticateToken, validate(schemas.byCompany), asyncHandler(async (req, res) => {
+  const result = await pool.query(
+    `UPDATE company_members m SET accepted_at = CURRENT_TIMESTAMP
+     FROM users c, users u
+     WHERE m.company_id = $1 AND m.user_id = $2 AND m.accepted_at IS NULL
+     AND c.id = m.company_id AND u.id = m.user_id
+     AND (NOT c.two_factor_required OR u.two_factor_enabled_at IS NOT NULL)
+     RETURNING m.company_id, m.invited_at, m.accepted_at`,
+    [req.params.companyId, req.user.id]
+  );
+
+  if (result.rows.length === 0) {
+    const existing = await pool.query(
+      'SELECT accepted_at FROM company_members WHERE company_id = $1 AND user_id = $2',
+      [req.params.companyId, req.user.id]
+    );
+
+    if (existing.rows.length === 0) {
+      throw new NotFoundError('Invitation not found');
+    }
+    if (existing.rows[0].accepted_at) {
+      throw new ConflictError('Already a team member', 'ALREADY_MEMBER');
+    }
+    throw new ConflictError(
+      'This company requires two-factor authentication; turn it on before joining',
+      'TWO_FACTOR_REQUIRED'
+    );
+  }
+
+  res.json({ message: 'Invitation accepted', membership: result.rows[0] });
+}));
+
+// Leave a company or decline an invitation
+router.delete('/memberships/:companyId', authenticateToken, validate(schemas.byCompany), asyncHandler(async (req, res) => {
+  const result = await pool.query(
+    'DELETE FROM company_members WHERE company_id = $1 AND user_id = $2 RETURNING id',
+    [req.params.companyId, req.user.id]
+  );
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Membership not found');
+  }
+
+  res.json({ message: 'Left the team' });
+}));
+
+module.exports = router;
@@ -1,154 +1,392 @@
 const express = require('express');
-const multer = require('multer');
-const path = require('path');
-const fs = require('fs');
 const pool = require('../config/database');
 const authenticateToken = require('../middleware/auth');
+const createRateLimit = require('../middleware/rateLimit');
+const createUpload = require('../middleware/upload');
+const avatars = require('../services/avatars');
+const companyProfiles = require('../services/companyProfiles');
+const candidateProfiles = require('../services/candidateProfiles');
+const privacy = require('../services/privacy');
+const { IMAGE_TYPES } = require('../utils/fileType');
+const pagination = require('../utils/pagination');
+const { validate } = require('../validation');
+const schemas = require('../validation/schemas/users');
+const withTransaction = require('../db/transaction');
+const { asyncHandler, BadRequestError, ConflictError, ForbiddenError, NotFoundError, ValidationError } = require('../errors');
 
 const router = express.Router();
 
-// Configure multer for avatar uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    const uploadDir = path.join(__dirname, '../uploads/avatars');
-    if (!fs.existsSync(uploadDir)) {
-      fs.mkdirSync(uploadDir, { recursive: true });
+const upload = createUpload({
+  types: IMAGE_TYPES,
+  message: 'Only image files are allowed',
+  maxSize: 2 * 1024 * 1024 // 2MB limit
+});
+
+// Covers are bigger than avatars
+const companyImageUpload = createUpload({
+  types: IMAGE_TYPES,
+  message: 'Only image files are allowed',
+  maxSize: 5 * 1024 * 1024 // 5MB limit
+});
+
+const avatarLimit = createRateLimit({ name: 'upload-avatar', windowMs: 60 * 60 * 1000, limits: { user: 20 } });
+const companyImageLimit = createRateLimit({ name: 'upload-company-image', windowMs: 60 * 60 * 1000, limits: { user: 20 } });
+const domainEmailLimit = createRateLimit({ name: 'company-domain', windowMs: 60 * 60 * 1000, limits: { user: 3 } });
+const domainTokenLimit = createRateLimit({ name: 'company-domain-confirm', windowMs: 15 * 60 * 1000, limits: { ip: 20 } });
+
+const BY_NAME = pagination.keyset([
+  { sql: 'u.full_name', direction: 'asc' },
+  { sql: 'u.id', direction: 'asc' }
+]);
+
+const NEWEST_BLOCKS_FIRST = pagination.keyset([
+  { sql: 'b.created_at', direction: 'desc' },
+  { sql: 'b.blocked_id', direction: 'desc' }
+]);
+
+const requireCompany = (req, res, next) => {
+  if (req.user.account_type !== 'company') {
+    return next(new ForbiddenError('Only company accounts have a company profile', 'COMPANY_ONLY'));
+  }
+  next();
+};
+
+// Get the current company's profile
+router.get('/company', authenticateToken, requireCompany, asyncHandler(async (req, res) => {
+  res.json({ company: await companyProfiles.get(req.user.id) });
+}));
+
+// Update the company profile; fields left out are kept
+router.patch('/company', authenticateToken, requireCompany, validate(schemas.updateCompany), asyncHandler(async (req, res) => {
+  const values = {};
+  for (const field of companyProfiles.FIELDS) {
+    if (req.body[field] !== undefined) values[field] = req.body[field];
+  }
+  if (values.social_links) {
+    // Only known networks, and null removes a link
+    values.social_links = Object.fromEntries(companyProfiles.SOCIAL_NETWORKS
+      .filter((network) => values.social_links[network])
+      .map((network) => [network, values.social_links[network]]));
+  }
+
+  res.json({
+    message: 'Company profile updated successfully',
+    company: await companyProfiles.update(req.user.id, values)
+  });
+}));
+
+// Upload the company logo or cover image
+const uploadCompanyImage = (kind) => [
+  authenticateToken,
+  requireCompany,
+  companyImageLimit,
+  companyImageUpload.single(kind),
+  asyncHandler(async (req, res) => {
+    if (!req.file) {
+      throw new BadRequestError('No file uploaded');
     }
-    cb(null, uploadDir);
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, `avatar-${uniqueSuffix}${path.extname(file.originalname)}`);
+
+    res.json({
+      message: `Company ${kind} updated successfully`,
+      company: await companyProfiles.setImage(req.user.id, kind, req.file.buffer)
+    });
+  })
+];
+
+router.post('/company/logo', ...uploadCompanyImage('logo'));
+router.post('/company/cover', ...uploadCompanyImage('cover'));
+
+// Verify the company by confirming an address on its website's domain
+router.post('/company/domain-verification', authenticateToken, requireCompany, domainEmailLimit,
+  validate(schemas.requestDomainVerification), asyncHandler(async (req, res) => {
+    const domain = await companyProfiles.requestDomainVerification(req.user.id, req.body.email);
+    res.json({ message: `Verification link sent to ${req.body.email}`, domain });
+  }));
+
+// Confirm with the token from the emailed link
+router.post('/company/domain-verification/confirm', domainTokenLimit,
+  validate(schemas.confirmDomainVerification), asyncHandler(async (req, res) => {
+    const domain = await companyProfiles.confirmDomainVerification(req.body.token);
+    if (!domain) {
+      throw new BadRequestError('Invalid or expired verification token', 'INVALID_TOKEN');
+    }
+
+    res.json({ message: 'Company verified', domain });
+  }));
+
+const requireCandidate = (req, res, next) => {
+  if (req.user.account_type !== 'candidate') {
+    return next(new ForbiddenError('Only candidate accounts have a candidate profile', 'CANDIDATE_ONLY'));
   }
-});
+  next();
+};
+
+// Get the current candidate's structured profile and its completeness
+router.get('/candidate', authenticateToken, requireCandidate, asyncHandler(async (req, res) => {
+  res.json({ profile: await candidateProfiles.get(req.user.id) });
+}));
+
+// Update desired salary and availability; fields left out are kept
+router.patch('/candidate', authenticateToken, requireCandidate, validate(schemas.updateCandidate), asyncHandler(async (req, res) => {
+  res.json({
+    message: 'Profile updated successfully',
+    profile: await candidateProfiles.updatePreferences(req.user.id, req.body)
+  });
+}));
+
+// Add, change and remove the items of each section (experience, education, skills, ...)
+for (const section of Object.keys(candidateProfiles.SECTIONS)) {
+  const sectionSchemas = schemas.candidateSections[section];
+
+  router.post(`/candidate/${section}`, authenticateToken, requireCandidate, validate(sectionSchemas.create),
+    asyncHandler(async (req, res) => {
+      const item = await candidateProfiles.addItem(req.user.id, section, req.body);
+      res.status(201).json({ message: 'Item added', item });
+    }));
+
+  router.patch(`/candidate/${section}/:itemId`, authenticateToken, requireCandidate, validate(sectionSchemas.update),
+    asyncHandler(async (req, res) => {
+      const item = await candidateProfiles.updateItem(req.user.id, section, req.params.itemId, req.body);
+      if (!item) {
+        throw new NotFoundError('Item not found');
+      }
+
+      res.json({ message: 'Item updated', item });
+    }));
+
+  router.delete(`/candidate/${section}/:itemId`, authenticateToken, requireCandidate, validate(sectionSchemas.remove),
+    asyncHandler(async (req, res) => {
+      if (!await candidateProfiles.removeItem(req.user.id, section, req.params.itemId)) {
+        throw new NotFoundError('Item not found');
+      }
+
+      res.json({ message: 'Item removed' });
+    }));
+}
+
+const PRIVACY_COLUMNS = privacy.SETTINGS.join(', ');
+
+// Get the current user's privacy settings
+router.get('/privacy', authenticateToken, asyncHandler(async (req, res) => {
+  const result = await pool.query(`SELECT ${PRIVACY_COLUMNS} FROM users WHERE id = $1`, [req.user.id]);
+  res.json({ privacy: result.rows[0] });
+}));
+
+// Update privacy settings; settings left out are kept
+router.patch('/privacy', authenticateToken, validate(schemas.updatePrivacy), asyncHandler(async (req, res) => {
+  if (req.body.open_to_work !== undefined && req.user.account_type !== 'candidate') {
+    throw new ValidationError([
+      { location: 'body', field: 'open_to_work', code: 'not_allowed', message: 'open_to_work is only for candidates' }
+    ]);
+  }
+
+  const names = privacy.SETTINGS.filter((setting) => req.body[setting] !== undefined);
+  const result = await pool.query(
+    `UPDATE users SET ${[...names.map((name, index) => `${name} = $${index + 2}`), 'updated_at = CURRENT_TIMESTAMP'].join(', ')}
+     WHERE id = $1
+     RETURNING ${PRIVACY_COLUMNS}`,
+    [req.user.id, ...names.map((name) => req.body[name])]
+  );
+
+  res.json({ message: 'Privacy settings updated successfully', privacy: result.rows[0] });
+}));
+
+// Users the current user has blocked
+router.get('/blocked', authenticateToken, validate(schemas.listBlocked), asyncHandler(async (req, res) => {
+  const { cursor, limit, offset } = pagination.fromQuery(req.query);
+  const params = [req.user.id];
+  const after = cursor ? ` AND ${NEWEST_BLOCKS_FIRST.after(cursor, params)}` : '';
+
+  const result = await pool.query(
+    `SELECT u.id, u.full_name, u.account_type, u.avatar_url, u.avatar_variants, b.created_at as blocked_at,
+      ${NEWEST_BLOCKS_FIRST.select}
+    FROM user_blocks b
+    JOIN users u ON b.blocked_id = u.id
+    WHERE b.blocker_id = $1${after}
+    ORDER BY ${NEWEST_BLOCKS_FIRST.orderBy}
+    LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit + 1, offset]
+  );
+
+  const { items, next_cursor } = pagination.toPage(result.rows, limit);
+  res.json({ blocked: items.map(avatars.withUrls), next_cursor });
+}));
 
-const fileFilter = (req, file, cb) => {
-  if (file.mimetype.startsWith('image/')) {
-    cb(null, true);
+// Get user profile; private profiles only show who the user is
+router.get('/:id', authenticateToken.optional, validate(schemas.getUser), asyncHandler(async (req, res) => {
+  const result = await pool.query(
+    `SELECT u.id, u.full_name, ${privacy.emailColumn('u', '$2')}, u.account_type, u.bio, u.avatar_url, u.avatar_variants,
+      (u.verified_at IS NOT NULL) as verified, u.open_to_work, u.created_at,
+      ${privacy.profileVisible('u', '$2')} AS profile_visible
+     FROM users u WHERE u.id = $1 AND ${privacy.notBlocked('u', '$2')}`,
+    [req.params.id, req.user ? req.user.id : null]
+  );
+  
+  if (result.rows.length === 0) {
+    throw new NotFoundError('User not found');
+  }
+  
+  const { profile_visible, open_to_work, ...row } = result.rows[0];
+  if (!profile_visible) {
+    const { id, full_name, account_type, avatar_url, avatar_variants, verified } = row;
+    const card = avatars.withUrls({ id, full_name, account_type, avatar_url, avatar_variants, verified });
+    return res.json({ user: { ...card, profile_private: true } });
+  }
+
+  const user = avatars.withUrls(row);
+  if (user.account_type === 'company') {
+    user.company = await companyProfiles.get(user.id);
   } else {
-    cb(new Error('Only image files are allowed'), false);
+    user.open_to_work = open_to_work;
   }
-};
 
-const upload = multer({ 
-  storage: storage,
-  fileFilter: fileFilter,
-  limits: {
-    fileSize: 2 * 1024 * 1024 // 2MB limit
+  res.json({ user });
+}));
+
+// Block a user: both stop seeing each other and their follows are removed
+router.post('/:id/block', authenticateToken, validate(schemas.block), asyncHandler(async (req, res) => {
+  const blockedId = req.params.id;
+  if (blockedId === req.user.id) {
+    throw new BadRequestError('Cannot block yourself', 'CANNOT_BLOCK_SELF');
   }
-});
 
-// Get user profile
-router.get('/:id', async (req, res) => {
-  try {
-    const result = await pool.query(
-      'SELECT id, full_name, email, account_type, bio, avatar_url, created_at FROM users WHERE id = $1',
-      [req.params.id]
+  const userResult = await pool.query('SELECT id FROM users WHERE id = $1', [blockedId]);
+  if (userResult.rows.length === 0) {
+    throw new NotFoundError('User not found');
+  }
+
+  await withTransaction(async (client) => {
+    const result = await client.query(
+      `INSERT INTO user_blocks (blocker_id, blocked_id) VALUES ($1, $2)
+       ON CONFLICT DO NOTHING
+       RETURNING blocked_id`,
+      [req.user.id, blockedId]
     );
-    
     if (result.rows.length === 0) {
-      return res.status(404).json({ message: 'User not found' });
+      throw new ConflictError('User is already blocked', 'ALREADY_BLOCKED');
     }
-    
-    res.json({ user: result.rows[0] });
-  } catch (error) {
-    console.error('Get user error:', error);
-    res.status(500).json({ message: 'Server error' });
-  }
-});
 
-// Update profile
-router.patch('/profile', authenticateToken, async (req, res) => {
-  try {
-    const { full_name, bio } = req.body;
-    
-    const result = await pool.query(
-      'UPDATE users SET full_name = $1, bio = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $3 RETURNING id, full_name, email, account_type, bio, avatar_url',
-      [full_name, bio, req.user.id]
+    await client.query(
+      `DELETE FROM follows
+       WHERE (follower_id = $1 AND following_id = $2) OR (follower_id = $2 AND following_id = $1)`,
+      [req.user.id, blockedId]
     );
-    
-    res.json({ 
-      message: 'Profile updated successfully',
-      user: result.rows[0] 
-    });
-  } catch (error) {
-    console.error('Update profile error:', error);
-    res.status(500).json({ message: 'Server error' });
+  });
+
+  res.status(201).json({ message: 'User blocked' });
+}));
+
+// Unblock a user; follows removed by the block are not restored
+router.delete('/:id/block', authenticateToken, validate(schemas.block), asyncHandler(async (req, res) => {
+  const result = await pool.query(
+    'DELETE FROM user_blocks WHERE blocker_id = $1 AND blocked_id = $2',
+    [req.user.id, req.params.id]
+  );
+
+  if (result.rowCount === 0) {
+    throw new NotFoundError('User is not blocked');
   }
-});
+
+  res.json({ message: 'User unblocked' });
+}));
+
+// Update profile
+router.patch('/profile', authenticateToken, validate(schemas.updateProfile), asyncHandler(async (req, res) => {
+  const { full_name, bio, cv_searchable } = req.body;
+  
+  const result = await pool.query(
+    `UPDATE users SET full_name = $1, bio = COALESCE($2, bio), cv_searchable = COALESCE($3, cv_searchable), updated_at = CURRENT_TIMESTAMP
+     WHERE id = $4
+     RETURNING id, full_name, email, account_type, bio, avatar_url, avatar_variants, cv_searchable`,
+    [full_name, bio, cv_searchable, req.user.id]
+  );
+  
+  res.json({ 
+    message: 'Profile updated successfully',
+    user: avatars.withUrls(result.rows[0]) 
+  });
+}));
 
 // Upload avatar
-router.post('/avatar', authenticateToken, upload.single('avatar'), async (req, res) => {
-  try {
-    if (!req.file) {
-      return res.status(400).json({ message: 'No file uploaded' });
-    }
+router.post('/avatar', authenticateToken, avatarLimit, upload.single('avatar'), asyncHandler(async (req, res) => {
+  if (!req.file) {
+    throw new BadRequestError('No file uploaded');
+  }
 
-    const avatar_url = `/uploads/avatars/${req.file.filename}`;
-    
-    // Get old avatar to delete
-    const oldAvatarResult = await pool.query(
-      'SELECT avatar_url FROM users WHERE id = $1',
-      [req.user.id]
-    );
-    
-    const result = await pool.query(
-      'UPDATE users SET avatar_url = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING avatar_url',
-      [avatar_url, req.user.id]
+  const avatar = await avatars.store(req.file.buffer);
+  
+  // Get old avatar to delete
+  const oldAvatarResult = await pool.query(
+    'SELECT avatar_key, avatar_variants FROM users WHERE id = $1',
+    [req.user.id]
+  );
+  
+  let result;
+  try {
+    result = await pool.query(
+      `UPDATE users SET avatar_url = $1, avatar_key = $2, avatar_variants = $3, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $4
+       RETURNING avatar_url, avatar_variants`,
+      [avatar.avatar_url, avatar.avatar_key, avatar.avatar_variants, req.user.id]
     );
-    
-    // Delete old avatar file if exists
-    if (oldAvatarResult.rows[0]?.avatar_url) {
-      const oldFilePath = path.join(__dirname, '..', oldAvatarResult.rows[0].avatar_url);
-      if (fs.existsSync(oldFilePath)) {
-        fs.unlinkSync(oldFilePath);
-      }
-    }
-    
-    res.json({ 
-      message: 'Avatar updated successfully',
-      avatar_url: result.rows[0].avatar_url 
-    });
   } catch (error) {
-    console.error('Upload avatar error:', error);
-    res.status(500).json({ message: 'Server error' });
+    await avatars.remove(avatar);
+    throw error;
   }
-});
-
-// Search users
-router.get('/', async (req, res) => {
-  try {
-    const { search, type, page = 1, limit = 10 } = req.query;
-    const pageNum = Number(page) || 1;
-    const limitNum = Math.min(50, Number(limit) || 10);
-    const offset = (pageNum - 1) * limitNum;
-    
-    let baseWhere = 'WHERE 1=1';
-    const whereParams = [];
-    
-    if (search) {
-      baseWhere += ` AND (full_name ILIKE $${whereParams.length + 1} OR email ILIKE $${whereParams.length + 1})`;
-      whereParams.push(`%${search}%`);
-    }
-    
-    if (type) {
-      baseWhere += ` AND account_type = $${whereParams.length + 1}`;
-      whereParams.push(type);
-    }
+  
+  if (oldAvatarResult.rows[0]) {
+    await avatars.remove(oldAvatarResult.rows[0]);
+  }
+  
+  res.json({ 
+    message: 'Avatar updated successfully',
+    avatar_url: result.rows[0].avatar_url,
+    avatar_urls: avatars.urls(result.rows[0])
+  });
+}));
 
-    // total count
-    const countResult = await pool.query(`SELECT COUNT(*)::int AS total FROM users ${baseWhere}`, whereParams);
-    const total = countResult.rows[0]?.total || 0;
+// Search users. Users hidden from search or blocked either way are left out, and
+// so are candidates who are not open to work unless a candidate is searching.
+router.get('/', authenticateToken.optional, validate(schemas.search), asyncHandler(async (req, res) => {
+  const { search, type } = req.query;
+  const { cursor, limit, offset } = pagination.fromQuery(req.query);
+  
+  const whereParams = [req.user ? req.user.id : null];
+  let baseWhere = `WHERE (NOT u.hide_from_search OR u.id = $1::integer) AND ${privacy.notBlocked('u', '$1')}`;
 
-    // page data
-    const dataQuery = `SELECT id, full_name, email, account_type, bio, avatar_url FROM users ${baseWhere} ORDER BY full_name LIMIT $${whereParams.length + 1} OFFSET $${whereParams.length + 2}`;
-    const dataParams = [...whereParams, limitNum, offset];
-    const result = await pool.query(dataQuery, dataParams);
-    res.json({ users: result.rows, total });
-  } catch (error) {
-    console.error('Search users error:', error);
-    res.status(500).json({ message: 'Server error' });
+  if (!req.user || req.user.account_type !== 'candidate') {
+    baseWhere += ` AND ${privacy.discoverable('u', '$1')}`;
   }
-});
+  
+  if (search) {
+    // Only public emails can be searched for
+    baseWhere += ` AND (u.full_name ILIKE $${whereParams.length + 1}
+      OR (u.email ILIKE $${whereParams.length + 1} AND u.email_visibility = 'public'))`;
+    whereParams.push(`%${search}%`);
+  }
+  
+  if (type) {
+    baseWhere += ` AND u.account_type = $${whereParams.length + 1}`;
+    whereParams.push(type);
+  }
+
+  // total count
+  const countResult = await pool.query(`SELECT COUNT(*)::int AS total FROM users u ${baseWhere}`, whereParams);
+  const total = countResult.rows[0]?.total || 0;
+
+  // page data
+  const dataParams = [...whereParams];
+  const after = cursor ? ` AND ${BY_NAME.after(cursor, dataParams)}` : '';
+  const dataQuery = `SELECT u.id, u.full_name, ${privacy.emailColumn('u', '$1')}, u.account_type,
+      CASE WHEN ${privacy.profileVisible('u', '$1')} THEN u.bio END AS bio, u.avatar_url, u.avatar_variants,
+      ${BY_NAME.select}
+    FROM users u ${baseWhere}${after}
+    ORDER BY ${BY_NAME.orderBy}
+    LIMIT $${dataParams.length + 1} OFFSET $${dataParams.length + 2}`;
+  dataParams.push(limit + 1, offset);
+  const result = await pool.query(dataQuery, dataParams);
+  const { items, next_cursor } = pagination.toPage(result.rows, limit);
+  res.json({ users: items.map(avatars.withUrls), total, next_cursor });
+}));
 
 module.exports = router;
@@ -0,0 +1,18 @@
+const dotenv = require('dotenv');
+
+// Load environment variables before the pool is created
+dotenv.config();
+
+const pool = require('../config/database');
+const cvText = require('../services/cvText');
+
+// Extract text from every CV still waiting for it (the server also does this in the background)
+cvText.processAll({ log: (message) => console.log(message) })
+  .then(({ processed, extracted }) => {
+    console.log(`Done: ${processed} CV(s) processed, ${extracted} extracted, ${processed - extracted} failed`);
+  })
+  .catch((error) => {
+    console.error('CV text extraction failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,11 @@
+const fs = require('fs');
+const path = require('path');
+const routes = require('../routes');
+const buildOpenApi = require('../validation/openapi');
+
+// Write the OpenAPI document to the given file (default: docs/openapi.json)
+const output = path.resolve(process.argv[2] || path.join(__dirname, '../../docs/openapi.json'));
+
+fs.mkdirSync(path.dirname(output), { recursive: true });
+fs.writeFileSync(output, `${JSON.stringify(buildOpenApi(routes), null, 2)}\n`);
+console.log(`API docs written to ${output}`);
@@ -0,0 +1,123 @@
+const dotenv = require('dotenv');
+
+// Load environment variables before the pool is created
+dotenv.config();
+
+const fs = require('fs');
+const path = require('path');
+const pool = require('../config/database');
+const storage = require('../storage');
+const createLocalDriver = require('../storage/drivers/local');
+
+const usage = `Usage: node server/scripts/migrate-uploads.js [--dry-run] [--delete]
+
+Copies files referenced by "/uploads/..." rows into the configured storage
+backend (STORAGE_DRIVER) and rewrites the rows to storage keys.
+
+Options:
+  --dry-run   Only list what would be migrated
+  --delete    Remove the local copy once a file has been migrated`;
+
+// Where the pre-storage uploads live on disk
+const legacyDir = path.resolve(process.env.LEGACY_UPLOADS_DIR || path.join(__dirname, '../uploads'));
+
+// Columns that may still hold "/uploads/..." paths, and how to rewrite them
+const TARGETS = [
+  {
+    table: 'cvs',
+    column: 'file_url',
+    contentType: () => 'application/pdf',
+    update: (key) => ['file_url = $1', [key]]
+  },
+  {
+    table: 'messages',
+    column: 'attachment_url',
+    contentType: (row) => row.attachment_mime,
+    update: (key) => ['attachment_url = $1', [key]]
+  },
+  {
+    table: 'users',
+    column: 'avatar_url',
+    contentType: () => undefined,
+    update: (key) => ['avatar_key = $1, avatar_url = $2', [key, storage.publicUrl(key)]]
+  }
+];
+
+const migrateRow = async (target, row, { dryRun, deleteLocal, inPlace }) => {
+  const legacyPath = row[target.column];
+  const key = storage.toKey(legacyPath);
+  const filePath = path.join(legacyDir, key);
+
+  if (!fs.existsSync(filePath)) {
+    console.warn(`  ${target.table} #${row.id}: ${filePath} is missing, skipped`);
+    return false;
+  }
+
+  if (dryRun) {
+    console.log(`  ${target.table} #${row.id}: ${legacyPath} -> ${key}`);
+    return true;
+  }
+
+  // The local driver already reads from the legacy directory
+  if (!inPlace) {
+    await storage.put(key, await fs.promises.readFile(filePath), { contentType: target.contentType(row) || undefined });
+  }
+
+  const [assignments, values] = target.update(key);
+  await pool.query(
+    `UPDATE ${target.table} SET ${assignments} WHERE id = $${values.length + 1} AND ${target.column} = $${values.length + 2}`,
+    [...values, row.id, legacyPath]
+  );
+
+  if (deleteLocal && !inPlace) {
+    await fs.promises.rm(filePath, { force: true });
+  }
+
+  console.log(`  ${target.table} #${row.id}: ${legacyPath} -> ${key}`);
+  return true;
+};
+
+const run = async () => {
+  const args = process.argv.slice(2);
+  if (args.some((arg) => !['--dry-run', '--delete'].includes(arg))) {
+    console.log(usage);
+    process.exitCode = 1;
+    return;
+  }
+
+  const driver = storage.getDriver();
+  const options = {
+    dryRun: args.includes('--dry-run'),
+    deleteLocal: args.includes('--delete'),
+    inPlace: driver.name === 'local' && createLocalDriver.root() === legacyDir
+  };
+
+  console.log(`Migrating uploads from ${legacyDir} to the ${driver.name} storage driver${options.dryRun ? ' (dry run)' : ''}`);
+
+  let migrated = 0;
+  let skipped = 0;
+
+  for (const target of TARGETS) {
+    const result = await pool.query(
+      `SELECT * FROM ${target.table} WHERE ${target.column} LIKE '/uploads/%' ORDER BY id`
+    );
+    console.log(`${target.table}.${target.column}: ${result.rows.length} legacy row(s)`);
+
+    for (const row of result.rows) {
+      if (await migrateRow(target, row, options)) {
+        migrated++;
+      } else {
+        skipped++;
+      }
+    }
+  }
+
+  console.log(`\n${migrated} file(s) migrated, ${skipped} skipped`);
+};
+
+run()
+  .catch((error) => {
+    console.error('Upload migration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
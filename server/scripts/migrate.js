@@ -0,0 +1,64 @@
+const dotenv = require('dotenv');
+
+// Load environment variables before the pool is created
+dotenv.config();
+
+const pool = require('../config/database');
+const migrator = require('../db/migrator');
+
+const usage = `Usage: node server/scripts/migrate.js <command>
+
+Commands:
+  up               Apply all pending migrations
+  down [steps]     Revert the last <steps> migrations (default 1)
+  status           Show applied and pending migrations
+  create <name>    Create an empty up/down migration pair`;
+
+const run = async () => {
+  const [command, arg] = process.argv.slice(2);
+  const log = (message) => console.log(message);
+
+  switch (command) {
+    case 'up': {
+      const applied = await migrator.migrate({ log });
+      console.log(applied.length ? `Applied ${applied.length} migration(s)` : 'Database is up to date');
+      break;
+    }
+    case 'down': {
+      const steps = arg === undefined ? 1 : parseInt(arg, 10);
+      if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error('steps must be a positive integer');
+      }
+      const reverted = await migrator.rollback({ steps, log });
+      console.log(reverted.length ? `Reverted ${reverted.length} migration(s)` : 'Nothing to roll back');
+      break;
+    }
+    case 'status': {
+      const rows = await migrator.status();
+      for (const row of rows) {
+        const state = row.applied
+          ? `applied (batch ${row.batch}, ${new Date(row.run_at).toISOString()})`
+          : 'pending';
+        console.log(`${row.name.padEnd(40)} ${state}`);
+      }
+      const pending = rows.filter((row) => !row.applied).length;
+      console.log(`\n${rows.length - pending} applied, ${pending} pending`);
+      break;
+    }
+    case 'create': {
+      const files = migrator.create(arg);
+      files.forEach((file) => console.log(`Created ${file}`));
+      break;
+    }
+    default:
+      console.log(usage);
+      process.exitCode = command ? 1 : 0;
+  }
+};
+
+run()
+  .catch((error) => {
+    console.error('Migration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,44 @@
+const dotenv = require('dotenv');
+
+// Load environment variables before the pool is created
+dotenv.config();
+
+const pool = require('../config/database');
+const moderation = require('../services/moderation');
+
+// Admins are made from the command line, never through the API:
+//   npm run admin:grant -- user@example.com
+//   npm run admin:revoke -- user@example.com
+const [command, email] = process.argv.slice(2);
+
+const run = async () => {
+  if (!['grant', 'revoke'].includes(command) || !email) {
+    throw new Error('Usage: set-admin.js grant|revoke <email>');
+  }
+
+  const role = command === 'grant' ? 'admin' : 'user';
+  const result = await pool.query(
+    'UPDATE users SET role = $1, updated_at = CURRENT_TIMESTAMP WHERE email = $2 RETURNING id, full_name',
+    [role, email]
+  );
+  if (result.rows.length === 0) {
+    throw new Error(`No user with email ${email}`);
+  }
+
+  const user = result.rows[0];
+  await moderation.recordAction(pool, {
+    actorId: null,
+    action: command === 'grant' ? moderation.ACTIONS.GRANT_ADMIN : moderation.ACTIONS.REVOKE_ADMIN,
+    targetType: 'user',
+    targetId: user.id
+  });
+
+  console.log(`${user.full_name} <${email}> is now ${role === 'admin' ? 'an admin' : 'a regular user'}`);
+};
+
+run()
+  .catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
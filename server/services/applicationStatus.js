@@ -0,0 +1,58 @@
+// Hiring pipeline: which statuses an application may move to from each status.
+// A rejected application can only come back through an explicit reopen.
+const TRANSITIONS = {
+  pending: ['reviewed', 'interview', 'rejected'],
+  reviewed: ['interview', 'offer', 'rejected'],
+  interview: ['offer', 'rejected'],
+  offer: ['accepted', 'rejected'],
+  accepted: [],
+  rejected: []
+};
+
+const STATUSES = Object.keys(TRANSITIONS);
+
+// Status a rejected application returns to when reopened
+const REOPEN_STATUS = 'pending';
+
+const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+const allowedTransitions = (from) => TRANSITIONS[from] || [];
+
+// Record a status change; pass a transaction client to keep it atomic with the update
+const recordStatusChange = (db, { applicationId, fromStatus, toStatus, changedBy, note }) => db.query(
+  `INSERT INTO application_status_history (application_id, from_status, to_status, changed_by, note)
+   VALUES ($1, $2, $3, $4, $5)
+   RETURNING *`,
+  [applicationId, fromStatus, toStatus, changedBy, note || null]
+);
+
+// Lock an application owned by the given company for a status change
+const lockOwnedApplication = async (client, applicationId, companyId) => {
+  const result = await client.query(
+    `SELECT a.*, p.title as post_title
+     FROM applications a
+     JOIN posts p ON a.post_id = p.id
+     WHERE a.id = $1 AND p.user_id = $2
+     FOR UPDATE OF a`,
+    [applicationId, companyId]
+  );
+  return result.rows[0] || null;
+};
+
+const updateStatus = async (client, applicationId, status) => {
+  const result = await client.query(
+    'UPDATE applications SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING *',
+    [status, applicationId]
+  );
+  return result.rows[0];
+};
+
+module.exports = {
+  STATUSES,
+  REOPEN_STATUS,
+  canTransition,
+  allowedTransitions,
+  recordStatusChange,
+  lockOwnedApplication,
+  updateStatus
+};
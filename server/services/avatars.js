@@ -0,0 +1,86 @@
+const sharp = require('sharp');
+const storage = require('../storage');
+const { BadRequestError } = require('../errors');
+
+// Square thumbnails generated for every avatar (pixels)
+const SIZES = {
+  small: 64,
+  medium: 256,
+  large: 512
+};
+
+// The size stored in users.avatar_url for clients that only know one URL
+const DEFAULT_SIZE = 'medium';
+
+// Resize an uploaded image into every size. Re-encoding drops EXIF and other
+// metadata (location, camera, ...); rotate() applies the EXIF orientation first.
+const resize = async (buffer) => {
+  const image = sharp(buffer, { failOn: 'error' });
+
+  try {
+    await image.metadata();
+  } catch (error) {
+    throw new BadRequestError('The file is not a readable image', 'IMAGE_UNREADABLE');
+  }
+
+  const variants = {};
+  for (const [size, pixels] of Object.entries(SIZES)) {
+    variants[size] = await image
+      .clone()
+      .rotate()
+      .resize(pixels, pixels, { fit: 'cover' })
+      .webp({ quality: 82 })
+      .toBuffer();
+  }
+  return variants;
+};
+
+// Process and store a new avatar; returns the columns to save on the user
+const store = async (buffer) => {
+  const images = await resize(buffer);
+  const baseKey = storage.createKey('avatars', 'avatar');
+
+  const variants = {};
+  for (const [size, image] of Object.entries(images)) {
+    variants[size] = `${baseKey}-${size}.webp`;
+    await storage.put(variants[size], image, { contentType: 'image/webp' });
+  }
+
+  return {
+    avatar_key: variants[DEFAULT_SIZE],
+    avatar_variants: variants,
+    avatar_url: storage.publicUrl(variants[DEFAULT_SIZE])
+  };
+};
+
+// Delete every stored image of an avatar
+const remove = async ({ avatar_key, avatar_variants }) => {
+  const keys = new Set([avatar_key, ...Object.values(avatar_variants || {})]);
+  for (const key of keys) {
+    await storage.removeSafely(key);
+  }
+};
+
+// { small, medium, large } URLs; older avatars only exist in one size
+const urls = ({ avatar_url, avatar_variants }) => {
+  if (!avatar_url) return null;
+
+  return Object.fromEntries(Object.keys(SIZES).map((size) => [
+    size,
+    avatar_variants?.[size] ? storage.publicUrl(avatar_variants[size]) : avatar_url
+  ]));
+};
+
+// Shape a users row for responses: add avatar_urls, hide storage details
+const withUrls = ({ avatar_key, avatar_variants, ...user }) => ({
+  ...user,
+  avatar_urls: urls({ avatar_url: user.avatar_url, avatar_variants })
+});
+
+module.exports = {
+  SIZES,
+  store,
+  remove,
+  urls,
+  withUrls
+};
@@ -0,0 +1,280 @@
+const pool = require('../config/database');
+const { BadRequestError, ConflictError, ValidationError } = require('../errors');
+
+const SKILL_LEVELS = ['beginner', 'intermediate', 'advanced', 'expert'];
+
+// CEFR levels
+const LANGUAGE_LEVELS = ['a1', 'a2', 'b1', 'b2', 'c1', 'c2', 'native'];
+
+const SALARY_PERIODS = ['hour', 'month', 'year'];
+
+const AVAILABILITY = ['immediately', 'two_weeks', 'one_month', 'three_months', 'not_looking'];
+
+// Most items a single section may hold
+const MAX_ITEMS = 50;
+
+// List sections of a profile. fields are the editable columns; dates are
+// returned as YYYY-MM-DD; range is a [from, to] pair that must be in order;
+// unique is a field that may not repeat (ignoring case).
+const SECTIONS = {
+  experience: {
+    table: 'candidate_experience',
+    fields: ['title', 'company', 'location', 'start_date', 'end_date', 'description'],
+    dates: ['start_date', 'end_date'],
+    range: ['start_date', 'end_date'],
+    order: 'end_date DESC NULLS FIRST, start_date DESC, id DESC'
+  },
+  education: {
+    table: 'candidate_education',
+    fields: ['school', 'degree', 'field_of_study', 'start_date', 'end_date', 'description'],
+    dates: ['start_date', 'end_date'],
+    range: ['start_date', 'end_date'],
+    order: 'end_date DESC NULLS FIRST, start_date DESC NULLS LAST, id DESC'
+  },
+  skills: {
+    table: 'candidate_skills',
+    fields: ['name', 'level', 'years'],
+    unique: 'name',
+    order: 'id'
+  },
+  languages: {
+    table: 'candidate_languages',
+    fields: ['language', 'level'],
+    unique: 'language',
+    order: 'id'
+  },
+  certifications: {
+    table: 'candidate_certifications',
+    fields: ['name', 'issuer', 'issued_on', 'expires_on', 'credential_url'],
+    dates: ['issued_on', 'expires_on'],
+    range: ['issued_on', 'expires_on'],
+    order: 'issued_on DESC NULLS LAST, id DESC'
+  },
+  portfolio: {
+    table: 'candidate_portfolio_links',
+    fields: ['label', 'url'],
+    order: 'id'
+  }
+};
+
+// Columns of candidate_profiles the candidate edits directly
+const PREFERENCE_FIELDS = [
+  'desired_salary_min',
+  'desired_salary_max',
+  'salary_currency',
+  'salary_period',
+  'availability',
+  'available_from'
+];
+
+// What makes a complete profile; the weights add up to 100
+const COMPLETENESS = [
+  { section: 'bio', weight: 10, hint: 'Write a short bio', done: (p) => Boolean(p.bio) },
+  { section: 'avatar', weight: 5, hint: 'Add a profile photo', done: (p) => Boolean(p.avatar_url) },
+  { section: 'cv', weight: 15, hint: 'Upload a CV', done: (p) => p.active_cvs > 0 },
+  { section: 'experience', weight: 20, hint: 'Add your work experience', done: (p) => p.experience.length > 0 },
+  { section: 'education', weight: 10, hint: 'Add your education', done: (p) => p.education.length > 0 },
+  { section: 'skills', weight: 15, hint: 'List at least 3 skills', done: (p) => p.skills.length >= 3 },
+  { section: 'languages', weight: 5, hint: 'Add the languages you speak', done: (p) => p.languages.length > 0 },
+  { section: 'certifications', weight: 5, hint: 'Add your certifications', done: (p) => p.certifications.length > 0 },
+  { section: 'portfolio', weight: 5, hint: 'Link to your portfolio or past work', done: (p) => p.portfolio.length > 0 },
+  {
+    section: 'desired_salary',
+    weight: 5,
+    hint: 'Set your desired salary',
+    done: (p) => p.desired_salary_min !== null || p.desired_salary_max !== null
+  },
+  { section: 'availability', weight: 5, hint: 'Say when you can start', done: (p) => p.availability !== null }
+];
+
+const EMPTY_PREFERENCES = Object.fromEntries(PREFERENCE_FIELDS.map((field) => [field, null]));
+
+const selectColumns = (section) => ['id', ...section.fields.map((field) => (
+  (section.dates || []).includes(field) ? `TO_CHAR(${field}, 'YYYY-MM-DD') AS ${field}` : field
+))];
+
+const completeness = (profile) => {
+  const missing = COMPLETENESS.filter((check) => !check.done(profile));
+  return {
+    score: 100 - missing.reduce((total, check) => total + check.weight, 0),
+    missing: missing.map(({ section, hint }) => ({ section, hint }))
+  };
+};
+
+// Full profiles of several candidates, as a Map by user id
+const getMany = async (userIds) => {
+  const ids = [...new Set(userIds)];
+  const profiles = new Map();
+  if (ids.length === 0) return profiles;
+
+  const users = await pool.query(
+    `SELECT u.id, u.bio, u.avatar_url,
+      cp.desired_salary_min, cp.desired_salary_max, cp.salary_currency, cp.salary_period, cp.availability,
+      TO_CHAR(cp.available_from, 'YYYY-MM-DD') AS available_from,
+      (SELECT COUNT(*)::int FROM cvs c WHERE c.user_id = u.id AND c.is_active) AS active_cvs
+     FROM users u
+     LEFT JOIN candidate_profiles cp ON cp.user_id = u.id
+     WHERE u.id = ANY($1)`,
+    [ids]
+  );
+  for (const { id, ...row } of users.rows) {
+    profiles.set(id, { ...row, ...Object.fromEntries(Object.keys(SECTIONS).map((name) => [name, []])) });
+  }
+
+  for (const [name, section] of Object.entries(SECTIONS)) {
+    const result = await pool.query(
+      `SELECT user_id, ${selectColumns(section).join(', ')}
+       FROM ${section.table}
+       WHERE user_id = ANY($1)
+       ORDER BY ${section.order}`,
+      [ids]
+    );
+    for (const { user_id, ...item } of result.rows) {
+      profiles.get(user_id)[name].push(item);
+    }
+  }
+
+  for (const [id, profile] of profiles) {
+    const { bio, avatar_url, active_cvs, ...rest } = profile;
+    profiles.set(id, { ...rest, completeness: completeness(profile) });
+  }
+  return profiles;
+};
+
+const get = async (userId) => (await getMany([userId])).get(userId);
+
+// Check a range after merging the update into the stored values
+const checkRange = (values, [from, to]) => {
+  if (values[from] && values[to] && values[from] > values[to]) {
+    throw new ValidationError([
+      { location: 'body', field: to, code: 'invalid_range', message: `${to} must not be before ${from}` }
+    ]);
+  }
+};
+
+// 409 when the candidate already has an item with the same unique field
+const checkUnique = async (userId, name, section, value, itemId = 0) => {
+  const result = await pool.query(
+    `SELECT 1 FROM ${section.table}
+     WHERE user_id = $1 AND LOWER(${section.unique}) = LOWER($2) AND id <> $3`,
+    [userId, value, itemId]
+  );
+  if (result.rows.length > 0) {
+    throw new ConflictError(`${value} is already in your ${name}`, 'ALREADY_LISTED');
+  }
+};
+
+const pick = (fields, body) => Object.fromEntries(
+  fields.filter((field) => body[field] !== undefined).map((field) => [field, body[field]])
+);
+
+const addItem = async (userId, name, body) => {
+  const section = SECTIONS[name];
+  const values = pick(section.fields, body);
+
+  const count = await pool.query(`SELECT COUNT(*)::int AS count FROM ${section.table} WHERE user_id = $1`, [userId]);
+  if (count.rows[0].count >= MAX_ITEMS) {
+    throw new BadRequestError(`A profile can list at most ${MAX_ITEMS} ${name} entries`, 'SECTION_FULL');
+  }
+  if (section.range) checkRange(values, section.range);
+  if (section.unique) await checkUnique(userId, name, section, values[section.unique]);
+
+  const columns = ['user_id', ...Object.keys(values)];
+  const result = await pool.query(
+    `INSERT INTO ${section.table} (${columns.join(', ')})
+     VALUES (${columns.map((column, index) => `$${index + 1}`).join(', ')})
+     RETURNING ${selectColumns(section).join(', ')}`,
+    [userId, ...Object.values(values)]
+  );
+  return result.rows[0];
+};
+
+// Change the fields sent; null when the item is not the candidate's
+const updateItem = async (userId, name, itemId, body) => {
+  const section = SECTIONS[name];
+  const values = pick(section.fields, body);
+
+  const current = await pool.query(
+    `SELECT ${selectColumns(section).join(', ')} FROM ${section.table} WHERE id = $1 AND user_id = $2`,
+    [itemId, userId]
+  );
+  if (current.rows.length === 0) return null;
+
+  if (section.range) checkRange({ ...current.rows[0], ...values }, section.range);
+  if (section.unique && values[section.unique]) {
+    await checkUnique(userId, name, section, values[section.unique], itemId);
+  }
+
+  const names = Object.keys(values);
+  const result = await pool.query(
+    `UPDATE ${section.table}
+     SET ${[...names.map((field, index) => `${field} = $${index + 3}`), 'updated_at = CURRENT_TIMESTAMP'].join(', ')}
+     WHERE id = $1 AND user_id = $2
+     RETURNING ${selectColumns(section).join(', ')}`,
+    [itemId, userId, ...names.map((field) => values[field])]
+  );
+  return result.rows[0];
+};
+
+const removeItem = async (userId, name, itemId) => {
+  const result = await pool.query(
+    `DELETE FROM ${SECTIONS[name].table} WHERE id = $1 AND user_id = $2 RETURNING id`,
+    [itemId, userId]
+  );
+  return result.rows.length > 0;
+};
+
+// Desired salary and availability; fields left out are kept
+const updatePreferences = async (userId, body) => {
+  const values = pick(PREFERENCE_FIELDS, body);
+  if (values.salary_currency) values.salary_currency = values.salary_currency.toUpperCase();
+
+  const current = await pool.query('SELECT * FROM candidate_profiles WHERE user_id = $1', [userId]);
+  const merged = { ...EMPTY_PREFERENCES, ...current.rows[0], ...values };
+
+  const errors = [];
+  if (merged.desired_salary_min !== null && merged.desired_salary_max !== null
+    && merged.desired_salary_min > merged.desired_salary_max) {
+    errors.push({
+      location: 'body',
+      field: 'desired_salary_max',
+      code: 'invalid_range',
+      message: 'desired_salary_max must be greater than or equal to desired_salary_min'
+    });
+  }
+  if ((merged.desired_salary_min !== null || merged.desired_salary_max !== null) && !merged.salary_currency) {
+    errors.push({
+      location: 'body',
+      field: 'salary_currency',
+      code: 'required',
+      message: 'salary_currency is required when a salary is given'
+    });
+  }
+  if (errors.length > 0) throw new ValidationError(errors);
+
+  const names = Object.keys(values);
+  const columns = ['user_id', ...names];
+  await pool.query(
+    `INSERT INTO candidate_profiles (${columns.join(', ')})
+     VALUES (${columns.map((column, index) => `$${index + 1}`).join(', ')})
+     ON CONFLICT (user_id) DO UPDATE SET
+       ${[...names.map((field) => `${field} = EXCLUDED.${field}`), 'updated_at = CURRENT_TIMESTAMP'].join(', ')}`,
+    [userId, ...names.map((field) => values[field])]
+  );
+
+  return get(userId);
+};
+
+module.exports = {
+  SKILL_LEVELS,
+  LANGUAGE_LEVELS,
+  SALARY_PERIODS,
+  AVAILABILITY,
+  SECTIONS,
+  get,
+  getMany,
+  addItem,
+  updateItem,
+  removeItem,
+  updatePreferences
+};
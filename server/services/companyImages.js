@@ -0,0 +1,69 @@
+const sharp = require('sharp');
+const storage = require('../storage');
+const { BadRequestError } = require('../errors');
+
+// Sizes generated for company logos (square) and cover images (3:1), in pixels
+const KINDS = {
+  logo: {
+    small: [64, 64],
+    large: [256, 256]
+  },
+  cover: {
+    medium: [750, 250],
+    large: [1500, 500]
+  }
+};
+
+// Resize an uploaded image into every size of its kind; like avatars,
+// re-encoding drops EXIF and other metadata
+const resize = async (kind, buffer) => {
+  const image = sharp(buffer, { failOn: 'error' });
+
+  try {
+    await image.metadata();
+  } catch (error) {
+    throw new BadRequestError('The file is not a readable image', 'IMAGE_UNREADABLE');
+  }
+
+  const variants = {};
+  for (const [size, [width, height]] of Object.entries(KINDS[kind])) {
+    variants[size] = await image
+      .clone()
+      .rotate()
+      .resize(width, height, { fit: 'cover' })
+      .webp({ quality: 82 })
+      .toBuffer();
+  }
+  return variants;
+};
+
+// Process and store a new logo or cover; returns the storage key of each size
+const store = async (kind, buffer) => {
+  const images = await resize(kind, buffer);
+  const baseKey = storage.createKey('company-images', kind);
+
+  const variants = {};
+  for (const [size, image] of Object.entries(images)) {
+    variants[size] = `${baseKey}-${size}.webp`;
+    await storage.put(variants[size], image, { contentType: 'image/webp' });
+  }
+  return variants;
+};
+
+const remove = async (variants) => {
+  for (const key of Object.values(variants || {})) {
+    await storage.removeSafely(key);
+  }
+};
+
+// { size: url } for stored variants, or null
+const urls = (variants) => (variants
+  ? Object.fromEntries(Object.entries(variants).map(([size, key]) => [size, storage.publicUrl(key)]))
+  : null);
+
+module.exports = {
+  KINDS,
+  store,
+  remove,
+  urls
+};
@@ -0,0 +1,239 @@
+const pool = require('../config/database');
+const withTransaction = require('../db/transaction');
+const companyImages = require('./companyImages');
+const moderation = require('./moderation');
+const userTokens = require('./userTokens');
+const mailer = require('../mailer');
+const domains = require('../utils/domains');
+const { BadRequestError, ConflictError, ValidationError } = require('../errors');
+
+const COMPANY_SIZES = ['1-10', '11-50', '51-200', '201-500', '501-1000', '1001-5000', '5001+'];
+
+const SOCIAL_NETWORKS = ['linkedin', 'twitter', 'facebook', 'instagram', 'github', 'youtube'];
+
+// Columns a company edits directly (logo and cover are uploads)
+const FIELDS = ['website', 'industry', 'company_size', 'headquarters', 'locations', 'founded_year', 'benefits', 'social_links'];
+
+// Profile of a company that has not filled anything in yet
+const EMPTY = {
+  website: null,
+  industry: null,
+  company_size: null,
+  headquarters: null,
+  locations: [],
+  founded_year: null,
+  benefits: [],
+  social_links: {},
+  logo_variants: null,
+  cover_variants: null,
+  verified_domain: null,
+  updated_at: null
+};
+
+// Author columns for post queries (author alias "u"): the verified badge and a
+// summary of the company profile; withAuthorCompany finishes the summary
+const AUTHOR_COLUMNS = `(u.verified_at IS NOT NULL) AS author_verified,
+  (
+    SELECT json_build_object('website', acp.website, 'industry', acp.industry, 'company_size', acp.company_size,
+      'headquarters', acp.headquarters, 'logo_variants', acp.logo_variants)
+    FROM company_profiles acp WHERE acp.user_id = u.id
+  ) AS author_company`;
+
+const withAuthorCompany = (posts) => posts.map((post) => {
+  if (!post.author_company) return post;
+
+  const { logo_variants, ...company } = post.author_company;
+  return { ...post, author_company: { ...company, logo_urls: companyImages.urls(logo_variants) } };
+});
+
+// Hostname of a website without "www.", or null
+const domainOf = (website) => {
+  try {
+    return new URL(website).hostname.toLowerCase().replace(/^www\./, '');
+  } catch (error) {
+    return null;
+  }
+};
+
+// An address on the domain or one of its subdomains
+const isOnDomain = (email, domain) => {
+  const host = email.split('@').pop().toLowerCase();
+  return host === domain || host.endsWith(`.${domain}`);
+};
+
+// Free-mail providers and public suffixes cannot verify a company
+const isVerifiable = (domain) => !domains.isFreeMail(domain) && !domains.isPublicSuffix(domain);
+
+// Shape a company_profiles row for responses: image URLs instead of storage keys
+const shape = (row) => {
+  const { user_id, logo_variants, cover_variants, domain_verification_email, created_at, ...profile } = { ...EMPTY, ...row };
+  return {
+    ...profile,
+    logo_urls: companyImages.urls(logo_variants),
+    cover_urls: companyImages.urls(cover_variants)
+  };
+};
+
+const getRow = async (db, userId, { lock = false } = {}) => {
+  const result = await db.query(
+    `SELECT * FROM company_profiles WHERE user_id = $1${lock ? ' FOR UPDATE' : ''}`,
+    [userId]
+  );
+  return result.rows[0] || null;
+};
+
+// A company's full profile, with its verified badge
+const get = async (userId) => {
+  const result = await pool.query(
+    `SELECT cp.*, (u.verified_at IS NOT NULL) AS verified
+     FROM users u
+     LEFT JOIN company_profiles cp ON cp.user_id = u.id
+     WHERE u.id = $1`,
+    [userId]
+  );
+  const { verified, ...row } = result.rows[0];
+  return { ...shape(row.user_id ? row : {}), verified };
+};
+
+// Drop a verification that rests on a domain the website no longer uses
+const checkVerifiedDomain = async (db, row) => {
+  if (!row.verified_domain || domainOf(row.website) === row.verified_domain) return;
+
+  await db.query('UPDATE users SET verified_at = NULL WHERE id = $1', [row.user_id]);
+  await db.query('UPDATE company_profiles SET verified_domain = NULL WHERE user_id = $1', [row.user_id]);
+};
+
+// Save the given fields (see FIELDS), creating the profile on first use
+const update = async (userId, values) => {
+  await withTransaction(async (client) => {
+    const names = Object.keys(values);
+    const columns = ['user_id', ...names];
+
+    const result = await client.query(
+      `INSERT INTO company_profiles (${columns.join(', ')})
+       VALUES (${columns.map((name, index) => `$${index + 1}`).join(', ')})
+       ON CONFLICT (user_id) DO UPDATE SET
+         ${[...names.map((name) => `${name} = EXCLUDED.${name}`), 'updated_at = CURRENT_TIMESTAMP'].join(', ')}
+       RETURNING *`,
+      [userId, ...names.map((name) => values[name])]
+    );
+
+    await checkVerifiedDomain(client, result.rows[0]);
+  });
+
+  return get(userId);
+};
+
+// Replace the logo or cover image; the old images are deleted afterwards
+const setImage = async (userId, kind, buffer) => {
+  const variants = await companyImages.store(kind, buffer);
+  const column = `${kind}_variants`;
+
+  let previous;
+  try {
+    previous = await withTransaction(async (client) => {
+      const current = await getRow(client, userId, { lock: true });
+      await client.query(
+        `INSERT INTO company_profiles (user_id, ${column}) VALUES ($1, $2)
+         ON CONFLICT (user_id) DO UPDATE SET ${column} = EXCLUDED.${column}, updated_at = CURRENT_TIMESTAMP`,
+        [userId, variants]
+      );
+      return current && current[column];
+    });
+  } catch (error) {
+    await companyImages.remove(variants);
+    throw error;
+  }
+
+  await companyImages.remove(previous);
+  return get(userId);
+};
+
+// Domain verification, step 1: mail a link to an address on the website's domain
+const requestDomainVerification = async (userId, email) => {
+  const result = await pool.query(
+    `SELECT u.full_name, cp.website FROM users u
+     LEFT JOIN company_profiles cp ON cp.user_id = u.id
+     WHERE u.id = $1`,
+    [userId]
+  );
+  const row = result.rows[0];
+  const domain = domainOf(row.website);
+  if (!domain) {
+    throw new BadRequestError('Add the company website to the profile first', 'WEBSITE_REQUIRED');
+  }
+
+  if (!isVerifiable(domain)) {
+    throw new BadRequestError(`${domain} is a shared or free-mail domain and cannot verify a company`, 'DOMAIN_NOT_VERIFIABLE');
+  }
+
+  if (!isOnDomain(email, domain)) {
+    throw new ValidationError([
+      { location: 'body', field: 'email', code: 'domain_mismatch', message: `email must be an address on ${domain}` }
+    ]);
+  }
+
+  const taken = await pool.query(
+    'SELECT 1 FROM company_profiles WHERE verified_domain = $1 AND user_id <> $2',
+    [domain, userId]
+  );
+  if (taken.rows.length > 0) {
+    throw new ConflictError('This domain is already verified by another company', 'DOMAIN_TAKEN');
+  }
+
+  await pool.query(
+    'UPDATE company_profiles SET domain_verification_email = $1 WHERE user_id = $2',
+    [email, userId]
+  );
+
+  const token = await userTokens.createToken(userId, userTokens.PURPOSES.COMPANY_DOMAIN);
+  await mailer.sendSafely(email, 'companyDomainVerification', { full_name: row.full_name, domain, token });
+
+  return domain;
+};
+
+// Step 2: the link's token verifies the company, as long as the website still
+// uses the domain. Returns the verified domain, or null for a bad token.
+// Another company verifying the domain first fails on the unique index (DOMAIN_TAKEN).
+const confirmDomainVerification = (token) => withTransaction(async (client) => {
+  const userId = await userTokens.consumeToken(client, token, userTokens.PURPOSES.COMPANY_DOMAIN);
+  if (!userId) return null;
+
+  const row = await getRow(client, userId, { lock: true });
+  const domain = row && domainOf(row.website);
+  if (!domain || !isVerifiable(domain) || !row.domain_verification_email ||
+    !isOnDomain(row.domain_verification_email, domain)) {
+    return null;
+  }
+
+  await client.query(
+    'UPDATE company_profiles SET verified_domain = $1, domain_verification_email = NULL WHERE user_id = $2',
+    [domain, userId]
+  );
+  await client.query(
+    'UPDATE users SET verified_at = COALESCE(verified_at, CURRENT_TIMESTAMP) WHERE id = $1',
+    [userId]
+  );
+  await moderation.recordAction(client, {
+    actorId: userId,
+    action: moderation.ACTIONS.VERIFY_COMPANY,
+    targetType: 'user',
+    targetId: userId,
+    details: { method: 'email_domain', domain }
+  });
+
+  return domain;
+});
+
+module.exports = {
+  COMPANY_SIZES,
+  SOCIAL_NETWORKS,
+  FIELDS,
+  AUTHOR_COLUMNS,
+  withAuthorCompany,
+  get,
+  update,
+  setImage,
+  requestDomainVerification,
+  confirmDomainVerification
+};
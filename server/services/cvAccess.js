@@ -0,0 +1,87 @@
+const pool = require('../config/database');
+const signedUrls = require('../utils/signedUrls');
+const moderation = require('./moderation');
+const privacy = require('./privacy');
+const { ForbiddenError, NotFoundError } = require('../errors');
+
+// SQL condition: companies may find the candidate (users alias) through CV
+// search. viewerRef is the company searching.
+const searchable = (alias, viewerRef) => `(${alias}.cv_searchable AND ${alias}.open_to_work
+  AND NOT ${moderation.isSuspended(alias)} AND ${privacy.notBlocked(alias, viewerRef)})`;
+
+// A CV can be read by its owner, by companies that received an application
+// with it, by anyone who can see a find_job post its owner attached it to,
+// and by companies when it is active and the candidate is searchable. Nobody
+// but the owner can read it while the owner and the viewer block each other.
+// Alias "c" is the CV and $2 the viewer.
+const ACCESS_CONDITION = `(
+  c.user_id = $2
+  OR (NOT ${privacy.blockedBetween('c.user_id', '$2::integer')} AND (
+    EXISTS (
+      SELECT 1 FROM applications a
+      JOIN posts p ON a.post_id = p.id
+      WHERE a.cv_id = c.id AND p.user_id = $2
+    )
+    OR EXISTS (
+      SELECT 1 FROM posts p
+      JOIN users u ON p.user_id = u.id
+      WHERE p.attached_cv_id = c.id AND p.user_id = c.user_id AND p.post_type = 'find_job'
+      AND ${privacy.visiblePost('$2')}
+    )
+    OR (
+      c.is_active
+      AND EXISTS (SELECT 1 FROM users owner WHERE owner.id = c.user_id AND ${searchable('owner', '$2')})
+      AND EXISTS (SELECT 1 FROM users viewer WHERE viewer.id = $2 AND viewer.account_type = 'company')
+    )
+  ))
+)`;
+
+// Load a CV the user is allowed to read, or throw 404/403
+const getAccessibleCv = async (cvId, userId) => {
+  const result = await pool.query(
+    `SELECT c.id, c.user_id, c.file_url, ${ACCESS_CONDITION} as can_access FROM cvs c WHERE c.id = $1`,
+    [cvId, userId]
+  );
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError('CV not found');
+  }
+
+  const { can_access, ...cv } = result.rows[0];
+  if (!can_access) {
+    throw new ForbiddenError('Not authorized to view this CV');
+  }
+
+  return cv;
+};
+
+const downloadPath = (cvId) => `/api/cvs/${cvId}/download`;
+
+// Signed download link bound to the viewer, so the download can be attributed
+const signDownloadUrl = (cvId, viewerId) => signedUrls.sign(downloadPath(cvId), { viewer: viewerId });
+
+// Replace raw storage paths in query rows with signed links for the viewer
+const withDownloadUrls = (rows, viewerId, idField = 'cv_id', urlField = 'cv_file_url') => rows.map((row) => ({
+  ...row,
+  [urlField]: row[idField] ? signDownloadUrl(row[idField], viewerId).url : null
+}));
+
+// Owners opening their own CV are not logged
+const recordDownload = async (cv, viewerId) => {
+  if (cv.user_id === viewerId) return;
+
+  await pool.query(
+    'INSERT INTO cv_downloads (cv_id, viewer_id) VALUES ($1, $2)',
+    [cv.id, viewerId]
+  );
+};
+
+module.exports = {
+  searchable,
+  ACCESS_CONDITION,
+  getAccessibleCv,
+  downloadPath,
+  signDownloadUrl,
+  withDownloadUrls,
+  recordDownload
+};
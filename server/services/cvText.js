@@ -0,0 +1,99 @@
+const pool = require('../config/database');
+const withTransaction = require('../db/transaction');
+const storage = require('../storage');
+const pdf = require('./pdf');
+
+const BATCH_SIZE = 20;
+const INTERVAL_MS = 5 * 60 * 1000;
+
+let started = false;
+
+const readFile = async (key) => {
+  const file = await storage.getStream(key);
+  if (!file) {
+    throw new Error(`CV file ${key} not found`);
+  }
+
+  const chunks = [];
+  for await (const chunk of file.stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+// Extract and store a CV's text; failures are recorded on the row, not thrown
+const extract = async (cv, buffer, db = pool) => {
+  try {
+    const text = await pdf.extractText(buffer || await readFile(cv.file_url));
+    await db.query(
+      `UPDATE cvs SET content_text = $1, text_status = 'extracted', text_extracted_at = CURRENT_TIMESTAMP
+       WHERE id = $2`,
+      [text, cv.id]
+    );
+    return true;
+  } catch (error) {
+    console.error(`CV text extraction failed (cv ${cv.id}):`, error.message);
+    await db.query(
+      `UPDATE cvs SET text_status = 'failed', text_extracted_at = CURRENT_TIMESTAMP WHERE id = $1`,
+      [cv.id]
+    );
+    return false;
+  }
+};
+
+// Extract text for CVs uploaded before extraction existed (or while it was down).
+// SKIP LOCKED lets several server processes share the work.
+const processPending = ({ limit = BATCH_SIZE } = {}) => withTransaction(async (client) => {
+  const result = await client.query(
+    `SELECT id, file_url FROM cvs
+     WHERE text_status = 'pending'
+     ORDER BY id
+     LIMIT $1
+     FOR UPDATE SKIP LOCKED`,
+    [limit]
+  );
+
+  let extracted = 0;
+  for (const cv of result.rows) {
+    if (await extract(cv, null, client)) {
+      extracted++;
+    }
+  }
+
+  return { processed: result.rows.length, extracted };
+});
+
+// Keep taking batches until nothing is pending
+const processAll = async ({ log = () => {} } = {}) => {
+  const totals = { processed: 0, extracted: 0 };
+  let batch;
+
+  do {
+    batch = await processPending();
+    totals.processed += batch.processed;
+    totals.extracted += batch.extracted;
+    if (batch.processed > 0) {
+      log(`Processed ${totals.processed} CV(s), ${totals.extracted} extracted`);
+    }
+  } while (batch.processed === BATCH_SIZE);
+
+  return totals;
+};
+
+const run = () => processAll()
+  .catch((error) => console.error('CV text extraction job error:', error.message));
+
+// Background job: work through pending CVs now and every few minutes
+const start = () => {
+  if (started) return;
+  started = true;
+  run();
+  setInterval(run, INTERVAL_MS).unref();
+};
+
+module.exports = {
+  extract,
+  processPending,
+  processAll,
+  start
+};
@@ -0,0 +1,55 @@
+const pool = require('../config/database');
+const { TooManyRequestsError } = require('../errors');
+
+// Failed logins allowed before an account is locked
+const FREE_ATTEMPTS = Number(process.env.LOGIN_LOCKOUT_ATTEMPTS) || 5;
+
+// The first lock lasts a minute and every further failure doubles it, up to an hour
+const BASE_LOCK_SECONDS = 60;
+const MAX_LOCK_SECONDS = 60 * 60;
+
+// Throw ACCOUNT_LOCKED while the account is locked, even for the right password
+const assertNotLocked = async (userId) => {
+  const result = await pool.query(
+    `SELECT CEIL(EXTRACT(EPOCH FROM locked_until - CURRENT_TIMESTAMP))::int AS retry_after
+     FROM users WHERE id = $1 AND locked_until > CURRENT_TIMESTAMP`,
+    [userId]
+  );
+
+  if (result.rows.length > 0) {
+    throw new TooManyRequestsError(
+      'Account temporarily locked after too many failed login attempts',
+      'ACCOUNT_LOCKED',
+      { retry_after: result.rows[0].retry_after }
+    );
+  }
+};
+
+// Count a wrong password; locks the account once the free attempts are used up
+const recordFailure = async (userId) => {
+  await pool.query(
+    `UPDATE users SET
+       failed_login_count = failed_login_count + 1,
+       locked_until = CASE WHEN failed_login_count + 1 >= $2
+         THEN CURRENT_TIMESTAMP + make_interval(secs => LEAST($3 * power(2, failed_login_count + 1 - $2), $4))
+         ELSE locked_until END
+     WHERE id = $1`,
+    [userId, FREE_ATTEMPTS, BASE_LOCK_SECONDS, MAX_LOCK_SECONDS]
+  );
+};
+
+// Successful login or password reset
+const clear = async (db, userId) => {
+  await db.query(
+    `UPDATE users SET failed_login_count = 0, locked_until = NULL
+     WHERE id = $1 AND (failed_login_count > 0 OR locked_until IS NOT NULL)`,
+    [userId]
+  );
+};
+
+module.exports = {
+  FREE_ATTEMPTS,
+  assertNotLocked,
+  recordFailure,
+  clear
+};
@@ -0,0 +1,253 @@
+const pool = require('../config/database');
+const pagination = require('../utils/pagination');
+const cvAccess = require('./cvAccess');
+const { IS_CLOSED } = require('./postLifecycle');
+const { isSuspended } = require('./moderation');
+const { visiblePost, profileVisible, blockedBetween } = require('./privacy');
+const { AUTHOR_COLUMNS } = require('./companyProfiles');
+
+// Points each factor contributes to a match score (0-100)
+const WEIGHTS = {
+  skills: 40,
+  text: 25,
+  role: 15,
+  location: 10,
+  salary: 10
+};
+
+// What we know about candidates (alias "cp"): the skills and desired salary
+// of their candidate profile, plus the skills, roles, locations and salary
+// from their find_job posts, leaving out posts hidden by a moderator. The
+// profile's salary wins over a post's. CV text is matched separately.
+// where restricts the candidates (alias "u") before their profiles are built.
+const candidateProfiles = (where) => `(
+  SELECT
+    u.id AS user_id,
+    ARRAY(
+      SELECT LOWER(TRIM(cs.name)) FROM candidate_skills cs WHERE cs.user_id = u.id
+      UNION
+      SELECT skill FROM posts fp, unnest(fp.skills) skill
+      WHERE fp.user_id = u.id AND fp.post_type = 'find_job' AND fp.hidden_at IS NULL
+    ) AS skills,
+    ARRAY(
+      SELECT DISTINCT fp.desired_role FROM posts fp
+      WHERE fp.user_id = u.id AND fp.post_type = 'find_job' AND fp.hidden_at IS NULL AND fp.desired_role IS NOT NULL
+    ) AS roles,
+    ARRAY(
+      SELECT DISTINCT fp.location FROM posts fp
+      WHERE fp.user_id = u.id AND fp.post_type = 'find_job' AND fp.hidden_at IS NULL AND fp.location IS NOT NULL
+    ) AS locations,
+    salary.expected_salary,
+    salary.salary_currency
+  FROM users u
+  LEFT JOIN LATERAL (
+    SELECT expected_salary, salary_currency FROM (
+      SELECT 0 AS source, COALESCE(pr.desired_salary_min, pr.desired_salary_max) AS expected_salary,
+        pr.salary_currency, pr.updated_at AS created_at
+      FROM candidate_profiles pr
+      WHERE pr.user_id = u.id AND pr.salary_currency IS NOT NULL
+      AND COALESCE(pr.desired_salary_min, pr.desired_salary_max) IS NOT NULL
+      UNION ALL
+      SELECT 1, fp.expected_salary, fp.salary_currency, fp.created_at FROM posts fp
+      WHERE fp.user_id = u.id AND fp.post_type = 'find_job' AND fp.hidden_at IS NULL AND fp.expected_salary IS NOT NULL
+    ) salaries
+    ORDER BY source, created_at DESC
+    LIMIT 1
+  ) salary ON true
+  WHERE u.account_type = 'candidate' AND ${where}
+)`;
+
+// Score factors for a job post "p" and a candidate profile "cp". cvCondition
+// restricts which of the candidate's CVs (alias "c") may be read.
+const factors = (cvCondition) => `
+  cardinality(p.skills) AS required_skill_count,
+  ARRAY(
+    SELECT skill FROM unnest(p.skills) skill
+    WHERE skill = ANY(cp.skills) OR EXISTS (
+      SELECT 1 FROM cvs c
+      WHERE c.user_id = cp.user_id AND ${cvCondition}
+      AND c.search_vector @@ plainto_tsquery('english', skill)
+    )
+  ) AS matched_skills,
+  COALESCE((
+    SELECT max(ts_rank_cd(c.search_vector, terms.query, 32)) FROM cvs c
+    WHERE c.user_id = cp.user_id AND ${cvCondition}
+  ), 0) AS text_rank,
+  (
+    SELECT role FROM unnest(cp.roles) role
+    WHERE to_tsvector('english', p.title) @@ plainto_tsquery('english', role)
+    LIMIT 1
+  ) AS matched_role,
+  CASE WHEN p.work_mode = 'remote' THEN 'remote' ELSE (
+    SELECT location FROM unnest(cp.locations) location
+    WHERE p.location ILIKE '%' || location || '%' OR location ILIKE '%' || p.location || '%'
+    LIMIT 1
+  ) END AS matched_location,
+  COALESCE(
+    p.salary_currency = cp.salary_currency AND COALESCE(p.salary_max, p.salary_min) >= cp.expected_salary,
+    false
+  ) AS salary_match
+`;
+
+// Any term of the post's title or skills, for ranking CV text
+const JOB_TERMS = `CROSS JOIN LATERAL (
+  SELECT replace(
+    plainto_tsquery('english', p.title || ' ' || array_to_string(p.skills, ' '))::text, '&', '|'
+  )::tsquery AS query
+) terms`;
+
+// Rank CV text on a 0-1 scale; ts_rank_cd(..., 32) rarely gets close to 1 on its own
+const TEXT_SCALE = 2;
+
+const SCORE = `round(
+  ${WEIGHTS.skills} * COALESCE(cardinality(m.matched_skills)::numeric / NULLIF(m.required_skill_count, 0), 0) +
+  ${WEIGHTS.text} * LEAST(m.text_rank * ${TEXT_SCALE}, 1) +
+  ${WEIGHTS.role} * (m.matched_role IS NOT NULL)::int +
+  ${WEIGHTS.location} * (m.matched_location IS NOT NULL)::int +
+  ${WEIGHTS.salary} * m.salary_match::int
+)::int`;
+
+// Best first; keys refer to the scored row "m"
+const RECOMMEND_ORDER = pagination.keyset([
+  { sql: SCORE, direction: 'desc' },
+  { sql: 'm.created_at', direction: 'desc' },
+  { sql: 'm.id', direction: 'desc' }
+]);
+
+const MATCH_ORDER = pagination.keyset([
+  { sql: SCORE, direction: 'desc' },
+  { sql: 'm.id', direction: 'asc' }
+]);
+
+// Turn the factor columns of a scored row into a list of reasons
+const reasons = (row) => {
+  const list = [];
+  const add = (factor, points, message, extra = {}) => {
+    if (points > 0) list.push({ factor, points: Math.round(points), message, ...extra });
+  };
+
+  if (row.required_skill_count > 0) {
+    add(
+      'skills',
+      WEIGHTS.skills * row.matched_skills.length / row.required_skill_count,
+      `Matches ${row.matched_skills.length} of ${row.required_skill_count} required skills`,
+      { skills: row.matched_skills }
+    );
+  }
+  add('text', WEIGHTS.text * Math.min(row.text_rank * TEXT_SCALE, 1), 'CV mentions terms from the job post');
+  if (row.matched_role) {
+    add('role', WEIGHTS.role, `Job title fits the desired role "${row.matched_role}"`);
+  }
+  if (row.matched_location) {
+    add('location', WEIGHTS.location, row.matched_location === 'remote'
+      ? 'Remote position'
+      : `Location matches ${row.matched_location}`);
+  }
+  if (row.salary_match) {
+    add('salary', WEIGHTS.salary, 'Salary meets the expected salary');
+  }
+
+  return list.sort((a, b) => b.points - a.points);
+};
+
+const FACTOR_COLUMNS = ['required_skill_count', 'matched_skills', 'text_rank', 'matched_role', 'matched_location', 'salary_match'];
+
+// Replace the factor columns of scored rows with reasons
+const withReasons = (rows) => rows.map((row) => {
+  const result = { ...row, reasons: reasons(row) };
+  FACTOR_COLUMNS.forEach((column) => delete result[column]);
+  return result;
+});
+
+// Open job posts scored against a candidate, best first; skips posts they applied to
+const recommendPosts = async (candidateId, { cursor, limit, offset }) => {
+  const params = [candidateId];
+  const after = cursor ? `AND ${RECOMMEND_ORDER.after(cursor, params)}` : '';
+
+  const result = await pool.query(
+    `SELECT m.*, ${SCORE} AS score, ${RECOMMEND_ORDER.select}
+    FROM (
+      SELECT
+        p.*,
+        u.full_name as author_name,
+        u.account_type as author_type,
+        u.avatar_url as author_avatar,
+        ${AUTHOR_COLUMNS},
+        ${factors('c.is_active')}
+      FROM posts p
+      JOIN users u ON p.user_id = u.id
+      CROSS JOIN ${candidateProfiles('u.id = $1')} cp
+      ${JOB_TERMS}
+      WHERE p.post_type = 'find_candidate' AND NOT ${IS_CLOSED} AND ${visiblePost('$1')}
+      AND NOT EXISTS (SELECT 1 FROM applications a WHERE a.post_id = p.id AND a.applicant_id = $1)
+    ) m
+    WHERE ${SCORE} > 0 ${after}
+    ORDER BY ${RECOMMEND_ORDER.orderBy}
+    LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit + 1, offset]
+  );
+
+  const { items, next_cursor } = pagination.toPage(result.rows, limit);
+  return { items: withReasons(items), next_cursor };
+};
+
+// Candidates scored against a company's job post, best first. Only CVs the
+// company may read count, and candidates without profile skills or salary, a
+// visible find_job post or such a CV have nothing to match on. Candidates not
+// open to work only show up once they applied; blocked, suspended and private
+// candidates never do.
+const matchCandidates = async (post, companyId, { cursor, limit, offset }) => {
+  const cvCondition = `c.is_active AND ${cvAccess.ACCESS_CONDITION}`;
+  const hasProfile = `(
+    EXISTS (SELECT 1 FROM candidate_skills cs WHERE cs.user_id = u.id)
+    OR EXISTS (
+      SELECT 1 FROM candidate_profiles pr
+      WHERE pr.user_id = u.id AND COALESCE(pr.desired_salary_min, pr.desired_salary_max) IS NOT NULL
+    )
+    OR EXISTS (SELECT 1 FROM posts fp WHERE fp.user_id = u.id AND fp.post_type = 'find_job' AND fp.hidden_at IS NULL)
+    OR EXISTS (SELECT 1 FROM cvs c WHERE c.user_id = u.id AND ${cvCondition})
+  )`;
+  const params = [post.id, companyId];
+  const after = cursor ? `AND ${MATCH_ORDER.after(cursor, params)}` : '';
+
+  const result = await pool.query(
+    `SELECT m.*, ${SCORE} AS score, ${MATCH_ORDER.select}
+    FROM (
+      SELECT
+        cu.id,
+        cu.full_name,
+        cu.bio,
+        cu.avatar_url,
+        cu.avatar_variants,
+        (
+          SELECT fp.id FROM posts fp
+          WHERE fp.user_id = cu.id AND fp.post_type = 'find_job' AND fp.hidden_at IS NULL
+          ORDER BY fp.created_at DESC
+          LIMIT 1
+        ) AS find_job_post_id,
+        EXISTS (SELECT 1 FROM applications a WHERE a.post_id = p.id AND a.applicant_id = cu.id) AS has_applied,
+        ${factors(cvCondition)}
+      FROM posts p
+      CROSS JOIN ${candidateProfiles(`NOT ${isSuspended('u')} AND ${hasProfile}`)} cp
+      JOIN users cu ON cu.id = cp.user_id
+      ${JOB_TERMS}
+      WHERE p.id = $1 AND NOT ${blockedBetween('cu.id', '$2')}
+      AND ${profileVisible('cu', '$2')} AND (cu.open_to_work OR EXISTS (
+        SELECT 1 FROM applications oa WHERE oa.post_id = p.id AND oa.applicant_id = cu.id
+      ))
+    ) m
+    WHERE ${SCORE} > 0 ${after}
+    ORDER BY ${MATCH_ORDER.orderBy}
+    LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit + 1, offset]
+  );
+
+  const { items, next_cursor } = pagination.toPage(result.rows, limit);
+  return { items: withReasons(items), next_cursor };
+};
+
+module.exports = {
+  WEIGHTS,
+  recommendPosts,
+  matchCandidates
+};
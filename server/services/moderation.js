@@ -0,0 +1,85 @@
+const { ForbiddenError } = require('../errors');
+
+const REPORT_TARGETS = ['post', 'user', 'message'];
+
+const REPORT_REASONS = ['spam', 'scam', 'harassment', 'inappropriate', 'impersonation', 'other'];
+
+const REPORT_STATUSES = ['open', 'resolved', 'dismissed'];
+
+// Actions written to the audit log
+const ACTIONS = {
+  HIDE_POST: 'hide_post',
+  UNHIDE_POST: 'unhide_post',
+  DELETE_POST: 'delete_post',
+  SUSPEND_USER: 'suspend_user',
+  BAN_USER: 'ban_user',
+  REINSTATE_USER: 'reinstate_user',
+  VERIFY_COMPANY: 'verify_company',
+  UNVERIFY_COMPANY: 'unverify_company',
+  RESOLVE_REPORT: 'resolve_report',
+  DISMISS_REPORT: 'dismiss_report',
+  GRANT_ADMIN: 'grant_admin',
+  REVOKE_ADMIN: 'revoke_admin'
+};
+
+// SQL condition for a user (given alias) who is currently suspended or banned
+const isSuspended = (alias) => `(${alias}.suspended_at IS NOT NULL AND (
+  ${alias}.suspended_until IS NULL OR ${alias}.suspended_until > CURRENT_TIMESTAMP
+))`;
+
+// SQL condition for a post (alias "p", author alias "u") that viewerRef may see:
+// posts hidden by a moderator or written by a suspended account are left out,
+// except for their author.
+const visiblePost = (viewerRef) => `(p.user_id = ${viewerRef} OR (p.hidden_at IS NULL AND NOT ${isSuspended('u')}))`;
+
+// Columns for suspensionError, selected from a users alias
+const suspensionColumns = (alias) => `${isSuspended(alias)} AS is_suspended,
+  ${alias}.suspended_until, ${alias}.suspension_reason`;
+
+// The error for a suspended user, or null
+const suspensionError = (user) => {
+  if (!user.is_suspended) return null;
+
+  if (!user.suspended_until) {
+    return new ForbiddenError('This account has been banned', 'ACCOUNT_BANNED', { reason: user.suspension_reason });
+  }
+  return new ForbiddenError('This account is suspended', 'ACCOUNT_SUSPENDED', {
+    reason: user.suspension_reason,
+    suspended_until: user.suspended_until
+  });
+};
+
+// Write a moderation action to the audit log
+const recordAction = async (db, { actorId, action, targetType, targetId, reason = null, details = {} }) => {
+  const result = await db.query(
+    `INSERT INTO audit_log (actor_id, action, target_type, target_id, reason, details)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING *`,
+    [actorId, action, targetType, targetId, reason, details]
+  );
+  return result.rows[0];
+};
+
+// Close the open reports about something a moderator just acted on
+const resolveReports = async (db, { targetType, targetId, resolvedBy, note }) => {
+  const result = await db.query(
+    `UPDATE reports SET status = 'resolved', resolved_by = $3, resolved_at = CURRENT_TIMESTAMP, resolution_note = $4
+     WHERE target_type = $1 AND target_id = $2 AND status = 'open'
+     RETURNING id`,
+    [targetType, targetId, resolvedBy, note]
+  );
+  return result.rows.map((row) => row.id);
+};
+
+module.exports = {
+  REPORT_TARGETS,
+  REPORT_REASONS,
+  REPORT_STATUSES,
+  ACTIONS,
+  isSuspended,
+  visiblePost,
+  suspensionColumns,
+  suspensionError,
+  recordAction,
+  resolveReports
+};
@@ -0,0 +1,78 @@
+const pool = require('../config/database');
+const realtime = require('./realtime');
+
+const TYPES = {
+  APPLICATION_RECEIVED: 'application_received',
+  APPLICATION_STATUS_CHANGED: 'application_status_changed',
+  NEW_FOLLOWER: 'new_follower',
+  NEW_POST: 'new_post',
+  POST_CLOSING_SOON: 'post_closing_soon',
+  POST_CLOSED: 'post_closed',
+  POST_MODERATED: 'post_moderated'
+};
+
+const ALL_TYPES = Object.values(TYPES);
+
+// Push freshly created notifications to their recipients' open streams
+const push = async (rows) => {
+  await Promise.all(rows.map((row) => realtime.publish(row.user_id, realtime.EVENTS.NOTIFICATION, {
+    notification: row
+  })));
+  return rows;
+};
+
+// Create a notification for one user unless they turned this type off
+const notify = async ({ userId, type, actorId = null, entityType = null, entityId = null, data = {} }) => {
+  const result = await pool.query(
+    `INSERT INTO notifications (user_id, type, actor_id, entity_type, entity_id, data)
+     SELECT $1::int, $2::varchar, $3::int, $4::varchar, $5::int, $6::jsonb
+     WHERE NOT EXISTS (
+       SELECT 1 FROM notification_preferences
+       WHERE user_id = $1 AND type = $2 AND enabled = false
+     )
+     RETURNING *`,
+    [userId, type, actorId, entityType, entityId, data]
+  );
+  return push(result.rows);
+};
+
+// Notify everyone following actorId (respecting each follower's preferences)
+const notifyFollowers = async ({ actorId, type, entityType = null, entityId = null, data = {} }) => {
+  const result = await pool.query(
+    `INSERT INTO notifications (user_id, type, actor_id, entity_type, entity_id, data)
+     SELECT f.follower_id, $2::varchar, $1::int, $3::varchar, $4::int, $5::jsonb
+     FROM follows f
+     WHERE f.following_id = $1
+     AND NOT EXISTS (
+       SELECT 1 FROM notification_preferences np
+       WHERE np.user_id = f.follower_id AND np.type = $2 AND np.enabled = false
+     )
+     RETURNING *`,
+    [actorId, type, entityType, entityId, data]
+  );
+  return push(result.rows);
+};
+
+// Notifications are a side effect: never fail the request that triggered them
+const safely = (promise, context) => promise.catch((error) => {
+  console.error(`Notification error (${context}):`, error);
+  return [];
+});
+
+const getPreferences = async (userId) => {
+  const result = await pool.query(
+    'SELECT type, enabled FROM notification_preferences WHERE user_id = $1',
+    [userId]
+  );
+  const stored = Object.fromEntries(result.rows.map((row) => [row.type, row.enabled]));
+  return Object.fromEntries(ALL_TYPES.map((type) => [type, stored[type] !== false]));
+};
+
+module.exports = {
+  TYPES,
+  ALL_TYPES,
+  notify,
+  notifyFollowers,
+  safely,
+  getPreferences
+};
@@ -0,0 +1,76 @@
+const { BadRequestError } = require('../errors');
+
+// pdfjs-dist only ships as an ES module
+let pdfjsPromise = null;
+const loadPdfjs = () => {
+  if (!pdfjsPromise) {
+    pdfjsPromise = import('pdfjs-dist/legacy/build/pdf.mjs');
+  }
+  return pdfjsPromise;
+};
+
+// Open a PDF, run fn(document) and always release pdfjs resources
+const withDocument = async (buffer, fn) => {
+  const pdfjs = await loadPdfjs();
+  const task = pdfjs.getDocument({
+    data: new Uint8Array(buffer),
+    isEvalSupported: false,
+    useSystemFonts: false,
+    verbosity: pdfjs.VerbosityLevel.ERRORS
+  });
+
+  try {
+    let document;
+    try {
+      document = await task.promise;
+    } catch (error) {
+      if (error.name === 'PasswordException') {
+        throw new BadRequestError('Password-protected PDFs are not allowed', 'PDF_ENCRYPTED');
+      }
+      throw new BadRequestError('The file is not a readable PDF', 'PDF_UNREADABLE');
+    }
+    return await fn(document);
+  } finally {
+    await task.destroy();
+  }
+};
+
+// Check that a CV is a parseable, non-encrypted PDF
+const inspect = (buffer) => withDocument(buffer, async (document) => {
+  const { info } = await document.getMetadata();
+
+  // Files with only an owner password open fine but are still encrypted
+  if (info.EncryptFilterName) {
+    throw new BadRequestError('Password-protected PDFs are not allowed', 'PDF_ENCRYPTED');
+  }
+
+  return { pageCount: document.numPages };
+});
+
+// Longest text kept per document; CVs are a few pages, anything beyond is noise
+const MAX_TEXT_LENGTH = 100000;
+
+// Plain text of every page, in reading order
+const extractText = (buffer) => withDocument(buffer, async (document) => {
+  const pages = [];
+
+  for (let pageNumber = 1; pageNumber <= document.numPages; pageNumber++) {
+    const page = await document.getPage(pageNumber);
+    const content = await page.getTextContent();
+    pages.push(content.items.map((item) => item.str + (item.hasEOL ? '\n' : ' ')).join(''));
+    page.cleanup();
+  }
+
+  return pages.join('\n')
+    .replace(/[\u0000-\u0008]/g, '')
+    .replace(/[ \t]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n\s*\n+/g, '\n\n')
+    .trim()
+    .slice(0, MAX_TEXT_LENGTH);
+});
+
+module.exports = {
+  inspect,
+  extractText
+};
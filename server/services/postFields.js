@@ -0,0 +1,123 @@
+const { ValidationError } = require('../errors');
+
+// Structured fields each post type can carry
+const FIELDS_BY_TYPE = {
+  find_candidate: [
+    'location',
+    'work_mode',
+    'employment_type',
+    'seniority',
+    'salary_min',
+    'salary_max',
+    'salary_currency',
+    'skills',
+    'application_deadline',
+    'on_close'
+  ],
+  find_job: ['location', 'desired_role', 'expected_salary', 'salary_currency', 'skills']
+};
+
+const ALL_FIELDS = [...new Set(Object.values(FIELDS_BY_TYPE).flat())];
+
+// Skills are matched case-insensitively, so they are stored lower-cased and without duplicates
+const normalizeSkills = (skills) => [...new Set(skills.map((skill) => skill.trim().toLowerCase()))];
+
+// Validate the structured fields of a create/update body against the post type.
+// current is the stored post on update, so partial updates are checked as a whole.
+// Returns the columns to write; fields left out of the body are not included.
+const prepare = (postType, body, current = {}) => {
+  const errors = [];
+  const fail = (field, code, message) => errors.push({ location: 'body', field, code, message });
+  const allowed = FIELDS_BY_TYPE[postType];
+
+  const values = {};
+  for (const field of ALL_FIELDS) {
+    if (body[field] === undefined) continue;
+
+    if (!allowed.includes(field)) {
+      fail(field, 'not_allowed', `${field} cannot be set on ${postType} posts`);
+    } else {
+      values[field] = body[field];
+    }
+  }
+
+  if (values.skills) values.skills = normalizeSkills(values.skills);
+  if (values.salary_currency) values.salary_currency = values.salary_currency.toUpperCase();
+
+  const merged = { ...current, ...values };
+
+  if (merged.salary_min != null && merged.salary_max != null && merged.salary_min > merged.salary_max) {
+    fail('salary_max', 'invalid_range', 'salary_max must be greater than or equal to salary_min');
+  }
+
+  const hasSalary = [merged.salary_min, merged.salary_max, merged.expected_salary].some((value) => value != null);
+  if (hasSalary && !merged.salary_currency) {
+    fail('salary_currency', 'required', 'salary_currency is required when a salary is given');
+  }
+
+  // Job posts always have a deadline (see services/postLifecycle)
+  if (postType === 'find_candidate' && values.application_deadline === null) {
+    fail('application_deadline', 'required', 'application_deadline cannot be removed from job posts');
+  }
+
+  if (values.application_deadline && new Date(values.application_deadline) <= new Date()) {
+    fail('application_deadline', 'in_past', 'application_deadline must be in the future');
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError(errors);
+  }
+
+  return values;
+};
+
+// WHERE conditions for the listing filters in validation/schemas/posts.js.
+// Pushes values onto params and returns SQL fragments on the posts alias "p".
+const filterConditions = (filters, params) => {
+  const conditions = [];
+  const param = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  if (filters.type) {
+    conditions.push(`p.post_type = ${param(filters.type)}`);
+  }
+  if (filters.location) {
+    conditions.push(`p.location ILIKE ${param(`%${filters.location}%`)}`);
+  }
+  if (filters.work_mode) {
+    conditions.push(`p.work_mode = ${param(filters.work_mode)}`);
+  }
+  if (filters.employment_type) {
+    conditions.push(`p.employment_type = ${param(filters.employment_type)}`);
+  }
+  if (filters.seniority) {
+    conditions.push(`p.seniority = ${param(filters.seniority)}`);
+  }
+  if (filters.skills && filters.skills.length > 0) {
+    conditions.push(`p.skills @> ${param(normalizeSkills(filters.skills))}::text[]`);
+  }
+  // Offered ranges (find_candidate) and expected salaries (find_job) are compared alike
+  if (filters.salary_min !== undefined) {
+    conditions.push(`COALESCE(p.salary_max, p.salary_min, p.expected_salary) >= ${param(filters.salary_min)}`);
+  }
+  if (filters.salary_max !== undefined) {
+    conditions.push(`COALESCE(p.salary_min, p.salary_max, p.expected_salary) <= ${param(filters.salary_max)}`);
+  }
+  if (filters.currency) {
+    conditions.push(`p.salary_currency = ${param(filters.currency.toUpperCase())}`);
+  }
+  if (filters.desired_role) {
+    conditions.push(`p.desired_role ILIKE ${param(`%${filters.desired_role}%`)}`);
+  }
+
+  return conditions;
+};
+
+module.exports = {
+  FIELDS_BY_TYPE,
+  normalizeSkills,
+  prepare,
+  filterConditions
+};
@@ -0,0 +1,189 @@
+const pool = require('../config/database');
+const withTransaction = require('../db/transaction');
+const applicationStatus = require('./applicationStatus');
+const notifications = require('./notifications');
+
+// Job posts (find_candidate) accept applications until their deadline.
+// A background job moves them open -> closing_soon -> closed; find_job posts stay open.
+const STATUSES = {
+  OPEN: 'open',
+  CLOSING_SOON: 'closing_soon',
+  CLOSED: 'closed'
+};
+
+// What happens to applications that are still pending when a post closes
+const ON_CLOSE_ACTIONS = ['keep', 'reject', 'flag'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Deadline of job posts created without one
+const DEFAULT_DEADLINE_DAYS = Number(process.env.POST_DEADLINE_DAYS) || 10;
+
+// Posts are marked closing soon this many days before their deadline
+const CLOSING_SOON_DAYS = Number(process.env.POST_CLOSING_SOON_DAYS) || 3;
+
+const INTERVAL_MS = 60 * 1000;
+const BATCH_SIZE = 50;
+
+let started = false;
+
+// SQL condition for a post (alias "p") that no longer accepts applications.
+// The deadline is checked too, so a post counts as closed before the job gets to it.
+const IS_CLOSED = `(p.post_type = 'find_candidate' AND (
+  p.status = '${STATUSES.CLOSED}' OR COALESCE(p.application_deadline <= CURRENT_TIMESTAMP, false)
+))`;
+
+const isClosed = (post) => post.post_type === 'find_candidate' && (
+  post.status === STATUSES.CLOSED ||
+  (post.application_deadline !== null && post.application_deadline <= new Date())
+);
+
+const defaultDeadline = () => new Date(Date.now() + DEFAULT_DEADLINE_DAYS * DAY_MS);
+
+// Columns to write when a job post gets a new (future) deadline
+const deadlineColumns = (deadline) => ({
+  application_deadline: deadline,
+  status: new Date(deadline).getTime() - Date.now() <= CLOSING_SOON_DAYS * DAY_MS
+    ? STATUSES.CLOSING_SOON
+    : STATUSES.OPEN
+});
+
+const PENDING_APPLICATIONS = {
+  keep: `SELECT * FROM applications WHERE post_id = $1 AND status = 'pending'`,
+  reject: `UPDATE applications SET status = 'rejected', updated_at = CURRENT_TIMESTAMP
+           WHERE post_id = $1 AND status = 'pending' RETURNING *`,
+  flag: `UPDATE applications SET flagged_at = CURRENT_TIMESTAMP
+         WHERE post_id = $1 AND status = 'pending' RETURNING *`
+};
+
+// Close a locked job post and apply its on_close action to pending applications.
+// closedBy is the company closing it early, or null when the deadline passed.
+const close = async (client, post, { closedBy = null, onClose = post.on_close } = {}) => {
+  const postResult = await client.query(
+    `UPDATE posts SET status = $1, closed_at = CURRENT_TIMESTAMP, on_close = $2, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $3
+     RETURNING *`,
+    [STATUSES.CLOSED, onClose, post.id]
+  );
+
+  const pendingResult = await client.query(PENDING_APPLICATIONS[onClose], [post.id]);
+
+  if (onClose === 'reject') {
+    for (const application of pendingResult.rows) {
+      await applicationStatus.recordStatusChange(client, {
+        applicationId: application.id,
+        fromStatus: 'pending',
+        toStatus: 'rejected',
+        changedBy: closedBy,
+        note: 'Post closed'
+      });
+    }
+  }
+
+  return { post: postResult.rows[0], applications: pendingResult.rows };
+};
+
+// Tell applicants whose application was pending that the post closed
+const notifyClosed = async ({ post, applications }) => {
+  for (const application of applications) {
+    await notifications.safely(notifications.notify({
+      userId: application.applicant_id,
+      type: notifications.TYPES.POST_CLOSED,
+      actorId: post.user_id,
+      entityType: 'application',
+      entityId: application.id,
+      data: {
+        application_id: application.id,
+        application_status: application.status,
+        post_id: post.id,
+        post_title: post.title
+      }
+    }), 'post closed');
+  }
+};
+
+// Mark open posts whose deadline is near and remind their owners
+const markClosingSoon = async () => {
+  const result = await pool.query(
+    `UPDATE posts SET status = $1
+     WHERE post_type = 'find_candidate' AND status = $2
+     AND application_deadline > CURRENT_TIMESTAMP
+     AND application_deadline <= CURRENT_TIMESTAMP + make_interval(days => $3)
+     RETURNING id, user_id, title, application_deadline`,
+    [STATUSES.CLOSING_SOON, STATUSES.OPEN, CLOSING_SOON_DAYS]
+  );
+
+  for (const post of result.rows) {
+    await notifications.safely(notifications.notify({
+      userId: post.user_id,
+      type: notifications.TYPES.POST_CLOSING_SOON,
+      entityType: 'post',
+      entityId: post.id,
+      data: { post_id: post.id, post_title: post.title, application_deadline: post.application_deadline }
+    }), 'post closing soon');
+  }
+
+  return result.rows.length;
+};
+
+// Close posts whose deadline passed, a batch per transaction
+const closeExpired = async () => {
+  let closed = 0;
+  let batch;
+
+  do {
+    batch = await withTransaction(async (client) => {
+      const result = await client.query(
+        `SELECT * FROM posts
+         WHERE post_type = 'find_candidate' AND status <> $1 AND application_deadline <= CURRENT_TIMESTAMP
+         ORDER BY application_deadline
+         LIMIT $2
+         FOR UPDATE SKIP LOCKED`,
+        [STATUSES.CLOSED, BATCH_SIZE]
+      );
+
+      const outcomes = [];
+      for (const post of result.rows) {
+        outcomes.push(await close(client, post));
+      }
+      return outcomes;
+    });
+
+    for (const outcome of batch) {
+      await notifyClosed(outcome);
+    }
+    closed += batch.length;
+  } while (batch.length === BATCH_SIZE);
+
+  return closed;
+};
+
+const processDeadlines = async () => ({
+  closing_soon: await markClosingSoon(),
+  closed: await closeExpired()
+});
+
+const run = () => processDeadlines()
+  .catch((error) => console.error('Post lifecycle job error:', error.message));
+
+// Background job: check deadlines now and every minute
+const start = () => {
+  if (started) return;
+  started = true;
+  run();
+  setInterval(run, INTERVAL_MS).unref();
+};
+
+module.exports = {
+  STATUSES,
+  ON_CLOSE_ACTIONS,
+  DEFAULT_DEADLINE_DAYS,
+  IS_CLOSED,
+  isClosed,
+  defaultDeadline,
+  deadlineColumns,
+  close,
+  notifyClosed,
+  processDeadlines,
+  start
+};
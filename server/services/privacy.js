@@ -0,0 +1,74 @@
+const moderation = require('./moderation');
+
+const EMAIL_VISIBILITY = ['public', 'connections', 'nobody'];
+
+// members: any signed-in user
+const PROFILE_VISIBILITY = ['public', 'members', 'connections'];
+
+// Columns of users holding the settings
+const SETTINGS = ['email_visibility', 'profile_visibility', 'hide_from_search', 'hide_follows', 'open_to_work'];
+
+// viewerRef is a SQL reference to the viewing user's id, NULL for anonymous requests
+const viewer = (viewerRef) => `${viewerRef}::integer`;
+
+// SQL condition: the user (users alias) and the viewer are connected, that is
+// they follow each other or one of them applied to a post of the other
+const isConnection = (alias, viewerRef) => `(EXISTS (
+    SELECT 1 FROM follows pf1
+    JOIN follows pf2 ON pf2.follower_id = pf1.following_id AND pf2.following_id = pf1.follower_id
+    WHERE pf1.follower_id = ${alias}.id AND pf1.following_id = ${viewer(viewerRef)}
+  ) OR EXISTS (
+    SELECT 1 FROM applications pa
+    JOIN posts pp ON pa.post_id = pp.id
+    WHERE (pa.applicant_id = ${alias}.id AND pp.user_id = ${viewer(viewerRef)})
+      OR (pa.applicant_id = ${viewer(viewerRef)} AND pp.user_id = ${alias}.id)
+  ))`;
+
+// SQL condition: either user has blocked the other
+const blockedBetween = (userRef, otherRef) => `EXISTS (
+    SELECT 1 FROM user_blocks ub
+    WHERE (ub.blocker_id = ${userRef} AND ub.blocked_id = ${otherRef})
+      OR (ub.blocker_id = ${otherRef} AND ub.blocked_id = ${userRef})
+  )`;
+
+// SQL condition: the user (users alias) and the viewer have not blocked each other
+const notBlocked = (alias, viewerRef) => `NOT ${blockedBetween(`${alias}.id`, viewer(viewerRef))}`;
+
+// SQL condition: the viewer may see the user's email
+const emailVisible = (alias, viewerRef) => `(${alias}.id = ${viewer(viewerRef)}
+  OR ${alias}.email_visibility = 'public'
+  OR (${alias}.email_visibility = 'connections' AND ${isConnection(alias, viewerRef)}))`;
+
+// Select the user's email as name, or NULL when it is hidden from the viewer
+const emailColumn = (alias, viewerRef, name = 'email') => (
+  `CASE WHEN ${emailVisible(alias, viewerRef)} THEN ${alias}.email END AS ${name}`
+);
+
+// SQL condition: the viewer may see the user's profile, posts and follows
+const profileVisible = (alias, viewerRef) => `(${alias}.id = ${viewer(viewerRef)}
+  OR ${alias}.profile_visibility = 'public'
+  OR (${alias}.profile_visibility = 'members' AND ${viewer(viewerRef)} IS NOT NULL)
+  OR (${alias}.profile_visibility = 'connections' AND ${isConnection(alias, viewerRef)}))`;
+
+// SQL condition for a post (alias "p", author alias "u") that the viewer may
+// see: not hidden by a moderator, by an author whose profile is visible and
+// who is not blocked either way
+const visiblePost = (viewerRef) => `(${moderation.visiblePost(viewerRef)} AND ${profileVisible('u', viewerRef)}
+  AND ${notBlocked('u', viewerRef)})`;
+
+// SQL condition: companies (and anonymous visitors) only discover candidates who are open to work
+const discoverable = (alias, viewerRef) => `(${alias}.account_type <> 'candidate' OR ${alias}.open_to_work
+  OR ${alias}.id = ${viewer(viewerRef)})`;
+
+module.exports = {
+  EMAIL_VISIBILITY,
+  PROFILE_VISIBILITY,
+  SETTINGS,
+  isConnection,
+  blockedBetween,
+  notBlocked,
+  emailColumn,
+  profileVisible,
+  visiblePost,
+  discoverable
+};
@@ -0,0 +1,233 @@
+const pool = require('../config/database');
+const { randomToken, hashToken } = require('../utils/tokens');
+const moderation = require('./moderation');
+
+const CHANNEL = 'realtime_events';
+const REVOKED_CHANNEL = 'sessions_revoked';
+const REPLAY_LIMIT = 500;
+const RETENTION = '7 days';
+const RECONNECT_DELAY_MS = 5000;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+const STREAM_TOKEN_TTL_MS = 60 * 1000;
+
+// How many delivered event ids each connection remembers to drop duplicates
+const SEEN_LIMIT = 1000;
+
+const EVENTS = {
+  APPLICATION_CREATED: 'application_created',
+  APPLICATION_STATUS_CHANGED: 'application_status_changed',
+  NEW_FOLLOWER: 'new_follower',
+  NEW_POST: 'new_post',
+  NEW_MESSAGE: 'new_message',
+  MESSAGES_READ: 'messages_read',
+  NOTIFICATION: 'notification'
+};
+
+// userId -> Set of open connections in this process; each one belongs to the
+// session it was opened with
+const connections = new Map();
+
+let started = false;
+
+// Events are a side effect: log failures instead of failing the request
+const publish = async (userIds, type, payload = {}) => {
+  const ids = [...new Set([].concat(userIds).filter(Boolean).map(Number))];
+  if (ids.length === 0) return;
+
+  try {
+    await pool.query(
+      `INSERT INTO realtime_events (user_id, type, payload)
+       SELECT unnest($1::int[]), $2::varchar, $3::jsonb`,
+      [ids, type, payload]
+    );
+  } catch (error) {
+    console.error(`Realtime publish error (${type}):`, error);
+  }
+};
+
+// Publish an event to everyone who follows userId
+const publishToFollowers = async (userId, type, payload = {}) => {
+  try {
+    await pool.query(
+      `INSERT INTO realtime_events (user_id, type, payload)
+       SELECT follower_id, $2::varchar, $3::jsonb FROM follows WHERE following_id = $1`,
+      [userId, type, payload]
+    );
+  } catch (error) {
+    console.error(`Realtime publish error (${type}):`, error);
+  }
+};
+
+// Ids are assigned at insert but notified at commit, so events can arrive out
+// of order: skip ids already delivered rather than anything below the last one
+const send = (connection, event) => {
+  if (connection.res.writableEnded || connection.seen.has(event.id)) return;
+  connection.seen.add(event.id);
+  if (connection.seen.size > SEEN_LIMIT) {
+    connection.seen.delete(connection.seen.values().next().value);
+  }
+  connection.res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify({
+    ...event.payload,
+    created_at: event.created_at
+  })}\n\n`);
+};
+
+const dispatch = async (eventId, userId) => {
+  const targets = connections.get(userId);
+  if (!targets || targets.size === 0) return;
+
+  const result = await pool.query(
+    'SELECT id, type, payload, created_at FROM realtime_events WHERE id = $1',
+    [eventId]
+  );
+  if (result.rows.length === 0) return;
+
+  const event = { ...result.rows[0], id: Number(result.rows[0].id) };
+  for (const connection of targets) {
+    if (connection.replaying) {
+      connection.queue.push(event);
+    } else {
+      send(connection, event);
+    }
+  }
+};
+
+// End the streams a revoked session opened; the client has to sign in again
+const closeSession = (sessionId, userId) => {
+  const targets = connections.get(userId);
+  if (!targets) return;
+
+  for (const connection of targets) {
+    if (connection.sessionId !== sessionId) continue;
+    targets.delete(connection);
+    connection.res.end('event: session_revoked\ndata: {}\n\n');
+  }
+  if (targets.size === 0) connections.delete(userId);
+};
+
+// Register a response stream for userId opened with sessionId, replaying
+// events after lastEventId
+const subscribe = async (userId, sessionId, res, lastEventId) => {
+  const connection = { res, sessionId, seen: new Set(), replaying: true, queue: [] };
+  const lastId = Number(lastEventId) || 0;
+
+  if (!connections.has(userId)) {
+    connections.set(userId, new Set());
+  }
+  connections.get(userId).add(connection);
+
+  const unsubscribe = () => {
+    const set = connections.get(userId);
+    if (!set) return;
+    set.delete(connection);
+    if (set.size === 0) connections.delete(userId);
+  };
+
+  try {
+    if (lastId > 0) {
+      const result = await pool.query(
+        `SELECT id, type, payload, created_at FROM realtime_events
+         WHERE user_id = $1 AND id > $2
+         ORDER BY id
+         LIMIT $3`,
+        [userId, lastId, REPLAY_LIMIT]
+      );
+      result.rows.forEach((row) => send(connection, { ...row, id: Number(row.id) }));
+    }
+  } catch (error) {
+    unsubscribe();
+    throw error;
+  } finally {
+    // Flush anything that arrived live while we were replaying
+    connection.replaying = false;
+    connection.queue.forEach((event) => send(connection, event));
+    connection.queue = [];
+  }
+
+  return unsubscribe;
+};
+
+// Issue a short-lived token that opens one event stream for userId in sessionId
+const createStreamToken = async (userId, sessionId) => {
+  const token = randomToken();
+  await pool.query(
+    'INSERT INTO event_stream_tokens (token_hash, user_id, session_id, expires_at) VALUES ($1, $2, $3, $4)',
+    [hashToken(token), userId, sessionId, new Date(Date.now() + STREAM_TOKEN_TTL_MS)]
+  );
+  return token;
+};
+
+// Use up a stream token; resolves to its user and session id, or null when it
+// is unknown, used or expired, or its session was revoked since. suspension is
+// the error to refuse the stream with when the account has been suspended.
+const consumeStreamToken = async (token) => {
+  const result = await pool.query(
+    `DELETE FROM event_stream_tokens t
+     USING users u, sessions s
+     WHERE t.token_hash = $1 AND t.expires_at > CURRENT_TIMESTAMP
+     AND u.id = t.user_id AND s.id = t.session_id AND s.revoked_at IS NULL
+     RETURNING u.id, u.email, u.account_type, t.session_id, ${moderation.suspensionColumns('u')}`,
+    [hashToken(token)]
+  );
+  if (result.rows.length === 0) return null;
+
+  const { session_id: sessionId, is_suspended, suspended_until, suspension_reason, ...user } = result.rows[0];
+  return {
+    user,
+    sessionId,
+    suspension: moderation.suspensionError({ is_suspended, suspended_until, suspension_reason })
+  };
+};
+
+const listen = async () => {
+  let client;
+  try {
+    client = await pool.connect();
+    client.on('notification', (message) => {
+      const [id, userId] = String(message.payload).split(':').map(Number);
+      if (message.channel === REVOKED_CHANNEL) {
+        closeSession(id, userId);
+        return;
+      }
+      dispatch(id, userId).catch((error) => console.error('Realtime dispatch error:', error));
+    });
+
+    client.on('error', (error) => {
+      console.error('Realtime listener error:', error.message);
+      client.release(true);
+      setTimeout(listen, RECONNECT_DELAY_MS).unref();
+    });
+
+    await client.query(`LISTEN ${CHANNEL}`);
+    await client.query(`LISTEN ${REVOKED_CHANNEL}`);
+  } catch (error) {
+    console.error('Realtime listener could not connect:', error.message);
+    if (client) client.release(true);
+    setTimeout(listen, RECONNECT_DELAY_MS).unref();
+  }
+};
+
+const prune = () => Promise.all([
+  pool.query(`DELETE FROM realtime_events WHERE created_at < CURRENT_TIMESTAMP - INTERVAL '${RETENTION}'`),
+  pool.query('DELETE FROM event_stream_tokens WHERE expires_at < CURRENT_TIMESTAMP')
+]).catch((error) => console.error('Realtime prune error:', error.message));
+
+// Start listening for events published by any server process
+const start = () => {
+  if (started) return;
+  started = true;
+  listen();
+  setInterval(prune, PRUNE_INTERVAL_MS).unref();
+};
+
+module.exports = {
+  EVENTS,
+  STREAM_TOKEN_TTL_MS,
+  publish,
+  publishToFollowers,
+  subscribe,
+  createStreamToken,
+  consumeStreamToken,
+  start
+};
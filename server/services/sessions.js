@@ -0,0 +1,113 @@
+const jwt = require('jsonwebtoken');
+const pool = require('../config/database');
+const withTransaction = require('../db/transaction');
+const { randomToken, hashToken } = require('../utils/tokens');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+const signAccessToken = (user, sessionId) => jwt.sign(
+  { userId: user.id, email: user.email, sid: sessionId },
+  process.env.JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+const issueRefreshToken = async (db, sessionId) => {
+  const token = randomToken(48);
+  await db.query(
+    'INSERT INTO refresh_tokens (session_id, token_hash, expires_at) VALUES ($1, $2, $3)',
+    [sessionId, hashToken(token), refreshExpiry()]
+  );
+  return token;
+};
+
+const tokenResponse = (user, sessionId, refreshToken) => {
+  const token = signAccessToken(user, sessionId);
+  return {
+    token,
+    refresh_token: refreshToken,
+    expires_in: jwt.decode(token).exp - Math.floor(Date.now() / 1000)
+  };
+};
+
+// Start a new session for a freshly authenticated user
+const createSession = (user, req) => withTransaction(async (client) => {
+  const result = await client.query(
+    `INSERT INTO sessions (user_id, user_agent, ip_address, expires_at)
+     VALUES ($1, $2, $3, $4)
+     RETURNING id`,
+    [user.id, (req.get('user-agent') || '').slice(0, 500), req.ip, refreshExpiry()]
+  );
+  const sessionId = result.rows[0].id;
+  const refreshToken = await issueRefreshToken(client, sessionId);
+  return { sessionId, ...tokenResponse(user, sessionId, refreshToken) };
+});
+
+const revokeSession = (db, sessionId, reason) => db.query(
+  `UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $2
+   WHERE id = $1 AND revoked_at IS NULL`,
+  [sessionId, reason]
+);
+
+// Revoke every active session of a user, optionally keeping one
+const revokeAllSessions = (userId, reason, exceptSessionId = null) => pool.query(
+  `UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $2
+   WHERE user_id = $1 AND revoked_at IS NULL AND ($3::int IS NULL OR id <> $3)`,
+  [userId, reason, exceptSessionId]
+);
+
+// Exchange a refresh token for a new pair. Presenting an already-rotated
+// token means it was stolen or replayed, so the whole session is revoked.
+const rotateRefreshToken = (refreshToken, req) => withTransaction(async (client) => {
+  const result = await client.query(
+    `SELECT
+      rt.id, rt.session_id, rt.expires_at, rt.used_at,
+      s.revoked_at, s.expires_at as session_expires_at,
+      u.id as user_id, u.email
+    FROM refresh_tokens rt
+    JOIN sessions s ON rt.session_id = s.id
+    JOIN users u ON s.user_id = u.id
+    WHERE rt.token_hash = $1
+    FOR UPDATE OF rt, s`,
+    [hashToken(refreshToken)]
+  );
+
+  if (result.rows.length === 0) {
+    return { error: 'invalid' };
+  }
+
+  const row = result.rows[0];
+
+  if (row.revoked_at) {
+    return { error: 'revoked' };
+  }
+
+  if (row.used_at) {
+    await revokeSession(client, row.session_id, 'refresh_token_reuse');
+    return { error: 'reused' };
+  }
+
+  if (row.expires_at < new Date() || row.session_expires_at < new Date()) {
+    return { error: 'expired' };
+  }
+
+  await client.query('UPDATE refresh_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = $1', [row.id]);
+  await client.query(
+    `UPDATE sessions SET last_used_at = CURRENT_TIMESTAMP, ip_address = $2, user_agent = $3, expires_at = $4
+     WHERE id = $1`,
+    [row.session_id, req.ip, (req.get('user-agent') || '').slice(0, 500), refreshExpiry()]
+  );
+
+  const newRefreshToken = await issueRefreshToken(client, row.session_id);
+  const user = { id: row.user_id, email: row.email };
+  return { sessionId: row.session_id, ...tokenResponse(user, row.session_id, newRefreshToken) };
+});
+
+module.exports = {
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions
+};
@@ -0,0 +1,165 @@
+const crypto = require('crypto');
+const totp = require('../utils/totp');
+const { hashToken } = require('../utils/tokens');
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'JoBook';
+
+const RECOVERY_CODE_COUNT = 10;
+
+// TOTP secrets have to be readable to check codes, so unlike tokens they are
+// stored encrypted (AES-256-GCM) rather than hashed
+const encryptionKey = () => crypto.createHash('sha256')
+  .update(process.env.TWO_FACTOR_SECRET_KEY || process.env.JWT_SECRET)
+  .digest();
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString('base64url')).join('.');
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = stored.split('.').map((part) => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+// Start enrollment: store a new pending secret; 2FA is only on once a code confirms it
+const setup = async (db, user) => {
+  const secret = totp.generateSecret();
+
+  await db.query(
+    `UPDATE users SET two_factor_secret = $1, two_factor_enabled_at = NULL, two_factor_last_step = NULL
+     WHERE id = $2`,
+    [encryptSecret(secret), user.id]
+  );
+
+  return {
+    secret,
+    otpauth_uri: totp.otpauthUri({ secret, account: user.email, issuer: ISSUER })
+  };
+};
+
+// Check a TOTP code against the user's secret (pending or enabled). A code is
+// accepted once: its time step is remembered so it cannot be replayed.
+const verifyCode = async (db, userId, code) => {
+  const result = await db.query(
+    'SELECT two_factor_secret, two_factor_last_step FROM users WHERE id = $1 FOR UPDATE',
+    [userId]
+  );
+  const row = result.rows[0];
+  if (!row || !row.two_factor_secret) return false;
+
+  const step = totp.verify(decryptSecret(row.two_factor_secret), code, {
+    afterStep: row.two_factor_last_step === null ? -1 : Number(row.two_factor_last_step)
+  });
+  if (step === null) return false;
+
+  await db.query('UPDATE users SET two_factor_last_step = $1 WHERE id = $2', [step, userId]);
+  return true;
+};
+
+// Codes look like "a1b2c-3d4e5"; matching ignores case and the dash
+const normalizeRecoveryCode = (code) => String(code).replace(/[\s-]/g, '').toLowerCase();
+
+// Replace the user's recovery codes; returns the new codes, shown only this once
+const createRecoveryCodes = async (db, userId) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+
+  await db.query('DELETE FROM two_factor_recovery_codes WHERE user_id = $1', [userId]);
+  await db.query(
+    `INSERT INTO two_factor_recovery_codes (user_id, code_hash)
+     SELECT $1, unnest($2::text[])`,
+    [userId, codes.map((code) => hashToken(normalizeRecoveryCode(code)))]
+  );
+
+  return codes;
+};
+
+// Use up a recovery code; false if it is unknown or already used
+const consumeRecoveryCode = async (db, userId, code) => {
+  const result = await db.query(
+    `UPDATE two_factor_recovery_codes SET used_at = CURRENT_TIMESTAMP
+     WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+     RETURNING id`,
+    [userId, hashToken(normalizeRecoveryCode(code))]
+  );
+  return result.rows.length > 0;
+};
+
+// Second factor of a login or a sensitive change: a TOTP code or a recovery code
+const verifySecondFactor = (db, userId, { code, recovery_code }) => (
+  recovery_code ? consumeRecoveryCode(db, userId, recovery_code) : verifyCode(db, userId, code)
+);
+
+const enable = (db, userId) => db.query(
+  'UPDATE users SET two_factor_enabled_at = CURRENT_TIMESTAMP WHERE id = $1',
+  [userId]
+);
+
+const disable = async (db, userId) => {
+  await db.query(
+    `UPDATE users SET two_factor_secret = NULL, two_factor_enabled_at = NULL, two_factor_last_step = NULL
+     WHERE id = $1`,
+    [userId]
+  );
+  await db.query('DELETE FROM two_factor_recovery_codes WHERE user_id = $1', [userId]);
+};
+
+// SQL condition: 2FA is mandatory for the user row "alias", through its own
+// company policy or the policy of a company it is an accepted team member of
+const requiredCondition = (alias) => `(
+  ${alias}.two_factor_required OR EXISTS (
+    SELECT 1 FROM company_members m
+    JOIN users company ON company.id = m.company_id
+    WHERE m.user_id = ${alias}.id AND m.accepted_at IS NOT NULL AND company.two_factor_required
+  )
+)`;
+
+// Accepted team members of a company that have not turned 2FA on
+const membersWithoutTwoFactor = async (db, companyId) => {
+  const result = await db.query(
+    `SELECT u.id, u.full_name, u.email
+     FROM company_members m
+     JOIN users u ON u.id = m.user_id
+     WHERE m.company_id = $1 AND m.accepted_at IS NOT NULL AND u.two_factor_enabled_at IS NULL
+     ORDER BY u.id`,
+    [companyId]
+  );
+  return result.rows;
+};
+
+// required is the effective requirement; company_policy is the account's own policy
+const status = async (db, userId) => {
+  const result = await db.query(
+    `SELECT
+      (two_factor_enabled_at IS NOT NULL) AS enabled,
+      two_factor_enabled_at AS enabled_at,
+      (two_factor_secret IS NOT NULL AND two_factor_enabled_at IS NULL) AS pending,
+      ${requiredCondition('users')} AS required,
+      two_factor_required AS company_policy,
+      (SELECT COUNT(*)::int FROM two_factor_recovery_codes r WHERE r.user_id = users.id AND r.used_at IS NULL)
+        AS recovery_codes_remaining
+     FROM users WHERE id = $1`,
+    [userId]
+  );
+  return result.rows[0];
+};
+
+module.exports = {
+  RECOVERY_CODE_COUNT,
+  requiredCondition,
+  membersWithoutTwoFactor,
+  setup,
+  verifyCode,
+  createRecoveryCodes,
+  verifySecondFactor,
+  enable,
+  disable,
+  status
+};
@@ -0,0 +1,61 @@
+const pool = require('../config/database');
+const { randomToken, hashToken } = require('../utils/tokens');
+
+const PURPOSES = {
+  PASSWORD_RESET: 'password_reset',
+  EMAIL_VERIFICATION: 'email_verification',
+  TWO_FACTOR_LOGIN: 'two_factor_login',
+  COMPANY_DOMAIN: 'company_domain'
+};
+
+const TTL_MS = {
+  password_reset: 60 * 60 * 1000,
+  email_verification: 24 * 60 * 60 * 1000,
+  two_factor_login: 5 * 60 * 1000,
+  company_domain: 24 * 60 * 60 * 1000
+};
+
+// Issue a token, invalidating any earlier unused token for the same purpose
+const createToken = async (userId, purpose) => {
+  const token = randomToken();
+
+  await pool.query(
+    'UPDATE user_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL',
+    [userId, purpose]
+  );
+  await pool.query(
+    'INSERT INTO user_tokens (user_id, purpose, token_hash, expires_at) VALUES ($1, $2, $3, $4)',
+    [userId, purpose, hashToken(token), new Date(Date.now() + TTL_MS[purpose])]
+  );
+
+  return token;
+};
+
+// Mark a valid token as used and return its user id, or null
+const consumeToken = async (db, token, purpose) => {
+  const result = await db.query(
+    `UPDATE user_tokens SET used_at = CURRENT_TIMESTAMP
+     WHERE token_hash = $1 AND purpose = $2 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+     RETURNING user_id`,
+    [hashToken(token), purpose]
+  );
+  return result.rows.length > 0 ? result.rows[0].user_id : null;
+};
+
+// User id of a valid token without using it up, or null
+const findToken = async (db, token, purpose) => {
+  const result = await db.query(
+    `SELECT user_id FROM user_tokens
+     WHERE token_hash = $1 AND purpose = $2 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP`,
+    [hashToken(token), purpose]
+  );
+  return result.rows.length > 0 ? result.rows[0].user_id : null;
+};
+
+module.exports = {
+  PURPOSES,
+  TTL_MS,
+  createToken,
+  findToken,
+  consumeToken
+};
@@ -0,0 +1,58 @@
+const fs = require('fs');
+const path = require('path');
+const signedUrls = require('../../utils/signedUrls');
+
+const root = () => path.resolve(process.env.STORAGE_LOCAL_DIR || path.join(__dirname, '../../uploads'));
+
+// Stores files on local disk; only suitable for a single server instance
+const createLocalDriver = () => {
+  const baseDir = root();
+
+  // Keys never escape the storage directory
+  const resolve = (key) => {
+    const filePath = path.resolve(baseDir, key);
+    if (!filePath.startsWith(baseDir + path.sep)) {
+      throw new Error(`Invalid storage key "${key}"`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    put: async (key, body) => {
+      const filePath = resolve(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, body);
+    },
+
+    getStream: async (key) => {
+      const filePath = resolve(key);
+      try {
+        const stat = await fs.promises.stat(filePath);
+        return { stream: fs.createReadStream(filePath), size: stat.size };
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    remove: async (key) => {
+      await fs.promises.rm(resolve(key), { force: true });
+    },
+
+    // Served by the /api/files route, which checks the signature
+    signedUrl: async (key, { expiresIn, filename } = {}) => {
+      resolve(key);
+      const params = filename ? { filename } : {};
+      return signedUrls.sign(`/api/files/${key}`, params, expiresIn).url;
+    },
+
+    // Public files (avatars) are served statically from /uploads
+    publicUrl: (key) => `/uploads/${key}`
+  };
+};
+
+createLocalDriver.root = root;
+
+module.exports = createLocalDriver;
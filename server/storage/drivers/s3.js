@@ -0,0 +1,69 @@
+const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+// Stores files in an S3-compatible bucket (AWS S3, MinIO, ...) configured via S3_* variables
+const createS3Driver = () => {
+  const bucket = process.env.S3_BUCKET;
+  const region = process.env.S3_REGION || 'us-east-1';
+  const endpoint = process.env.S3_ENDPOINT || undefined;
+
+  if (!bucket) {
+    throw new Error('S3_BUCKET is required for the s3 storage driver');
+  }
+
+  const client = new S3Client({
+    region,
+    endpoint,
+    // MinIO and most self-hosted stand-ins only support path-style URLs
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+    credentials: process.env.S3_ACCESS_KEY_ID
+      ? { accessKeyId: process.env.S3_ACCESS_KEY_ID, secretAccessKey: process.env.S3_SECRET_ACCESS_KEY }
+      : undefined
+  });
+
+  const publicBaseUrl = (process.env.S3_PUBLIC_URL ||
+    (endpoint ? `${endpoint}/${bucket}` : `https://${bucket}.s3.${region}.amazonaws.com`)).replace(/\/+$/, '');
+
+  return {
+    name: 's3',
+
+    put: async (key, body, { contentType } = {}) => {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: body,
+        ContentType: contentType
+      }));
+    },
+
+    getStream: async (key) => {
+      try {
+        const object = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+        return { stream: object.Body, contentType: object.ContentType, size: object.ContentLength };
+      } catch (error) {
+        if (error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404) return null;
+        throw error;
+      }
+    },
+
+    remove: async (key) => {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+
+    signedUrl: (key, { expiresIn, filename, contentType } = {}) => getSignedUrl(
+      client,
+      new GetObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        ResponseContentType: contentType,
+        ResponseContentDisposition: filename ? `inline; filename="${encodeURIComponent(filename)}"` : undefined
+      }),
+      { expiresIn }
+    ),
+
+    // Needs a bucket policy (or CDN) that allows public reads of avatars/
+    publicUrl: (key) => `${publicBaseUrl}/${key}`
+  };
+};
+
+module.exports = createS3Driver;
@@ -0,0 +1,92 @@
+const path = require('path');
+const { NotFoundError } = require('../errors');
+const signedUrls = require('../utils/signedUrls');
+
+const drivers = {
+  local: require('./drivers/local'),
+  s3: require('./drivers/s3')
+};
+
+const LEGACY_PREFIX = '/uploads/';
+
+let driver = null;
+
+// Pick the driver from STORAGE_DRIVER; local disk unless told otherwise
+const getDriver = () => {
+  if (!driver) {
+    const name = process.env.STORAGE_DRIVER || 'local';
+    if (!drivers[name]) {
+      throw new Error(`Unknown STORAGE_DRIVER "${name}"`);
+    }
+    driver = drivers[name]();
+  }
+  return driver;
+};
+
+// Rows written before the storage backend existed hold "/uploads/<key>" paths
+const isLegacyPath = (value) => typeof value === 'string' && value.startsWith(LEGACY_PREFIX);
+
+const toKey = (value) => (isLegacyPath(value) ? value.slice(LEGACY_PREFIX.length) : value);
+
+// New object key such as "cvs/cv-1700000000000-123456789.pdf"
+const createKey = (folder, prefix, extension = '') => {
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+  return `${folder}/${prefix}-${uniqueSuffix}${extension}`;
+};
+
+const put = (key, body, options) => getDriver().put(key, body, options);
+
+const getStream = (key) => getDriver().getStream(toKey(key));
+
+const remove = (key) => getDriver().remove(toKey(key));
+
+// Removing a file is cleanup after the database changed: log failures instead of failing the request
+const removeSafely = (key) => Promise.resolve()
+  .then(() => key && remove(key))
+  .catch((error) => {
+    console.error(`Storage error (remove ${key}):`, error);
+  });
+
+const signedUrl = (key, { expiresIn, ...options } = {}) => getDriver().signedUrl(toKey(key), {
+  expiresIn: expiresIn || signedUrls.ttlSeconds(),
+  ...options
+});
+
+const publicUrl = (key) => getDriver().publicUrl(toKey(key));
+
+// Stream a stored file into the response, or throw 404 if it is gone
+const sendFile = async (res, key, { contentType, filename } = {}) => {
+  const file = await getStream(key);
+  if (!file) {
+    throw new NotFoundError('File not found');
+  }
+
+  res.type(contentType || file.contentType || path.extname(toKey(key)) || 'application/octet-stream');
+  if (file.size !== undefined) {
+    res.setHeader('Content-Length', file.size);
+  }
+  if (filename) {
+    res.setHeader('Content-Disposition', `inline; filename="${encodeURIComponent(filename)}"`);
+  }
+
+  await new Promise((resolve, reject) => {
+    file.stream.on('error', reject);
+    res.on('finish', resolve);
+    res.on('close', resolve);
+    file.stream.pipe(res);
+  });
+};
+
+module.exports = {
+  getDriver,
+  isLegacyPath,
+  toKey,
+  createKey,
+  put,
+  getStream,
+  remove,
+  removeSafely,
+  signedUrl,
+  publicUrl,
+  sendFile
+};
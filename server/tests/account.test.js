@@ -0,0 +1,158 @@
+const { describe, before, after, test } = require('node:test');
+const assert = require('node:assert');
+const { skip, query, startServer, request, mailsTo, mailTokens, createUser } = require('./helpers');
+
+const RESET = /Reset your JoBook password/;
+const VERIFY = /Verify your JoBook email/;
+
+const login = (email, password) => request('POST', '/api/auth/login', { body: { email, password } });
+
+const me = (token) => request('GET', '/api/auth/me', { token });
+
+const forgotPassword = (email) => request('POST', '/api/auth/forgot-password', { body: { email } });
+
+const resetPassword = (token, newPassword) => request('POST', '/api/auth/reset-password', {
+  body: { token, new_password: newPassword }
+});
+
+let registered = 0;
+
+// Register without verifying the email; resolves to the user and its token
+const register = async (accountType) => {
+  registered += 1;
+  const email = `unverified${registered}@example.com`;
+  const response = await request('POST', '/api/auth/register', {
+    body: { full_name: 'New user', email, password: 'secret123', account_type: accountType }
+  });
+  assert.strictEqual(response.status, 201);
+  return { ...response.body.user, token: response.body.token };
+};
+
+describe('account', { skip }, () => {
+  let stop;
+
+  before(async () => {
+    stop = await startServer();
+  });
+
+  after(() => stop && stop());
+
+  describe('password reset', () => {
+    test('a mailed token sets a new password and signs out everywhere', async () => {
+      const user = await createUser('candidate');
+
+      assert.strictEqual((await forgotPassword(user.email)).status, 200);
+      const [token] = mailTokens(user.email, RESET);
+      assert.ok(token, 'no reset mail');
+
+      assert.strictEqual((await resetPassword(token, 'short')).status, 400);
+      assert.strictEqual((await resetPassword(token, 'new-secret123')).status, 200);
+
+      assert.strictEqual((await me(user.token)).status, 401);
+      assert.strictEqual((await login(user.email, user.password)).status, 400);
+      assert.strictEqual((await login(user.email, 'new-secret123')).status, 200);
+      assert.ok(mailsTo(user.email).some((mail) => /password was changed/.test(mail.subject)));
+
+      // Each token works once
+      assert.strictEqual((await resetPassword(token, 'other-secret123')).status, 400);
+    });
+
+    test('unknown emails get the same answer and no mail', async () => {
+      const known = await createUser('candidate');
+      const response = await forgotPassword('nobody@example.com');
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(response.body.message, (await forgotPassword(known.email)).body.message);
+      assert.deepStrictEqual(mailsTo('nobody@example.com'), []);
+    });
+
+    test('a new request replaces the earlier token', async () => {
+      const user = await createUser('candidate');
+      await forgotPassword(user.email);
+      const [first] = mailTokens(user.email, RESET);
+      await forgotPassword(user.email);
+      const second = mailTokens(user.email, RESET).find((token) => token !== first);
+
+      assert.ok(second, 'no second reset mail');
+      assert.strictEqual((await resetPassword(first, 'new-secret123')).status, 400);
+      assert.strictEqual((await resetPassword(second, 'new-secret123')).status, 200);
+    });
+
+    test('expired tokens are refused', async () => {
+      const user = await createUser('candidate');
+      await forgotPassword(user.email);
+      await query("UPDATE user_tokens SET expires_at = CURRENT_TIMESTAMP - INTERVAL '1 second' WHERE user_id = $1", [user.id]);
+
+      const [token] = mailTokens(user.email, RESET);
+      assert.strictEqual((await resetPassword(token, 'new-secret123')).status, 400);
+    });
+  });
+
+  describe('password change', () => {
+    test('needs the current password and signs out other sessions', async () => {
+      const user = await createUser('candidate');
+      const other = (await login(user.email, user.password)).body;
+
+      let response = await request('POST', '/api/auth/password', {
+        token: user.token,
+        body: { current_password: 'wrong-password', new_password: 'new-secret123' }
+      });
+      assert.strictEqual(response.status, 400);
+
+      response = await request('POST', '/api/auth/password', {
+        token: user.token,
+        body: { current_password: user.password, new_password: 'new-secret123' }
+      });
+      assert.strictEqual(response.status, 200);
+
+      assert.strictEqual((await me(response.body.token)).status, 200);
+      assert.strictEqual((await me(other.token)).status, 401);
+      assert.strictEqual((await me(user.token)).status, 401);
+    });
+  });
+
+  describe('email verification', () => {
+    test('new accounts get a verification mail and a token confirms the address', async () => {
+      const user = await register('candidate');
+      assert.strictEqual(user.email_verified, false);
+
+      const [token] = mailTokens(user.email, VERIFY);
+      assert.ok(token, 'no verification mail');
+
+      let response = await request('POST', '/api/auth/verify-email', { body: { token } });
+      assert.strictEqual(response.status, 200);
+      assert.ok(response.body.user.email_verified_at);
+
+      response = await request('POST', '/api/auth/verify-email', { body: { token } });
+      assert.strictEqual(response.status, 400);
+
+      response = await request('POST', '/api/auth/resend-verification', { token: user.token });
+      assert.strictEqual(response.status, 409);
+      assert.strictEqual(response.body.code, 'EMAIL_ALREADY_VERIFIED');
+    });
+
+    test('companies post jobs only once verified', async () => {
+      const company = await register('company');
+      const post = () => request('POST', '/api/posts', {
+        token: company.token,
+        body: { post_type: 'find_candidate', title: 'Engineer', description: 'Build things' }
+      });
+
+      assert.strictEqual((await post()).status, 403);
+      const [token] = mailTokens(company.email, VERIFY);
+      await request('POST', '/api/auth/verify-email', { body: { token } });
+      assert.strictEqual((await post()).status, 201);
+    });
+
+    test('resending replaces the earlier token', async () => {
+      const user = await register('candidate');
+      const [first] = mailTokens(user.email, VERIFY);
+
+      assert.strictEqual((await request('POST', '/api/auth/resend-verification', { token: user.token })).status, 200);
+      const second = mailTokens(user.email, VERIFY).find((token) => token !== first);
+      assert.ok(second, 'no second verification mail');
+
+      assert.strictEqual((await request('POST', '/api/auth/verify-email', { body: { token: first } })).status, 400);
+      assert.strictEqual((await request('POST', '/api/auth/verify-email', { body: { token: second } })).status, 200);
+    });
+  });
+});
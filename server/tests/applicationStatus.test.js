@@ -0,0 +1,45 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const applicationStatus = require('../services/applicationStatus');
+
+describe('application status transitions', () => {
+  test('the pipeline moves forward', () => {
+    assert.ok(applicationStatus.canTransition('pending', 'reviewed'));
+    assert.ok(applicationStatus.canTransition('pending', 'interview'));
+    assert.ok(applicationStatus.canTransition('reviewed', 'offer'));
+    assert.ok(applicationStatus.canTransition('interview', 'offer'));
+    assert.ok(applicationStatus.canTransition('offer', 'accepted'));
+  });
+
+  test('it does not move backwards or skip to the end', () => {
+    assert.ok(!applicationStatus.canTransition('reviewed', 'pending'));
+    assert.ok(!applicationStatus.canTransition('offer', 'interview'));
+    assert.ok(!applicationStatus.canTransition('pending', 'offer'));
+    assert.ok(!applicationStatus.canTransition('pending', 'accepted'));
+    assert.ok(!applicationStatus.canTransition('pending', 'pending'));
+  });
+
+  test('any open application can be rejected', () => {
+    ['pending', 'reviewed', 'interview', 'offer'].forEach((from) => {
+      assert.ok(applicationStatus.canTransition(from, 'rejected'), from);
+    });
+  });
+
+  test('accepted and rejected are final', () => {
+    assert.deepStrictEqual(applicationStatus.allowedTransitions('accepted'), []);
+    assert.deepStrictEqual(applicationStatus.allowedTransitions('rejected'), []);
+    applicationStatus.STATUSES.forEach((to) => {
+      assert.ok(!applicationStatus.canTransition('rejected', to), to);
+    });
+  });
+
+  test('a reopened application starts over', () => {
+    assert.strictEqual(applicationStatus.REOPEN_STATUS, 'pending');
+  });
+
+  test('unknown statuses go nowhere', () => {
+    assert.ok(!applicationStatus.STATUSES.includes('hired'));
+    assert.deepStrictEqual(applicationStatus.allowedTransitions('hired'), []);
+    assert.ok(!applicationStatus.canTransition('hired', 'pending'));
+  });
+});
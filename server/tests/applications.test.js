@@ -0,0 +1,111 @@
+const { describe, before, after, test } = require('node:test');
+const assert = require('node:assert');
+const { skip, startServer, request, createUser, createCv } = require('./helpers');
+
+const setStatus = (user, applicationId, status, note) => request('PATCH', `/api/applications/${applicationId}/status`, {
+  token: user.token,
+  body: { status, note }
+});
+
+describe('applications', { skip }, () => {
+  let stop;
+  let company;
+  let post;
+
+  before(async () => {
+    stop = await startServer();
+    company = await createUser('company');
+    const response = await request('POST', '/api/posts', {
+      token: company.token,
+      body: { post_type: 'find_candidate', title: 'Backend developer', description: 'Node and Postgres' }
+    });
+    post = response.body.post;
+  });
+
+  after(() => stop && stop());
+
+  // A candidate who applied to the post with a fresh CV
+  const apply = async () => {
+    const candidate = await createUser('candidate');
+    const cvId = await createCv(candidate);
+    const response = await request('POST', '/api/applications', {
+      token: candidate.token,
+      body: { post_id: post.id, cv_id: cvId }
+    });
+    assert.strictEqual(response.status, 201);
+    return { candidate, cvId, application: response.body.application };
+  };
+
+  test('a new application is pending and recorded in its history', async () => {
+    const { candidate, cvId, application } = await apply();
+    assert.strictEqual(application.status, 'pending');
+
+    const again = await request('POST', '/api/applications', {
+      token: candidate.token,
+      body: { post_id: post.id, cv_id: cvId }
+    });
+    assert.strictEqual(again.status, 409);
+    assert.strictEqual(again.body.code, 'ALREADY_APPLIED');
+
+    const history = await request('GET', `/api/applications/${application.id}/history`, { token: candidate.token });
+    assert.strictEqual(history.status, 200);
+    assert.deepStrictEqual(history.body.history.map((entry) => [entry.from_status, entry.to_status]), [[null, 'pending']]);
+  });
+
+  test('the company moves it through the pipeline', async () => {
+    const { application } = await apply();
+
+    for (const status of ['reviewed', 'interview', 'offer']) {
+      const response = await setStatus(company, application.id, status);
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(response.body.application.status, status);
+    }
+
+    const response = await setStatus(company, application.id, 'pending');
+    assert.strictEqual(response.status, 409);
+    assert.strictEqual(response.body.code, 'INVALID_STATUS_TRANSITION');
+    assert.deepStrictEqual(response.body.allowed_statuses, ['accepted', 'rejected']);
+
+    assert.strictEqual((await setStatus(company, application.id, 'hired')).status, 400);
+  });
+
+  test('a rejected application changes only through reopen', async () => {
+    const { application } = await apply();
+    assert.strictEqual((await setStatus(company, application.id, 'rejected', 'Not enough experience')).status, 200);
+
+    let response = await setStatus(company, application.id, 'reviewed');
+    assert.strictEqual(response.status, 409);
+    assert.match(response.body.message, /reopen/);
+
+    response = await request('POST', `/api/applications/${application.id}/reopen`, { token: company.token, body: {} });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.application.status, 'pending');
+
+    response = await request('POST', `/api/applications/${application.id}/reopen`, { token: company.token, body: {} });
+    assert.strictEqual(response.status, 409);
+  });
+
+  test('notes are shown to the company only', async () => {
+    const { candidate, application } = await apply();
+    await setStatus(company, application.id, 'reviewed', 'Strong portfolio');
+
+    const forCompany = await request('GET', `/api/applications/${application.id}/history`, { token: company.token });
+    assert.strictEqual(forCompany.body.history[1].note, 'Strong portfolio');
+    assert.deepStrictEqual(forCompany.body.allowed_statuses, ['interview', 'offer', 'rejected']);
+
+    const forCandidate = await request('GET', `/api/applications/${application.id}/history`, { token: candidate.token });
+    assert.strictEqual(forCandidate.body.history[1].to_status, 'reviewed');
+    assert.strictEqual(forCandidate.body.history[1].note, undefined);
+    assert.strictEqual(forCandidate.body.allowed_statuses, undefined);
+  });
+
+  test('other users can neither change nor read it', async () => {
+    const { application } = await apply();
+    const otherCompany = await createUser('company');
+    const otherCandidate = await createUser('candidate');
+
+    assert.strictEqual((await setStatus(otherCompany, application.id, 'reviewed')).status, 404);
+    const history = await request('GET', `/api/applications/${application.id}/history`, { token: otherCandidate.token });
+    assert.strictEqual(history.status, 403);
+  });
+});
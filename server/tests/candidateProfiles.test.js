@@ -0,0 +1,126 @@
+const { describe, before, after, test } = require('node:test');
+const assert = require('node:assert');
+const { skip, startServer, request, createUser, createCv } = require('./helpers');
+
+const profile = async (candidate) => (await request('GET', '/api/users/candidate', { token: candidate.token })).body.profile;
+
+const addItem = (candidate, section, body) => request('POST', `/api/users/candidate/${section}`, {
+  token: candidate.token,
+  body
+});
+
+describe('candidate profiles', { skip }, () => {
+  let stop;
+
+  before(async () => {
+    stop = await startServer();
+  });
+
+  after(() => stop && stop());
+
+  test('a new profile is empty and lists what is missing', async () => {
+    const candidate = await createUser('candidate');
+    const { completeness, experience, desired_salary_min } = await profile(candidate);
+
+    assert.deepStrictEqual(experience, []);
+    assert.strictEqual(desired_salary_min, null);
+    assert.strictEqual(completeness.score, 0);
+    assert.ok(completeness.missing.some((item) => item.section === 'skills' && item.hint));
+  });
+
+  test('sections are filled item by item and raise the score', async () => {
+    const candidate = await createUser('candidate');
+    await createCv(candidate);
+
+    let response = await addItem(candidate, 'experience', { title: 'Developer', company: 'Acme', start_date: '2020-01-01' });
+    assert.strictEqual(response.status, 201);
+    assert.strictEqual(response.body.item.start_date, '2020-01-01');
+    assert.strictEqual(response.body.item.end_date, null);
+
+    for (const name of ['Node', 'SQL', 'React']) {
+      response = await addItem(candidate, 'skills', { name, level: 'advanced' });
+      assert.strictEqual(response.status, 201);
+    }
+
+    const { completeness, skills } = await profile(candidate);
+    assert.deepStrictEqual(skills.map((skill) => skill.name), ['Node', 'SQL', 'React']);
+    assert.strictEqual(completeness.score, 15 + 20 + 15);
+    assert.ok(!completeness.missing.some((item) => ['cv', 'experience', 'skills'].includes(item.section)));
+  });
+
+  test('items are changed and removed; other candidates\' items are not found', async () => {
+    const candidate = await createUser('candidate');
+    const other = await createUser('candidate');
+    const { item } = (await addItem(candidate, 'languages', { language: 'German', level: 'b2' })).body;
+
+    let response = await request('PATCH', `/api/users/candidate/languages/${item.id}`, {
+      token: candidate.token,
+      body: { level: 'c1' }
+    });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.item.level, 'c1');
+    assert.strictEqual(response.body.item.language, 'German');
+
+    response = await request('DELETE', `/api/users/candidate/languages/${item.id}`, { token: other.token });
+    assert.strictEqual(response.status, 404);
+
+    response = await request('DELETE', `/api/users/candidate/languages/${item.id}`, { token: candidate.token });
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual((await profile(candidate)).languages, []);
+  });
+
+  test('skills may not repeat and ranges must be in order', async () => {
+    const candidate = await createUser('candidate');
+    await addItem(candidate, 'skills', { name: 'Node', level: 'expert' });
+
+    let response = await addItem(candidate, 'skills', { name: 'node', level: 'beginner' });
+    assert.strictEqual(response.status, 409);
+    assert.strictEqual(response.body.code, 'ALREADY_LISTED');
+
+    response = await addItem(candidate, 'experience', {
+      title: 'Developer', company: 'Acme', start_date: '2021-01-01', end_date: '2020-01-01'
+    });
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual(response.body.errors[0].code, 'invalid_range');
+  });
+
+  test('desired salary needs a currency; fields left out are kept', async () => {
+    const candidate = await createUser('candidate');
+
+    let response = await request('PATCH', '/api/users/candidate', { token: candidate.token, body: { desired_salary_min: 4000 } });
+    assert.strictEqual(response.status, 400);
+
+    response = await request('PATCH', '/api/users/candidate', {
+      token: candidate.token,
+      body: { desired_salary_min: 4000, salary_currency: 'eur', salary_period: 'month' }
+    });
+    assert.strictEqual(response.status, 200);
+
+    response = await request('PATCH', '/api/users/candidate', { token: candidate.token, body: { availability: 'two_weeks' } });
+    assert.strictEqual(response.body.profile.desired_salary_min, 4000);
+    assert.strictEqual(response.body.profile.salary_currency, 'EUR');
+    assert.strictEqual(response.body.profile.availability, 'two_weeks');
+  });
+
+  test('companies have no candidate profile but see it on applications they receive', async () => {
+    const company = await createUser('company');
+    let response = await request('GET', '/api/users/candidate', { token: company.token });
+    assert.strictEqual(response.status, 403);
+    assert.strictEqual(response.body.code, 'CANDIDATE_ONLY');
+
+    const post = (await request('POST', '/api/posts', {
+      token: company.token,
+      body: { post_type: 'find_candidate', title: 'Developer', description: 'Backend work' }
+    })).body.post;
+    const candidate = await createUser('candidate');
+    await addItem(candidate, 'skills', { name: 'Node', level: 'advanced' });
+    const cvId = await createCv(candidate);
+    response = await request('POST', '/api/applications', { token: candidate.token, body: { post_id: post.id, cv_id: cvId } });
+    assert.strictEqual(response.status, 201);
+
+    response = await request('GET', `/api/applications/post/${post.id}`, { token: company.token });
+    assert.strictEqual(response.status, 200);
+    const [application] = response.body.applications;
+    assert.deepStrictEqual(application.candidate_profile.skills.map((skill) => skill.name), ['Node']);
+  });
+});
@@ -0,0 +1,139 @@
+const { describe, before, after, test } = require('node:test');
+const assert = require('node:assert');
+const { skip, startServer, request, mailTokens, createUser } = require('./helpers');
+
+const CONFIRM = /^Confirm /;
+
+let domainCount = 0;
+
+// A company whose website is on a domain of its own
+const companyOnDomain = async (domain = `acme${Date.now()}-${++domainCount}.com`) => {
+  const company = await createUser('company');
+  const response = await request('PATCH', '/api/users/company', {
+    token: company.token,
+    body: { website: `https://www.${domain}/about` }
+  });
+  assert.strictEqual(response.status, 200);
+  return { ...company, domain };
+};
+
+const requestVerification = (company, email) => request('POST', '/api/users/company/domain-verification', {
+  token: company.token,
+  body: { email }
+});
+
+const confirm = (token) => request('POST', '/api/users/company/domain-verification/confirm', { body: { token } });
+
+// Request a verification mail to jobs@domain; resolves to the token in it
+const verificationToken = async (company, domain = company.domain) => {
+  const email = `jobs-${company.id}@${domain}`;
+  const response = await requestVerification(company, email);
+  assert.strictEqual(response.status, 200);
+
+  const [token] = mailTokens(email, CONFIRM);
+  assert.ok(token, 'no verification mail');
+  return token;
+};
+
+const profile = async (company) => (await request('GET', '/api/users/company', { token: company.token })).body.company;
+
+describe('company profiles', { skip }, () => {
+  let stop;
+
+  before(async () => {
+    stop = await startServer();
+  });
+
+  after(() => stop && stop());
+
+  test('companies edit their profile; fields left out are kept', async () => {
+    const company = await createUser('company');
+
+    let response = await request('PATCH', '/api/users/company', {
+      token: company.token,
+      body: { industry: 'Software', company_size: '11-50', locations: ['Berlin', 'Remote'] }
+    });
+    assert.strictEqual(response.status, 200);
+
+    response = await request('PATCH', '/api/users/company', { token: company.token, body: { founded_year: 2015 } });
+    assert.strictEqual(response.body.company.industry, 'Software');
+    assert.deepStrictEqual(response.body.company.locations, ['Berlin', 'Remote']);
+    assert.strictEqual(response.body.company.founded_year, 2015);
+
+    response = await request('PATCH', '/api/users/company', { token: company.token, body: { company_size: '12' } });
+    assert.strictEqual(response.status, 400);
+
+    const candidate = await createUser('candidate');
+    response = await request('GET', '/api/users/company', { token: candidate.token });
+    assert.strictEqual(response.status, 403);
+    assert.strictEqual(response.body.code, 'COMPANY_ONLY');
+  });
+
+  describe('domain verification', () => {
+    test('an address on the website domain verifies the company', async () => {
+      const company = await companyOnDomain();
+
+      const mismatch = await requestVerification(company, `jobs@other-${company.domain}`);
+      assert.strictEqual(mismatch.status, 400);
+
+      const response = await confirm(await verificationToken(company, `hr.${company.domain}`));
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(response.body.domain, company.domain);
+
+      const verified = await profile(company);
+      assert.strictEqual(verified.verified, true);
+      assert.strictEqual(verified.verified_domain, company.domain);
+    });
+
+    test('moving the website to another domain drops the domain', async () => {
+      const company = await companyOnDomain();
+      await confirm(await verificationToken(company));
+
+      await request('PATCH', '/api/users/company', { token: company.token, body: { website: 'https://elsewhere.example.org' } });
+      assert.strictEqual((await profile(company)).verified_domain, null);
+    });
+
+    test('free-mail providers and public suffixes cannot verify a company', async () => {
+      for (const domain of ['gmail.com', 'co.uk', 'github.io']) {
+        const company = await companyOnDomain(domain);
+        const response = await requestVerification(company, `jobs@${domain}`);
+        assert.strictEqual(response.status, 400, domain);
+        assert.strictEqual(response.body.code, 'DOMAIN_NOT_VERIFIABLE', domain);
+      }
+
+      // Subdomains of a shared platform are somebody's own domain
+      const company = await companyOnDomain(`acme${Date.now()}.github.io`);
+      assert.strictEqual((await requestVerification(company, `jobs@${company.domain}`)).status, 200);
+    });
+
+    test('a suffix the website moved to after the request does not verify', async () => {
+      const company = await companyOnDomain(`acme${Date.now()}.co.uk`);
+      const token = await verificationToken(company);
+
+      await request('PATCH', '/api/users/company', { token: company.token, body: { website: 'https://co.uk' } });
+      assert.strictEqual((await confirm(token)).status, 400);
+      assert.strictEqual((await profile(company)).verified, false);
+    });
+
+    test('a domain verifies one company only', async () => {
+      const first = await companyOnDomain();
+      const second = await companyOnDomain(first.domain);
+      const third = await companyOnDomain(first.domain);
+
+      // Both requests go out before either company confirms
+      const firstToken = await verificationToken(first);
+      const secondToken = await verificationToken(second);
+
+      assert.strictEqual((await confirm(firstToken)).status, 200);
+
+      let response = await confirm(secondToken);
+      assert.strictEqual(response.status, 409);
+      assert.strictEqual(response.body.code, 'DOMAIN_TAKEN');
+      assert.strictEqual((await profile(second)).verified, false);
+
+      response = await requestVerification(third, `jobs@${first.domain}`);
+      assert.strictEqual(response.status, 409);
+      assert.strictEqual(response.body.code, 'DOMAIN_TAKEN');
+    });
+  });
+});
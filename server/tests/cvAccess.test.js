@@ -0,0 +1,186 @@
+const { describe, before, after, test } = require('node:test');
+const assert = require('node:assert');
+const { skip, query, startServer, request, createUser, createCv } = require('./helpers');
+
+// A candidate with an active CV attached to a find_job post
+const candidateWithCv = async () => {
+  const candidate = await createUser('candidate');
+  const cvId = await createCv(candidate);
+
+  const response = await request('POST', '/api/posts', {
+    token: candidate.token,
+    body: { post_type: 'find_job', title: 'Backend developer', description: 'Looking for work', attached_cv_id: cvId }
+  });
+  assert.strictEqual(response.status, 201);
+
+  return { candidate, cvId, post: response.body.post };
+};
+
+const downloadUrl = (viewer, cvId) => request('GET', `/api/cvs/${cvId}/download-url`, { token: viewer.token });
+
+describe('CV access', { skip }, () => {
+  let stop;
+  let company;
+
+  before(async () => {
+    stop = await startServer();
+    company = await createUser('company');
+  });
+
+  after(() => stop && stop());
+
+  test('owners can always read their CVs', async () => {
+    const candidate = await createUser('candidate');
+    const cvId = await createCv(candidate);
+    assert.strictEqual((await downloadUrl(candidate, cvId)).status, 200);
+  });
+
+  test('other users cannot read a CV that is not shared', async () => {
+    const candidate = await createUser('candidate');
+    const cvId = await createCv(candidate);
+    assert.strictEqual((await downloadUrl(company, cvId)).status, 403);
+    assert.strictEqual((await downloadUrl(await createUser('candidate'), cvId)).status, 403);
+    assert.strictEqual((await downloadUrl(company, cvId + 1000)).status, 404);
+  });
+
+  describe('through a find_job post', () => {
+    test('anyone who can see the post can read the CV', async () => {
+      const { cvId } = await candidateWithCv();
+      assert.strictEqual((await downloadUrl(company, cvId)).status, 200);
+    });
+
+    test('not while the post is hidden by a moderator', async () => {
+      const { cvId, post } = await candidateWithCv();
+      await query('UPDATE posts SET hidden_at = CURRENT_TIMESTAMP WHERE id = $1', [post.id]);
+      assert.strictEqual((await downloadUrl(company, cvId)).status, 403);
+    });
+
+    test('not while the candidate is suspended', async () => {
+      const { candidate, cvId } = await candidateWithCv();
+      await query('UPDATE users SET suspended_at = CURRENT_TIMESTAMP WHERE id = $1', [candidate.id]);
+      assert.strictEqual((await downloadUrl(company, cvId)).status, 403);
+    });
+
+    test('not when the profile is private to the viewer', async () => {
+      const { candidate, cvId } = await candidateWithCv();
+      await request('PATCH', '/api/users/privacy', { token: candidate.token, body: { profile_visibility: 'connections' } });
+      assert.strictEqual((await downloadUrl(company, cvId)).status, 403);
+      assert.strictEqual((await downloadUrl(candidate, cvId)).status, 200);
+    });
+
+    test('not when the candidate blocked the viewer', async () => {
+      const { candidate, cvId } = await candidateWithCv();
+      const link = await downloadUrl(company, cvId);
+      assert.strictEqual(link.status, 200);
+
+      await request('POST', `/api/users/${company.id}/block`, { token: candidate.token });
+      assert.strictEqual((await downloadUrl(company, cvId)).status, 403);
+
+      // Links signed before the block stop working too
+      assert.strictEqual((await request('GET', link.body.url)).status, 403);
+    });
+  });
+
+  test('companies can read CVs they received with an application', async () => {
+    const candidate = await createUser('candidate');
+    const cvId = await createCv(candidate);
+    const post = await request('POST', '/api/posts', {
+      token: company.token,
+      body: { post_type: 'find_candidate', title: 'Backend developer', description: 'Join us' }
+    });
+    const otherCompany = await createUser('company');
+
+    await request('POST', '/api/applications', {
+      token: candidate.token,
+      body: { post_id: post.body.post.id, cv_id: cvId }
+    });
+
+    assert.strictEqual((await downloadUrl(company, cvId)).status, 200);
+    assert.strictEqual((await downloadUrl(otherCompany, cvId)).status, 403);
+  });
+
+  test("posts cannot attach another candidate's CV", async () => {
+    const owner = await createUser('candidate');
+    const cvId = await createCv(owner);
+    const other = await createUser('candidate');
+
+    let response = await request('POST', '/api/posts', {
+      token: other.token,
+      body: { post_type: 'find_job', title: 'Backend developer', description: 'Looking for work', attached_cv_id: cvId }
+    });
+    assert.strictEqual(response.status, 400);
+
+    const { post } = await candidateWithCv();
+    response = await request('PUT', `/api/posts/${post.id}`, {
+      token: other.token,
+      body: { title: post.title, description: post.description, attached_cv_id: cvId }
+    });
+    assert.strictEqual(response.status, 404);
+
+    const own = await candidateWithCv();
+    response = await request('PUT', `/api/posts/${own.post.id}`, {
+      token: own.candidate.token,
+      body: { title: own.post.title, description: own.post.description, attached_cv_id: cvId }
+    });
+    assert.strictEqual(response.status, 400);
+
+    // The CV stays private to its owner
+    assert.strictEqual((await downloadUrl(company, cvId)).status, 403);
+  });
+
+  describe('through CV search', () => {
+    test('companies can read active CVs of candidates open to CV search', async () => {
+      const candidate = await createUser('candidate');
+      const cvId = await createCv(candidate);
+      await query('UPDATE users SET cv_searchable = true WHERE id = $1', [candidate.id]);
+
+      assert.strictEqual((await downloadUrl(company, cvId)).status, 200);
+      assert.strictEqual((await downloadUrl(await createUser('candidate'), cvId)).status, 403);
+
+      await query('UPDATE cvs SET is_active = false WHERE id = $1', [cvId]);
+      assert.strictEqual((await downloadUrl(company, cvId)).status, 403);
+    });
+
+    test('not when the candidate is not open to work', async () => {
+      const candidate = await createUser('candidate');
+      const cvId = await createCv(candidate);
+      await query('UPDATE users SET cv_searchable = true WHERE id = $1', [candidate.id]);
+      await request('PATCH', '/api/users/privacy', { token: candidate.token, body: { open_to_work: false } });
+      assert.strictEqual((await downloadUrl(company, cvId)).status, 403);
+    });
+
+    test('not when the company blocked the candidate', async () => {
+      const blocker = await createUser('company');
+      const candidate = await createUser('candidate');
+      const cvId = await createCv(candidate);
+      await query('UPDATE users SET cv_searchable = true WHERE id = $1', [candidate.id]);
+      await request('POST', `/api/users/${candidate.id}/block`, { token: blocker.token });
+      assert.strictEqual((await downloadUrl(blocker, cvId)).status, 403);
+      assert.strictEqual((await downloadUrl(company, cvId)).status, 200);
+    });
+  });
+
+  describe('signed download links', () => {
+    test('are bound to the viewer and checked again on download', async () => {
+      const { candidate, cvId } = await candidateWithCv();
+      const link = await downloadUrl(company, cvId);
+      assert.strictEqual(link.status, 200);
+
+      // The signature holds; the file itself is not on disk in tests
+      assert.strictEqual((await request('GET', link.body.url)).status, 404);
+
+      const tampered = link.body.url.replace(`viewer=${company.id}`, `viewer=${candidate.id}`);
+      const response = await request('GET', tampered);
+      assert.strictEqual(response.status, 403);
+      assert.strictEqual(response.body.code, 'INVALID_SIGNATURE');
+    });
+
+    test('stop working once access is lost', async () => {
+      const { candidate, cvId, post } = await candidateWithCv();
+      const link = await downloadUrl(company, cvId);
+
+      await request('DELETE', `/api/posts/${post.id}`, { token: candidate.token });
+      assert.strictEqual((await request('GET', link.body.url)).status, 403);
+    });
+  });
+});
@@ -0,0 +1,190 @@
+const { describe, before, after, test } = require('node:test');
+const assert = require('node:assert');
+const { skip, query, startServer, request, createUser, baseUrl } = require('./helpers');
+
+const WAIT_MS = 5000;
+
+// Open an event stream; resolves to its status and a function waiting for
+// text on the stream. close() ends it.
+const openStream = async (url, headers = {}) => {
+  const controller = new AbortController();
+  const response = await fetch(baseUrl + url, { headers, signal: controller.signal });
+  const close = () => controller.abort();
+  if (response.status !== 200) {
+    close();
+    return { status: response.status, close };
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let text = '';
+  let ended = false;
+
+  const read = async () => {
+    const { value, done } = await reader.read();
+    if (done) {
+      ended = true;
+    } else {
+      text += decoder.decode(value, { stream: true });
+    }
+  };
+
+  // Resolves to the stream so far once it contains needle, or to null when
+  // the stream ends first or nothing arrives in time
+  const waitFor = async (needle) => {
+    const deadline = Date.now() + WAIT_MS;
+    while (!text.includes(needle)) {
+      if (ended || Date.now() > deadline) return null;
+      const timeout = new Promise((resolve) => setTimeout(resolve, deadline - Date.now()));
+      await Promise.race([read(), timeout]);
+    }
+    return text;
+  };
+
+  // Resolves to true once the server ends the stream
+  const waitForEnd = async () => {
+    await waitFor('\0');
+    return ended;
+  };
+
+  return { status: 200, waitFor, waitForEnd, close };
+};
+
+const login = async (user) => {
+  const response = await request('POST', '/api/auth/login', { body: { email: user.email, password: user.password } });
+  assert.strictEqual(response.status, 200);
+  return { ...user, token: response.body.token };
+};
+
+const streamToken = async (user) => {
+  const response = await request('POST', '/api/events/token', { token: user.token });
+  assert.strictEqual(response.status, 201);
+  return response.body.stream_token;
+};
+
+describe('event stream', { skip }, () => {
+  let stop;
+
+  before(async () => {
+    stop = await startServer();
+  });
+
+  after(() => stop && stop());
+
+  test('delivers events to a stream opened with the access token', async () => {
+    const user = await createUser('candidate');
+    const follower = await createUser('candidate');
+    const stream = await openStream('/api/events/stream', { Authorization: `Bearer ${user.token}` });
+    assert.strictEqual(stream.status, 200);
+
+    try {
+      await stream.waitFor('retry:');
+      await request('POST', `/api/follows/${user.id}`, { token: follower.token });
+      const text = await stream.waitFor('event: new_follower');
+      assert.ok(text, 'no new_follower event');
+      assert.match(text, new RegExp(`"follower_id":${follower.id}`));
+    } finally {
+      stream.close();
+    }
+  });
+
+  test('a stream token opens one stream', async () => {
+    const user = await createUser('candidate');
+    const token = await streamToken(user);
+
+    const stream = await openStream(`/api/events/stream?stream_token=${token}`);
+    assert.strictEqual(stream.status, 200);
+    stream.close();
+
+    const again = await openStream(`/api/events/stream?stream_token=${token}`);
+    assert.strictEqual(again.status, 401);
+  });
+
+  test('expired stream tokens and access tokens in the URL are refused', async () => {
+    const user = await createUser('candidate');
+    const token = await streamToken(user);
+    await query("UPDATE event_stream_tokens SET expires_at = CURRENT_TIMESTAMP - INTERVAL '1 second'");
+
+    assert.strictEqual((await openStream(`/api/events/stream?stream_token=${token}`)).status, 401);
+    assert.strictEqual((await openStream(`/api/events/stream?access_token=${user.token}`)).status, 401);
+  });
+
+  test('replays events after last_event_id', async () => {
+    const user = await createUser('candidate');
+    const first = await createUser('candidate');
+    const second = await createUser('candidate');
+    await request('POST', `/api/follows/${user.id}`, { token: first.token });
+    await request('POST', `/api/follows/${user.id}`, { token: second.token });
+
+    const [event] = await query(
+      "SELECT id FROM realtime_events WHERE user_id = $1 AND type = 'new_follower' ORDER BY id LIMIT 1",
+      [user.id]
+    );
+    const stream = await openStream(`/api/events/stream?stream_token=${await streamToken(user)}&last_event_id=${event.id}`);
+    try {
+      const text = await stream.waitFor(`"follower_id":${second.id}`);
+      assert.ok(text, 'the missed event was not replayed');
+      assert.doesNotMatch(text, new RegExp(`"follower_id":${first.id}`));
+    } finally {
+      stream.close();
+    }
+  });
+
+  describe('revoking a session', () => {
+    // A user signed in twice, with a stream open in each session
+    const twoStreams = async () => {
+      const user = await createUser('candidate');
+      const other = await login(user);
+      const streams = [
+        await openStream(`/api/events/stream?stream_token=${await streamToken(user)}`),
+        await openStream('/api/events/stream', { Authorization: `Bearer ${other.token}` })
+      ];
+      await Promise.all(streams.map((stream) => stream.waitFor('retry:')));
+      return { user, other, streams };
+    };
+
+    test('logout ends the streams of that session only', async () => {
+      const { user, streams } = await twoStreams();
+      try {
+        await request('POST', '/api/auth/logout', { token: user.token });
+        assert.ok(await streams[0].waitFor('event: session_revoked'));
+        assert.strictEqual(await streams[0].waitForEnd(), true);
+
+        const follower = await createUser('candidate');
+        await request('POST', `/api/follows/${user.id}`, { token: follower.token });
+        assert.ok(await streams[1].waitFor('event: new_follower'), 'the other session lost its stream');
+      } finally {
+        streams.forEach((stream) => stream.close());
+      }
+    });
+
+    test('revoking another session ends its streams', async () => {
+      const { other, streams } = await twoStreams();
+      try {
+        const list = await request('GET', '/api/auth/sessions', { token: other.token });
+        const first = list.body.sessions.find((session) => !session.is_current);
+        assert.strictEqual((await request('DELETE', `/api/auth/sessions/${first.id}`, { token: other.token })).status, 200);
+        assert.strictEqual(await streams[0].waitForEnd(), true);
+      } finally {
+        streams.forEach((stream) => stream.close());
+      }
+    });
+
+    test('logging out everywhere ends every stream', async () => {
+      const { user, streams } = await twoStreams();
+      try {
+        await request('POST', '/api/auth/logout-all', { token: user.token });
+        assert.deepStrictEqual(await Promise.all(streams.map((stream) => stream.waitForEnd())), [true, true]);
+      } finally {
+        streams.forEach((stream) => stream.close());
+      }
+    });
+
+    test('stream tokens of a revoked session are refused', async () => {
+      const user = await createUser('candidate');
+      const token = await streamToken(user);
+      await request('POST', '/api/auth/logout', { token: user.token });
+      assert.strictEqual((await openStream(`/api/events/stream?stream_token=${token}`)).status, 401);
+    });
+  });
+});
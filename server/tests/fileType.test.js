@@ -0,0 +1,43 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const fileType = require('../utils/fileType');
+
+const bytes = (...values) => Buffer.from(values.flat());
+const ascii = (text) => [...Buffer.from(text, 'latin1')];
+
+describe('file type detection', () => {
+  test('known signatures are detected from the first bytes', () => {
+    assert.deepStrictEqual(fileType.detect(bytes(ascii('%PDF-1.7\n'))), { mime: 'application/pdf', extension: '.pdf' });
+    assert.deepStrictEqual(
+      fileType.detect(bytes([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 0x00])),
+      { mime: 'image/png', extension: '.png' }
+    );
+    assert.deepStrictEqual(fileType.detect(bytes([0xFF, 0xD8, 0xFF, 0xE0])), { mime: 'image/jpeg', extension: '.jpg' });
+    assert.deepStrictEqual(fileType.detect(bytes(ascii('GIF89a'))), { mime: 'image/gif', extension: '.gif' });
+    assert.deepStrictEqual(
+      fileType.detect(bytes(ascii('RIFF'), [0x24, 0x00, 0x00, 0x00], ascii('WEBPVP8 '))),
+      { mime: 'image/webp', extension: '.webp' }
+    );
+  });
+
+  test('a RIFF container that is not WebP is rejected', () => {
+    assert.strictEqual(fileType.detect(bytes(ascii('RIFF'), [0x24, 0x00, 0x00, 0x00], ascii('WAVEfmt '))), null);
+    assert.strictEqual(fileType.detect(bytes(ascii('RIFF'), [0x24, 0x00, 0x00, 0x00])), null);
+  });
+
+  test('content that merely claims a type is rejected', () => {
+    assert.strictEqual(fileType.detect(bytes(ascii('<html><body>%PDF-'))), null);
+    assert.strictEqual(fileType.detect(bytes(ascii('PK\u0003\u0004'))), null);
+    assert.strictEqual(fileType.detect(bytes(ascii(' %PDF-1.4'))), null);
+  });
+
+  test('truncated and empty buffers are rejected', () => {
+    assert.strictEqual(fileType.detect(Buffer.alloc(0)), null);
+    assert.strictEqual(fileType.detect(bytes(ascii('%PDF'))), null);
+    assert.strictEqual(fileType.detect(bytes([0xFF, 0xD8])), null);
+  });
+
+  test('only image types are listed as images', () => {
+    assert.deepStrictEqual([...fileType.IMAGE_TYPES].sort(), ['image/gif', 'image/jpeg', 'image/png', 'image/webp']);
+  });
+});
@@ -0,0 +1,174 @@
+const { spawn, execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Client } = require('pg');
+
+// Integration tests run the real server against TEST_DATABASE_URL, which is
+// wiped before every suite. Without it the suites are skipped.
+const DATABASE_URL = process.env.TEST_DATABASE_URL;
+const ROOT = path.join(__dirname, '../..');
+const PORT = Number(process.env.TEST_PORT) || 5099;
+const BASE_URL = `http://127.0.0.1:${PORT}`;
+const START_TIMEOUT_MS = 15000;
+
+const skip = DATABASE_URL ? false : 'TEST_DATABASE_URL is not set';
+
+const query = async (sql, params) => {
+  const client = new Client({ connectionString: DATABASE_URL });
+  await client.connect();
+  try {
+    return (await client.query(sql, params)).rows;
+  } finally {
+    await client.end();
+  }
+};
+
+// Run the migration CLI against the test database; resolves to its output
+const migrate = (...args) => execFileSync(process.execPath, ['server/scripts/migrate.js', ...args], {
+  cwd: ROOT,
+  env: { ...process.env, DATABASE_URL },
+  encoding: 'utf8'
+});
+
+// Empty the database, leaving no tables at all
+const emptyDatabase = () => query('DROP SCHEMA public CASCADE; CREATE SCHEMA public;');
+
+// Mail the running server sent, as JSON files
+let outboxDir = null;
+
+// Reset the database and start the server; env overrides its environment.
+// Resolves to a function that stops it again.
+const startServer = async (env = {}) => {
+  await emptyDatabase();
+  migrate('up');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jobook-test-'));
+  outboxDir = path.join(dir, 'outbox');
+  const server = spawn(process.execPath, ['server/index.js'], {
+    cwd: ROOT,
+    env: {
+      ...process.env,
+      DATABASE_URL,
+      PORT: String(PORT),
+      NODE_ENV: 'test',
+      JWT_SECRET: 'test-secret',
+      MAIL_DRIVER: 'outbox',
+      MAIL_OUTBOX_DIR: outboxDir,
+      STORAGE_DRIVER: 'local',
+      STORAGE_LOCAL_DIR: path.join(dir, 'uploads'),
+      RATE_LIMIT_ENABLED: 'false',
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let output = '';
+  server.stdout.on('data', (chunk) => { output += chunk; });
+  server.stderr.on('data', (chunk) => { output += chunk; });
+
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Server did not start:\n${output}`)), START_TIMEOUT_MS);
+    server.stdout.on('data', () => {
+      if (output.includes('Server running')) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+    server.on('exit', (code) => {
+      clearTimeout(timer);
+      reject(new Error(`Server exited with code ${code}:\n${output}`));
+    });
+  });
+
+  return async () => {
+    server.kill();
+    fs.rmSync(dir, { recursive: true, force: true });
+  };
+};
+
+// JSON request to the test server; resolves to { status, headers, body }
+const request = async (method, url, { token, body, headers = {} } = {}) => {
+  const options = { method, headers: { ...headers } };
+  if (token) options.headers.Authorization = `Bearer ${token}`;
+  if (body instanceof FormData) {
+    options.body = body;
+  } else if (body !== undefined) {
+    options.headers['Content-Type'] = 'application/json';
+    options.body = JSON.stringify(body);
+  }
+
+  const response = await fetch(BASE_URL + url, options);
+  const text = await response.text();
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch (error) {
+    json = text;
+  }
+  return { status: response.status, headers: response.headers, body: json };
+};
+
+// Mails sent to address, oldest first
+const mailsTo = (address) => {
+  if (!fs.existsSync(outboxDir)) return [];
+  return fs.readdirSync(outboxDir)
+    .map((file) => JSON.parse(fs.readFileSync(path.join(outboxDir, file), 'utf8')))
+    .filter((mail) => mail.to === address)
+    .sort((a, b) => a.date.localeCompare(b.date));
+};
+
+// Tokens in the links of mails to address with a subject matching pattern.
+// Mails sent within the same millisecond may come in any order.
+const mailTokens = (address, pattern) => mailsTo(address)
+  .filter((mail) => pattern.test(mail.subject))
+  .map((mail) => mail.text.match(/[?&]token=([^\s&]+)/))
+  .filter(Boolean)
+  .map((match) => decodeURIComponent(match[1]));
+
+let userCount = 0;
+
+// Register a verified user of accountType; resolves to the user with its token and password
+const createUser = async (accountType, fields = {}) => {
+  userCount += 1;
+  const password = 'secret123';
+  const response = await request('POST', '/api/auth/register', {
+    body: {
+      full_name: `${accountType} ${userCount}`,
+      email: `${accountType}${userCount}@example.com`,
+      password,
+      account_type: accountType,
+      ...fields
+    }
+  });
+  if (response.status !== 201) {
+    throw new Error(`Registration failed: ${JSON.stringify(response.body)}`);
+  }
+
+  const user = response.body.user;
+  await query('UPDATE users SET email_verified_at = CURRENT_TIMESTAMP WHERE id = $1', [user.id]);
+  return { ...user, email_verified: true, password, token: response.body.token };
+};
+
+// Add an active CV to the user without uploading a file; resolves to its id
+const createCv = async (user) => {
+  const [cv] = await query(
+    "INSERT INTO cvs (user_id, name, file_url) VALUES ($1, 'cv.pdf', '/uploads/cvs/missing.pdf') RETURNING id",
+    [user.id]
+  );
+  return cv.id;
+};
+
+module.exports = {
+  baseUrl: BASE_URL,
+  skip,
+  query,
+  migrate,
+  emptyDatabase,
+  startServer,
+  request,
+  mailsTo,
+  mailTokens,
+  createUser,
+  createCv
+};
@@ -0,0 +1,131 @@
+const { describe, before, after, beforeEach, test } = require('node:test');
+const assert = require('node:assert');
+const { skip, query, startServer, request, createUser, createCv } = require('./helpers');
+
+// A candidate looking for node work, with their CV attached to a find_job post
+const nodeCandidate = async () => {
+  const candidate = await createUser('candidate');
+  const cvId = await createCv(candidate);
+  const response = await request('POST', '/api/posts', {
+    token: candidate.token,
+    body: { post_type: 'find_job', title: 'Node developer', description: 'Looking for work', attached_cv_id: cvId, skills: ['node'] }
+  });
+  assert.strictEqual(response.status, 201);
+  return candidate;
+};
+
+describe('post matches', { skip }, () => {
+  let stop;
+  let company;
+  let post;
+
+  before(async () => {
+    stop = await startServer();
+  });
+
+  beforeEach(async () => {
+    company = await createUser('company');
+    const response = await request('POST', '/api/posts', {
+      token: company.token,
+      body: { post_type: 'find_candidate', title: 'Node developer', description: 'Backend work', skills: ['node'] }
+    });
+    post = response.body.post;
+  });
+
+  after(() => stop && stop());
+
+  const matches = async () => {
+    const response = await request('GET', `/api/posts/${post.id}/matches?limit=50`, { token: company.token });
+    assert.strictEqual(response.status, 200);
+    return response.body.matches;
+  };
+
+  test('candidates who fit the post are listed with their reasons', async () => {
+    const candidate = await nodeCandidate();
+    const match = (await matches()).find((item) => item.candidate.id === candidate.id);
+
+    assert.ok(match);
+    assert.ok(match.score > 0);
+    assert.strictEqual(match.has_applied, false);
+    assert.deepStrictEqual(match.reasons.find((reason) => reason.factor === 'skills').skills, ['node']);
+  });
+
+  test('candidates with nothing to match on are left out', async () => {
+    const candidate = await createUser('candidate');
+    await createCv(candidate);
+    assert.ok(!(await matches()).some((item) => item.candidate.id === candidate.id));
+  });
+
+  test('skills and desired salary from the candidate profile count', async () => {
+    await query('UPDATE posts SET salary_min = 5000, salary_currency = $1 WHERE id = $2', ['EUR', post.id]);
+    const candidate = await createUser('candidate');
+    await request('POST', '/api/users/candidate/skills', {
+      token: candidate.token,
+      body: { name: 'Node', level: 'advanced' }
+    });
+    await request('PATCH', '/api/users/candidate', {
+      token: candidate.token,
+      body: { desired_salary_min: 4000, salary_currency: 'EUR', salary_period: 'month' }
+    });
+
+    const match = (await matches()).find((item) => item.candidate.id === candidate.id);
+    assert.ok(match);
+    assert.deepStrictEqual(match.reasons.find((reason) => reason.factor === 'skills').skills, ['node']);
+    assert.ok(match.reasons.some((reason) => reason.factor === 'salary'));
+  });
+
+  test('suspended candidates are left out', async () => {
+    const candidate = await nodeCandidate();
+    await query('UPDATE users SET suspended_at = CURRENT_TIMESTAMP WHERE id = $1', [candidate.id]);
+    assert.ok(!(await matches()).some((item) => item.candidate.id === candidate.id));
+  });
+
+  test('find_job posts hidden by a moderator do not count', async () => {
+    const candidate = await nodeCandidate();
+    await query('UPDATE posts SET hidden_at = CURRENT_TIMESTAMP WHERE user_id = $1', [candidate.id]);
+    assert.ok(!(await matches()).some((item) => item.candidate.id === candidate.id));
+  });
+
+  test('candidates whose profile is private to the company are left out', async () => {
+    const candidate = await nodeCandidate();
+    await request('PATCH', '/api/users/privacy', { token: candidate.token, body: { profile_visibility: 'connections' } });
+    assert.ok(!(await matches()).some((item) => item.candidate.id === candidate.id));
+  });
+
+  test('blocked candidates are left out, whoever blocked', async () => {
+    const blocked = await nodeCandidate();
+    const blocking = await nodeCandidate();
+    await request('POST', `/api/users/${blocked.id}/block`, { token: company.token });
+    await request('POST', `/api/users/${company.id}/block`, { token: blocking.token });
+
+    const ids = (await matches()).map((item) => item.candidate.id);
+    assert.ok(!ids.includes(blocked.id));
+    assert.ok(!ids.includes(blocking.id));
+  });
+
+  test('only the author of the post sees its matches', async () => {
+    const other = await createUser('company');
+    const response = await request('GET', `/api/posts/${post.id}/matches`, { token: other.token });
+    assert.strictEqual(response.status, 404);
+  });
+
+  test('candidates are recommended the post until they apply', async () => {
+    const candidate = await nodeCandidate();
+    const recommendedIds = async () => {
+      const response = await request('GET', '/api/posts/recommended?limit=50', { token: candidate.token });
+      assert.strictEqual(response.status, 200);
+      return response.body.posts.map((item) => item.id);
+    };
+
+    assert.ok((await recommendedIds()).includes(post.id));
+
+    const cvId = await createCv(candidate);
+    await request('POST', '/api/applications', { token: candidate.token, body: { post_id: post.id, cv_id: cvId } });
+    assert.ok(!(await recommendedIds()).includes(post.id));
+  });
+
+  test('companies get no recommendations', async () => {
+    const response = await request('GET', '/api/posts/recommended', { token: company.token });
+    assert.strictEqual(response.status, 403);
+  });
+});
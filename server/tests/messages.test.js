@@ -0,0 +1,112 @@
+const { describe, before, after, test } = require('node:test');
+const assert = require('node:assert');
+const { skip, startServer, request, createUser, createCv } = require('./helpers');
+
+const send = (user, applicationId, body) => request('POST', `/api/messages/${applicationId}`, {
+  token: user.token,
+  body: { body }
+});
+
+describe('messages', { skip }, () => {
+  let stop;
+  let company;
+  let post;
+
+  before(async () => {
+    stop = await startServer();
+    company = await createUser('company');
+    const response = await request('POST', '/api/posts', {
+      token: company.token,
+      body: { post_type: 'find_candidate', title: 'Designer', description: 'Product design' }
+    });
+    post = response.body.post;
+  });
+
+  after(() => stop && stop());
+
+  // A candidate who applied to the post; resolves to the candidate and application id
+  const apply = async () => {
+    const candidate = await createUser('candidate');
+    const response = await request('POST', '/api/applications', {
+      token: candidate.token,
+      body: { post_id: post.id, cv_id: await createCv(candidate) }
+    });
+    assert.strictEqual(response.status, 201);
+    return { candidate, applicationId: response.body.application.id };
+  };
+
+  test('company and applicant exchange messages in the application thread', async () => {
+    const { candidate, applicationId } = await apply();
+
+    assert.strictEqual((await send(company, applicationId, 'Are you free on Monday?')).status, 201);
+    assert.strictEqual((await send(candidate, applicationId, 'Yes, any time after 10')).status, 201);
+
+    const response = await request('GET', `/api/messages/${applicationId}`, { token: candidate.token });
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(response.body.messages.map((message) => message.body), [
+      'Yes, any time after 10',
+      'Are you free on Monday?'
+    ]);
+    assert.strictEqual(response.body.thread.post_id, post.id);
+  });
+
+  test('unread counts drop once the thread is read', async () => {
+    const { candidate, applicationId } = await apply();
+    await send(company, applicationId, 'Hello');
+    await send(company, applicationId, 'Could you send a portfolio?');
+
+    let unread = await request('GET', '/api/messages/unread-count', { token: candidate.token });
+    assert.strictEqual(unread.body.unread_count, 2);
+
+    const threads = await request('GET', '/api/messages/threads', { token: candidate.token });
+    const thread = threads.body.threads.find((item) => item.application_id === applicationId);
+    assert.strictEqual(thread.unread_count, 2);
+    assert.strictEqual(thread.last_message_body, 'Could you send a portfolio?');
+    assert.strictEqual(thread.other_user_id, company.id);
+
+    const read = await request('PATCH', `/api/messages/${applicationId}/read`, { token: candidate.token });
+    assert.strictEqual(read.body.updated, 2);
+
+    unread = await request('GET', '/api/messages/unread-count', { token: candidate.token });
+    assert.strictEqual(unread.body.unread_count, 0);
+
+    // The sender's own messages never count as unread for them
+    const companyThreads = await request('GET', '/api/messages/threads', { token: company.token });
+    assert.strictEqual(companyThreads.body.threads.find((item) => item.application_id === applicationId).unread_count, 0);
+  });
+
+  test('only the two parties can use the thread', async () => {
+    const { applicationId } = await apply();
+    const outsider = await createUser('candidate');
+
+    assert.strictEqual((await send(outsider, applicationId, 'Hi')).status, 403);
+    assert.strictEqual((await request('GET', `/api/messages/${applicationId}`, { token: outsider.token })).status, 403);
+    assert.strictEqual((await send(company, 999999, 'Hi')).status, 404);
+  });
+
+  test('empty messages are refused', async () => {
+    const { applicationId } = await apply();
+    assert.strictEqual((await send(company, applicationId, '   ')).status, 400);
+  });
+
+  test('the company can lock the thread of a rejected application', async () => {
+    const { candidate, applicationId } = await apply();
+
+    const settings = (user) => request('PATCH', `/api/messages/${applicationId}/settings`, {
+      token: user.token,
+      body: { lock_on_reject: true }
+    });
+    assert.strictEqual((await settings(candidate)).status, 403);
+    assert.strictEqual((await settings(company)).status, 200);
+
+    // Still open until the application is rejected
+    assert.strictEqual((await send(candidate, applicationId, 'Any news?')).status, 201);
+
+    await request('PATCH', `/api/applications/${applicationId}/status`, { token: company.token, body: { status: 'rejected' } });
+    assert.strictEqual((await send(candidate, applicationId, 'Why?')).status, 403);
+
+    const response = await request('GET', `/api/messages/${applicationId}`, { token: candidate.token });
+    assert.strictEqual(response.body.thread.is_locked, true);
+    assert.strictEqual(response.body.messages.length, 1);
+  });
+});
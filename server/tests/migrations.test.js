@@ -0,0 +1,56 @@
+const { describe, before, test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { skip, query, migrate, emptyDatabase } = require('./helpers');
+
+const NAMES = fs.readdirSync(path.join(__dirname, '../migrations'))
+  .filter((file) => file.endsWith('.up.sql'))
+  .map((file) => file.replace(/\.up\.sql$/, ''))
+  .sort();
+
+const applied = async () => (await query('SELECT name FROM schema_migrations ORDER BY id')).map((row) => row.name);
+
+// Everything in the public schema but the migrations table itself
+const schemaObjects = async () => (await query(
+  `SELECT table_name AS name FROM information_schema.tables
+   WHERE table_schema = 'public' AND table_name <> 'schema_migrations'
+   UNION ALL
+   SELECT t.typname FROM pg_type t JOIN pg_namespace n ON n.oid = t.typnamespace
+   WHERE n.nspname = 'public' AND t.typtype = 'e'
+   UNION ALL
+   SELECT routine_name FROM information_schema.routines WHERE routine_schema = 'public'`
+)).map((row) => row.name);
+
+describe('migrations', { skip }, () => {
+  before(emptyDatabase);
+
+  test('up applies every migration in order', async () => {
+    const output = migrate('up');
+    assert.match(output, new RegExp(`Applied ${NAMES.length} migration\\(s\\)`));
+    assert.deepStrictEqual(await applied(), NAMES);
+
+    assert.match(migrate('up'), /Database is up to date/);
+    assert.match(migrate('status'), new RegExp(`${NAMES.length} applied, 0 pending`));
+  });
+
+  test('down reverts the last migration only', async () => {
+    migrate('down');
+    assert.deepStrictEqual(await applied(), NAMES.slice(0, -1));
+    assert.match(migrate('status'), /1 pending/);
+
+    migrate('up');
+    assert.deepStrictEqual(await applied(), NAMES);
+  });
+
+  test('rolling everything back leaves an empty schema that migrates again', async () => {
+    const output = migrate('down', String(NAMES.length));
+    assert.match(output, new RegExp(`Reverted ${NAMES.length} migration\\(s\\)`));
+    assert.deepStrictEqual(await applied(), []);
+    assert.deepStrictEqual(await schemaObjects(), []);
+    assert.match(migrate('down'), /Nothing to roll back/);
+
+    migrate('up');
+    assert.deepStrictEqual(await applied(), NAMES);
+  });
+});
@@ -0,0 +1,154 @@
+const { describe, before, after, test } = require('node:test');
+const assert = require('node:assert');
+const totp = require('../utils/totp');
+const { baseUrl, skip, query, startServer, request, createUser } = require('./helpers');
+
+const codeAt = (secret, offset) => totp.generate(secret, Math.floor(Date.now() / 30000) + offset);
+
+const login = (user) => request('POST', '/api/auth/login', { body: { email: user.email, password: user.password } });
+
+describe('moderation', { skip }, () => {
+  let stop;
+  let admin;
+
+  before(async () => {
+    stop = await startServer();
+    admin = await createUser('candidate');
+    await query("UPDATE users SET role = 'admin' WHERE id = $1", [admin.id]);
+  });
+
+  after(() => stop && stop());
+
+  const createPost = async (author) => {
+    const response = await request('POST', '/api/posts', {
+      token: author.token,
+      body: { post_type: 'find_candidate', title: 'Backend developer', description: 'Join us' }
+    });
+    assert.strictEqual(response.status, 201);
+    return response.body.post;
+  };
+
+  const report = (reporter, post) => request('POST', '/api/reports', {
+    token: reporter.token,
+    body: { target_type: 'post', target_id: post.id, reason: 'spam' }
+  });
+
+  const suspend = (user) => request('POST', `/api/admin/users/${user.id}/suspend`, {
+    token: admin.token,
+    body: { reason: 'Spam', until: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString() }
+  });
+
+  test('only admins reach the admin API', async () => {
+    const user = await createUser('candidate');
+    const response = await request('GET', '/api/admin/reports', { token: user.token });
+    assert.strictEqual(response.status, 403);
+    assert.strictEqual(response.body.code, 'ADMIN_REQUIRED');
+  });
+
+  test('a post is reported once while the report is open', async () => {
+    const company = await createUser('company');
+    const reporter = await createUser('candidate');
+    const post = await createPost(company);
+
+    assert.strictEqual((await report(reporter, post)).status, 201);
+
+    const again = await report(reporter, post);
+    assert.strictEqual(again.status, 409);
+    assert.strictEqual(again.body.code, 'ALREADY_REPORTED');
+
+    // Reports sent at the same time are caught by the unique index too
+    const other = await createPost(company);
+    const responses = await Promise.all([1, 2, 3].map(() => report(reporter, other)));
+    assert.deepStrictEqual(responses.map((response) => response.status).sort(), [201, 409, 409]);
+    assert.ok(responses.filter((response) => response.status === 409).every((response) => response.body.code === 'ALREADY_REPORTED'));
+
+    const own = await report(company, post);
+    assert.strictEqual(own.status, 400);
+    assert.strictEqual(own.body.code, 'CANNOT_REPORT_SELF');
+  });
+
+  test('hiding a reported post resolves its reports and hides it from everyone but the author', async () => {
+    const company = await createUser('company');
+    const reporter = await createUser('candidate');
+    const post = await createPost(company);
+    const reportId = (await report(reporter, post)).body.report.id;
+
+    let response = await request('GET', '/api/admin/reports?limit=100', { token: admin.token });
+    assert.ok(response.body.reports.some((item) => item.id === reportId));
+
+    response = await request('POST', `/api/admin/posts/${post.id}/hide`, { token: admin.token, body: { reason: 'Spam' } });
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(response.body.resolved_reports, [reportId]);
+
+    assert.strictEqual((await request('GET', `/api/posts/${post.id}`, { token: reporter.token })).status, 404);
+    assert.strictEqual((await request('GET', `/api/posts/${post.id}`, { token: company.token })).status, 200);
+
+    response = await request('GET', `/api/admin/audit-log?target_type=post&target_id=${post.id}`, { token: admin.token });
+    assert.deepStrictEqual(response.body.entries.map((entry) => [entry.action, entry.actor_id]), [['hide_post', admin.id]]);
+
+    // Hidden posts cannot be reported; once visible again the closed report does not block a new one
+    assert.strictEqual((await report(reporter, post)).status, 404);
+    await request('POST', `/api/admin/posts/${post.id}/unhide`, { token: admin.token, body: {} });
+    assert.strictEqual((await report(reporter, post)).status, 201);
+  });
+
+  test('suspended accounts are signed out and cannot log in until reinstated', async () => {
+    const user = await createUser('candidate');
+
+    assert.strictEqual((await suspend(user)).status, 200);
+    assert.strictEqual((await request('GET', '/api/auth/me', { token: user.token })).status, 401);
+
+    let response = await login(user);
+    assert.strictEqual(response.status, 403);
+    assert.strictEqual(response.body.code, 'ACCOUNT_SUSPENDED');
+
+    response = await request('POST', `/api/admin/users/${user.id}/reinstate`, { token: admin.token, body: {} });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual((await login(user)).status, 200);
+  });
+
+  test('a login waiting for its second factor is refused once the account is suspended', async () => {
+    const user = await createUser('candidate');
+    const setup = await request('POST', '/api/auth/two-factor/setup', { token: user.token, body: { password: user.password } });
+    await request('POST', '/api/auth/two-factor/confirm', { token: user.token, body: { code: codeAt(setup.body.secret, 0) } });
+
+    const challenge = await login(user);
+    assert.ok(challenge.body.challenge_token);
+
+    await suspend(user);
+
+    const response = await request('POST', '/api/auth/login/two-factor', {
+      body: { challenge_token: challenge.body.challenge_token, code: codeAt(setup.body.secret, 1) }
+    });
+    assert.strictEqual(response.status, 403);
+    assert.strictEqual(response.body.code, 'ACCOUNT_SUSPENDED');
+    assert.strictEqual(response.body.token, undefined);
+  });
+
+  test('stream tokens of a suspended account are refused', async () => {
+    const user = await createUser('candidate');
+    const minted = await request('POST', '/api/events/token', { token: user.token });
+    assert.strictEqual(minted.status, 201);
+
+    // Suspended without going through the admin API, so the session is still active
+    await query(
+      "UPDATE users SET suspended_at = CURRENT_TIMESTAMP, suspended_until = CURRENT_TIMESTAMP + INTERVAL '1 day' WHERE id = $1",
+      [user.id]
+    );
+
+    const response = await fetch(`${baseUrl}/api/events/stream?stream_token=${minted.body.stream_token}`, {
+      signal: AbortSignal.timeout(5000)
+    });
+    assert.strictEqual(response.status, 403);
+    assert.strictEqual((await response.json()).code, 'ACCOUNT_SUSPENDED');
+  });
+
+  test('admin accounts cannot be moderated', async () => {
+    const other = await createUser('candidate');
+    await query("UPDATE users SET role = 'admin' WHERE id = $1", [other.id]);
+
+    const response = await suspend(other);
+    assert.strictEqual(response.status, 403);
+    assert.strictEqual(response.body.code, 'CANNOT_MODERATE_ADMIN');
+  });
+});
@@ -0,0 +1,70 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const pagination = require('../utils/pagination');
+
+const byNewest = pagination.keyset([
+  { sql: 'p.created_at', direction: 'desc' },
+  { sql: 'p.id', direction: 'desc' }
+]);
+
+const cursorOf = (values) => Buffer.from(JSON.stringify(values)).toString('base64url');
+
+// The code of the ValidationError thrown by fn
+const errorCode = (fn) => {
+  try {
+    fn();
+  } catch (error) {
+    return error.details.errors[0].code;
+  }
+  assert.fail('expected a validation error');
+};
+
+describe('cursor pagination', () => {
+  test('the select and order follow the keys', () => {
+    assert.strictEqual(byNewest.select, 'json_build_array(p.created_at, p.id) AS cursor_key');
+    assert.strictEqual(byNewest.orderBy, 'p.created_at DESC, p.id DESC');
+  });
+
+  test('a page of limit + 1 rows yields a cursor for its last item', () => {
+    const rows = [1, 2, 3].map((id) => ({ id, cursor_key: [`2024-01-0${id}`, id] }));
+    const page = pagination.toPage(rows, 2);
+
+    assert.deepStrictEqual(page.items, [{ id: 1 }, { id: 2 }]);
+    assert.deepStrictEqual(byNewest.values(page.next_cursor), ['2024-01-02', 2]);
+  });
+
+  test('the last page has no cursor', () => {
+    const page = pagination.toPage([{ id: 1, cursor_key: ['2024-01-01', 1] }], 2);
+    assert.deepStrictEqual(page, { items: [{ id: 1 }], next_cursor: null });
+  });
+
+  test('after() continues strictly past the cursor row', () => {
+    const params = ['existing'];
+    const condition = byNewest.after(cursorOf(['2024-01-02T10:00:00.123456', 42]), params);
+
+    assert.strictEqual(condition, '((p.created_at < $2) OR (p.created_at = $2 AND p.id < $3))');
+    assert.deepStrictEqual(params, ['existing', '2024-01-02T10:00:00.123456', 42]);
+  });
+
+  test('ascending keys compare upwards', () => {
+    const params = [];
+    const condition = pagination.keyset([{ sql: 'n.id', direction: 'asc' }]).after(cursorOf([7]), params);
+
+    assert.strictEqual(condition, '((n.id > $1))');
+    assert.deepStrictEqual(params, [7]);
+  });
+
+  test('malformed cursors and cursors of another list are rejected', () => {
+    assert.strictEqual(errorCode(() => byNewest.values('not base64 json')), 'invalid_cursor');
+    assert.strictEqual(errorCode(() => byNewest.values(cursorOf([42]))), 'invalid_cursor');
+    assert.strictEqual(errorCode(() => byNewest.values(cursorOf({ id: 42 }))), 'invalid_cursor');
+    assert.strictEqual(errorCode(() => byNewest.values(cursorOf([null, 42]))), 'invalid_cursor');
+    assert.strictEqual(errorCode(() => byNewest.after(cursorOf([[1], 42]), [])), 'invalid_cursor');
+  });
+
+  test('a cursor takes precedence over the page number', () => {
+    assert.deepStrictEqual(pagination.fromQuery({ page: 3, limit: 20 }), { cursor: undefined, limit: 20, offset: 40 });
+    assert.deepStrictEqual(pagination.fromQuery({ cursor: 'abc', page: 3, limit: 20 }), { cursor: 'abc', limit: 20, offset: 0 });
+    assert.deepStrictEqual(pagination.fromQuery({ limit: 10 }), { cursor: undefined, limit: 10, offset: 0 });
+  });
+});
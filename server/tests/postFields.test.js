@@ -0,0 +1,81 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const postFields = require('../services/postFields');
+
+const inDays = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+
+// Field/code pairs of the ValidationError thrown by fn
+const failures = (fn) => {
+  try {
+    fn();
+  } catch (error) {
+    return error.details.errors.map(({ field, code }) => `${field}:${code}`);
+  }
+  assert.fail('expected a validation error');
+};
+
+describe('post fields', () => {
+  test('only fields sent in the body are returned, normalised', () => {
+    const values = postFields.prepare('find_candidate', {
+      title: 'ignored',
+      location: 'Berlin',
+      salary_min: 50000,
+      salary_currency: 'eur',
+      skills: [' Node ', 'node', 'SQL']
+    });
+
+    assert.deepStrictEqual(values, {
+      location: 'Berlin',
+      salary_min: 50000,
+      salary_currency: 'EUR',
+      skills: ['node', 'sql']
+    });
+  });
+
+  test('fields belonging to the other post type are rejected', () => {
+    assert.deepStrictEqual(
+      failures(() => postFields.prepare('find_job', { work_mode: 'remote', seniority: 'senior' })),
+      ['work_mode:not_allowed', 'seniority:not_allowed']
+    );
+    assert.deepStrictEqual(
+      failures(() => postFields.prepare('find_candidate', { desired_role: 'Developer' })),
+      ['desired_role:not_allowed']
+    );
+  });
+
+  test('salary ranges must be ordered and carry a currency', () => {
+    assert.deepStrictEqual(
+      failures(() => postFields.prepare('find_candidate', { salary_min: 60000, salary_max: 50000, salary_currency: 'EUR' })),
+      ['salary_max:invalid_range']
+    );
+    assert.deepStrictEqual(
+      failures(() => postFields.prepare('find_job', { expected_salary: 40000 })),
+      ['salary_currency:required']
+    );
+  });
+
+  test('partial updates are checked against the stored post', () => {
+    const current = { salary_min: 50000, salary_max: 70000, salary_currency: 'EUR' };
+
+    assert.deepStrictEqual(postFields.prepare('find_candidate', { salary_max: 60000 }, current), { salary_max: 60000 });
+    assert.deepStrictEqual(
+      failures(() => postFields.prepare('find_candidate', { salary_max: 40000 }, current)),
+      ['salary_max:invalid_range']
+    );
+    assert.deepStrictEqual(
+      failures(() => postFields.prepare('find_candidate', { salary_currency: null }, current)),
+      ['salary_currency:required']
+    );
+  });
+
+  test('application deadlines must be in the future', () => {
+    const deadline = inDays(7);
+    assert.deepStrictEqual(postFields.prepare('find_candidate', { application_deadline: deadline }), {
+      application_deadline: deadline
+    });
+    assert.deepStrictEqual(
+      failures(() => postFields.prepare('find_candidate', { application_deadline: inDays(-1) })),
+      ['application_deadline:in_past']
+    );
+  });
+});
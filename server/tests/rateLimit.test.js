@@ -0,0 +1,42 @@
+const { describe, before, after, test } = require('node:test');
+const assert = require('node:assert');
+const { skip, query, startServer, request, createUser } = require('./helpers');
+
+describe('rate limits (postgres store)', { skip }, () => {
+  let stop;
+
+  before(async () => {
+    stop = await startServer({ RATE_LIMIT_ENABLED: 'true', RATE_LIMIT_STORE: 'postgres' });
+  });
+
+  after(() => stop && stop());
+
+  test('a 255 character email is still counted and limited', async () => {
+    const email = `${'a'.repeat(64)}@${'b'.repeat(63)}.${'c'.repeat(63)}.${'d'.repeat(58)}.com`;
+    assert.strictEqual(email.length, 255);
+
+    const statuses = [];
+    for (let i = 0; i < 11; i += 1) {
+      const response = await request('POST', '/api/auth/login', { body: { email, password: 'wrong-password' } });
+      statuses.push(response.status);
+    }
+
+    assert.deepStrictEqual(statuses.slice(0, 10), Array(10).fill(400));
+    assert.strictEqual(statuses[10], 429);
+
+    const keys = await query("SELECT key FROM rate_limits WHERE key LIKE 'login:%'");
+    assert.ok(keys.every(({ key }) => key.length < 100 && !key.includes(email)));
+  });
+
+  test('store errors reject the request instead of skipping the limits', async () => {
+    const user = await createUser('candidate');
+    await query('ALTER TABLE rate_limits RENAME TO rate_limits_offline');
+    try {
+      const response = await request('POST', '/api/auth/login', { body: { email: user.email, password: user.password } });
+      assert.strictEqual(response.status, 500);
+      assert.strictEqual(response.body.token, undefined);
+    } finally {
+      await query('ALTER TABLE rate_limits_offline RENAME TO rate_limits');
+    }
+  });
+});
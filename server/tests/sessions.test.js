@@ -0,0 +1,101 @@
+const { describe, before, after, test } = require('node:test');
+const assert = require('node:assert');
+const { skip, query, startServer, request, createUser } = require('./helpers');
+
+const login = async (user) => {
+  const response = await request('POST', '/api/auth/login', { body: { email: user.email, password: user.password } });
+  assert.strictEqual(response.status, 200);
+  return response.body;
+};
+
+const refresh = (refreshToken) => request('POST', '/api/auth/refresh', { body: { refresh_token: refreshToken } });
+
+const me = (token) => request('GET', '/api/auth/me', { token });
+
+describe('sessions', { skip }, () => {
+  let stop;
+
+  before(async () => {
+    stop = await startServer();
+  });
+
+  after(() => stop && stop());
+
+  test('a refresh token is exchanged for a new pair once', async () => {
+    const user = await createUser('candidate');
+    const first = await login(user);
+
+    const response = await refresh(first.refresh_token);
+    assert.strictEqual(response.status, 200);
+    assert.notStrictEqual(response.body.refresh_token, first.refresh_token);
+    assert.strictEqual((await me(response.body.token)).status, 200);
+
+    assert.strictEqual((await refresh(response.body.refresh_token)).status, 200);
+  });
+
+  test('reusing a rotated refresh token revokes the whole session', async () => {
+    const user = await createUser('candidate');
+    const stolen = await login(user);
+    const rotated = (await refresh(stolen.refresh_token)).body;
+
+    const replay = await refresh(stolen.refresh_token);
+    assert.strictEqual(replay.status, 401);
+    assert.match(replay.body.message, /reuse/);
+
+    // Neither the legitimate holder's tokens nor the session survive
+    assert.strictEqual((await refresh(rotated.refresh_token)).status, 401);
+    assert.strictEqual((await me(rotated.token)).status, 401);
+
+    const [session] = await query(
+      "SELECT revoked_reason FROM sessions WHERE user_id = $1 AND revoked_at IS NOT NULL",
+      [user.id]
+    );
+    assert.strictEqual(session.revoked_reason, 'refresh_token_reuse');
+
+    // Other sessions are untouched
+    assert.strictEqual((await me(user.token)).status, 200);
+  });
+
+  test('unknown and expired refresh tokens are refused', async () => {
+    const user = await createUser('candidate');
+    const session = await login(user);
+
+    assert.strictEqual((await refresh('not-a-token')).status, 401);
+    assert.strictEqual((await request('POST', '/api/auth/refresh', { body: {} })).status, 400);
+
+    await query("UPDATE refresh_tokens SET expires_at = CURRENT_TIMESTAMP - INTERVAL '1 second'");
+    assert.strictEqual((await refresh(session.refresh_token)).status, 401);
+  });
+
+  test('logout revokes the current session only', async () => {
+    const user = await createUser('candidate');
+    const other = await login(user);
+
+    assert.strictEqual((await request('POST', '/api/auth/logout', { token: other.token })).status, 200);
+    assert.strictEqual((await me(other.token)).status, 401);
+    assert.strictEqual((await refresh(other.refresh_token)).status, 401);
+    assert.strictEqual((await me(user.token)).status, 200);
+  });
+
+  test('sessions can be listed and revoked one by one or all at once', async () => {
+    const user = await createUser('candidate');
+    const second = await login(user);
+    const third = await login(user);
+
+    const list = await request('GET', '/api/auth/sessions', { token: user.token });
+    assert.strictEqual(list.body.sessions.length, 3);
+    assert.strictEqual(list.body.sessions.filter((session) => session.is_current).length, 1);
+
+    const secondId = (await request('GET', '/api/auth/sessions', { token: second.token })).body.sessions
+      .find((session) => session.is_current).id;
+    const outsider = await createUser('candidate');
+    assert.strictEqual((await request('DELETE', `/api/auth/sessions/${secondId}`, { token: outsider.token })).status, 404);
+    assert.strictEqual((await request('DELETE', `/api/auth/sessions/${secondId}`, { token: user.token })).status, 200);
+    assert.strictEqual((await me(second.token)).status, 401);
+
+    const all = await request('POST', '/api/auth/logout-all', { token: third.token });
+    assert.strictEqual(all.body.revoked, 2);
+    assert.strictEqual((await me(user.token)).status, 401);
+    assert.strictEqual((await me(third.token)).status, 401);
+  });
+});
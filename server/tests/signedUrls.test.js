@@ -0,0 +1,60 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert');
+const signedUrls = require('../utils/signedUrls');
+
+const queryOf = (url) => Object.fromEntries(new URL(url, 'http://localhost').searchParams);
+
+describe('signed URLs', () => {
+  const previousSecret = process.env.SIGNED_URL_SECRET;
+
+  before(() => {
+    process.env.SIGNED_URL_SECRET = 'test-signing-secret';
+  });
+
+  after(() => {
+    if (previousSecret === undefined) {
+      delete process.env.SIGNED_URL_SECRET;
+    } else {
+      process.env.SIGNED_URL_SECRET = previousSecret;
+    }
+  });
+
+  test('a freshly signed URL verifies', () => {
+    const { url, expires_at } = signedUrls.sign('/api/cvs/1/download', { viewer: 7 });
+    assert.ok(url.startsWith('/api/cvs/1/download?'));
+    assert.ok(new Date(expires_at) > new Date());
+    assert.strictEqual(signedUrls.verify('/api/cvs/1/download', queryOf(url)), null);
+  });
+
+  test('changing the path or any parameter invalidates it', () => {
+    const query = queryOf(signedUrls.sign('/api/cvs/1/download', { viewer: 7 }).url);
+
+    assert.strictEqual(signedUrls.verify('/api/cvs/2/download', query), 'invalid');
+    assert.strictEqual(signedUrls.verify('/api/cvs/1/download', { ...query, viewer: '8' }), 'invalid');
+    assert.strictEqual(signedUrls.verify('/api/cvs/1/download', { ...query, expires: String(Number(query.expires) + 60) }), 'invalid');
+    assert.strictEqual(signedUrls.verify('/api/cvs/1/download', { ...query, extra: '1' }), 'invalid');
+  });
+
+  test('a missing or malformed signature is invalid', () => {
+    const { signature, ...unsigned } = queryOf(signedUrls.sign('/api/cvs/1/download').url);
+
+    assert.strictEqual(signedUrls.verify('/api/cvs/1/download', unsigned), 'invalid');
+    assert.strictEqual(signedUrls.verify('/api/cvs/1/download', { ...unsigned, signature: signature.slice(1) }), 'invalid');
+    assert.strictEqual(signedUrls.verify('/api/cvs/1/download', { ...unsigned, signature: [signature] }), 'invalid');
+  });
+
+  test('a URL signed with another secret is invalid', () => {
+    const query = queryOf(signedUrls.sign('/api/cvs/1/download').url);
+    process.env.SIGNED_URL_SECRET = 'rotated-secret';
+    try {
+      assert.strictEqual(signedUrls.verify('/api/cvs/1/download', query), 'invalid');
+    } finally {
+      process.env.SIGNED_URL_SECRET = 'test-signing-secret';
+    }
+  });
+
+  test('an expired URL is reported as expired', () => {
+    const query = queryOf(signedUrls.sign('/api/cvs/1/download', {}, -1).url);
+    assert.strictEqual(signedUrls.verify('/api/cvs/1/download', query), 'expired');
+  });
+});
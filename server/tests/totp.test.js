@@ -0,0 +1,74 @@
+const { describe, test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const totp = require('../utils/totp');
+
+// RFC 6238 appendix B: the ASCII secret "12345678901234567890", base32-encoded
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+// The appendix lists 8 digit codes; authenticator apps show the last 6
+const RFC_VECTORS = [
+  [59, '287082'],
+  [1111111109, '081804'],
+  [1111111111, '050471'],
+  [1234567890, '005924'],
+  [2000000000, '279037'],
+  [20000000000, '353130']
+];
+
+const NOW = 1700000000000;
+const NOW_STEP = Math.floor(NOW / 30000);
+
+describe('TOTP', () => {
+  beforeEach(() => {
+    mock.method(Date, 'now', () => NOW);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  test('codes match the RFC 6238 test vectors', () => {
+    for (const [seconds, code] of RFC_VECTORS) {
+      assert.strictEqual(totp.generate(RFC_SECRET, Math.floor(seconds / 30)), code, `T=${seconds}`);
+    }
+  });
+
+  test('codes of the neighbouring steps are accepted for clock drift', () => {
+    assert.strictEqual(totp.verify(RFC_SECRET, totp.generate(RFC_SECRET)), NOW_STEP);
+    assert.strictEqual(totp.verify(RFC_SECRET, totp.generate(RFC_SECRET, NOW_STEP - 1)), NOW_STEP - 1);
+    assert.strictEqual(totp.verify(RFC_SECRET, totp.generate(RFC_SECRET, NOW_STEP + 1)), NOW_STEP + 1);
+    assert.strictEqual(totp.verify(RFC_SECRET, totp.generate(RFC_SECRET, NOW_STEP - 2)), null);
+    assert.strictEqual(totp.verify(RFC_SECRET, totp.generate(RFC_SECRET, NOW_STEP + 2)), null);
+  });
+
+  test('a used step and the steps before it are not accepted again', () => {
+    const code = totp.generate(RFC_SECRET, NOW_STEP);
+
+    assert.strictEqual(totp.verify(RFC_SECRET, code, { afterStep: NOW_STEP }), null);
+    assert.strictEqual(totp.verify(RFC_SECRET, totp.generate(RFC_SECRET, NOW_STEP - 1), { afterStep: NOW_STEP - 1 }), null);
+    assert.strictEqual(totp.verify(RFC_SECRET, code, { afterStep: NOW_STEP - 1 }), NOW_STEP);
+  });
+
+  test('spaces are ignored and malformed codes are rejected', () => {
+    const code = totp.generate(RFC_SECRET);
+
+    assert.strictEqual(totp.verify(RFC_SECRET, `${code.slice(0, 3)} ${code.slice(3)}`), NOW_STEP);
+    assert.strictEqual(totp.verify(RFC_SECRET, code.slice(1)), null);
+    assert.strictEqual(totp.verify(RFC_SECRET, `${code}0`), null);
+    assert.strictEqual(totp.verify(RFC_SECRET, 'abcdef'), null);
+    assert.strictEqual(totp.verify(RFC_SECRET, undefined), null);
+  });
+
+  test('generated secrets are 160 bit base32 and work with the app URI', () => {
+    const secret = totp.generateSecret();
+    assert.match(secret, /^[A-Z2-7]{32}$/);
+    assert.notStrictEqual(totp.generateSecret(), secret);
+
+    const uri = new URL(totp.otpauthUri({ secret, account: 'ada@example.com', issuer: 'JoBook' }));
+    assert.strictEqual(uri.protocol, 'otpauth:');
+    assert.strictEqual(uri.host, 'totp');
+    assert.strictEqual(decodeURIComponent(uri.pathname), '/JoBook:ada@example.com');
+    assert.strictEqual(uri.searchParams.get('secret'), secret);
+    assert.strictEqual(uri.searchParams.get('digits'), '6');
+  });
+});
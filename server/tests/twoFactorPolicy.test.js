@@ -0,0 +1,216 @@
+const { describe, before, after, test } = require('node:test');
+const assert = require('node:assert');
+const totp = require('../utils/totp');
+const { skip, query, startServer, request, createUser } = require('./helpers');
+
+// Each TOTP code works once, so every step uses the code of a later time step
+const codeAt = (secret, offset) => totp.generate(secret, Math.floor(Date.now() / 30000) + offset);
+
+// Turn 2FA on for user; resolves to the user with its TOTP secret and recovery codes
+const withTwoFactor = async (user) => {
+  const setup = await request('POST', '/api/auth/two-factor/setup', {
+    token: user.token,
+    body: { password: user.password }
+  });
+  const confirm = await request('POST', '/api/auth/two-factor/confirm', {
+    token: user.token,
+    body: { code: codeAt(setup.body.secret, 0) }
+  });
+  assert.strictEqual(confirm.status, 200);
+
+  return { ...user, secret: setup.body.secret, recoveryCodes: confirm.body.recovery_codes };
+};
+
+const setPolicy = (company, required) => request('PUT', '/api/auth/two-factor/policy', {
+  token: company.token,
+  body: { required }
+});
+
+// A company with 2FA on and the policy set
+const companyWithPolicy = async () => {
+  const company = await withTwoFactor(await createUser('company'));
+
+  const policy = await setPolicy(company, true);
+  assert.strictEqual(policy.status, 200);
+  assert.strictEqual(policy.body.two_factor.required, true);
+
+  return company;
+};
+
+const invite = (company, member) => request('POST', '/api/team', { token: company.token, body: { email: member.email } });
+
+const accept = (company, member) => request('POST', `/api/team/memberships/${company.id}/accept`, { token: member.token });
+
+const login = (user) => request('POST', '/api/auth/login', { body: { email: user.email, password: user.password } });
+
+describe('two-factor policy', { skip }, () => {
+  let stop;
+
+  before(async () => {
+    stop = await startServer();
+  });
+
+  after(() => stop && stop());
+
+  test('lifting the policy needs a code', async () => {
+    const company = await companyWithPolicy();
+
+    let response = await request('PUT', '/api/auth/two-factor/policy', { token: company.token, body: { required: false } });
+    assert.strictEqual(response.status, 400);
+
+    response = await request('PUT', '/api/auth/two-factor/policy', {
+      token: company.token,
+      body: { required: false, code: '000000' }
+    });
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual(response.body.code, 'INVALID_TWO_FACTOR_CODE');
+
+    const [row] = await query('SELECT two_factor_required FROM users WHERE id = $1', [company.id]);
+    assert.strictEqual(row.two_factor_required, true);
+
+    response = await request('POST', '/api/auth/two-factor/disable', {
+      token: company.token,
+      body: { password: company.password, code: codeAt(company.secret, 1) }
+    });
+    assert.strictEqual(response.status, 403);
+
+    response = await request('PUT', '/api/auth/two-factor/policy', {
+      token: company.token,
+      body: { required: false, code: codeAt(company.secret, 1) }
+    });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.two_factor.required, false);
+  });
+
+  test('a recovery code also lifts the policy', async () => {
+    const company = await companyWithPolicy();
+
+    const response = await request('PUT', '/api/auth/two-factor/policy', {
+      token: company.token,
+      body: { required: false, recovery_code: company.recoveryCodes[0] }
+    });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.two_factor.required, false);
+  });
+
+  test('login under the policy asks for the second factor', async () => {
+    const company = await companyWithPolicy();
+
+    const response = await login(company);
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.two_factor_required, true);
+    assert.strictEqual(response.body.token, undefined);
+  });
+
+  test('login under the policy is refused when 2FA is not on', async () => {
+    const company = await companyWithPolicy();
+    await query('UPDATE users SET two_factor_enabled_at = NULL WHERE id = $1', [company.id]);
+
+    const response = await login(company);
+    assert.strictEqual(response.status, 403);
+    assert.strictEqual(response.body.code, 'TWO_FACTOR_REQUIRED');
+    assert.strictEqual(response.body.token, undefined);
+  });
+
+  describe('team members', () => {
+    test('companies list their members; members see and leave their teams', async () => {
+      const company = await createUser('company');
+      const member = await createUser('candidate');
+      const invited = await createUser('candidate');
+      await invite(company, member);
+      await invite(company, invited);
+      await accept(company, member);
+
+      assert.strictEqual((await invite(company, member)).status, 409);
+      assert.strictEqual((await invite(company, company)).status, 400);
+      assert.strictEqual((await accept(company, member)).status, 409);
+      assert.strictEqual((await invite(member, invited)).status, 403);
+
+      let response = await request('GET', '/api/team', { token: company.token });
+      assert.deepStrictEqual(response.body.members.map(({ id, accepted_at }) => [id, accepted_at !== null]), [
+        [member.id, true],
+        [invited.id, false]
+      ]);
+
+      response = await request('GET', '/api/team/memberships', { token: invited.token });
+      assert.deepStrictEqual(response.body.memberships.map(({ company_id, accepted_at }) => [company_id, accepted_at]), [
+        [company.id, null]
+      ]);
+
+      response = await request('DELETE', `/api/team/memberships/${company.id}`, { token: member.token });
+      assert.strictEqual(response.status, 200);
+      response = await request('GET', '/api/team', { token: company.token });
+      assert.deepStrictEqual(response.body.members.map(({ id }) => id), [invited.id]);
+    });
+
+    test('the policy waits until every member has 2FA on', async () => {
+      const company = await withTwoFactor(await createUser('company'));
+      const member = await createUser('candidate');
+      const invited = await createUser('candidate');
+
+      assert.strictEqual((await invite(company, member)).status, 201);
+      assert.strictEqual((await accept(company, member)).status, 200);
+      assert.strictEqual((await invite(company, invited)).status, 201);
+
+      let response = await setPolicy(company, true);
+      assert.strictEqual(response.status, 409);
+      assert.strictEqual(response.body.code, 'MEMBERS_WITHOUT_TWO_FACTOR');
+      assert.deepStrictEqual(response.body.members.map(({ id }) => id), [member.id]);
+
+      await withTwoFactor(member);
+      response = await setPolicy(company, true);
+      assert.strictEqual(response.status, 200);
+    });
+
+    test('under the policy only members with 2FA can be added or join', async () => {
+      const company = await withTwoFactor(await createUser('company'));
+      const invitedEarlier = await createUser('candidate');
+      assert.strictEqual((await invite(company, invitedEarlier)).status, 201);
+      assert.strictEqual((await setPolicy(company, true)).status, 200);
+
+      let response = await invite(company, await createUser('candidate'));
+      assert.strictEqual(response.status, 409);
+      assert.strictEqual(response.body.code, 'MEMBER_TWO_FACTOR_REQUIRED');
+
+      assert.strictEqual((await invite(company, await withTwoFactor(await createUser('candidate')))).status, 201);
+
+      response = await accept(company, invitedEarlier);
+      assert.strictEqual(response.status, 409);
+      assert.strictEqual(response.body.code, 'TWO_FACTOR_REQUIRED');
+
+      await withTwoFactor(invitedEarlier);
+      assert.strictEqual((await accept(company, invitedEarlier)).status, 200);
+    });
+
+    test('members are held to the policy until they leave the team', async () => {
+      const company = await withTwoFactor(await createUser('company'));
+      const member = await withTwoFactor(await createUser('candidate'));
+      await invite(company, member);
+      await accept(company, member);
+      assert.strictEqual((await setPolicy(company, true)).status, 200);
+
+      let response = await request('GET', '/api/auth/two-factor', { token: member.token });
+      assert.strictEqual(response.body.two_factor.required, true);
+      assert.strictEqual(response.body.two_factor.company_policy, false);
+
+      response = await request('POST', '/api/auth/two-factor/disable', {
+        token: member.token,
+        body: { password: member.password, code: codeAt(member.secret, 1) }
+      });
+      assert.strictEqual(response.status, 403);
+      assert.strictEqual(response.body.code, 'TWO_FACTOR_REQUIRED');
+
+      await query('UPDATE users SET two_factor_enabled_at = NULL WHERE id = $1', [member.id]);
+      response = await login(member);
+      assert.strictEqual(response.status, 403);
+      assert.strictEqual(response.body.code, 'TWO_FACTOR_REQUIRED');
+
+      response = await request('DELETE', `/api/team/${member.id}`, { token: company.token });
+      assert.strictEqual(response.status, 200);
+
+      response = await login(member);
+      assert.strictEqual(response.status, 200);
+      assert.ok(response.body.token);
+    });
+  });
+});
@@ -0,0 +1,114 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { validate, check } = require('../validation');
+
+const fieldsOf = (errors) => errors.map((error) => `${error.location}.${error.field}:${error.code}`);
+
+describe('request validation', () => {
+  test('query and params strings are coerced to their declared types', () => {
+    const { values, errors } = check({
+      params: { id: '42' },
+      query: { page: '2', remote: 'true', archived: '0', skills: 'node, sql' }
+    }, {
+      params: { id: { type: 'integer', required: true, min: 1 } },
+      query: {
+        page: { type: 'integer', min: 1 },
+        remote: { type: 'boolean' },
+        archived: { type: 'boolean' },
+        skills: { type: 'array', items: { type: 'string' } }
+      }
+    });
+
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual(values.params, { id: 42 });
+    assert.deepStrictEqual(values.query, { page: 2, remote: true, archived: false, skills: ['node', 'sql'] });
+  });
+
+  test('values that cannot be coerced are reported, not passed through', () => {
+    const { errors } = check({
+      params: { id: 'abc' },
+      query: { page: '1.5', remote: 'yes' }
+    }, {
+      params: { id: { type: 'integer', required: true } },
+      query: { page: { type: 'integer' }, remote: { type: 'boolean' } }
+    });
+
+    assert.deepStrictEqual(fieldsOf(errors), [
+      'params.id:invalid_type',
+      'query.page:invalid_type',
+      'query.remote:invalid_type'
+    ]);
+  });
+
+  test('body strings are trimmed and body numbers are not coerced from booleans', () => {
+    const { values, errors } = check({
+      body: { title: '  Backend developer  ', salary: true }
+    }, {
+      body: { title: { type: 'string', required: true, minLength: 1 }, salary: { type: 'number' } }
+    });
+
+    assert.strictEqual(values.body.title, 'Backend developer');
+    assert.deepStrictEqual(fieldsOf(errors), ['body.salary:invalid_type']);
+  });
+
+  test('empty query values count as missing and take their default', () => {
+    const { values, errors } = check({ query: { limit: '', sort: '' } }, {
+      query: {
+        limit: { type: 'integer', default: 20 },
+        sort: { type: 'string', required: true }
+      }
+    });
+
+    assert.strictEqual(values.query.limit, 20);
+    assert.deepStrictEqual(fieldsOf(errors), ['query.sort:required']);
+  });
+
+  test('null is only accepted for nullable fields', () => {
+    const { values, errors } = check({ body: { bio: null, name: null } }, {
+      body: { bio: { type: 'string', nullable: true }, name: { type: 'string' } }
+    });
+
+    assert.strictEqual(values.body.bio, null);
+    assert.deepStrictEqual(fieldsOf(errors), ['body.name:invalid_type']);
+  });
+
+  test('enum, length and range rules apply after coercion', () => {
+    const { errors } = check({
+      query: { limit: '500' },
+      body: { status: 'hired', note: 'x'.repeat(11), tags: ['a', 'b', 'c'] }
+    }, {
+      query: { limit: { type: 'integer', max: 100 } },
+      body: {
+        status: { type: 'string', enum: ['pending', 'reviewed'] },
+        note: { type: 'string', maxLength: 10 },
+        tags: { type: 'array', maxItems: 2 }
+      }
+    });
+
+    assert.deepStrictEqual(fieldsOf(errors), [
+      'query.limit:too_large',
+      'body.status:invalid_enum',
+      'body.note:too_long',
+      'body.tags:too_long'
+    ]);
+  });
+
+  test('the middleware writes coerced values back to the request', () => {
+    const middleware = validate({
+      params: { id: { type: 'integer', required: true } },
+      query: { limit: { type: 'integer', default: 20 } }
+    });
+    const req = { params: { id: '7' }, query: { other: 'kept' }, body: {} };
+    let called = 0;
+
+    middleware(req, {}, (error) => {
+      assert.strictEqual(error, undefined);
+      called += 1;
+    });
+
+    assert.strictEqual(called, 1);
+    assert.deepStrictEqual(req.params, { id: 7 });
+    assert.deepStrictEqual(req.query, { other: 'kept', limit: 20 });
+    assert.ok(middleware.schema.params.id);
+  });
+});
@@ -0,0 +1,32 @@
+// Domains a company cannot be verified for: an address there proves nothing
+// about owning the company's website.
+
+// Anyone can get an address at these
+const FREE_MAIL_DOMAINS = new Set([
+  'gmail.com', 'googlemail.com', 'yahoo.com', 'yahoo.co.uk', 'ymail.com', 'outlook.com', 'hotmail.com',
+  'hotmail.co.uk', 'live.com', 'msn.com', 'icloud.com', 'me.com', 'mac.com', 'aol.com', 'gmx.com', 'gmx.net',
+  'gmx.de', 'web.de', 'mail.com', 'proton.me', 'protonmail.com', 'pm.me', 'tutanota.com', 'fastmail.com',
+  'hey.com', 'zoho.com', 'yandex.com', 'yandex.ru', 'mail.ru', 'qq.com', '163.com', '126.com'
+]);
+
+// Registries and shared hosting platforms: every name under them belongs to
+// someone else, so proving an address below them proves nothing about them
+const PUBLIC_SUFFIXES = new Set([
+  'co.uk', 'org.uk', 'me.uk', 'ltd.uk', 'plc.uk', 'ac.uk', 'gov.uk', 'com.au', 'net.au', 'org.au', 'co.nz',
+  'co.jp', 'co.in', 'co.za', 'co.kr', 'com.br', 'com.cn', 'com.mx', 'com.tr', 'com.sg', 'com.hk', 'com.ar',
+  'github.io', 'gitlab.io', 'herokuapp.com', 'vercel.app', 'netlify.app', 'pages.dev', 'web.app',
+  'firebaseapp.com', 'appspot.com', 'azurewebsites.net', 'cloudfront.net', 'blogspot.com', 'wordpress.com',
+  'wixsite.com', 'squarespace.com', 'myshopify.com'
+]);
+
+const isFreeMail = (domain) => FREE_MAIL_DOMAINS.has(domain);
+
+// Single labels ("com") are top-level domains
+const isPublicSuffix = (domain) => !domain.includes('.') || PUBLIC_SUFFIXES.has(domain);
+
+module.exports = {
+  FREE_MAIL_DOMAINS,
+  PUBLIC_SUFFIXES,
+  isFreeMail,
+  isPublicSuffix
+};
@@ -0,0 +1,28 @@
+// Detect a file's real type from its first bytes instead of trusting the client's mimetype
+
+const SIGNATURES = [
+  { mime: 'application/pdf', extension: '.pdf', bytes: [0x25, 0x50, 0x44, 0x46, 0x2D] }, // %PDF-
+  { mime: 'image/png', extension: '.png', bytes: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A] },
+  { mime: 'image/jpeg', extension: '.jpg', bytes: [0xFF, 0xD8, 0xFF] },
+  { mime: 'image/gif', extension: '.gif', bytes: [0x47, 0x49, 0x46, 0x38] }, // GIF8
+  // RIFF....WEBP
+  { mime: 'image/webp', extension: '.webp', bytes: [0x52, 0x49, 0x46, 0x46], at: { 8: [0x57, 0x45, 0x42, 0x50] } }
+];
+
+const matches = (buffer, bytes, offset = 0) => buffer.length >= offset + bytes.length &&
+  bytes.every((byte, index) => buffer[offset + index] === byte);
+
+// Returns { mime, extension } or null when the content is not a known type
+const detect = (buffer) => {
+  const signature = SIGNATURES.find(({ bytes, at = {} }) => matches(buffer, bytes) &&
+    Object.entries(at).every(([offset, extra]) => matches(buffer, extra, Number(offset))));
+
+  return signature ? { mime: signature.mime, extension: signature.extension } : null;
+};
+
+const IMAGE_TYPES = SIGNATURES.map(({ mime }) => mime).filter((mime) => mime.startsWith('image/'));
+
+module.exports = {
+  detect,
+  IMAGE_TYPES
+};
@@ -0,0 +1,24 @@
+// ts_headline wraps matches in these markers; extracted text never contains them
+const START = '\u0001';
+const STOP = '\u0002';
+
+// Options for ts_headline(); pass them as a query parameter
+const headlineOptions = (options = 'MaxFragments=3, MaxWords=20, MinWords=8') =>
+  `StartSel="${START}", StopSel="${STOP}", FragmentDelimiter=" … ", ${options}`;
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Escape a ts_headline result and turn its markers into <mark> tags
+const toHtml = (headline) => escapeHtml(headline || '')
+  .split(START).join('<mark>')
+  .split(STOP).join('</mark>');
+
+module.exports = {
+  headlineOptions,
+  toHtml
+};
@@ -0,0 +1,73 @@
+const { ValidationError } = require('../errors');
+
+// Cursor (keyset) pagination. A list is ordered by keys whose last entry is
+// unique, e.g. [{ sql: 'p.created_at', direction: 'desc' }, { sql: 'p.id', direction: 'desc' }].
+// A cursor is the opaque, base64url-encoded JSON array of the sort key values
+// of the last row on a page. The next page starts right after that row, so
+// rows inserted in the meantime do not shift it.
+
+const encode = (values) => Buffer.from(JSON.stringify(values)).toString('base64url');
+
+const invalidCursor = () => new ValidationError([
+  { location: 'query', field: 'cursor', code: 'invalid_cursor', message: 'cursor is not valid for this list' }
+]);
+
+const decode = (cursor, keys) => {
+  let values;
+  try {
+    values = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw invalidCursor();
+  }
+
+  if (!Array.isArray(values) || values.length !== keys.length || values.some((value) => value === null || typeof value === 'object')) {
+    throw invalidCursor();
+  }
+  return values;
+};
+
+const keyset = (keys) => {
+  // json_build_array keeps timestamps at full (microsecond) precision
+  const select = `json_build_array(${keys.map((key) => key.sql).join(', ')}) AS cursor_key`;
+
+  const orderBy = keys.map((key) => `${key.sql} ${key.direction === 'desc' ? 'DESC' : 'ASC'}`).join(', ');
+
+  // WHERE condition for the rows after the cursor; pushes its values onto params
+  const after = (cursor, params) => {
+    const refs = decode(cursor, keys).map((value) => {
+      params.push(value);
+      return `$${params.length}`;
+    });
+
+    const branches = keys.map((key, index) => [
+      ...keys.slice(0, index).map((previous, i) => `${previous.sql} = ${refs[i]}`),
+      `${key.sql} ${key.direction === 'desc' ? '<' : '>'} ${refs[index]}`
+    ].join(' AND '));
+
+    return `(${branches.map((branch) => `(${branch})`).join(' OR ')})`;
+  };
+
+  // The sort key values stored in a cursor
+  const values = (cursor) => decode(cursor, keys);
+
+  return { select, orderBy, after, values };
+};
+
+// ?cursor= takes precedence; ?page= keeps working for older clients
+const fromQuery = ({ cursor, page = 1, limit }) => ({
+  cursor,
+  limit,
+  offset: cursor ? 0 : (page - 1) * limit
+});
+
+// Fetch limit + 1 rows; this trims the extra one and turns it into next_cursor
+const toPage = (rows, limit) => ({
+  items: rows.slice(0, limit).map(({ cursor_key, ...row }) => row),
+  next_cursor: rows.length > limit ? encode(rows[limit - 1].cursor_key) : null
+});
+
+module.exports = {
+  keyset,
+  fromQuery,
+  toPage
+};
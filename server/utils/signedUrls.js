@@ -0,0 +1,64 @@
+const crypto = require('crypto');
+const { ForbiddenError } = require('../errors');
+
+const DEFAULT_TTL_SECONDS = 300;
+
+const secret = () => process.env.SIGNED_URL_SECRET || process.env.JWT_SECRET;
+
+const ttlSeconds = () => parseInt(process.env.SIGNED_URL_TTL_SECONDS, 10) || DEFAULT_TTL_SECONDS;
+
+// The signature covers the path and every query parameter except itself
+const computeSignature = (path, params) => {
+  const payload = [path, ...Object.keys(params).sort().map((key) => `${key}=${params[key]}`)].join('\n');
+  return crypto.createHmac('sha256', secret()).update(payload).digest('hex');
+};
+
+// Short-lived URL for path; params are tamper-proof
+const sign = (path, params = {}, ttl = ttlSeconds()) => {
+  const expires = Math.floor(Date.now() / 1000) + ttl;
+  const signed = { ...params, expires };
+  const query = new URLSearchParams({ ...signed, signature: computeSignature(path, signed) });
+
+  return {
+    url: `${path}?${query}`,
+    expires_at: new Date(expires * 1000).toISOString()
+  };
+};
+
+// Check the query of a signed URL: returns null when valid, otherwise 'invalid' or 'expired'
+const verify = (path, query) => {
+  const { signature, ...params } = query;
+  if (typeof signature !== 'string' || !params.expires) {
+    return 'invalid';
+  }
+
+  const expected = computeSignature(path, params);
+  if (signature.length !== expected.length ||
+    !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return 'invalid';
+  }
+
+  if (Number(params.expires) < Date.now() / 1000) {
+    return 'expired';
+  }
+
+  return null;
+};
+
+// Like verify, but throws a 403 for the error handler
+const assertValid = (path, query) => {
+  const problem = verify(path, query);
+  if (problem === 'expired') {
+    throw new ForbiddenError('Download link has expired', 'LINK_EXPIRED');
+  }
+  if (problem) {
+    throw new ForbiddenError('Invalid download link', 'INVALID_SIGNATURE');
+  }
+};
+
+module.exports = {
+  ttlSeconds,
+  sign,
+  verify,
+  assertValid
+};
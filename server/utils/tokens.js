@@ -0,0 +1,12 @@
+const crypto = require('crypto');
+
+// Opaque random token safe to put in URLs
+const randomToken = (bytes = 32) => crypto.randomBytes(bytes).toString('base64url');
+
+// Tokens are only ever stored hashed
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+module.exports = {
+  randomToken,
+  hashToken
+};
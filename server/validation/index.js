@@ -0,0 +1,214 @@
+// Declarative request validation.
+//
+// A schema maps each request location (params, query, body) to field rules:
+//
+//   validate({
+//     params: { id: { type: 'integer', required: true, min: 1 } },
+//     body: { title: { type: 'string', required: true, maxLength: 255 } }
+//   })
+//
+// Supported rule keys: type (string, integer, number, boolean, array, object),
+// required, nullable, default, enum, minLength, maxLength, min, max, pattern,
+// format (email, url, date, date-time), trim, items (array element rule), minItems, maxItems,
+// properties (object field rules) and description (used in the API docs).
+// Valid values are coerced (e.g. "5" -> 5) and written back to the request.
+
+const { ValidationError } = require('../errors');
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+const ISO_DATE_TIME = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+const FORMATS = {
+  email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+  url: /^https?:\/\/[^\s]+$/i,
+  // 2024-05-01, and a day that exists (not 2024-02-31)
+  date: {
+    test: (value) => /^\d{4}-\d{2}-\d{2}$/.test(value)
+      && !Number.isNaN(Date.parse(value))
+      && new Date(value).toISOString().startsWith(value)
+  },
+  // 2024-05-01 or 2024-05-01T12:00:00Z
+  'date-time': { test: (value) => ISO_DATE_TIME.test(value) && !Number.isNaN(Date.parse(value)) }
+};
+
+const issue = (field, code, message) => ({ field, code, message });
+
+const coerce = (value, rule) => {
+  switch (rule.type) {
+    case 'integer':
+    case 'number':
+      if (typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value))) {
+        return Number(value);
+      }
+      return value;
+    case 'boolean':
+      if (value === 'true' || value === '1') return true;
+      if (value === 'false' || value === '0') return false;
+      return value;
+    case 'array':
+      // Query strings carry lists as ?skills=a,b or repeated ?skills=a&skills=b
+      if (typeof value === 'string') {
+        return value === '' ? [] : value.split(',').map((item) => item.trim());
+      }
+      return value;
+    default:
+      return value;
+  }
+};
+
+const checkValue = (value, rule, field, issues) => {
+  value = coerce(value, rule);
+
+  switch (rule.type) {
+    case 'string':
+      if (typeof value !== 'string') {
+        issues.push(issue(field, 'invalid_type', `${field} must be a string`));
+        return value;
+      }
+      if (rule.trim !== false) value = value.trim();
+      if (rule.minLength !== undefined && value.length < rule.minLength) {
+        issues.push(issue(field, 'too_short', rule.minLength === 1
+          ? `${field} must not be empty`
+          : `${field} must be at least ${rule.minLength} characters`));
+      }
+      if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+        issues.push(issue(field, 'too_long', `${field} must be at most ${rule.maxLength} characters`));
+      }
+      if (rule.format && value !== '' && !FORMATS[rule.format].test(value)) {
+        issues.push(issue(field, 'invalid_format', `${field} must be a valid ${rule.format}`));
+      }
+      if (rule.pattern && !rule.pattern.test(value)) {
+        issues.push(issue(field, 'invalid_format', `${field} has an invalid format`));
+      }
+      break;
+    case 'integer':
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value) || (rule.type === 'integer' && !Number.isInteger(value))) {
+        issues.push(issue(field, 'invalid_type', `${field} must be ${rule.type === 'integer' ? 'an integer' : 'a number'}`));
+        return value;
+      }
+      if (rule.min !== undefined && value < rule.min) {
+        issues.push(issue(field, 'too_small', `${field} must be at least ${rule.min}`));
+      }
+      if (rule.max !== undefined && value > rule.max) {
+        issues.push(issue(field, 'too_large', `${field} must be at most ${rule.max}`));
+      }
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        issues.push(issue(field, 'invalid_type', `${field} must be true or false`));
+      }
+      return value;
+    case 'array':
+      if (!Array.isArray(value)) {
+        issues.push(issue(field, 'invalid_type', `${field} must be an array`));
+        return value;
+      }
+      if (rule.minItems !== undefined && value.length < rule.minItems) {
+        issues.push(issue(field, 'too_short', `${field} must have at least ${rule.minItems} item(s)`));
+      }
+      if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+        issues.push(issue(field, 'too_long', `${field} must have at most ${rule.maxItems} item(s)`));
+      }
+      if (rule.items) {
+        value = value.map((item, index) => checkValue(item, rule.items, `${field}[${index}]`, issues));
+      }
+      break;
+    case 'object':
+      if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+        issues.push(issue(field, 'invalid_type', `${field} must be an object`));
+        return value;
+      }
+      if (rule.properties) {
+        value = { ...value, ...checkFields(value, rule.properties, `${field}.`, issues) };
+      }
+      break;
+    default:
+      break;
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    issues.push(issue(field, 'invalid_enum', `${field} must be one of: ${rule.enum.join(', ')}`));
+  }
+
+  return value;
+};
+
+const checkFields = (source, rules, prefix, issues, { emptyIsMissing = false } = {}) => {
+  const output = {};
+
+  for (const [name, rule] of Object.entries(rules)) {
+    const field = `${prefix}${name}`;
+    let value = source ? source[name] : undefined;
+
+    if (emptyIsMissing && value === '') {
+      value = undefined;
+    }
+
+    if (value === undefined) {
+      if (rule.required) {
+        issues.push(issue(field, 'required', `${field} is required`));
+      } else if (rule.default !== undefined) {
+        output[name] = rule.default;
+      }
+      continue;
+    }
+
+    if (value === null) {
+      if (rule.nullable) {
+        output[name] = null;
+      } else {
+        issues.push(issue(field, rule.required ? 'required' : 'invalid_type', `${field} must not be null`));
+      }
+      continue;
+    }
+
+    output[name] = checkValue(value, rule, field, issues);
+  }
+
+  return output;
+};
+
+// Check a request against a schema; returns { values, errors }
+const check = (req, schema) => {
+  const errors = [];
+  const values = {};
+
+  for (const location of LOCATIONS) {
+    if (!schema[location]) continue;
+
+    const issues = [];
+    values[location] = checkFields(req[location], schema[location], '', issues, {
+      emptyIsMissing: location === 'query'
+    });
+    issues.forEach((item) => errors.push({ location, ...item }));
+  }
+
+  return { values, errors };
+};
+
+// Express middleware validating (and coercing) req.params, req.query and req.body
+const validate = (schema) => {
+  const middleware = (req, res, next) => {
+    const { values, errors } = check(req, schema);
+
+    if (errors.length > 0) {
+      return next(new ValidationError(errors));
+    }
+
+    for (const location of Object.keys(values)) {
+      req[location] = { ...(req[location] || {}), ...values[location] };
+    }
+    next();
+  };
+
+  // Kept on the middleware so the API docs can be generated from the routes
+  middleware.schema = schema;
+  return middleware;
+};
+
+module.exports = {
+  validate,
+  check
+};
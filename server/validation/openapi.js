@@ -0,0 +1,120 @@
+// Builds an OpenAPI 3 document from the validation schemas attached to each route
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+const SPECIAL_KEYS = ['required', 'default', 'trim', 'format', 'pattern', 'items', 'properties', 'min', 'max', 'nullable'];
+
+const toJsonSchema = (rule) => {
+  const schema = {};
+
+  for (const [key, value] of Object.entries(rule)) {
+    if (!SPECIAL_KEYS.includes(key)) {
+      schema[key] = value;
+    }
+  }
+
+  if (rule.min !== undefined) schema.minimum = rule.min;
+  if (rule.max !== undefined) schema.maximum = rule.max;
+  if (rule.default !== undefined) schema.default = rule.default;
+  if (rule.nullable) schema.nullable = true;
+  if (rule.pattern) schema.pattern = rule.pattern.source;
+  if (rule.format) schema.format = rule.format === 'url' ? 'uri' : rule.format;
+  if (rule.items) schema.items = toJsonSchema(rule.items);
+  if (rule.properties) Object.assign(schema, toObjectSchema(rule.properties));
+
+  return schema;
+};
+
+const toObjectSchema = (fields) => {
+  const required = Object.keys(fields).filter((name) => fields[name].required);
+  return {
+    type: 'object',
+    properties: Object.fromEntries(
+      Object.entries(fields).map(([name, rule]) => [name, toJsonSchema(rule)])
+    ),
+    ...(required.length > 0 ? { required } : {})
+  };
+};
+
+const toParameters = (location, fields = {}) => Object.entries(fields).map(([name, rule]) => ({
+  name,
+  in: location === 'params' ? 'path' : 'query',
+  required: location === 'params' || Boolean(rule.required),
+  ...(rule.description ? { description: rule.description } : {}),
+  schema: toJsonSchema({ ...rule, description: undefined })
+}));
+
+// Express writes path params as :id, OpenAPI as {id}
+const toOpenApiPath = (prefix, routePath) => `${prefix}${routePath === '/' ? '' : routePath}`
+  .replace(/:(\w+)/g, '{$1}') || '/';
+
+const buildOperation = (route, tag) => {
+  const handlers = route.stack.map((layer) => layer.handle);
+  const schema = handlers.find((handle) => handle.schema)?.schema || {};
+  const requiresAuth = handlers.some((handle) => handle.name === 'authenticateToken');
+  const optionalAuth = handlers.some((handle) => handle.name === 'optionalAuthentication');
+  const isUpload = handlers.some((handle) => handle.name === 'multerMiddleware');
+
+  const operation = {
+    tags: [tag],
+    parameters: [
+      ...toParameters('params', schema.params),
+      ...toParameters('query', schema.query)
+    ],
+    responses: {
+      200: { description: 'Success' },
+      400: { description: 'Validation failed' }
+    }
+  };
+
+  if (schema.body || isUpload) {
+    const mediaType = isUpload ? 'multipart/form-data' : 'application/json';
+    operation.requestBody = {
+      content: { [mediaType]: { schema: toObjectSchema(schema.body || {}) } }
+    };
+  }
+
+  if (requiresAuth) {
+    operation.security = [{ bearerAuth: [] }];
+    operation.responses[401] = { description: 'Missing, expired or revoked access token' };
+  } else if (optionalAuth) {
+    operation.security = [{}, { bearerAuth: [] }];
+  }
+
+  return operation;
+};
+
+// routes: array of [mountPath, router] pairs as mounted in index.js
+const buildOpenApi = (routes, info = {}) => {
+  const paths = {};
+
+  for (const [prefix, router] of routes) {
+    const tag = prefix.split('/').pop();
+
+    for (const layer of router.stack) {
+      if (!layer.route) continue;
+
+      const routePath = toOpenApiPath(prefix, layer.route.path);
+      paths[routePath] = paths[routePath] || {};
+
+      for (const method of METHODS) {
+        if (layer.route.methods[method]) {
+          paths[routePath][method] = buildOperation(layer.route, tag);
+        }
+      }
+    }
+  }
+
+  return {
+    openapi: '3.0.3',
+    info: { title: 'JoBook API', version: '1.0.0', ...info },
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+      }
+    },
+    paths
+  };
+};
+
+module.exports = buildOpenApi;
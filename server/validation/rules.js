@@ -0,0 +1,81 @@
+// Field rules shared by several schemas
+
+const id = (description) => ({ type: 'integer', required: true, min: 1, description });
+
+const optionalId = (description) => ({ type: 'integer', min: 1, description });
+
+const page = { type: 'integer', min: 1, default: 1, description: 'Page number, starting at 1' };
+
+const limit = (max, defaultValue) => ({
+  type: 'integer',
+  min: 1,
+  max,
+  default: defaultValue,
+  description: `Items per page (max ${max})`
+});
+
+const cursor = {
+  type: 'string',
+  maxLength: 500,
+  pattern: /^[A-Za-z0-9_-]+$/,
+  description: 'next_cursor of the previous page; takes precedence over page'
+};
+
+// Query rules of a cursor-paginated list (page is still accepted)
+const paginated = (max, defaultValue) => ({
+  cursor,
+  page,
+  limit: limit(max, defaultValue)
+});
+
+const accountType = { type: 'string', enum: ['candidate', 'company'] };
+
+const postType = { type: 'string', enum: ['find_job', 'find_candidate'] };
+
+const workMode = { type: 'string', enum: ['onsite', 'hybrid', 'remote'] };
+
+const employmentType = {
+  type: 'string',
+  enum: ['full_time', 'part_time', 'contract', 'temporary', 'internship', 'freelance']
+};
+
+const seniority = { type: 'string', enum: ['intern', 'junior', 'mid', 'senior', 'lead', 'executive'] };
+
+const currency = { type: 'string', pattern: /^[A-Za-z]{3}$/, description: 'ISO 4217 code, e.g. EUR' };
+
+const skills = {
+  type: 'array',
+  maxItems: 30,
+  items: { type: 'string', minLength: 1, maxLength: 50 }
+};
+
+const email = { type: 'string', required: true, format: 'email', maxLength: 255 };
+
+const MIN_PASSWORD_LENGTH = 8;
+
+const password = {
+  type: 'string',
+  required: true,
+  trim: false,
+  minLength: MIN_PASSWORD_LENGTH,
+  maxLength: 128,
+  description: `At least ${MIN_PASSWORD_LENGTH} characters`
+};
+
+module.exports = {
+  id,
+  optionalId,
+  page,
+  limit,
+  cursor,
+  paginated,
+  accountType,
+  postType,
+  workMode,
+  employmentType,
+  seniority,
+  currency,
+  skills,
+  email,
+  password
+};
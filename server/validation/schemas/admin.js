@@ -0,0 +1,57 @@
+const { id, optionalId, paginated } = require('../rules');
+const { REPORT_TARGETS, REPORT_REASONS, REPORT_STATUSES, ACTIONS } = require('../../services/moderation');
+
+const reason = { type: 'string', required: true, minLength: 1, maxLength: 1000, description: 'Shown to the user and kept in the audit log' };
+
+module.exports = {
+  reports: {
+    query: {
+      ...paginated(100, 20),
+      status: { type: 'string', enum: REPORT_STATUSES, default: 'open' },
+      target_type: { type: 'string', enum: REPORT_TARGETS },
+      reason: { type: 'string', enum: REPORT_REASONS }
+    }
+  },
+  report: {
+    params: { id: id('Report id') }
+  },
+  closeReport: {
+    params: { id: id('Report id') },
+    body: {
+      status: { type: 'string', required: true, enum: ['resolved', 'dismissed'] },
+      note: { type: 'string', maxLength: 1000 }
+    }
+  },
+  moderatePost: {
+    params: { id: id('Post id') },
+    body: { reason }
+  },
+  unhidePost: {
+    params: { id: id('Post id') },
+    body: { reason: { ...reason, required: false } }
+  },
+  suspend: {
+    params: { id: id('User id') },
+    body: {
+      reason,
+      until: { type: 'string', required: true, format: 'date-time', description: 'When the suspension ends' }
+    }
+  },
+  ban: {
+    params: { id: id('User id') },
+    body: { reason }
+  },
+  userAction: {
+    params: { id: id('User id') },
+    body: { reason: { ...reason, required: false } }
+  },
+  auditLog: {
+    query: {
+      ...paginated(100, 50),
+      actor_id: optionalId('Only actions by this admin'),
+      action: { type: 'string', enum: Object.values(ACTIONS) },
+      target_type: { type: 'string', enum: ['post', 'user', 'report'] },
+      target_id: optionalId('Only actions on this target (with target_type)')
+    }
+  }
+};
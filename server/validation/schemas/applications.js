@@ -0,0 +1,34 @@
+const { id, paginated } = require('../rules');
+const { STATUSES } = require('../../services/applicationStatus');
+
+const note = { type: 'string', maxLength: 2000, description: 'Private to the company' };
+
+module.exports = {
+  list: {
+    query: paginated(100, 20)
+  },
+  apply: {
+    body: {
+      post_id: id('find_candidate post to apply to'),
+      cv_id: id('One of the candidate\'s active CVs')
+    }
+  },
+  updateStatus: {
+    params: { id: id('Application id') },
+    body: {
+      status: { type: 'string', required: true, enum: STATUSES },
+      note
+    }
+  },
+  reopen: {
+    params: { id: id('Application id') },
+    body: { note }
+  },
+  byId: {
+    params: { id: id('Application id') }
+  },
+  byPost: {
+    params: { postId: id('Post id') },
+    query: paginated(100, 20)
+  }
+};
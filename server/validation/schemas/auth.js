@@ -0,0 +1,77 @@
+const { id, accountType, email, password } = require('../rules');
+
+const totpCode = { type: 'string', pattern: /^\d{6}$/, description: '6-digit code from the authenticator app' };
+const recoveryCode = { type: 'string', maxLength: 20, description: 'One of the recovery codes, instead of code' };
+const currentPassword = { type: 'string', required: true, trim: false, minLength: 1 };
+
+module.exports = {
+  register: {
+    body: {
+      full_name: { type: 'string', required: true, minLength: 1, maxLength: 255 },
+      email,
+      password,
+      account_type: { ...accountType, required: true },
+      bio: { type: 'string', maxLength: 2000 }
+    }
+  },
+  login: {
+    body: {
+      email: { type: 'string', required: true, minLength: 1, maxLength: 255 },
+      password: { type: 'string', required: true, trim: false, minLength: 1 }
+    }
+  },
+  refresh: {
+    body: {
+      refresh_token: { type: 'string', required: true, minLength: 1 }
+    }
+  },
+  revokeSession: {
+    params: { id: id('Session id') }
+  },
+  changePassword: {
+    body: {
+      current_password: { type: 'string', required: true, trim: false, minLength: 1 },
+      new_password: password
+    }
+  },
+  forgotPassword: {
+    body: { email }
+  },
+  resetPassword: {
+    body: {
+      token: { type: 'string', required: true, minLength: 1 },
+      new_password: password
+    }
+  },
+  verifyEmail: {
+    body: {
+      token: { type: 'string', required: true, minLength: 1 }
+    }
+  },
+  loginTwoFactor: {
+    body: {
+      challenge_token: { type: 'string', required: true, minLength: 1, description: 'challenge_token returned by /login' },
+      code: totpCode,
+      recovery_code: recoveryCode
+    }
+  },
+  twoFactorSetup: {
+    body: { password: currentPassword }
+  },
+  twoFactorConfirm: {
+    body: { code: { ...totpCode, required: true } }
+  },
+  twoFactorVerify: {
+    body: { code: totpCode, recovery_code: recoveryCode }
+  },
+  twoFactorDisable: {
+    body: { password: currentPassword, code: totpCode, recovery_code: recoveryCode }
+  },
+  twoFactorPolicy: {
+    body: {
+      required: { type: 'boolean', required: true, description: 'Require two-factor authentication for the company account' },
+      code: totpCode,
+      recovery_code: recoveryCode
+    }
+  }
+};
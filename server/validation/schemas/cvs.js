@@ -0,0 +1,33 @@
+const { id, paginated } = require('../rules');
+
+module.exports = {
+  search: {
+    query: {
+      q: {
+        type: 'string',
+        required: true,
+        minLength: 2,
+        maxLength: 200,
+        description: 'Search terms; supports "quoted phrases", OR and -exclusions'
+      },
+      ...paginated(50, 10)
+    }
+  },
+  byId: {
+    params: { id: id('CV id') }
+  },
+  rename: {
+    params: { id: id('CV id') },
+    body: {
+      name: { type: 'string', required: true, minLength: 1, maxLength: 150 }
+    }
+  },
+  download: {
+    params: { id: id('CV id') },
+    query: {
+      viewer: id('User the link was issued to'),
+      expires: { type: 'integer', required: true, description: 'Expiry as a Unix timestamp' },
+      signature: { type: 'string', required: true, pattern: /^[0-9a-f]{64}$/ }
+    }
+  }
+};
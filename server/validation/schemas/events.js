@@ -0,0 +1,8 @@
+module.exports = {
+  stream: {
+    query: {
+      stream_token: { type: 'string', description: 'Token from POST /api/events/token, for clients that cannot send headers' },
+      last_event_id: { type: 'integer', min: 0, description: 'Replay events after this id' }
+    }
+  }
+};
@@ -0,0 +1,14 @@
+const { id, paginated } = require('../rules');
+
+module.exports = {
+  byUser: {
+    params: { userId: id('User id') }
+  },
+  list: {
+    query: paginated(100, 20)
+  },
+  listByUser: {
+    params: { userId: id('User id') },
+    query: paginated(100, 20)
+  }
+};
@@ -0,0 +1,34 @@
+const { id, paginated } = require('../rules');
+
+const applicationId = id('Application the conversation belongs to');
+
+module.exports = {
+  thread: {
+    params: { applicationId }
+  },
+  threads: {
+    query: paginated(100, 20)
+  },
+  list: {
+    params: { applicationId },
+    query: paginated(100, 30)
+  },
+  send: {
+    params: { applicationId },
+    body: {
+      body: { type: 'string', maxLength: 5000, default: '', description: 'Required unless an attachment is sent' }
+    }
+  },
+  settings: {
+    params: { applicationId },
+    body: {
+      lock_on_reject: { type: 'boolean', required: true }
+    }
+  },
+  attachment: {
+    params: {
+      applicationId,
+      messageId: id('Message id')
+    }
+  }
+};
@@ -0,0 +1,20 @@
+const { id, paginated } = require('../rules');
+const { ALL_TYPES } = require('../../services/notifications');
+
+module.exports = {
+  list: {
+    query: {
+      ...paginated(50, 20),
+      unread: { type: 'boolean', description: 'Only unread notifications' }
+    }
+  },
+  byId: {
+    params: { id: id('Notification id') }
+  },
+  updatePreferences: {
+    body: Object.fromEntries(ALL_TYPES.map((type) => [type, {
+      type: 'boolean',
+      description: `Receive ${type} notifications`
+    }]))
+  }
+};
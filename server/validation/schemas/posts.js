@@ -0,0 +1,138 @@
+const {
+  id,
+  optionalId,
+  paginated,
+  accountType,
+  postType,
+  workMode,
+  employmentType,
+  seniority,
+  currency,
+  skills
+} = require('../rules');
+const { ON_CLOSE_ACTIONS, DEFAULT_DEADLINE_DAYS } = require('../../services/postLifecycle');
+
+const title = { type: 'string', required: true, minLength: 1, maxLength: 255 };
+const description = { type: 'string', required: true, minLength: 1, maxLength: 10000 };
+const attachedCvId = { ...optionalId('CV attached to a find_job post'), nullable: true };
+const salary = (description) => ({ type: 'integer', min: 0, max: 100000000, nullable: true, description });
+
+const onClose = {
+  type: 'string',
+  enum: ON_CLOSE_ACTIONS,
+  description: 'find_candidate only: what happens to pending applications when the post closes'
+};
+const deadline = { type: 'string', format: 'date-time', description: 'When the post stops accepting applications' };
+
+// Structured fields; which ones a post may use depends on its type (see services/postFields)
+const structuredFields = {
+  location: { type: 'string', maxLength: 150, nullable: true, description: 'City or region' },
+  work_mode: { ...workMode, nullable: true },
+  employment_type: { ...employmentType, nullable: true },
+  seniority: { ...seniority, nullable: true },
+  salary_min: salary('find_candidate: lowest offered salary'),
+  salary_max: salary('find_candidate: highest offered salary'),
+  salary_currency: { ...currency, nullable: true },
+  skills: { ...skills, description: 'find_candidate: required skills; find_job: the candidate\'s skills' },
+  application_deadline: {
+    type: 'string',
+    format: 'date-time',
+    nullable: true,
+    description: `find_candidate only; defaults to ${DEFAULT_DEADLINE_DAYS} days after posting`
+  },
+  on_close: onClose,
+  desired_role: { type: 'string', maxLength: 150, nullable: true, description: 'find_job only' },
+  expected_salary: salary('find_job: expected salary')
+};
+
+// Filters shared by post listings
+const filters = {
+  type: postType,
+  location: { type: 'string', maxLength: 150, description: 'Location contains this text' },
+  work_mode: workMode,
+  employment_type: employmentType,
+  seniority,
+  skills: { ...skills, description: 'Comma-separated; posts must list all of them' },
+  salary_min: { type: 'integer', min: 0, description: 'Offered (or expected) salary reaches at least this' },
+  salary_max: { type: 'integer', min: 0, description: 'Offered (or expected) salary starts at most at this' },
+  currency,
+  desired_role: { type: 'string', maxLength: 150, description: 'find_job posts whose desired role contains this text' }
+};
+
+module.exports = {
+  filters,
+  list: {
+    query: {
+      ...filters,
+      ...paginated(50, 10)
+    }
+  },
+  search: {
+    query: {
+      q: {
+        type: 'string',
+        required: true,
+        minLength: 2,
+        maxLength: 200,
+        description: 'Search terms; supports "quoted phrases", OR and -exclusions'
+      },
+      ...filters,
+      author_id: optionalId('Only posts by this user'),
+      author_type: accountType,
+      from: { type: 'string', format: 'date-time', description: 'Posted at or after' },
+      to: { type: 'string', format: 'date-time', description: 'Posted at or before' },
+      status: { type: 'string', enum: ['active', 'expired'] },
+      ...paginated(50, 10)
+    }
+  },
+  recommended: {
+    query: paginated(50, 10)
+  },
+  matches: {
+    params: { id: id('Post id') },
+    query: paginated(50, 10)
+  },
+  listByUser: {
+    params: { userId: id('Author id') },
+    query: {
+      ...filters,
+      ...paginated(100, 20)
+    }
+  },
+  create: {
+    body: {
+      post_type: { ...postType, required: true },
+      title,
+      description,
+      attached_cv_id: attachedCvId,
+      ...structuredFields
+    }
+  },
+  update: {
+    params: { id: id('Post id') },
+    body: {
+      title,
+      description,
+      attached_cv_id: attachedCvId,
+      ...structuredFields
+    }
+  },
+  byId: {
+    params: { id: id('Post id') }
+  },
+  setDeadline: {
+    params: { id: id('Post id') },
+    body: {
+      application_deadline: { ...deadline, required: true },
+      on_close: onClose
+    }
+  },
+  close: {
+    params: { id: id('Post id') },
+    body: { on_close: onClose }
+  },
+  reopen: {
+    params: { id: id('Post id') },
+    body: { application_deadline: { ...deadline, description: `Defaults to ${DEFAULT_DEADLINE_DAYS} days from now` } }
+  }
+};
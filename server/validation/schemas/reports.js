@@ -0,0 +1,16 @@
+const { id, paginated } = require('../rules');
+const { REPORT_TARGETS, REPORT_REASONS } = require('../../services/moderation');
+
+module.exports = {
+  create: {
+    body: {
+      target_type: { type: 'string', required: true, enum: REPORT_TARGETS },
+      target_id: id('Id of the reported post, user or message'),
+      reason: { type: 'string', required: true, enum: REPORT_REASONS },
+      details: { type: 'string', maxLength: 2000, description: 'What is wrong, for the moderators' }
+    }
+  },
+  list: {
+    query: paginated(100, 20)
+  }
+};
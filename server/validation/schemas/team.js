@@ -0,0 +1,13 @@
+const { id, email } = require('../rules');
+
+module.exports = {
+  invite: {
+    body: { email: { ...email, description: 'Email of the account to invite' } }
+  },
+  byMember: {
+    params: { userId: id('Member user id') }
+  },
+  byCompany: {
+    params: { companyId: id('Company id') }
+  }
+};
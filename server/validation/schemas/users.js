@@ -0,0 +1,145 @@
+const { id, paginated, accountType, currency, email } = require('../rules');
+const { COMPANY_SIZES, SOCIAL_NETWORKS } = require('../../services/companyProfiles');
+const {
+  SKILL_LEVELS,
+  LANGUAGE_LEVELS,
+  SALARY_PERIODS,
+  AVAILABILITY,
+  SECTIONS
+} = require('../../services/candidateProfiles');
+const { EMAIL_VISIBILITY, PROFILE_VISIBILITY } = require('../../services/privacy');
+
+const place = { type: 'string', minLength: 1, maxLength: 255 };
+
+const text = (maxLength) => ({ type: 'string', minLength: 1, maxLength });
+const optionalText = (maxLength) => ({ type: 'string', nullable: true, maxLength });
+const date = (description) => ({ type: 'string', format: 'date', nullable: true, description });
+const salary = (description) => ({ type: 'integer', min: 0, max: 100000000, nullable: true, description });
+
+// Body rules of each candidate profile section (see services/candidateProfiles)
+const SECTION_FIELDS = {
+  experience: {
+    title: { ...text(150), required: true },
+    company: { ...text(150), required: true },
+    location: optionalText(150),
+    start_date: { type: 'string', required: true, format: 'date' },
+    end_date: date('Leave empty for the current position'),
+    description: optionalText(5000)
+  },
+  education: {
+    school: { ...text(150), required: true },
+    degree: optionalText(150),
+    field_of_study: optionalText(150),
+    start_date: date(),
+    end_date: date(),
+    description: optionalText(5000)
+  },
+  skills: {
+    name: { ...text(50), required: true },
+    level: { type: 'string', required: true, enum: SKILL_LEVELS },
+    years: { type: 'integer', nullable: true, min: 0, max: 60, description: 'Years of experience' }
+  },
+  languages: {
+    language: { ...text(50), required: true },
+    level: { type: 'string', required: true, enum: LANGUAGE_LEVELS, description: 'CEFR level' }
+  },
+  certifications: {
+    name: { ...text(150), required: true },
+    issuer: optionalText(150),
+    issued_on: date(),
+    expires_on: date(),
+    credential_url: { type: 'string', nullable: true, format: 'url', maxLength: 255 }
+  },
+  portfolio: {
+    label: { ...text(100), required: true },
+    url: { type: 'string', required: true, format: 'url', maxLength: 255 }
+  }
+};
+
+// Updates take the same fields, all optional
+const optional = (fields) => Object.fromEntries(
+  Object.entries(fields).map(([field, { required, ...rule }]) => [field, rule])
+);
+
+const itemParams = { itemId: id('Item id') };
+
+const sectionSchemas = Object.fromEntries(Object.keys(SECTIONS).map((name) => [name, {
+  create: { body: SECTION_FIELDS[name] },
+  update: { params: itemParams, body: optional(SECTION_FIELDS[name]) },
+  remove: { params: itemParams }
+}]));
+
+module.exports = {
+  getUser: {
+    params: { id: id('User id') }
+  },
+  block: {
+    params: { id: id('User id') }
+  },
+  listBlocked: {
+    query: paginated(100, 20)
+  },
+  updateProfile: {
+    body: {
+      full_name: { type: 'string', required: true, minLength: 1, maxLength: 255 },
+      bio: { type: 'string', nullable: true, maxLength: 2000 },
+      cv_searchable: { type: 'boolean', description: 'Let companies find my active CVs through CV search' }
+    }
+  },
+  updateCompany: {
+    body: {
+      website: { type: 'string', nullable: true, format: 'url', maxLength: 255 },
+      industry: { type: 'string', nullable: true, maxLength: 100 },
+      company_size: { type: 'string', nullable: true, enum: COMPANY_SIZES, description: 'Number of employees' },
+      headquarters: { ...place, nullable: true },
+      locations: { type: 'array', maxItems: 50, items: place, description: 'Offices, replacing the current list' },
+      founded_year: { type: 'integer', nullable: true, min: 1600, max: new Date().getFullYear() },
+      benefits: { type: 'array', maxItems: 30, items: { type: 'string', minLength: 1, maxLength: 100 } },
+      social_links: {
+        type: 'object',
+        description: 'Profile URLs, replacing the current links',
+        properties: Object.fromEntries(SOCIAL_NETWORKS.map((network) => [
+          network,
+          { type: 'string', nullable: true, format: 'url', maxLength: 255 }
+        ]))
+      }
+    }
+  },
+  requestDomainVerification: {
+    body: { email: { ...email, description: 'An address on the company website domain' } }
+  },
+  confirmDomainVerification: {
+    body: { token: { type: 'string', required: true, minLength: 1 } }
+  },
+  updateCandidate: {
+    body: {
+      desired_salary_min: salary('Lowest acceptable salary'),
+      desired_salary_max: salary('Desired salary'),
+      salary_currency: { ...currency, nullable: true },
+      salary_period: { type: 'string', nullable: true, enum: SALARY_PERIODS },
+      availability: { type: 'string', nullable: true, enum: AVAILABILITY, description: 'Notice period' },
+      available_from: date('Earliest start date')
+    }
+  },
+  candidateSections: sectionSchemas,
+  updatePrivacy: {
+    body: {
+      email_visibility: { type: 'string', enum: EMAIL_VISIBILITY, description: 'Who sees my email' },
+      profile_visibility: {
+        type: 'string',
+        enum: PROFILE_VISIBILITY,
+        description: 'Who sees my profile, posts and follows (members: signed-in users)'
+      },
+      hide_from_search: { type: 'boolean', description: 'Leave me out of user search' },
+      hide_follows: { type: 'boolean', description: 'Hide my follower and following lists' },
+      open_to_work: { type: 'boolean', description: 'Candidates only: let companies discover me' }
+    }
+  },
+  search: {
+    query: {
+      search: { type: 'string', maxLength: 100, description: 'Matches name or email' },
+      type: accountType,
+      ...paginated(50, 10)
+    }
+  }
+};